@@ -19,7 +19,9 @@ export default [
         marked: 'readonly',
         DOMPurify: 'readonly',
         URL: 'readonly',
+        URLSearchParams: 'readonly',
         setTimeout: 'readonly',
+        clearTimeout: 'readonly',
       },
     },
     rules: {
@@ -31,6 +33,6 @@ export default [
     },
   },
   {
-    ignores: ['node_modules/', 'dist/', 'coverage/'],
+    ignores: ['node_modules/', 'dist/', 'coverage/', 'public/vendor/'],
   },
 ];
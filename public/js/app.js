@@ -5,40 +5,141 @@
  * Related    : public/index.html, src/server.js
  */
 
-// L-5: Check CDN script availability
+// L-5: Check vendored script availability (missing file or SRI mismatch blocks loading)
 if (typeof marked === 'undefined') {
-  console.error('marked.js not loaded from CDN');
-  alert('Failed to load Markdown library. Please check your network connection.');
+  console.error('marked.js not loaded from /vendor/');
+  alert('Failed to load Markdown library. Run `npm run vendor` and restart the server.');
 }
 
 if (typeof DOMPurify === 'undefined') {
-  console.error('DOMPurify not loaded from CDN');
-  alert('Failed to load security library. Please check your network connection.');
+  console.error('DOMPurify not loaded from /vendor/');
+  alert('Failed to load security library. Run `npm run vendor` and restart the server.');
 }
 
 // L-NEW-2: Allowed message roles (whitelist)
 const ALLOWED_ROLES = ['user', 'assistant', 'system', 'error'];
 
+// Prompt length limit (mirrors MAX_INPUT_LENGTH on the server)
+const MAX_INPUT_LENGTH = 10000;
+
+// Tool result text longer than this is truncated in the card
+const MAX_TOOL_RESULT_DISPLAY = 20000;
+
+// F2: Minimum interval between Markdown re-renders of a streaming bubble (ms)
+const STREAM_RENDER_INTERVAL = 50;
+
+// Session list paging: page size, largest page the server accepts, and how close to the
+// bottom of the panel (px) the next page is requested
+const SESSIONS_PAGE_SIZE = 30;
+const SESSIONS_PAGE_MAX = 200;
+const SESSIONS_SCROLL_THRESHOLD = 100;
+// localStorage key for the settings drawer (per-run CLI options)
+const RUN_SETTINGS_KEY = 'tinycc-run-settings';
+
+// Attachments (mirrors ATTACHMENT_MAX_BYTES / ATTACHMENT_MAX_FILES on the server)
+const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_MAX_FILES = 5;
+
+// Chat tabs per connection (mirrors MAX_TABS on the server)
+const MAX_TABS = 5;
+const TAB_NAME_MAX_LENGTH = 40;
+
+// Output of a CLI run, rendered the same way for chat tabs and background jobs
+const RUN_MESSAGE_TYPES = [
+  'assistant',
+  'message-start',
+  'text-delta',
+  'user',
+  'result',
+  'error',
+  'exit',
+  'permission-request',
+];
+
+// Background job statuses (src/job-store.js) as shown in the jobs panel
+const JOB_STATUS_LABELS = {
+  queued: '待機中',
+  running: '実行中',
+  done: '完了',
+  failed: '失敗',
+  killed: '停止',
+};
+// Final result text shown per job in the jobs panel
+const JOB_RESULT_PREVIEW_LENGTH = 300;
+
+// Automatic reconnect backoff (ms), doubled per failed attempt up to the maximum
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
 // State
 let ws = null;
-// eslint-disable-next-line no-unused-vars -- Reserved for future session management features
-let currentSessionId = null;
-let cliStarted = false;
-let pendingInput = null;
+// Chat tabs: tabId -> tab state (see createTab); each tab is its own conversation and run
+const tabs = new Map();
+let activeTab = null;
+let tabCounter = 0;
+// Uploaded files for the next message ({id, name, type, size}) and uploads still in flight
+let attachments = [];
+let uploadsInFlight = 0;
 let currentProjectName = null;
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+// Sessions panel shows search results (live session list pushes must not replace them)
+let showingSearchResults = false;
+// Session list paging: next page cursor (null when all shown), the page being fetched,
+// sessions shown, and the scroll position to restore after a live refresh
+let sessionsNextCursor = null;
+let sessionsPendingCursor = null;
+let sessionsLoadedCount = 0;
+let sessionsRefreshScrollTop = null;
 
 // DOM Elements
-const chatOutput = document.getElementById('chat-output');
+const tabList = document.getElementById('tab-list');
+const newTabBtn = document.getElementById('new-tab-btn');
+const chatPanes = document.getElementById('chat-panes');
 const userInput = document.getElementById('user-input');
 const sendBtn = document.getElementById('send-btn');
 const stopBtn = document.getElementById('stop-btn');
 const charCount = document.getElementById('char-count');
+const attachBtn = document.getElementById('attach-btn');
+const fileInput = document.getElementById('file-input');
+const attachmentList = document.getElementById('attachment-list');
 const listSessionsBtn = document.getElementById('list-sessions-btn');
 const sessionsPanel = document.getElementById('sessions-panel');
 const sessionsList = document.getElementById('sessions-list');
 const closeSessionsBtn = document.getElementById('close-sessions-btn');
 const projectSelect = document.getElementById('project-select');
+const sessionSort = document.getElementById('session-sort');
+const showArchived = document.getElementById('show-archived');
 const headerProjectName = document.getElementById('header-project-name');
+const newChatBtn = document.getElementById('new-chat-btn');
+const headerSessionId = document.getElementById('header-session-id');
+const searchForm = document.getElementById('session-search-form');
+const searchQuery = document.getElementById('search-query');
+const searchRegex = document.getElementById('search-regex');
+const searchRole = document.getElementById('search-role');
+const searchFrom = document.getElementById('search-from');
+const searchTo = document.getElementById('search-to');
+const settingsBtn = document.getElementById('settings-btn');
+const settingsPanel = document.getElementById('settings-panel');
+const settingsForm = document.getElementById('settings-form');
+const closeSettingsBtn = document.getElementById('close-settings-btn');
+const notifyStatus = document.getElementById('notify-status');
+const testNotifyBtn = document.getElementById('test-notify-btn');
+const settingModel = document.getElementById('setting-model');
+const settingPermissionMode = document.getElementById('setting-permission-mode');
+const settingAllowedTools = document.getElementById('setting-allowed-tools');
+const settingDisallowedTools = document.getElementById('setting-disallowed-tools');
+const settingMaxTurns = document.getElementById('setting-max-turns');
+const settingSystemPrompt = document.getElementById('setting-system-prompt');
+const usageBtn = document.getElementById('usage-btn');
+const usagePanel = document.getElementById('usage-panel');
+const usageContent = document.getElementById('usage-content');
+const closeUsageBtn = document.getElementById('close-usage-btn');
+const jobsBtn = document.getElementById('jobs-btn');
+const jobsPanel = document.getElementById('jobs-panel');
+const jobsContent = document.getElementById('jobs-content');
+const closeJobsBtn = document.getElementById('close-jobs-btn');
+const jobBtn = document.getElementById('job-btn');
 
 // Initialize WebSocket connection
 function initWebSocket() {
@@ -49,32 +150,246 @@ function initWebSocket() {
 
   ws.onopen = () => {
     console.log('WebSocket connected');
-    appendMessage('system', 'WebSocketに接続しました');
+    const reconnected = reconnectAttempts > 0;
+    reconnectAttempts = 0;
+    appendMessage('system', reconnected ? 'WebSocketに再接続しました' : 'WebSocketに接続しました');
+
+    // Pick each tab's run back up (the server keeps runs alive for a grace period)
+    for (const tab of tabs.values()) {
+      if (tab.jobId) {
+        // Jobs kept running on the server: reload the output and follow it again
+        requestJobPage(tab, 0);
+      } else if (tab.runId) {
+        ws.send(
+          JSON.stringify({
+            type: 'reattach',
+            tabId: tab.tabId,
+            runId: tab.runId,
+            lastSeq: tab.lastSeq,
+          })
+        );
+      } else if (reconnected && tab.sessionId) {
+        tab.resumeSessionId = tab.sessionId;
+      }
+    }
+
+    // Subscriptions belong to the old connection: refresh and resubscribe the open panel
+    if (reconnected && sessionsPanel.style.display === 'block' && currentProjectName) {
+      requestSessionsForProject(currentProjectName);
+    }
+    if (reconnected && jobsPanel.style.display === 'block') {
+      showJobsPanel();
+    }
   };
 
   ws.onmessage = (event) => {
     try {
-      const message = JSON.parse(event.data);
-      handleServerMessage(message);
+      handleServerMessage(JSON.parse(event.data));
     } catch (err) {
       console.error('Failed to parse message:', err);
     }
   };
 
   ws.onerror = (err) => {
+    // onclose follows and schedules the reconnect
     console.error('WebSocket error:', err);
-    appendMessage('error', 'WebSocket接続エラーが発生しました');
   };
 
   ws.onclose = () => {
     console.log('WebSocket disconnected');
-    appendMessage('system', 'WebSocket接続が切断されました');
+    if (reconnectAttempts === 0) {
+      appendMessage('system', 'WebSocket接続が切断されました。再接続します…');
+    }
     ws = null;
+    scheduleReconnect();
   };
 }
 
+// Reconnect with exponential backoff (jittered so several tabs do not retry in lockstep)
+function scheduleReconnect() {
+  if (reconnectTimer) {
+    return;
+  }
+
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts);
+  reconnectAttempts++;
+  reconnectTimer = setTimeout(
+    () => {
+      reconnectTimer = null;
+      initWebSocket();
+    },
+    delay / 2 + Math.random() * (delay / 2)
+  );
+}
+
+// Tab a server message belongs to, tracking run sequence numbers
+// Returns null for duplicates and for messages of superseded runs or closed tabs
+function tabForMessage(message) {
+  if (!message.runId) {
+    // Replies echo the request's tab (errors, reattach-failed); the rest go to the visible tab.
+    // A reply for a tab closed in the meantime is dropped rather than shown in another tab
+    if (message.tabId !== undefined) {
+      return tabs.get(message.tabId) || null;
+    }
+    return activeTab;
+  }
+
+  if (message.type === 'started') {
+    const startedTab = tabs.get(message.tabId);
+    if (startedTab && startedTab.runId !== message.runId) {
+      startedTab.runId = message.runId;
+      startedTab.lastSeq = 0;
+    }
+  }
+
+  const tab = findTab((candidate) => candidate.runId === message.runId);
+  if (!tab) {
+    return null;
+  }
+  if (Number.isInteger(message.seq)) {
+    if (message.seq <= tab.lastSeq) {
+      return null;
+    }
+    tab.lastSeq = message.seq;
+  }
+  return tab;
+}
+
 // Handle server messages
 function handleServerMessage(message) {
+  // Background job output and approvals go to the tab showing the job
+  if (message.jobId !== undefined) {
+    handleJobMessage(message);
+    return;
+  }
+
+  const tab = tabForMessage(message);
+  if (!tab) {
+    return;
+  }
+
+  if (RUN_MESSAGE_TYPES.includes(message.type)) {
+    renderRunMessage(tab, message);
+    // The turn is over once its result, an error or the process exit arrives. An error that
+    // names no run or tab (e.g. a failed panel request) is only shown in the visible tab
+    const namesTab = message.runId !== undefined || message.tabId !== undefined;
+    if (
+      message.type === 'result' ||
+      message.type === 'exit' ||
+      (message.type === 'error' && namesTab)
+    ) {
+      setTabBusy(tab, false);
+    }
+    if (message.type === 'exit') {
+      tab.cliStarted = false;
+    }
+  } else if (message.type === 'started') {
+    tab.sessionId = message.sessionId;
+    updateHeaderSessionId();
+    tab.cliStarted = true;
+    appendMessage(
+      'system',
+      message.sessionId
+        ? `セッション ${message.sessionId} を継続します`
+        : 'セッションを開始しました',
+      false,
+      tab.output
+    );
+
+    // Send pending input that was queued while waiting for CLI to start
+    if (tab.pendingInput) {
+      ws.send(JSON.stringify(tab.pendingInput));
+      tab.pendingInput = null;
+    }
+  } else if (message.type === 'session') {
+    // CLI reported its session ID; the next turn resumes it
+    tab.sessionId = message.sessionId;
+    updateHeaderSessionId();
+  } else if (message.type === 'reattached') {
+    if (message.missed) {
+      appendMessage(
+        'system',
+        '切断中の出力の一部は保持期間を過ぎたため表示できません',
+        false,
+        tab.output
+      );
+    }
+    if (message.running) {
+      appendMessage('system', '実行中の応答に再接続しました', false, tab.output);
+    }
+  } else if (message.type === 'reattach-failed') {
+    // Run expired on the server: the next turn resumes the session explicitly
+    appendMessage(
+      'system',
+      '切断中に実行が終了したため、応答を再開できませんでした',
+      false,
+      tab.output
+    );
+    tab.runId = null;
+    tab.resumeSessionId = tab.sessionId;
+    tab.cliStarted = false;
+    clearQueueNotice(tab);
+    setTabBusy(tab, false);
+  } else if (message.type === 'queued') {
+    // All run slots are busy: the prompt waits on the server (cancel with the stop button)
+    showQueueNotice(tab, message);
+  } else if (message.type === 'dequeued') {
+    clearQueueNotice(tab);
+    if (message.cancelled) {
+      appendMessage('system', '順番待ちを取り消しました', false, tab.output);
+      setTabBusy(tab, false);
+    } else {
+      appendMessage('system', '順番が来たため実行を開始しました', false, tab.output);
+    }
+  } else if (message.type === 'projects') {
+    displayProjects(message);
+  } else if (message.type === 'sessions') {
+    displaySessions(message);
+  } else if (message.type === 'sessions-changed') {
+    // Live update: redraw in place unless the panel moved on to another view
+    if (message.projectName === currentProjectName && !showingSearchResults) {
+      refreshSessions();
+    }
+  } else if (message.type === 'projects-changed') {
+    renderProjectOptions(message.projects);
+    projectSelect.value = currentProjectName || '';
+  } else if (message.type === 'session-deleted') {
+    // Conversations on the deleted session are gone: their next message starts a new one
+    for (const openTab of tabs.values()) {
+      if (
+        message.sessionId === openTab.sessionId ||
+        message.sessionId === openTab.resumeSessionId
+      ) {
+        openTab.sessionId = null;
+        openTab.resumeSessionId = null;
+        openTab.startNewSession = true;
+      }
+    }
+    updateHeaderSessionId();
+    appendMessage('system', `セッション ${message.sessionId} を削除しました`);
+  } else if (message.type === 'session-forked') {
+    openFork(message);
+  } else if (message.type === 'usage') {
+    displayUsage(message);
+  } else if (message.type === 'history') {
+    renderHistoryPage(message);
+  } else if (message.type === 'search-results') {
+    displaySearchResults(message);
+  } else if (message.type === 'job-started') {
+    openJob(message.job);
+  } else if (message.type === 'jobs') {
+    displayJobs(message.jobs);
+  } else if (message.type === 'job-updated') {
+    handleJobUpdate(message);
+  } else if (message.type === 'notification-test') {
+    displayNotificationTest(message);
+  } else if (message.type === 'permission-expired') {
+    expirePermissionPrompt(tab, message.requestId);
+  }
+}
+
+// Render one message of a CLI run into a tab's transcript
+function renderRunMessage(tab, message) {
   if (message.type === 'assistant') {
     // L-NEW-1: Null checks with optional chaining
     const content = message?.message?.content;
@@ -83,301 +398,1881 @@ function handleServerMessage(message) {
       return;
     }
 
-    let text = '';
-    for (const item of content) {
-      if (item.type === 'text') {
-        text += item.text;
-      }
+    finishStreamingBubble(tab, content);
+    renderAssistantContent(content, tab.output, tab);
+  } else if (message.type === 'message-start') {
+    // F2: New API message; deltas will open a fresh bubble
+    tab.streamingBubble = null;
+  } else if (message.type === 'text-delta') {
+    appendStreamingDelta(tab, message.text);
+  } else if (message.type === 'user') {
+    // Tool results arrive as user messages; the typed prompt itself is already displayed
+    const content = message?.message?.content;
+    if (Array.isArray(content)) {
+      attachToolResults(tab, content);
     }
-
-    appendMessage('assistant', text, true);
   } else if (message.type === 'result') {
-    // Task completion
-    appendMessage('system', '処理が完了しました');
-    sendBtn.disabled = false;
-    sendBtn.style.display = 'flex';
-    stopBtn.disabled = true;
-    stopBtn.style.display = 'none';
+    // Task completion with this turn's tokens / cost / duration and the running totals
+    appendUsageFooter(tab, message);
   } else if (message.type === 'error') {
-    appendMessage('error', message.message);
-    sendBtn.disabled = false;
-    sendBtn.style.display = 'flex';
-    stopBtn.disabled = true;
-    stopBtn.style.display = 'none';
-  } else if (message.type === 'started') {
-    currentSessionId = message.sessionId;
-    cliStarted = true;
-    appendMessage('system', 'セッションを開始しました');
+    appendMessage('error', message.message, false, tab.output);
+  } else if (message.type === 'exit') {
+    appendMessage('system', `プロセスが終了しました (code: ${message.code})`, false, tab.output);
+  } else if (message.type === 'permission-request') {
+    appendPermissionPrompt(tab, message);
+  }
+}
 
-    // Send pending input that was queued while waiting for CLI to start
-    if (pendingInput) {
-      ws.send(
-        JSON.stringify({
-          type: 'input',
-          text: pendingInput,
-        })
+// Token count with thousands separators
+function formatTokens(count) {
+  return (Number(count) || 0).toLocaleString();
+}
+
+// Cost in USD (sub-cent amounts keep 4 decimals)
+function formatCost(usd) {
+  const value = Number(usd) || 0;
+  return `$${value.toFixed(value < 1 ? 4 : 2)}`;
+}
+
+// Duration as seconds or minutes
+function formatDuration(ms) {
+  const seconds = (Number(ms) || 0) / 1000;
+  return seconds < 60
+    ? `${seconds.toFixed(1)}秒`
+    : `${Math.floor(seconds / 60)}分${Math.round(seconds % 60)}秒`;
+}
+
+// Estimated queue wait, rounded up to minutes
+function formatWait(ms) {
+  const minutes = Math.ceil((Number(ms) || 0) / 60000);
+  return minutes < 1 ? 'まもなく' : `約${minutes}分後`;
+}
+
+// Queue position line of a waiting prompt, updated in place as the queue moves
+function showQueueNotice(tab, update) {
+  if (!tab.queueNotice) {
+    tab.queueNotice = appendMessage('system', '', false, tab.output);
+  }
+  tab.queueNotice.querySelector('.message-content').textContent =
+    `順番待ち: ${update.position}番目（開始予定: ${formatWait(update.estimatedWaitMs)}）` +
+    ' — 停止ボタンで取り消せます';
+  tab.button.classList.add('queued');
+}
+
+// Remove the queue position line once the prompt starts or is cancelled
+function clearQueueNotice(tab) {
+  if (tab.queueNotice) {
+    tab.queueNotice.remove();
+    tab.queueNotice = null;
+  }
+  tab.button.classList.remove('queued');
+}
+
+// Per-turn footer from a result event: tokens in/out, cache, cost, duration, turns, totals
+function appendUsageFooter(tab, result) {
+  const footer = document.createElement('div');
+  footer.className = 'usage-footer';
+
+  const usage = result.usage || {};
+  const turn = document.createElement('div');
+  turn.textContent = [
+    '処理が完了しました',
+    `入力 ${formatTokens(usage.input_tokens)} / 出力 ${formatTokens(usage.output_tokens)} トークン`,
+    `キャッシュ読込 ${formatTokens(usage.cache_read_input_tokens)} / 作成 ${formatTokens(usage.cache_creation_input_tokens)}`,
+    formatCost(result.total_cost_usd),
+    formatDuration(result.duration_ms),
+    `${Number(result.num_turns) || 0}ターン`,
+  ].join(' · ');
+  footer.appendChild(turn);
+
+  const totals = result.totals;
+  if (totals) {
+    const running = document.createElement('div');
+    running.className = 'usage-totals';
+    const parts = [];
+    if (totals.session) {
+      parts.push(
+        `セッション累計 ${formatCost(totals.session.costUsd)}（${totals.session.runs}回）`
       );
-      pendingInput = null;
     }
-  } else if (message.type === 'exit') {
-    appendMessage('system', `プロセスが終了しました (code: ${message.code})`);
-    cliStarted = false;
-    sendBtn.disabled = false;
-    sendBtn.style.display = 'flex';
-    stopBtn.disabled = true;
-    stopBtn.style.display = 'none';
-  } else if (message.type === 'projects') {
-    displayProjects(message);
-  } else if (message.type === 'sessions') {
-    displaySessions(message.sessions);
+    if (totals.day) {
+      parts.push(`本日 ${formatCost(totals.day.costUsd)}`);
+    }
+    running.textContent = parts.join(' · ');
+    footer.appendChild(running);
   }
+
+  tab.output.appendChild(footer);
+  scrollToBottom(tab.output);
 }
 
-// Append message to chat output
-function appendMessage(role, content, isMarkdown = false) {
-  // L-NEW-2: Role whitelist validation
-  if (!ALLOWED_ROLES.includes(role)) {
-    console.error(`Invalid role: ${role}`);
-    role = 'system'; // Fallback to safe role
+// Request the usage summary for the usage panel
+function showUsagePanel() {
+  usagePanel.style.display = 'block';
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'get-usage' }));
   }
+}
 
-  const messageDiv = document.createElement('div');
-  messageDiv.className = `message ${role}`;
+// Build a table (M-NEW-3: DOM API and textContent only)
+function createUsageTable(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'usage-table';
 
-  const roleDiv = document.createElement('div');
-  roleDiv.className = 'message-role';
-  roleDiv.textContent = role;
+  const headRow = document.createElement('tr');
+  for (const header of headers) {
+    const th = document.createElement('th');
+    th.textContent = header;
+    headRow.appendChild(th);
+  }
+  table.appendChild(headRow);
 
-  const contentDiv = document.createElement('div');
-  contentDiv.className = 'message-content';
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    for (const cell of row) {
+      const td = document.createElement('td');
+      td.textContent = cell;
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
 
-  if (isMarkdown) {
-    // Security: Sanitize Markdown output with DOMPurify before rendering
-    const rawHtml = marked.parse(content);
-    contentDiv.innerHTML = DOMPurify.sanitize(rawHtml);
-  } else {
-    // Security: Use textContent for plain text (no XSS risk)
-    contentDiv.textContent = content;
+  return table;
+}
+
+// Render the usage summary: overall totals, per-day and per-project tables
+function displayUsage(usage) {
+  while (usageContent.firstChild) {
+    usageContent.removeChild(usageContent.firstChild);
   }
 
-  messageDiv.appendChild(roleDiv);
-  messageDiv.appendChild(contentDiv);
+  const totals = document.createElement('p');
+  totals.className = 'usage-summary';
+  totals.textContent =
+    `合計 ${formatCost(usage.totals.costUsd)} · 実行 ${usage.totals.runs}回 · ` +
+    `入力 ${formatTokens(usage.totals.inputTokens)} / 出力 ${formatTokens(usage.totals.outputTokens)} トークン · ` +
+    `キャッシュ読込 ${formatTokens(usage.totals.cacheReadTokens)}`;
+  usageContent.appendChild(totals);
 
-  chatOutput.appendChild(messageDiv);
-  chatOutput.scrollTop = chatOutput.scrollHeight;
-}
+  // Only days with activity
+  const days = usage.days.filter((day) => day.messages > 0 || day.runs > 0);
+  usageContent.appendChild(
+    createUsageTable(
+      ['日付', '入力', '出力', 'キャッシュ読込', '実行', 'コスト'],
+      days.map((day) => [
+        day.day,
+        formatTokens(day.inputTokens),
+        formatTokens(day.outputTokens),
+        formatTokens(day.cacheReadTokens),
+        String(day.runs),
+        formatCost(day.costUsd),
+      ])
+    )
+  );
 
-// Send user input to server
-function sendInput() {
-  const text = userInput.value.trim();
+  usageContent.appendChild(
+    createUsageTable(
+      ['プロジェクト', 'セッション', '入力', '出力', 'キャッシュ読込'],
+      usage.projects.map((project) => [
+        project.projectName,
+        String(project.sessions),
+        formatTokens(project.inputTokens),
+        formatTokens(project.outputTokens),
+        formatTokens(project.cacheReadTokens),
+      ])
+    )
+  );
+}
 
+// Check that a prompt can be sent now (chat or background job); alerts and returns false
+// if it is empty or too long, the connection is down, or attachments are still uploading
+function validatePrompt(text) {
   if (text.length === 0) {
     alert('メッセージを入力してください');
-    return;
+    return false;
   }
 
-  if (text.length > 10000) {
-    alert('メッセージが長すぎます（最大10000文字）');
-    return;
+  if (text.length > MAX_INPUT_LENGTH) {
+    alert(`メッセージが長すぎます（最大${MAX_INPUT_LENGTH}文字）`);
+    return false;
   }
 
   if (!ws || ws.readyState !== WebSocket.OPEN) {
     alert('WebSocket接続がありません');
-    return;
+    return false;
   }
 
-  // M-5: User input displayed as plain text, NOT Markdown
-  appendMessage('user', text, false);
+  if (uploadsInFlight > 0) {
+    alert('添付ファイルをアップロード中です');
+    return false;
+  }
 
-  if (!cliStarted) {
-    // Race condition prevention: Queue input and start CLI first.
-    // The input will be sent when server responds with 'started' message.
-    // This prevents 'input' from arriving before CLI subprocess is ready.
-    // See handleServerMessage() for 'started' → pendingInput dispatch logic.
-    pendingInput = text;
-    ws.send(
-      JSON.stringify({
-        type: 'start',
-        sessionId: null,
-      })
-    );
-  } else {
-    // CLI already running, send input directly
-    ws.send(
-      JSON.stringify({
-        type: 'input',
-        text: text,
-      })
-    );
+  return true;
+}
+
+// Run the typed prompt as a background job: it keeps running with the browser closed
+// and its output is stored on the server (opened in a job tab once started)
+function startJob() {
+  const text = userInput.value.trim();
+  if (!validatePrompt(text)) {
+    return;
   }
 
-  // Clear input and disable send button, show stop button
+  const message = {
+    type: 'start-job',
+    text,
+    projectName: currentProjectName,
+    options: collectRunOptions(),
+  };
+  if (attachments.length > 0) {
+    message.attachments = attachments.map((attachment) => attachment.id);
+    attachments = [];
+    renderAttachments();
+  }
+  ws.send(JSON.stringify(message));
+
   userInput.value = '';
   updateCharCount();
-  sendBtn.disabled = true;
-  sendBtn.style.display = 'none';
-  stopBtn.disabled = false;
-  stopBtn.style.display = 'flex';
 }
 
-// Stop CLI process
-function stopCLI() {
+// Request the job list for the jobs panel
+function showJobsPanel() {
+  jobsPanel.style.display = 'block';
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(
-      JSON.stringify({
-        type: 'stop',
-      })
-    );
-
-    appendMessage('system', 'CLIプロセスを停止しました');
-    sendBtn.disabled = false;
-    sendBtn.style.display = 'flex';
-    stopBtn.disabled = true;
-    stopBtn.style.display = 'none';
+    ws.send(JSON.stringify({ type: 'list-jobs' }));
   }
 }
 
-// Update character count
-function updateCharCount() {
-  const length = userInput.value.length;
-  charCount.textContent = `${length} / 10000`;
-
-  if (length > 10000) {
-    charCount.style.color = '#f48771';
-  } else {
-    charCount.style.color = '#858585';
+// Render the jobs panel (M-NEW-3: DOM API and textContent only)
+function displayJobs(jobs) {
+  while (jobsContent.firstChild) {
+    jobsContent.removeChild(jobsContent.firstChild);
   }
-}
 
-// F6: List projects and sessions
-function listSessions() {
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    // First, request project list
-    ws.send(
-      JSON.stringify({
-        type: 'list-projects',
-      })
-    );
+  if (jobs.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'info';
+    empty.textContent = 'ジョブはありません';
+    jobsContent.appendChild(empty);
+    return;
   }
-}
 
-// Update header project name display
-function updateHeaderProjectName(projectName) {
-  if (headerProjectName) {
-    headerProjectName.textContent = projectName || 'プロジェクト未選択';
+  for (const job of jobs) {
+    jobsContent.appendChild(createJobItem(job));
   }
 }
 
-// F6: Display available projects in dropdown
-// Note: Message includes projects array and optional defaultProject
-function displayProjects(projectsData) {
-  const { projects, defaultProject } = projectsData;
+// One job row: status, prompt, times, cost and the final result
+function createJobItem(job) {
+  const item = document.createElement('div');
+  item.className = 'session-item job-item';
 
-  // Clear existing options
-  while (projectSelect.firstChild) {
-    projectSelect.removeChild(projectSelect.firstChild);
+  const title = document.createElement('div');
+  title.className = 'session-filename';
+  const status = document.createElement('span');
+  status.className = `job-status ${job.status}`;
+  status.textContent = JOB_STATUS_LABELS[job.status] || job.status;
+  title.appendChild(status);
+  title.appendChild(document.createTextNode(job.projectName || 'プロジェクトなし'));
+
+  const preview = document.createElement('div');
+  preview.className = 'session-preview';
+  preview.textContent = job.prompt;
+
+  const times = [`作成 ${new Date(job.createdAt).toLocaleString()}`];
+  if (job.startedAt) {
+    times.push(`開始 ${new Date(job.startedAt).toLocaleString()}`);
+  }
+  if (job.endedAt) {
+    times.push(`終了 ${new Date(job.endedAt).toLocaleString()}`);
+  }
+  if (job.result) {
+    times.push(formatCost(job.result.costUsd), formatDuration(job.result.durationMs));
   }
+  if (job.position) {
+    times.push(`順番待ち ${job.position}番目（開始予定: ${formatWait(job.estimatedWaitMs)}）`);
+  }
+  if (job.error) {
+    times.push(`エラー: ${job.error}`);
+  }
+  const meta = document.createElement('div');
+  meta.className = 'session-meta';
+  meta.textContent = times.join(' · ');
 
-  if (projects.length === 0) {
-    const option = document.createElement('option');
-    option.value = '';
-    option.textContent = 'プロジェクトなし';
-    projectSelect.appendChild(option);
-    currentProjectName = null;
-  } else {
-    projects.forEach((projectName) => {
-      const option = document.createElement('option');
-      option.value = projectName;
-      // Security: Use textContent to prevent XSS
-      option.textContent = projectName;
-      projectSelect.appendChild(option);
-    });
+  item.appendChild(title);
+  item.appendChild(preview);
+  item.appendChild(meta);
 
-    // F6: Select default project if specified, otherwise first project
-    currentProjectName =
-      defaultProject && projects.includes(defaultProject) ? defaultProject : projects[0];
-    projectSelect.value = currentProjectName;
+  if (job.result?.result) {
+    const result = document.createElement('div');
+    result.className = 'job-result';
+    const text = job.result.result;
+    result.textContent =
+      text.length > JOB_RESULT_PREVIEW_LENGTH
+        ? text.slice(0, JOB_RESULT_PREVIEW_LENGTH) + '...'
+        : text;
+    item.appendChild(result);
+  }
 
-    // Update header with current project name
-    updateHeaderProjectName(currentProjectName);
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+  const openBtn = document.createElement('button');
+  openBtn.type = 'button';
+  openBtn.textContent = '開く';
+  openBtn.addEventListener('click', () => {
+    openJob(job);
+    jobsPanel.style.display = 'none';
+  });
+  actions.appendChild(openBtn);
 
-    // Request sessions for selected project
-    requestSessionsForProject(currentProjectName);
+  if (job.status === 'queued' || job.status === 'running') {
+    const killBtn = document.createElement('button');
+    killBtn.type = 'button';
+    killBtn.textContent = '停止';
+    killBtn.addEventListener('click', () => killJob(job.jobId));
+    actions.appendChild(killBtn);
   }
+  item.appendChild(actions);
 
-  // Show sessions panel
-  sessionsPanel.style.display = 'block';
+  return item;
 }
 
-// F6: Request sessions for specific project
-function requestSessionsForProject(projectName) {
+// Stop a running job or take a waiting one out of the run queue
+function killJob(jobId) {
+  if (!window.confirm('ジョブを停止しますか？')) {
+    return;
+  }
   if (ws && ws.readyState === WebSocket.OPEN) {
-    ws.send(
-      JSON.stringify({
-        type: 'list-sessions',
-        projectName: projectName,
-      })
-    );
+    ws.send(JSON.stringify({ type: 'kill-job', jobId }));
   }
 }
 
-// Display sessions in panel
-// Note: This function is called after project selection, so panel is already visible
-function displaySessions(sessions) {
-  // M-NEW-3: Clear with DOM API instead of innerHTML
-  while (sessionsList.firstChild) {
-    sessionsList.removeChild(sessionsList.firstChild);
+// Show a job's full output in a tab (the tab already showing it, or a new one)
+function openJob(job) {
+  let tab = findTab((candidate) => candidate.jobId === job.jobId);
+  if (!tab) {
+    tab = createTab();
+    if (!tab) {
+      alert(`タブは最大${MAX_TABS}個です。タブを閉じてからジョブ一覧で開いてください`);
+      return;
+    }
+    tab.jobId = job.jobId;
+    setTabName(tab, `ジョブ: ${job.prompt.split('\n')[0].slice(0, 20)}`);
+    requestJobPage(tab, 0);
   }
+  switchTab(tab);
+}
 
-  if (sessions.length === 0) {
-    // M-NEW-3: Create elements with DOM API
-    const infoP = document.createElement('p');
-    infoP.className = 'info';
-    infoP.textContent = 'セッションが見つかりません';
-    sessionsList.appendChild(infoP);
-  } else {
-    sessions.forEach((session) => {
-      const item = document.createElement('div');
-      item.className = 'session-item';
+// Request one page of a job's stored output; the first page also follows live output
+function requestJobPage(tab, cursor) {
+  if (ws && ws.readyState === WebSocket.OPEN && tab.jobId) {
+    if (cursor === 0) {
+      // Live events are held back until the stored output has been rendered
+      tab.jobLoading = true;
+      tab.jobPending = [];
+    }
+    ws.send(JSON.stringify({ type: 'open-job', jobId: tab.jobId, cursor }));
+  }
+}
+
+// Route a job's output page, live event or permission request to the tab showing the job
+function handleJobMessage(message) {
+  const tab = findTab((candidate) => candidate.jobId === message.jobId);
+  if (!tab) {
+    return;
+  }
 
-      const filename = document.createElement('div');
-      filename.className = 'session-filename';
-      // Security: Use textContent to prevent XSS
-      filename.textContent = session.filename;
+  if (message.type === 'job-output') {
+    renderJobOutputPage(tab, message);
+  } else if (tab.jobLoading) {
+    // Text deltas are not stored; the complete assistant message follows with a seq
+    if (message.type !== 'job-event' || message.seq !== undefined) {
+      tab.jobPending.push(message);
+    }
+  } else if (message.type === 'job-event') {
+    renderJobEntry(tab, message);
+  } else if (message.type === 'permission-request') {
+    appendPermissionPrompt(tab, message);
+  } else if (message.type === 'permission-expired') {
+    expirePermissionPrompt(tab, message.requestId);
+  }
+}
 
-      const preview = document.createElement('div');
-      preview.className = 'session-preview';
-      // Security: Use textContent to prevent XSS
-      preview.textContent = session.preview;
+// Render a page of a job's output, then request the next one after yielding to the browser
+function renderJobOutputPage(tab, page) {
+  if (page.cursor === 0) {
+    // (Re)opened: start from the prompt
+    while (tab.output.firstChild) {
+      tab.output.removeChild(tab.output.firstChild);
+    }
+    tab.toolCards.clear();
+    tab.streamingBubble = null;
+    clearQueueNotice(tab);
+    tab.jobSeq = 0;
+    tab.jobStatus = null;
+    appendMessage('system', `ジョブ ${page.job.jobId}`, false, tab.output);
+    // M-5: User input displayed as plain text, NOT Markdown
+    appendMessage('user', page.job.prompt, false, tab.output);
+    updateJobTab(tab, page.job);
+  }
 
-      item.appendChild(filename);
-      item.appendChild(preview);
+  for (const entry of page.entries) {
+    renderJobEntry(tab, entry);
+  }
 
-      item.addEventListener('click', () => {
-        resumeSession(session.filename);
-      });
+  if (!page.done) {
+    setTimeout(() => requestJobPage(tab, page.nextCursor), 0);
+    return;
+  }
 
-      sessionsList.appendChild(item);
-    });
+  tab.jobLoading = false;
+  if (!isJobLive(tab.jobStatus)) {
+    appendJobStatus(tab);
+  }
+  const pending = tab.jobPending;
+  tab.jobPending = [];
+  for (const message of pending) {
+    if (message.type === 'job-updated') {
+      applyJobUpdate(tab, message);
+    } else {
+      handleJobMessage(message);
+    }
   }
 }
 
-// Resume session
-function resumeSession(filename) {
-  // L-6: Extract session ID from filename (remove .jsonl extension safely)
-  const sessionId = filename.endsWith('.jsonl') ? filename.slice(0, -6) : filename;
-
+// Render one stored or live job message, skipping entries already shown
+function renderJobEntry(tab, entry) {
+  if (entry.seq !== undefined) {
+    if (entry.seq <= tab.jobSeq) {
+      return;
+    }
+    tab.jobSeq = entry.seq;
+  }
+  renderRunMessage(tab, entry.message);
+}
+
+// Job status pushed by the server: refresh the open jobs panel and the job's tab
+function handleJobUpdate(update) {
+  if (jobsPanel.style.display === 'block') {
+    showJobsPanel();
+  }
+
+  const tab = findTab((candidate) => candidate.jobId === update.job.jobId);
+  if (!tab) {
+    return;
+  }
+  if (tab.jobLoading) {
+    tab.jobPending.push(update);
+    return;
+  }
+  applyJobUpdate(tab, update);
+}
+
+// Apply a status update to a job tab, noting when the job has ended
+function applyJobUpdate(tab, update) {
+  const wasLive = isJobLive(tab.jobStatus);
+  updateJobTab(tab, update.job);
+  if (update.job.status === 'queued' && update.position) {
+    showQueueNotice(tab, update);
+  }
+  if (wasLive && !isJobLive(tab.jobStatus)) {
+    appendJobStatus(tab);
+  }
+}
+
+// Whether a job still waits for or holds a run slot
+function isJobLive(status) {
+  return status === 'queued' || status === 'running';
+}
+
+// Mirror a job's status in its tab; a finished job's conversation can be continued there
+function updateJobTab(tab, job) {
+  tab.jobStatus = job.status;
+  const live = isJobLive(job.status);
+  if (job.status !== 'queued') {
+    clearQueueNotice(tab);
+  }
+  tab.sessionId = job.sessionId;
+  tab.resumeSessionId = live ? null : job.sessionId;
+  if (tab === activeTab) {
+    updateHeaderSessionId();
+  }
+  setTabBusy(tab, live);
+}
+
+// Final status line of a job tab
+function appendJobStatus(tab) {
+  appendMessage(
+    'system',
+    `ジョブは${JOB_STATUS_LABELS[tab.jobStatus] || tab.jobStatus}しました` +
+      (tab.sessionId ? '。続けて入力するとこのセッションで会話を続けます' : ''),
+    false,
+    tab.output
+  );
+}
+
+// Concatenate text blocks from message content (string or content block array)
+function extractText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  let text = '';
+  for (const item of content) {
+    if (item.type === 'text') {
+      text += item.text;
+    }
+  }
+  return text;
+}
+
+// Keep the transcript pane containing an element scrolled to its newest message
+function scrollToBottom(element) {
+  const pane = element.closest('.chat-output');
+  if (pane) {
+    pane.scrollTop = pane.scrollHeight;
+  }
+}
+
+// Append message to a tab's transcript (default: the visible tab) or to a nested container
+// such as the history block
+function appendMessage(role, content, isMarkdown = false, container = activeTab.output) {
+  // L-NEW-2: Role whitelist validation
+  if (!ALLOWED_ROLES.includes(role)) {
+    console.error(`Invalid role: ${role}`);
+    role = 'system'; // Fallback to safe role
+  }
+
+  const messageDiv = document.createElement('div');
+  messageDiv.className = `message ${role}`;
+
+  const roleDiv = document.createElement('div');
+  roleDiv.className = 'message-role';
+  roleDiv.textContent = role;
+
+  const contentDiv = document.createElement('div');
+  contentDiv.className = 'message-content';
+
+  if (isMarkdown) {
+    // Security: Sanitize Markdown output with DOMPurify before rendering
+    const rawHtml = marked.parse(content);
+    contentDiv.innerHTML = DOMPurify.sanitize(rawHtml);
+  } else {
+    // Security: Use textContent for plain text (no XSS risk)
+    contentDiv.textContent = content;
+  }
+
+  messageDiv.appendChild(roleDiv);
+  messageDiv.appendChild(contentDiv);
+
+  container.appendChild(messageDiv);
+  scrollToBottom(container);
+
+  return messageDiv;
+}
+
+// Send user input to server
+function sendInput() {
+  const text = userInput.value.trim();
+  if (!validatePrompt(text)) {
+    return;
+  }
+
+  const tab = activeTab;
+  // Finished job: the tab continues the job's session as an ordinary chat
+  if (tab.jobId) {
+    tab.jobId = null;
+    tab.jobStatus = null;
+  }
+  // Untitled tabs are named after their first prompt
+  if (!tab.named) {
+    setTabName(tab, text.split('\n')[0].slice(0, 20));
+  }
+
+  // M-5: User input displayed as plain text, NOT Markdown
+  const userMessage = appendMessage('user', text, false, tab.output);
+  const inputMessage = { type: 'input', tabId: tab.tabId, text };
+  if (attachments.length > 0) {
+    inputMessage.attachments = attachments.map((attachment) => attachment.id);
+    appendAttachmentNames(userMessage, attachments);
+    attachments = [];
+    renderAttachments();
+  }
+
+  if (!tab.cliStarted) {
+    // Race condition prevention: Queue input and start CLI first.
+    // The input will be sent when server responds with 'started' message.
+    // This prevents 'input' from arriving before CLI subprocess is ready.
+    // See handleServerMessage() for 'started' → pendingInput dispatch logic.
+    tab.pendingInput = inputMessage;
+    ws.send(
+      JSON.stringify({
+        type: 'start',
+        tabId: tab.tabId,
+        sessionId: tab.resumeSessionId,
+        newSession: tab.startNewSession,
+        projectName: currentProjectName,
+        options: collectRunOptions(),
+      })
+    );
+    tab.startNewSession = false;
+    tab.resumeSessionId = null;
+  } else {
+    // CLI already running, send input directly
+    ws.send(JSON.stringify(inputMessage));
+  }
+
+  // Clear input and show the tab's stop button until the response completes
+  userInput.value = '';
+  updateCharCount();
+  setTabBusy(tab, true);
+}
+
+// Split a comma-separated tool list from the settings drawer
+function parseToolList(value) {
+  return value
+    .split(',')
+    .map((tool) => tool.trim())
+    .filter((tool) => tool.length > 0);
+}
+
+// Per-run CLI options from the settings drawer (the server validates them strictly)
+function collectRunOptions() {
+  const maxTurns = parseInt(settingMaxTurns.value, 10);
+  return {
+    model: settingModel.value || null,
+    permissionMode: settingPermissionMode.value || null,
+    allowedTools: parseToolList(settingAllowedTools.value),
+    disallowedTools: parseToolList(settingDisallowedTools.value),
+    maxTurns: Number.isInteger(maxTurns) ? maxTurns : null,
+    appendSystemPrompt: settingSystemPrompt.value.trim() || null,
+  };
+}
+
+// Keep the drawer's values across reloads
+function saveRunSettings() {
+  const settings = {
+    model: settingModel.value,
+    permissionMode: settingPermissionMode.value,
+    allowedTools: settingAllowedTools.value,
+    disallowedTools: settingDisallowedTools.value,
+    maxTurns: settingMaxTurns.value,
+    systemPrompt: settingSystemPrompt.value,
+  };
+  try {
+    window.localStorage.setItem(RUN_SETTINGS_KEY, JSON.stringify(settings));
+  } catch {
+    // Storage unavailable (private mode): settings last for this page only
+  }
+}
+
+// Restore the drawer's values saved by saveRunSettings()
+function loadRunSettings() {
+  let settings;
+  try {
+    settings = JSON.parse(window.localStorage.getItem(RUN_SETTINGS_KEY)) || {};
+  } catch {
+    settings = {};
+  }
+
+  // Values no longer offered fall back to the default option
+  settingModel.value = settings.model || '';
+  if (settingModel.selectedIndex === -1) settingModel.value = '';
+  settingPermissionMode.value = settings.permissionMode || '';
+  if (settingPermissionMode.selectedIndex === -1) settingPermissionMode.value = '';
+  settingAllowedTools.value = settings.allowedTools || '';
+  settingDisallowedTools.value = settings.disallowedTools || '';
+  settingMaxTurns.value = settings.maxTurns || '';
+  settingSystemPrompt.value = settings.systemPrompt || '';
+}
+
+// Ask the server to send a test notification to its configured channels
+function testNotification() {
+  if (!ws || ws.readyState !== WebSocket.OPEN) {
+    alert('WebSocket接続がありません');
+    return;
+  }
+  // Retries can take several seconds before the reply arrives
+  notifyStatus.textContent = 'テスト通知を送信中...';
+  ws.send(JSON.stringify({ type: 'test-notification' }));
+}
+
+// Show the outcome of a test notification per channel
+function displayNotificationTest({ channels, results }) {
+  if (channels.length === 0) {
+    notifyStatus.textContent =
+      '通知先が設定されていません（TINYCC_NOTIFY_WEBHOOK / TINYCC_NOTIFY_COMMAND）';
+    return;
+  }
+  notifyStatus.textContent = results
+    .map(({ channel, ok, attempts }) =>
+      ok ? `${channel}: 送信しました` : `${channel}: 失敗しました（${attempts}回試行）`
+    )
+    .join(' / ');
+}
+
+// Stop the visible tab's CLI process
+function stopCLI() {
+  if (activeTab.jobId) {
+    // The job's 'job-updated' confirms it was killed
+    killJob(activeTab.jobId);
+    return;
+  }
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(
+      JSON.stringify({
+        type: 'stop',
+        tabId: activeTab.tabId,
+      })
+    );
+
+    // A queued prompt is only taken out of line ('dequeued' confirms it)
+    if (!activeTab.queueNotice) {
+      appendMessage('system', 'CLIプロセスを停止しました');
+      setTabBusy(activeTab, false);
+    }
+  }
+}
+
+// Open a chat tab with its own transcript pane and run state (null at MAX_TABS)
+function createTab() {
+  if (tabs.size >= MAX_TABS) {
+    return null;
+  }
+
+  tabCounter++;
+  const tab = {
+    tabId: `tab-${tabCounter}-${Date.now().toString(36)}`,
+    name: '',
+    // Renamed, or titled after its first prompt
+    named: false,
+    // Transcript pane (only the active tab's is shown) and tab bar button
+    output: document.createElement('div'),
+    button: document.createElement('div'),
+    label: document.createElement('span'),
+    // Multi-turn: server continues this tab's session unless a fresh one is requested
+    sessionId: null,
+    startNewSession: false,
+    cliStarted: false,
+    // Waiting for a response (stop button shown, tab marked as running)
+    busy: false,
+    // 'input' message queued until the server reports 'started'
+    pendingInput: null,
+    // Transcript replay target (see resumeSession / renderHistoryPage)
+    historySessionId: null,
+    historyContainer: null,
+    // Search jump: transcript entry to scroll to once the resumed history has loaded
+    historyFocusUuid: null,
+    historyFocusElement: null,
+    // Tool cards awaiting their tool_result, keyed by tool_use_id
+    toolCards: new Map(),
+    // F2: In-progress assistant bubble fed by text deltas
+    streamingBubble: null,
+    streamingText: '',
+    streamingRenderTimer: null,
+    // Queue position line while the prompt waits for a run slot
+    queueNotice: null,
+    // Run reattachment: CLI run this tab follows and the last message seq received from it
+    runId: null,
+    lastSeq: 0,
+    // Session to resume explicitly when the server no longer holds this tab's conversation
+    resumeSessionId: null,
+    // Background job shown in this tab (see openJob), its last status and output seq,
+    // and live events held back while its stored output loads
+    jobId: null,
+    jobStatus: null,
+    jobSeq: 0,
+    jobLoading: false,
+    jobPending: [],
+  };
+
+  tab.output.className = 'chat-output';
+  tab.output.style.display = 'none';
+  const info = document.createElement('p');
+  info.className = 'info';
+  info.textContent =
+    'チャットを開始するには、下のテキストエリアに入力してCtrl+Enterを押してください。';
+  tab.output.appendChild(info);
+  chatPanes.appendChild(tab.output);
+
+  tab.button.className = 'chat-tab';
+  tab.button.setAttribute('role', 'tab');
+  tab.label.className = 'chat-tab-name';
+  tab.label.title = 'ダブルクリックで名前を変更';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'chat-tab-close';
+  closeBtn.textContent = '×';
+  closeBtn.setAttribute('aria-label', 'タブを閉じる');
+  tab.button.appendChild(tab.label);
+  tab.button.appendChild(closeBtn);
+  tab.button.addEventListener('click', () => switchTab(tab));
+  tab.label.addEventListener('dblclick', () => renameTab(tab));
+  closeBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeTab(tab);
+  });
+  tabList.appendChild(tab.button);
+
+  tabs.set(tab.tabId, tab);
+  setTabName(tab, `チャット ${tabCounter}`);
+  tab.named = false;
+  newTabBtn.disabled = tabs.size >= MAX_TABS;
+  return tab;
+}
+
+// Show a tab's transcript and reflect its run state in the header and buttons
+function switchTab(tab) {
+  activeTab = tab;
+  for (const openTab of tabs.values()) {
+    const active = openTab === tab;
+    openTab.output.style.display = active ? 'block' : 'none';
+    openTab.button.classList.toggle('active', active);
+    openTab.button.setAttribute('aria-selected', String(active));
+  }
+  // Seen: clear the "needs attention" mark (e.g. a permission prompt arrived in background)
+  tab.button.classList.remove('attention');
+  updateHeaderSessionId();
+  updateRunButtons();
+  scrollToBottom(tab.output);
+}
+
+// Send / stop button of the input area follow the visible tab
+function updateRunButtons() {
+  sendBtn.disabled = activeTab.busy;
+  sendBtn.style.display = activeTab.busy ? 'none' : 'flex';
+  stopBtn.disabled = !activeTab.busy;
+  stopBtn.style.display = activeTab.busy ? 'flex' : 'none';
+}
+
+// Mark a tab as waiting for a response (or done)
+function setTabBusy(tab, busy) {
+  tab.busy = busy;
+  tab.button.classList.toggle('running', busy);
+  if (tab === activeTab) {
+    updateRunButtons();
+  }
+}
+
+// Tab label (M-NEW-3: textContent only)
+function setTabName(tab, name) {
+  tab.name = name.trim().slice(0, TAB_NAME_MAX_LENGTH) || tab.name;
+  tab.named = true;
+  tab.label.textContent = tab.name;
+}
+
+// Rename a tab from its label
+function renameTab(tab) {
+  const name = window.prompt('タブ名', tab.name);
+  if (name !== null) {
+    setTabName(tab, name);
+  }
+}
+
+// Close a tab: the server discards its run (stopping the CLI); the last tab is reset instead
+// A job tab only stops following the job, which keeps running
+function closeTab(tab) {
+  if (tabs.size === 1) {
+    newChat();
+    return;
+  }
+  if (tab.busy && !tab.jobId && !window.confirm('実行中です。停止してタブを閉じますか？')) {
+    return;
+  }
+
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(
+      JSON.stringify(
+        tab.jobId
+          ? { type: 'close-job', jobId: tab.jobId }
+          : { type: 'close-tab', tabId: tab.tabId }
+      )
+    );
+  }
+  clearTimeout(tab.streamingRenderTimer);
+  tab.output.remove();
+  tab.button.remove();
+  tabs.delete(tab.tabId);
+  newTabBtn.disabled = false;
+
+  if (tab === activeTab) {
+    switchTab([...tabs.values()].pop());
+  }
+}
+
+// First tab matching a predicate
+function findTab(predicate) {
+  for (const tab of tabs.values()) {
+    if (predicate(tab)) {
+      return tab;
+    }
+  }
+  return null;
+}
+
+// Update character count
+function updateCharCount() {
+  const length = userInput.value.length;
+  charCount.textContent = `${length} / ${MAX_INPUT_LENGTH}`;
+
+  if (length > MAX_INPUT_LENGTH) {
+    charCount.style.color = '#f48771';
+  } else {
+    charCount.style.color = '#858585';
+  }
+}
+
+// Upload picked files (POST /upload); each becomes a chip until the message is sent
+async function addAttachments(files) {
+  for (const file of files) {
+    if (attachments.length + uploadsInFlight >= ATTACHMENT_MAX_FILES) {
+      alert(`添付できるのは${ATTACHMENT_MAX_FILES}件までです`);
+      break;
+    }
+    if (file.size > ATTACHMENT_MAX_BYTES) {
+      alert(`${file.name} は大きすぎます（最大10MB）`);
+      continue;
+    }
+
+    uploadsInFlight++;
+    renderAttachments();
+    try {
+      const response = await fetch(`/upload?name=${encodeURIComponent(file.name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: file,
+      });
+      if (!response.ok) {
+        throw new Error(`Upload failed: ${response.status}`);
+      }
+      attachments.push(await response.json());
+    } catch (error) {
+      console.error('Upload failed:', error);
+      alert(`${file.name} を添付できませんでした（画像・PDF・テキストのみ）`);
+    } finally {
+      uploadsInFlight--;
+      renderAttachments();
+    }
+  }
+}
+
+// Show pending attachments as removable chips (M-NEW-3: textContent only)
+function renderAttachments() {
+  while (attachmentList.firstChild) {
+    attachmentList.removeChild(attachmentList.firstChild);
+  }
+
+  attachments.forEach((attachment, index) => {
+    const chip = document.createElement('span');
+    chip.className = 'attachment-chip';
+    chip.textContent = `${attachment.name} (${Math.ceil(attachment.size / 1024)}KB)`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = '×';
+    removeBtn.setAttribute('aria-label', `${attachment.name} を外す`);
+    removeBtn.addEventListener('click', () => {
+      // The staged upload expires on the server
+      attachments.splice(index, 1);
+      renderAttachments();
+    });
+    chip.appendChild(removeBtn);
+    attachmentList.appendChild(chip);
+  });
+
+  if (uploadsInFlight > 0) {
+    const uploading = document.createElement('span');
+    uploading.className = 'attachment-chip uploading';
+    uploading.textContent = `アップロード中... (${uploadsInFlight})`;
+    attachmentList.appendChild(uploading);
+  }
+}
+
+// List the attached file names under the user's message
+function appendAttachmentNames(messageDiv, sent) {
+  const names = document.createElement('div');
+  names.className = 'message-attachments';
+  names.textContent = `添付: ${sent.map((attachment) => attachment.name).join(', ')}`;
+  messageDiv.appendChild(names);
+}
+
+// Start a fresh conversation in the visible tab instead of continuing its session
+function newChat() {
+  const tab = activeTab;
+  if (tab.jobId) {
+    // The job keeps running; it stays available in the jobs panel
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: 'close-job', jobId: tab.jobId }));
+    }
+    tab.jobId = null;
+    tab.jobStatus = null;
+    setTabBusy(tab, false);
+  } else if (tab.cliStarted) {
+    stopCLI();
+  }
+
+  while (tab.output.firstChild) {
+    tab.output.removeChild(tab.output.firstChild);
+  }
+  tab.toolCards.clear();
+  tab.streamingBubble = null;
+  clearQueueNotice(tab);
+  tab.historySessionId = null;
+  tab.historyContainer = null;
+
+  tab.sessionId = null;
+  tab.resumeSessionId = null;
+  tab.cliStarted = false;
+  tab.startNewSession = true;
+  updateHeaderSessionId();
+  appendMessage('system', '新しいチャットを開始します');
+}
+
+// F6: List projects and sessions
+function listSessions() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    // First, request project list
+    ws.send(
+      JSON.stringify({
+        type: 'list-projects',
+      })
+    );
+  }
+}
+
+// Update header project name display
+function updateHeaderProjectName(projectName) {
+  if (headerProjectName) {
+    headerProjectName.textContent = projectName || 'プロジェクト未選択';
+  }
+}
+
+// Show the short form of the session ID that the next turn will continue
+function updateHeaderSessionId() {
+  if (headerSessionId) {
+    headerSessionId.textContent = activeTab.sessionId ? activeTab.sessionId.slice(0, 8) : '';
+  }
+}
+
+// F6: Display available projects in dropdown
+// Note: Message includes projects array and optional defaultProject
+function displayProjects(projectsData) {
+  const { projects, defaultProject } = projectsData;
+
+  renderProjectOptions(projects);
+
+  if (projects.length === 0) {
+    currentProjectName = null;
+  } else {
+    // F6: Select default project if specified, otherwise first project
+    currentProjectName =
+      defaultProject && projects.includes(defaultProject) ? defaultProject : projects[0];
+    projectSelect.value = currentProjectName;
+
+    // Update header with current project name
+    updateHeaderProjectName(currentProjectName);
+
+    // Request sessions for selected project
+    requestSessionsForProject(currentProjectName);
+  }
+
+  // Show sessions panel
+  sessionsPanel.style.display = 'block';
+}
+
+// F6: Fill the project dropdown (selection is left to the caller)
+function renderProjectOptions(projects) {
+  // Clear existing options
+  while (projectSelect.firstChild) {
+    projectSelect.removeChild(projectSelect.firstChild);
+  }
+
+  if (projects.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = 'プロジェクトなし';
+    projectSelect.appendChild(option);
+    return;
+  }
+
+  projects.forEach((projectName) => {
+    const option = document.createElement('option');
+    option.value = projectName;
+    // Security: Use textContent to prevent XSS
+    option.textContent = projectName;
+    projectSelect.appendChild(option);
+  });
+}
+
+// F6: Request the first page of sessions for specific project and follow its live updates
+function requestSessionsForProject(projectName) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    sessionsNextCursor = null;
+    sessionsPendingCursor = null;
+    sessionsRefreshScrollTop = null;
+    ws.send(
+      JSON.stringify({
+        type: 'list-sessions',
+        projectName: projectName,
+        sort: sessionSort.value,
+        archived: showArchived.checked,
+        limit: SESSIONS_PAGE_SIZE,
+      })
+    );
+    ws.send(
+      JSON.stringify({
+        type: 'subscribe-sessions',
+        projectName: projectName,
+      })
+    );
+  }
+}
+
+// Close the sessions panel and stop its live updates
+function hideSessionsPanel() {
+  sessionsPanel.style.display = 'none';
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify({ type: 'unsubscribe-sessions' }));
+  }
+}
+
+// Display a page of sessions in the panel: a fresh list, or the next page appended
+// Note: This function is called after project selection, so panel is already visible
+function displaySessions(page) {
+  // Drop responses for another project, sort or archive view, and pages the list was reset past
+  const append = page.cursor !== null;
+  if (
+    page.projectName !== currentProjectName ||
+    page.sort !== sessionSort.value ||
+    page.archived !== showArchived.checked ||
+    (append && page.cursor !== sessionsPendingCursor)
+  ) {
+    return;
+  }
+  sessionsPendingCursor = null;
+  showingSearchResults = false;
+
+  if (!append) {
+    // M-NEW-3: Clear with DOM API instead of innerHTML
+    while (sessionsList.firstChild) {
+      sessionsList.removeChild(sessionsList.firstChild);
+    }
+    sessionsLoadedCount = 0;
+  }
+
+  if (!append && page.sessions.length === 0) {
+    // M-NEW-3: Create elements with DOM API
+    const infoP = document.createElement('p');
+    infoP.className = 'info';
+    infoP.textContent = 'セッションが見つかりません';
+    sessionsList.appendChild(infoP);
+  }
+
+  page.sessions.forEach((session) => {
+    sessionsList.appendChild(createSessionItem(session));
+  });
+  sessionsLoadedCount += page.sessions.length;
+  sessionsNextCursor = page.nextCursor;
+
+  // Live refresh: keep the reader where they were
+  if (!append && sessionsRefreshScrollTop !== null) {
+    sessionsPanel.scrollTop = sessionsRefreshScrollTop;
+    sessionsRefreshScrollTop = null;
+  }
+
+  // Keep loading while the panel has no scrollbar to trigger the next page
+  if (
+    sessionsPanel.style.display === 'block' &&
+    sessionsPanel.scrollHeight <= sessionsPanel.clientHeight
+  ) {
+    requestMoreSessions();
+  }
+}
+
+// Build one session list item
+function createSessionItem(session) {
+  const sessionId = session.filename.slice(0, -'.jsonl'.length);
+  const item = document.createElement('div');
+  item.className = 'session-item';
+  if (session.active) item.classList.add('active');
+  if (session.starred) item.classList.add('starred');
+  if (session.archived) item.classList.add('archived');
+
+  const filename = document.createElement('div');
+  filename.className = 'session-filename';
+  // Security: Use textContent to prevent XSS
+  filename.textContent = session.title || session.filename;
+
+  // Written moments ago: a CLI run (here or in a terminal) is likely still going
+  if (session.active) {
+    const badge = document.createElement('span');
+    badge.className = 'session-active-badge';
+    badge.textContent = '書き込み中';
+    filename.appendChild(badge);
+  }
+
+  const preview = document.createElement('div');
+  preview.className = 'session-preview';
+  // Security: Use textContent to prevent XSS
+  preview.textContent = session.preview;
+
+  const meta = document.createElement('div');
+  meta.className = 'session-meta';
+  const lastActive = session.lastMessageAt || session.modified;
+  meta.textContent = `${session.messageCount || 0}件 · ${new Date(lastActive).toLocaleString()}`;
+
+  item.appendChild(filename);
+  item.appendChild(preview);
+  item.appendChild(meta);
+  item.appendChild(createSessionActions(session, sessionId));
+
+  item.addEventListener('click', () => {
+    resumeSession(session.filename);
+  });
+
+  return item;
+}
+
+// Star / rename / archive / delete buttons for one session list item
+function createSessionActions(session, sessionId) {
+  const actions = document.createElement('div');
+  actions.className = 'session-actions';
+
+  const addAction = (label, title, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      // Do not resume the session
+      e.stopPropagation();
+      onClick();
+    });
+    actions.appendChild(button);
+  };
+
+  addAction(session.starred ? '★' : '☆', session.starred ? 'スター解除' : 'スター', () => {
+    sendSessionUpdate(sessionId, { starred: !session.starred });
+  });
+  addAction('名前変更', '名前変更', () => {
+    const title = window.prompt('新しいセッション名 (空欄で元に戻す)', session.title || '');
+    if (title !== null) {
+      sendSessionUpdate(sessionId, { title });
+    }
+  });
+  addAction(
+    session.archived ? 'アーカイブ解除' : 'アーカイブ',
+    session.archived ? 'アーカイブ解除' : 'アーカイブ',
+    () => {
+      sendSessionUpdate(sessionId, { archived: !session.archived });
+    }
+  );
+  addAction('削除', '削除', () => {
+    const label = session.title || session.preview || sessionId;
+    if (window.confirm(`セッション「${label}」を削除しますか？この操作は元に戻せません。`)) {
+      // The server only deletes when the session ID is echoed back
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(
+          JSON.stringify({
+            type: 'delete-session',
+            projectName: currentProjectName,
+            sessionId,
+            confirm: sessionId,
+          })
+        );
+      }
+    }
+  });
+
+  // Downloads go through the authenticated HTTP route (same cookie as the page)
+  for (const [format, label] of [
+    ['md', 'Markdown'],
+    ['html', 'HTML'],
+    ['json', 'JSON'],
+  ]) {
+    const link = document.createElement('a');
+    link.href = `/export/${encodeURIComponent(currentProjectName)}/${sessionId}.${format}`;
+    link.download = `${sessionId}.${format}`;
+    link.textContent = label;
+    link.title = `${label}でエクスポート`;
+    link.addEventListener('click', (e) => {
+      e.stopPropagation();
+    });
+    actions.appendChild(link);
+  }
+
+  return actions;
+}
+
+// Rename / star / archive a session (the list redraws on the sessions-changed push)
+function sendSessionUpdate(sessionId, changes) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    ws.send(
+      JSON.stringify({
+        type: 'update-session',
+        projectName: currentProjectName,
+        sessionId,
+        ...changes,
+      })
+    );
+  }
+}
+
+// Infinite scroll: request the page after the last one shown
+function requestMoreSessions() {
+  if (!sessionsNextCursor || sessionsPendingCursor || showingSearchResults) {
+    return;
+  }
+
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    sessionsPendingCursor = sessionsNextCursor;
+    ws.send(
+      JSON.stringify({
+        type: 'list-sessions',
+        projectName: currentProjectName,
+        sort: sessionSort.value,
+        archived: showArchived.checked,
+        cursor: sessionsNextCursor,
+      })
+    );
+  }
+}
+
+// Live update: re-request as many sessions as are shown, from the top
+function refreshSessions() {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    sessionsRefreshScrollTop = sessionsPanel.scrollTop;
+    ws.send(
+      JSON.stringify({
+        type: 'list-sessions',
+        projectName: currentProjectName,
+        sort: sessionSort.value,
+        archived: showArchived.checked,
+        limit: Math.min(SESSIONS_PAGE_MAX, Math.max(SESSIONS_PAGE_SIZE, sessionsLoadedCount)),
+      })
+    );
+  }
+}
+
+// Search all projects' transcripts (text or regex, optional role and local date range)
+function searchSessions() {
+  const query = searchQuery.value.trim();
+  if (query.length === 0 || !ws || ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  ws.send(
+    JSON.stringify({
+      type: 'search-sessions',
+      query,
+      regex: searchRegex.checked,
+      role: searchRole.value || null,
+      from: searchFrom.value ? new Date(`${searchFrom.value}T00:00:00`).getTime() : null,
+      to: searchTo.value ? new Date(`${searchTo.value}T23:59:59.999`).getTime() : null,
+    })
+  );
+}
+
+// Append text to an element, wrapping [start, end) ranges in <mark>
+// Security: Built with text nodes only (no innerHTML)
+function appendHighlighted(element, text, highlights) {
+  let position = 0;
+  for (const [start, end] of highlights) {
+    if (start < position || end > text.length) continue;
+    element.appendChild(document.createTextNode(text.slice(position, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    element.appendChild(mark);
+    position = end;
+  }
+  element.appendChild(document.createTextNode(text.slice(position)));
+}
+
+// Display search results with highlighted snippets; clicking one opens that session
+function displaySearchResults({ results, truncated }) {
+  showingSearchResults = true;
+
+  // M-NEW-3: Clear with DOM API instead of innerHTML
+  while (sessionsList.firstChild) {
+    sessionsList.removeChild(sessionsList.firstChild);
+  }
+
+  if (results.length === 0) {
+    const infoP = document.createElement('p');
+    infoP.className = 'info';
+    infoP.textContent = '一致するセッションはありません';
+    sessionsList.appendChild(infoP);
+    return;
+  }
+
+  results.forEach((result) => {
+    const item = document.createElement('div');
+    item.className = 'session-item';
+
+    const title = document.createElement('div');
+    title.className = 'session-filename';
+    // Security: Use textContent to prevent XSS
+    title.textContent = `${result.projectName} / ${result.sessionId} (${result.matchCount}件)`;
+    item.appendChild(title);
+
+    result.matches.forEach((match) => {
+      const snippet = document.createElement('div');
+      snippet.className = 'search-snippet';
+
+      const role = document.createElement('span');
+      role.className = 'search-snippet-role';
+      role.textContent = match.role === 'user' ? 'ユーザー' : 'アシスタント';
+      snippet.appendChild(role);
+      appendHighlighted(snippet, match.snippet, match.highlights);
+
+      snippet.addEventListener('click', (event) => {
+        event.stopPropagation();
+        openSearchResult(result, match.uuid);
+      });
+      item.appendChild(snippet);
+    });
+
+    item.addEventListener('click', () => {
+      openSearchResult(result, result.matches[0]?.uuid || null);
+    });
+
+    sessionsList.appendChild(item);
+  });
+
+  if (truncated) {
+    const infoP = document.createElement('p');
+    infoP.className = 'info';
+    infoP.textContent = `一致が多いため新しい順に${results.length}件のみ表示しています`;
+    sessionsList.appendChild(infoP);
+  }
+}
+
+// Switch to the result's project and resume its session, scrolling to the matched message
+function openSearchResult(result, uuid) {
+  currentProjectName = result.projectName;
+  projectSelect.value = result.projectName;
+  updateHeaderProjectName(result.projectName);
+  resumeSession(`${result.sessionId}.jsonl`, uuid);
+}
+
+// Resume a session in the visible tab (in a new tab while the visible one is running)
+function resumeSession(filename, focusUuid = null) {
+  // L-6: Extract session ID from filename (remove .jsonl extension safely)
+  const sessionId = filename.endsWith('.jsonl') ? filename.slice(0, -6) : filename;
+
   if (ws && ws.readyState === WebSocket.OPEN) {
+    let tab = activeTab;
+    if (tab.busy) {
+      tab = createTab();
+      if (!tab) {
+        alert(`実行中のため、新しいタブで開けません（タブは最大${MAX_TABS}個）`);
+        return;
+      }
+      switchTab(tab);
+    }
+
     ws.send(
       JSON.stringify({
         type: 'start',
+        tabId: tab.tabId,
         sessionId: sessionId,
+        projectName: currentProjectName,
+        options: collectRunOptions(),
+      })
+    );
+
+    // Replace the tab's chat with the resumed session's transcript
+    while (tab.output.firstChild) {
+      tab.output.removeChild(tab.output.firstChild);
+    }
+    tab.toolCards.clear();
+    tab.streamingBubble = null;
+    clearQueueNotice(tab);
+    tab.resumeSessionId = null;
+    tab.historySessionId = sessionId;
+    tab.historyFocusUuid = focusUuid;
+    tab.historyFocusElement = null;
+    tab.historyContainer = document.createElement('div');
+    tab.historyContainer.className = 'history';
+    tab.output.appendChild(tab.historyContainer);
+
+    appendMessage('system', `セッション ${sessionId} を再開しました`, false, tab.output);
+    hideSessionsPanel();
+
+    requestHistoryPage(tab, 0);
+  }
+}
+
+// Request one page of the tab's resumed session transcript
+function requestHistoryPage(tab, cursor) {
+  if (ws && ws.readyState === WebSocket.OPEN && tab.historySessionId) {
+    ws.send(
+      JSON.stringify({
+        type: 'load-history',
+        sessionId: tab.historySessionId,
+        projectName: currentProjectName,
+        cursor,
       })
     );
+  }
+}
+
+// Render a history page, then request the next one after yielding to the browser
+// Note: Paging keeps multi-megabyte transcripts from blocking the UI thread
+function renderHistoryPage(page) {
+  // Ignore pages from a previously resumed session or a closed tab
+  const tab = findTab(
+    (candidate) => candidate.historySessionId === page.sessionId && candidate.historyContainer
+  );
+  if (!tab) {
+    return;
+  }
+
+  for (const entry of page.entries) {
+    renderHistoryEntry(tab, entry);
+  }
+
+  if (page.done) {
+    appendMessage('system', '--- ここまでの履歴 ---', false, tab.historyContainer);
+    tab.historySessionId = null;
+    tab.historyContainer = null;
+
+    // Search jump: bring the matched message into view
+    if (tab.historyFocusElement) {
+      tab.historyFocusElement.classList.add('search-hit');
+      tab.historyFocusElement.scrollIntoView({ block: 'center' });
+    }
+    tab.historyFocusUuid = null;
+    tab.historyFocusElement = null;
+  } else {
+    setTimeout(() => requestHistoryPage(tab, page.nextCursor), 0);
+  }
+}
+
+// Render a single transcript entry through the same pipeline as live output
+function renderHistoryEntry(tab, entry) {
+  const content = entry?.message?.content;
+  if (!content) return;
+
+  const container = tab.historyContainer;
+  // Search jump: remember the first element this entry renders
+  const isFocus = tab.historyFocusUuid !== null && entry.uuid === tab.historyFocusUuid;
+  const previous = isFocus ? container.lastElementChild : null;
+
+  if (entry.type === 'user') {
+    // M-5: User text rendered as plain text, NOT Markdown
+    const text = extractText(Array.isArray(content) ? content : String(content));
+    if (text.trim().length > 0) {
+      const messageDiv = appendMessage('user', text, false, container);
+      if (entry.uuid) {
+        messageDiv.appendChild(createForkButton(tab, tab.historySessionId, entry.uuid));
+      }
+    }
+
+    if (Array.isArray(content)) {
+      attachToolResults(tab, content);
+    }
+  } else if (entry.type === 'assistant' && Array.isArray(content)) {
+    renderAssistantContent(content, container, tab);
+  }
+
+  if (isFocus) {
+    tab.historyFocusElement = previous ? previous.nextElementSibling : container.firstElementChild;
+  }
+}
+
+// Button that branches the resumed session just before this prompt
+function createForkButton(tab, sessionId, messageUuid) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'fork-button';
+  button.textContent = 'ここから分岐';
+  button.title = 'このメッセージの直前から新しいセッションとして再開';
+  button.addEventListener('click', () => {
+    if (tab.busy) {
+      appendMessage('error', '実行中は分岐できません');
+      return;
+    }
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(
+        JSON.stringify({
+          type: 'fork-session',
+          projectName: currentProjectName,
+          sessionId,
+          messageUuid,
+        })
+      );
+    }
+  });
+  return button;
+}
+
+// Open a fork: resume the truncated copy and put the branched prompt back in the input
+function openFork(message) {
+  if (message.projectName !== currentProjectName) {
+    return;
+  }
+
+  if (message.sessionId) {
+    resumeSession(`${message.sessionId}.jsonl`);
+    appendMessage('system', `セッション ${message.sourceSessionId} から分岐しました`);
+  } else {
+    // Branched before the first prompt: nothing to keep, start over
+    newChat();
+  }
+
+  userInput.value = message.prompt;
+  updateCharCount();
+  userInput.focus();
+}
+
+// F2: Append a text delta to the in-progress bubble, re-rendering Markdown at most every
+// STREAM_RENDER_INTERVAL ms so long answers do not re-parse on every token
+function appendStreamingDelta(tab, text) {
+  if (!tab.streamingBubble) {
+    tab.streamingBubble = appendMessage('assistant', '', true, tab.output);
+    tab.streamingText = '';
+  }
+
+  tab.streamingText += text;
+
+  if (!tab.streamingRenderTimer) {
+    tab.streamingRenderTimer = setTimeout(() => renderStreamingBubble(tab), STREAM_RENDER_INTERVAL);
+  }
+}
+
+// F2: Re-render the tab's streaming bubble from the accumulated text
+function renderStreamingBubble(tab) {
+  tab.streamingRenderTimer = null;
+  if (!tab.streamingBubble) return;
+
+  const contentDiv = tab.streamingBubble.querySelector('.message-content');
+  // Security: Sanitize Markdown output with DOMPurify before rendering
+  contentDiv.innerHTML = DOMPurify.sanitize(marked.parse(tab.streamingText));
+  scrollToBottom(tab.output);
+}
+
+// F2: Replace streamed text with the complete assistant message text
+// Text blocks are then removed from content so renderAssistantContent only adds tool cards
+function finishStreamingBubble(tab, content) {
+  if (!tab.streamingBubble) return;
+
+  const text = extractText(content);
+  if (text.length > 0) {
+    tab.streamingText = text;
+    renderStreamingBubble(tab);
+
+    // Drop text blocks already shown in the bubble
+    for (let i = content.length - 1; i >= 0; i--) {
+      if (content[i].type === 'text') {
+        content.splice(i, 1);
+      }
+    }
+  }
+
+  tab.streamingBubble = null;
+  tab.streamingText = '';
+}
+
+// Render assistant text as Markdown and each tool_use block as a tool card
+function renderAssistantContent(content, container, tab) {
+  const text = extractText(content);
+  if (text.trim().length > 0) {
+    appendMessage('assistant', text, true, container);
+  }
+
+  for (const item of content) {
+    if (item.type === 'tool_use') {
+      appendToolCard(item, container, tab);
+    }
+  }
+}
+
+// Create a collapsed card for a tool invocation, keyed by tool_use_id for its result
+function appendToolCard(toolUse, container, tab) {
+  const card = document.createElement('details');
+  card.className = 'tool-card';
+
+  const summary = document.createElement('summary');
+  const nameSpan = document.createElement('span');
+  nameSpan.className = 'tool-name';
+  // Security: Use textContent to prevent XSS
+  nameSpan.textContent = toolUse.name || 'tool';
+  const descSpan = document.createElement('span');
+  descSpan.className = 'tool-summary';
+  descSpan.textContent = summarizeToolInput(toolUse.input);
+  const statusSpan = document.createElement('span');
+  statusSpan.className = 'tool-status';
+  statusSpan.textContent = '実行中';
+  summary.appendChild(nameSpan);
+  summary.appendChild(descSpan);
+  summary.appendChild(statusSpan);
+
+  const inputPre = document.createElement('pre');
+  inputPre.className = 'tool-input';
+  inputPre.textContent = formatToolInput(toolUse.name, toolUse.input);
+
+  const resultPre = document.createElement('pre');
+  resultPre.className = 'tool-result';
+  resultPre.style.display = 'none';
+
+  card.appendChild(summary);
+  card.appendChild(inputPre);
+  card.appendChild(resultPre);
+
+  if (toolUse.id) {
+    tab.toolCards.set(toolUse.id, card);
+  }
+
+  container.appendChild(card);
+  scrollToBottom(container);
+}
+
+// Fill the tab's tool cards with the tool_result blocks of a user message
+function attachToolResults(tab, content) {
+  for (const item of content) {
+    if (item.type !== 'tool_result') continue;
+
+    const card = tab.toolCards.get(item.tool_use_id);
+    if (!card) continue;
+    tab.toolCards.delete(item.tool_use_id);
+
+    const statusSpan = card.querySelector('.tool-status');
+    statusSpan.textContent = item.is_error ? 'エラー' : '完了';
+    if (item.is_error) {
+      card.classList.add('error');
+    }
+
+    const resultPre = card.querySelector('.tool-result');
+    let text = extractText(Array.isArray(item.content) ? item.content : String(item.content ?? ''));
+    if (text.length > MAX_TOOL_RESULT_DISPLAY) {
+      text = text.slice(0, MAX_TOOL_RESULT_DISPLAY) + '\n... (truncated)';
+    }
+    resultPre.textContent = text;
+    resultPre.style.display = 'block';
+  }
+}
+
+// Show an approve/deny prompt for a tool permission request from the tab's CLI run or job
+function appendPermissionPrompt(tab, request) {
+  const card = document.createElement('div');
+  card.className = 'permission-card';
+  card.dataset.requestId = request.requestId;
+
+  const title = document.createElement('div');
+  title.className = 'permission-title';
+  // Security: Use textContent to prevent XSS
+  title.textContent = `ツール実行の許可: ${request.toolName}`;
+
+  const inputPre = document.createElement('pre');
+  inputPre.className = 'tool-input';
+  inputPre.textContent = formatToolInput(request.toolName, request.input);
+
+  const actions = document.createElement('div');
+  actions.className = 'permission-actions';
+
+  const choices = [
+    { decision: 'allow', label: '許可' },
+    { decision: 'allow-session', label: allowSessionLabel(request.input) },
+    { decision: 'deny', label: '拒否' },
+  ];
+
+  for (const { decision, label } of choices) {
+    const button = document.createElement('button');
+    button.className = `permission-${decision}`;
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        alert('WebSocket接続がありません');
+        return;
+      }
+
+      ws.send(
+        JSON.stringify({
+          type: 'permission-response',
+          // Job approvals are answered by job, whichever tab shows it
+          ...(request.jobId ? { jobId: request.jobId } : { tabId: tab.tabId }),
+          requestId: request.requestId,
+          decision,
+        })
+      );
+
+      // Replace buttons with the chosen decision
+      while (actions.firstChild) {
+        actions.removeChild(actions.firstChild);
+      }
+      const result = document.createElement('span');
+      result.className = 'permission-result';
+      result.textContent = label;
+      actions.appendChild(result);
+    });
+    actions.appendChild(button);
+  }
+
+  card.appendChild(title);
+  card.appendChild(inputPre);
+  card.appendChild(actions);
+
+  tab.output.appendChild(card);
+  scrollToBottom(tab.output);
+  // The run waits on this answer: flag the tab if it is in the background
+  if (tab !== activeTab) {
+    tab.button.classList.add('attention');
+  }
+}
+
+// The session grant covers the same command / file only (see permissionGrantKey on the server)
+function allowSessionLabel(input) {
+  if (typeof input?.command === 'string') {
+    return 'このコマンドをセッション中は常に許可';
+  }
+  if (['file_path', 'notebook_path', 'path'].some((field) => typeof input?.[field] === 'string')) {
+    return 'このファイルをセッション中は常に許可';
+  }
+  return '同じ内容をセッション中は常に許可';
+}
+
+// The server no longer waits on this request (denied on timeout or the run ended)
+function expirePermissionPrompt(tab, requestId) {
+  for (const card of tab.output.querySelectorAll('.permission-card')) {
+    if (card.dataset.requestId !== requestId) continue;
+    const actions = card.querySelector('.permission-actions');
+    while (actions.firstChild) {
+      actions.removeChild(actions.firstChild);
+    }
+    const result = document.createElement('span');
+    result.className = 'permission-result';
+    result.textContent = '期限切れ（拒否済み）';
+    actions.appendChild(result);
+  }
+  appendMessage('system', '許可リクエストは応答期限を過ぎたため拒否されました', false, tab.output);
+}
+
+// One-line description shown next to the tool name
+function summarizeToolInput(input) {
+  if (!input || typeof input !== 'object') return '';
+  const value = input.command || input.file_path || input.pattern || input.url || '';
+  const line = String(value).split('\n')[0];
+  return line.length > 80 ? line.slice(0, 80) + '...' : line;
+}
 
-    appendMessage('system', `セッション ${sessionId} を再開しました`);
-    sessionsPanel.style.display = 'none';
+// Human-readable tool input: Bash command, Edit as a diff, otherwise pretty JSON
+function formatToolInput(name, input) {
+  if (!input || typeof input !== 'object') return '';
+
+  if (name === 'Bash' && typeof input.command === 'string') {
+    return `$ ${input.command}`;
+  }
+
+  if (name === 'Edit' && typeof input.old_string === 'string') {
+    const removed = input.old_string.split('\n').map((line) => `- ${line}`);
+    const added = String(input.new_string ?? '')
+      .split('\n')
+      .map((line) => `+ ${line}`);
+    return [input.file_path, ...removed, ...added].join('\n');
   }
+
+  return JSON.stringify(input, null, 2);
 }
 
 // Event Listeners
@@ -387,6 +2282,18 @@ stopBtn.addEventListener('click', stopCLI);
 
 userInput.addEventListener('input', updateCharCount);
 
+// Attachments: the picker offers the camera and photo library on phones
+attachBtn.addEventListener('click', () => {
+  fileInput.click();
+});
+
+fileInput.addEventListener('change', () => {
+  const files = Array.from(fileInput.files);
+  // Reset so picking the same file again fires 'change'
+  fileInput.value = '';
+  addAttachments(files);
+});
+
 // P-1: Enter = newline (default), Ctrl+Enter = send
 userInput.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && e.ctrlKey) {
@@ -398,18 +2305,101 @@ userInput.addEventListener('keydown', (e) => {
 
 listSessionsBtn.addEventListener('click', listSessions);
 
-closeSessionsBtn.addEventListener('click', () => {
-  sessionsPanel.style.display = 'none';
+newChatBtn.addEventListener('click', newChat);
+
+// Tabs: several conversations run side by side, each with its own transcript
+newTabBtn.addEventListener('click', () => {
+  const tab = createTab();
+  if (tab) {
+    switchTab(tab);
+  }
+});
+
+closeSessionsBtn.addEventListener('click', hideSessionsPanel);
+
+// Settings drawer (model, permission mode, tools, limits for the next run)
+settingsBtn.addEventListener('click', () => {
+  settingsPanel.style.display = settingsPanel.style.display === 'block' ? 'none' : 'block';
+});
+
+closeSettingsBtn.addEventListener('click', () => {
+  settingsPanel.style.display = 'none';
+});
+
+// Usage panel (tokens per day / project, cost recorded by this server)
+usageBtn.addEventListener('click', showUsagePanel);
+
+closeUsageBtn.addEventListener('click', () => {
+  usagePanel.style.display = 'none';
+});
+
+// Background jobs: run without the browser, listed with status and result
+jobBtn.addEventListener('click', startJob);
+
+jobsBtn.addEventListener('click', showJobsPanel);
+
+closeJobsBtn.addEventListener('click', () => {
+  jobsPanel.style.display = 'none';
+});
+
+testNotifyBtn.addEventListener('click', testNotification);
+
+settingsForm.addEventListener('input', saveRunSettings);
+settingsForm.addEventListener('change', saveRunSettings);
+settingsForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+});
+
+// Session list order
+sessionSort.addEventListener('change', () => {
+  if (currentProjectName) {
+    requestSessionsForProject(currentProjectName);
+  }
+});
+
+// Switch between the default list and archived sessions
+showArchived.addEventListener('change', () => {
+  if (currentProjectName) {
+    requestSessionsForProject(currentProjectName);
+  }
+});
+
+// Infinite scroll for the session list
+sessionsPanel.addEventListener('scroll', () => {
+  const remaining =
+    sessionsPanel.scrollHeight - sessionsPanel.scrollTop - sessionsPanel.clientHeight;
+  if (remaining <= SESSIONS_SCROLL_THRESHOLD) {
+    requestMoreSessions();
+  }
+});
+
+// Cross-project session search
+searchForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  searchSessions();
 });
 
 // F6: Handle project selection change
 projectSelect.addEventListener('change', (e) => {
   currentProjectName = e.target.value;
+  // The server starts a fresh conversation in another project
+  activeTab.resumeSessionId = null;
   if (currentProjectName) {
     updateHeaderProjectName(currentProjectName);
     requestSessionsForProject(currentProjectName);
   }
 });
 
+// Reconnect right away when the page becomes visible again (e.g. phone unlocked)
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && !ws && reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    initWebSocket();
+  }
+});
+
 // Initialize
+switchTab(createTab());
+loadRunSettings();
 initWebSocket();
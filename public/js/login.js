@@ -0,0 +1,19 @@
+/**
+ * Location   : public/js/login.js
+ * Purpose    : Show login error messages on the login page
+ * Why        : CSP forbids inline scripts; the server reports failures via ?error=
+ * Related    : public/login.html, src/auth.js
+ */
+
+const LOGIN_ERRORS = {
+  invalid: 'トークンが正しくありません',
+  locked: 'ログイン失敗が続いたため一時的にロックされています。しばらくしてから再試行してください',
+};
+
+const loginError = document.getElementById('login-error');
+const errorCode = new URL(window.location.href).searchParams.get('error');
+
+// Security: Only known messages are shown, via textContent
+if (errorCode && Object.hasOwn(LOGIN_ERRORS, errorCode)) {
+  loginError.textContent = LOGIN_ERRORS[errorCode];
+}
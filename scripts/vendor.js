@@ -0,0 +1,60 @@
+/**
+ * Location   : scripts/vendor.js
+ * Purpose    : Copy browser libraries from node_modules into public/vendor/ with a hash manifest
+ * Why        : The UI must work without CDN access (air-gapped hosts, flaky phone tethers);
+ *              the manifest lets the server and SRI attributes verify the vendored copies
+ * Related    : src/vendor-assets.js, public/index.html, package.json (npm run vendor)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const VENDOR_DIR = path.join(ROOT_DIR, 'public/vendor');
+
+// Served file name -> source inside node_modules (versions pinned in package.json)
+const ASSETS = {
+  'marked.min.js': 'marked/marked.min.js',
+  'purify.min.js': 'dompurify/dist/purify.min.js',
+};
+
+// License files shipped alongside the vendored code
+const LICENSES = {
+  'marked.LICENSE.md': 'marked/LICENSE.md',
+  'dompurify.LICENSE': 'dompurify/LICENSE',
+};
+
+/**
+ * Subresource Integrity value for file content
+ * @param {Buffer} content - File content
+ * @returns {string} 'sha384-<base64>'
+ */
+function integrity(content) {
+  return `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+}
+
+function main() {
+  fs.mkdirSync(VENDOR_DIR, { recursive: true });
+  const manifest = {};
+
+  for (const [name, source] of Object.entries({ ...ASSETS, ...LICENSES })) {
+    const sourcePath = path.join(ROOT_DIR, 'node_modules', source);
+    const content = fs.readFileSync(sourcePath);
+    fs.writeFileSync(path.join(VENDOR_DIR, name), content);
+
+    if (name in ASSETS) {
+      manifest[name] = integrity(content);
+      console.log(`${name}  ${manifest[name]}`);
+    }
+  }
+
+  fs.writeFileSync(
+    path.join(VENDOR_DIR, 'manifest.json'),
+    JSON.stringify(manifest, null, 2) + '\n'
+  );
+  console.log('Update the integrity attributes in public/index.html if the hashes changed.');
+}
+
+main();
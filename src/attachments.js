@@ -0,0 +1,221 @@
+/**
+ * Location   : src/attachments.js
+ * Purpose    : Stage uploaded screenshots / files and move them into a per-run temp directory
+ * Why        : Phone users need to show the agent a screenshot; the CLI reads files from disk,
+ *              so uploads are kept under a private temp root and referenced by path in the prompt
+ * Related    : tests/attachments.test.js, src/server.js, src/cli-runner.js
+ */
+
+import crypto from 'crypto';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_MAX_FILES,
+  ATTACHMENT_NAME_MAX_LENGTH,
+  ATTACHMENT_STAGE_TTL_MS,
+  ATTACHMENT_TYPES,
+  SESSION_ID_PATTERN,
+} from './constants.js';
+
+// Leading bytes each binary type must start with (text types are checked for NUL bytes)
+const SIGNATURES = {
+  'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+  'image/gif': [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  'application/pdf': [Buffer.from('%PDF-')],
+};
+
+/**
+ * Validate an upload's file name and content
+ * Security: The type comes from a whitelisted extension and must match the content, so a
+ * renamed executable or HTML page is not stored; the kept name has no path or control characters
+ * @param {string} name - Client-supplied file name
+ * @param {Buffer} data - File content
+ * @returns {{name: string, type: string}} Sanitized name and stored type
+ * @throws {Error} If the name, type or content is invalid
+ */
+export function validateAttachment(name, data) {
+  if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+    throw new Error('Invalid attachment name');
+  }
+
+  const base = path.basename(name.replace(/\\/g, '/'));
+  const ext = path.extname(base).toLowerCase();
+  const type = ATTACHMENT_TYPES[ext];
+  if (!type) {
+    throw new Error('Invalid attachment type');
+  }
+  // Control characters and punctuation become '_'; no leading dots or dashes
+  const stem = base
+    .slice(0, base.length - ext.length)
+    .replace(/[^\p{L}\p{N}._ -]/gu, '_')
+    .replace(/^[.\s-]+/, '')
+    .slice(0, ATTACHMENT_NAME_MAX_LENGTH - ext.length);
+
+  if (data.length === 0 || data.length > ATTACHMENT_MAX_BYTES) {
+    throw new Error('Invalid attachment size');
+  }
+
+  if (type === 'image/webp') {
+    if (data.subarray(0, 4).toString('latin1') !== 'RIFF') {
+      throw new Error('Attachment content does not match its type');
+    }
+    if (data.subarray(8, 12).toString('latin1') !== 'WEBP') {
+      throw new Error('Attachment content does not match its type');
+    }
+  } else if (SIGNATURES[type]) {
+    if (
+      !SIGNATURES[type].some((signature) => data.subarray(0, signature.length).equals(signature))
+    ) {
+      throw new Error('Attachment content does not match its type');
+    }
+  } else if (data.includes(0)) {
+    throw new Error('Attachment content does not match its type');
+  }
+
+  return { name: `${stem || 'file'}${ext}`, type };
+}
+
+/**
+ * Prompt text pointing the agent at the attached files
+ * @param {Array<{path: string, name: string, type: string}>} files - Claimed attachments
+ * @returns {string} Lines appended after the user's message
+ */
+export function describeAttachments(files) {
+  const lines = ['', '', 'Attached files (open them with the Read tool):'];
+  for (const file of files) {
+    lines.push(`- ${file.path} (${file.type})`);
+  }
+  return lines.join('\n');
+}
+
+export class AttachmentStore {
+  /**
+   * @param {string|null} [rootDir] - Directory for uploads (null = private dir under os.tmpdir())
+   */
+  constructor(rootDir = null) {
+    this.rootDir = rootDir;
+    this.root = null;
+    this.staged = new Map(); // uploadId -> {filePath, name, type, size, createdAt}
+  }
+
+  /**
+   * Create the upload root once
+   * Security: 0700 so other local users cannot read uploaded screenshots
+   * @returns {Promise<string>} Root directory
+   */
+  init() {
+    if (!this.root) {
+      this.root = this.rootDir
+        ? fsPromises.mkdir(this.rootDir, { recursive: true, mode: 0o700 }).then(() => this.rootDir)
+        : fsPromises.mkdtemp(path.join(os.tmpdir(), 'tinycc-attachments-'));
+    }
+    return this.root;
+  }
+
+  /**
+   * Validate and store an upload until a message claims it
+   * @param {string} name - Client-supplied file name
+   * @param {Buffer} data - File content
+   * @param {number} [now] - Current time (for tests)
+   * @returns {Promise<{id: string, name: string, type: string, size: number}>} Staged upload
+   * @throws {Error} If the upload is invalid
+   */
+  async stage(name, data, now = Date.now()) {
+    const attachment = validateAttachment(name, data);
+    await this.prune(now);
+
+    const root = await this.init();
+    const id = crypto.randomUUID();
+    const filePath = path.join(root, `upload-${id}`);
+    await fsPromises.writeFile(filePath, data, { flag: 'wx', mode: 0o600 });
+
+    this.staged.set(id, { filePath, ...attachment, size: data.length, createdAt: now });
+    return { id, ...attachment, size: data.length };
+  }
+
+  /**
+   * Delete uploads that were never sent within ATTACHMENT_STAGE_TTL_MS
+   * @param {number} now - Current time
+   * @returns {Promise<void>}
+   */
+  async prune(now) {
+    for (const [id, upload] of this.staged) {
+      if (now - upload.createdAt > ATTACHMENT_STAGE_TTL_MS) {
+        this.staged.delete(id);
+        await fsPromises.rm(upload.filePath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * Create a run's private attachment directory (passed to the CLI with --add-dir)
+   * @returns {Promise<string>} Directory path
+   */
+  async createRunDir() {
+    const root = await this.init();
+    return fsPromises.mkdtemp(path.join(root, 'run-'));
+  }
+
+  /**
+   * Move staged uploads into a run's directory
+   * @param {Array<string>} ids - Upload IDs from POST /upload
+   * @param {string} runDir - Directory from createRunDir()
+   * @returns {Promise<Array<{path: string, name: string, type: string, size: number}>>}
+   * @throws {Error} If the list is invalid or an upload is unknown / expired
+   */
+  async claim(ids, runDir) {
+    if (!Array.isArray(ids) || ids.length > ATTACHMENT_MAX_FILES) {
+      throw new Error('Invalid attachments');
+    }
+    if (new Set(ids).size !== ids.length) {
+      throw new Error('Invalid attachments');
+    }
+    for (const id of ids) {
+      if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id) || !this.staged.has(id)) {
+        throw new Error('Attachment not found');
+      }
+    }
+
+    const files = [];
+    for (const id of ids) {
+      const upload = this.staged.get(id);
+      this.staged.delete(id);
+      // Prefixed so two uploads with the same name cannot collide
+      const filePath = path.join(runDir, `${id.slice(0, 8)}-${upload.name}`);
+      await fsPromises.rename(upload.filePath, filePath);
+      files.push({ path: filePath, name: upload.name, type: upload.type, size: upload.size });
+    }
+    return files;
+  }
+
+  /**
+   * Delete a run's attachment directory (run superseded or expired)
+   * @param {string} runDir - Directory from createRunDir()
+   * @returns {Promise<void>}
+   */
+  async removeRunDir(runDir) {
+    const root = await this.init();
+    // Security: Never delete anything outside the upload root
+    if (path.dirname(path.resolve(runDir)) !== path.resolve(root)) {
+      return;
+    }
+    await fsPromises.rm(runDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Delete every upload and run directory (server shutdown)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.root) {
+      return;
+    }
+    const root = await this.root;
+    this.root = null;
+    this.staged.clear();
+    await fsPromises.rm(root, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Location   : src/auth.js
+ * Purpose    : Passphrase/token authentication with HttpOnly session cookies and lockout
+ * Why        : Anyone who can reach the port could otherwise run `claude` on the host machine
+ * Related    : tests/auth.test.js, src/server.js, public/login.html
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DATA_DIR,
+  AUTH_COOKIE_NAME,
+  AUTH_SECRET_BYTES,
+  AUTH_SESSION_TTL_MS,
+  AUTH_MAX_FAILURES,
+  AUTH_FAILURE_WINDOW_MS,
+  AUTH_LOCKOUT_MS,
+} from './constants.js';
+
+const SECRET_FILENAME = 'auth-secret';
+
+/**
+ * Parse a Cookie header into a name -> value map
+ * @param {string|undefined} header - Raw Cookie header
+ * @returns {Object<string, string>} Parsed cookies
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    if (name) {
+      cookies[name] = value;
+    }
+  }
+  return cookies;
+}
+
+/**
+ * Constant-time string comparison
+ * Security: Hashing first equalizes lengths so timingSafeEqual never throws or leaks length
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+export class AuthManager {
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('Auth secret is required');
+    }
+
+    this.secret = options.secret;
+    this.sessionTtlMs = options.sessionTtlMs || AUTH_SESSION_TTL_MS;
+    this.maxFailures = options.maxFailures || AUTH_MAX_FAILURES;
+    this.failureWindowMs = options.failureWindowMs || AUTH_FAILURE_WINDOW_MS;
+    this.lockoutMs = options.lockoutMs || AUTH_LOCKOUT_MS;
+    // Set Secure on cookies when served over TLS
+    this.secureCookies = options.secureCookies || false;
+
+    // sessionId -> expiresAt
+    this.sessions = new Map();
+    // client address -> { count, firstFailureAt, lockedUntil }
+    this.failures = new Map();
+  }
+
+  /**
+   * Create AuthManager from environment
+   * TINYCC_AUTH=off disables authentication (trusted localhost use only)
+   * TINYCC_PASSPHRASE sets the secret; otherwise a token is generated once and persisted
+   * @param {string} [dataDir] - Server data directory (defaults to ~/DATA_DIR)
+   * @returns {{authManager: AuthManager|null, generated: boolean}}
+   */
+  static fromEnv(dataDir = path.resolve(os.homedir(), DATA_DIR)) {
+    if (process.env.TINYCC_AUTH === 'off') {
+      return { authManager: null, generated: false };
+    }
+
+    if (process.env.TINYCC_PASSPHRASE) {
+      return {
+        authManager: new AuthManager({ secret: process.env.TINYCC_PASSPHRASE }),
+        generated: false,
+      };
+    }
+
+    const { secret, generated } = AuthManager.loadOrCreateSecret(dataDir);
+    return { authManager: new AuthManager({ secret }), generated };
+  }
+
+  /**
+   * Load the persisted access token, generating it on first run
+   * Security: Stored with mode 0600 inside a 0700 data directory
+   * @param {string} dataDir - Server data directory
+   * @returns {{secret: string, generated: boolean}}
+   */
+  static loadOrCreateSecret(dataDir) {
+    const secretPath = path.join(dataDir, SECRET_FILENAME);
+
+    try {
+      const secret = fs.readFileSync(secretPath, 'utf-8').trim();
+      if (secret.length > 0) {
+        return { secret, generated: false };
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+    }
+
+    fs.mkdirSync(dataDir, { recursive: true, mode: 0o700 });
+    const secret = crypto.randomBytes(AUTH_SECRET_BYTES).toString('base64url');
+    fs.writeFileSync(secretPath, secret + '\n', { mode: 0o600 });
+    return { secret, generated: true };
+  }
+
+  /**
+   * Attempt login with a passphrase/token
+   * Security: Locks the client address out after repeated failures
+   * @param {string} clientAddress - Remote address of the client
+   * @param {string} candidate - Submitted passphrase/token
+   * @returns {{ok: boolean, sessionId?: string, locked?: boolean}}
+   */
+  login(clientAddress, candidate) {
+    const now = Date.now();
+    this.pruneExpired(now);
+
+    const record = this.failures.get(clientAddress);
+    if (record && record.lockedUntil > now) {
+      return { ok: false, locked: true };
+    }
+
+    if (
+      typeof candidate === 'string' &&
+      candidate.length > 0 &&
+      safeEqual(candidate, this.secret)
+    ) {
+      this.failures.delete(clientAddress);
+      const sessionId = crypto.randomBytes(32).toString('hex');
+      this.sessions.set(sessionId, now + this.sessionTtlMs);
+      return { ok: true, sessionId };
+    }
+
+    // Start a new failure window if the previous one expired
+    const current =
+      record && now - record.firstFailureAt < this.failureWindowMs
+        ? record
+        : { count: 0, firstFailureAt: now, lockedUntil: 0 };
+    current.count++;
+    if (current.count >= this.maxFailures) {
+      current.lockedUntil = now + this.lockoutMs;
+    }
+    this.failures.set(clientAddress, current);
+
+    return { ok: false, locked: current.lockedUntil > now };
+  }
+
+  /**
+   * Check whether a request carries a valid session cookie
+   * @param {http.IncomingMessage} req - HTTP request (including WebSocket upgrade)
+   * @returns {boolean} True if authenticated
+   */
+  isAuthenticated(req) {
+    const sessionId = parseCookies(req.headers.cookie)[AUTH_COOKIE_NAME];
+    if (!sessionId) return false;
+
+    const expiresAt = this.sessions.get(sessionId);
+    if (!expiresAt) return false;
+
+    if (expiresAt <= Date.now()) {
+      this.sessions.delete(sessionId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Invalidate the session carried by a request
+   * @param {http.IncomingMessage} req - HTTP request
+   */
+  logout(req) {
+    const sessionId = parseCookies(req.headers.cookie)[AUTH_COOKIE_NAME];
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Build Set-Cookie header value for a session
+   * Security: HttpOnly (no JS access), SameSite=Strict (no cross-site sends)
+   * @param {string} sessionId - Session ID from login()
+   * @returns {string} Set-Cookie header value
+   */
+  sessionCookie(sessionId) {
+    const maxAge = Math.floor(this.sessionTtlMs / 1000);
+    const secure = this.secureCookies ? '; Secure' : '';
+    return `${AUTH_COOKIE_NAME}=${sessionId}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAge}${secure}`;
+  }
+
+  /**
+   * Build Set-Cookie header value that clears the session cookie
+   * @returns {string} Set-Cookie header value
+   */
+  clearedCookie() {
+    return `${AUTH_COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+  }
+
+  /**
+   * Drop expired sessions and stale failure records
+   * @param {number} now - Current time (ms)
+   */
+  pruneExpired(now) {
+    for (const [sessionId, expiresAt] of this.sessions) {
+      if (expiresAt <= now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+    for (const [address, record] of this.failures) {
+      if (record.lockedUntil <= now && now - record.firstFailureAt >= this.failureWindowMs) {
+        this.failures.delete(address);
+      }
+    }
+  }
+}
@@ -6,7 +6,19 @@
  */
 
 import { spawn } from 'child_process';
-import { MAX_INPUT_LENGTH, SESSION_ID_PATTERN } from './constants.js';
+import {
+  MAX_INPUT_LENGTH,
+  SESSION_ID_PATTERN,
+  PERMISSION_MCP_SERVER,
+  PERMISSION_MCP_TOOL,
+  RUN_MODELS,
+  RUN_PERMISSION_MODES,
+  RUN_TOOL_PATTERN,
+  RUN_MAX_TOOLS,
+  RUN_MAX_TURNS,
+  RUN_SYSTEM_PROMPT_MAX_LENGTH,
+} from './constants.js';
+import { describeAttachments } from './attachments.js';
 
 /**
  * Validate session ID format (UUID v4)
@@ -19,9 +31,96 @@ export function validateSessionId(sessionId) {
   }
 }
 
+/**
+ * Validate a tool list from run options
+ * @param {*} tools - Client-supplied list
+ * @param {string} name - Option name for the error message
+ * @returns {Array<string>} Tool names / rules
+ * @throws {Error} If the list or any entry is invalid
+ */
+function validateToolList(tools, name) {
+  if (tools === undefined || tools === null) {
+    return [];
+  }
+  if (!Array.isArray(tools) || tools.length > RUN_MAX_TOOLS) {
+    throw new Error(`Invalid ${name}`);
+  }
+  for (const tool of tools) {
+    if (typeof tool !== 'string' || !RUN_TOOL_PATTERN.test(tool)) {
+      throw new Error(`Invalid ${name}`);
+    }
+  }
+  return [...tools];
+}
+
+/**
+ * Validate per-run CLI options against strict whitelists
+ * Security: Only enum values, tool names matching RUN_TOOL_PATTERN, bounded integers and a
+ * length-limited prompt reach argv, so a client cannot smuggle in other CLI flags
+ * @param {Object|null|undefined} options - Client-supplied options (missing = CLI defaults)
+ * @returns {{model: string|null, permissionMode: string|null, allowedTools: Array<string>,
+ *   disallowedTools: Array<string>, maxTurns: number|null, appendSystemPrompt: string|null}}
+ * @throws {Error} If any option is invalid
+ */
+export function validateRunOptions(options) {
+  if (options === undefined || options === null) {
+    options = {};
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid run options');
+  }
+
+  const model = options.model ?? null;
+  if (model !== null && !RUN_MODELS.includes(model)) {
+    throw new Error('Invalid model');
+  }
+
+  const permissionMode = options.permissionMode ?? null;
+  if (permissionMode !== null && !RUN_PERMISSION_MODES.includes(permissionMode)) {
+    throw new Error('Invalid permission mode');
+  }
+
+  const maxTurns = options.maxTurns ?? null;
+  if (
+    maxTurns !== null &&
+    (!Number.isInteger(maxTurns) || maxTurns < 1 || maxTurns > RUN_MAX_TURNS)
+  ) {
+    throw new Error('Invalid max turns');
+  }
+
+  let appendSystemPrompt = options.appendSystemPrompt ?? null;
+  if (appendSystemPrompt !== null) {
+    if (
+      typeof appendSystemPrompt !== 'string' ||
+      appendSystemPrompt.length > RUN_SYSTEM_PROMPT_MAX_LENGTH ||
+      appendSystemPrompt.includes('\0')
+    ) {
+      throw new Error('Invalid system prompt');
+    }
+    appendSystemPrompt = appendSystemPrompt.trim() || null;
+  }
+
+  return {
+    model,
+    permissionMode,
+    allowedTools: validateToolList(options.allowedTools, 'allowed tools'),
+    disallowedTools: validateToolList(options.disallowedTools, 'disallowed tools'),
+    maxTurns,
+    appendSystemPrompt,
+  };
+}
+
 export class CLIRunner {
   constructor(options = {}) {
     this.sessionId = options.sessionId || null;
+    // Security: Per-run options are re-validated here even if the caller already did
+    this.runOptions = validateRunOptions(options.runOptions);
+    // Working directory for the CLI; resolved and validated by the caller (server.js)
+    this.cwd = options.cwd || null;
+    // MCP config written by PermissionBroker; enables browser permission prompts
+    this.mcpConfigPath = options.mcpConfigPath || null;
+    // Per-run attachment directory (src/attachments.js); readable by the CLI via --add-dir
+    this.attachmentDir = options.attachmentDir || null;
 
     // Security: Validate session ID format (UUID v4)
     if (this.sessionId) {
@@ -43,14 +142,55 @@ export class CLIRunner {
       throw new Error('CLI process already running');
     }
 
-    const args = ['-p', '--output-format', 'stream-json'];
+    // --include-partial-messages: emit stream_event deltas for token-level display (F2)
+    const args = ['-p', '--output-format', 'stream-json', '--include-partial-messages'];
 
     if (this.sessionId) {
       args.push('-r', this.sessionId);
     }
 
+    const { model, permissionMode, allowedTools, disallowedTools, maxTurns, appendSystemPrompt } =
+      this.runOptions;
+    if (model) {
+      args.push('--model', model);
+    }
+    if (permissionMode) {
+      args.push('--permission-mode', permissionMode);
+    }
+    if (allowedTools.length > 0) {
+      args.push('--allowedTools', allowedTools.join(','));
+    }
+    if (disallowedTools.length > 0) {
+      args.push('--disallowedTools', disallowedTools.join(','));
+    }
+    if (maxTurns) {
+      args.push('--max-turns', String(maxTurns));
+    }
+    if (appendSystemPrompt) {
+      // '=' form: free text starting with '-' must not be parsed as another flag
+      args.push(`--append-system-prompt=${appendSystemPrompt}`);
+    }
+
+    if (this.attachmentDir) {
+      args.push('--add-dir', this.attachmentDir);
+    }
+
+    if (this.mcpConfigPath) {
+      args.push(
+        '--mcp-config',
+        this.mcpConfigPath,
+        '--permission-prompt-tool',
+        `mcp__${PERMISSION_MCP_SERVER}__${PERMISSION_MCP_TOOL}`
+      );
+    }
+
     // Security: shell:false is mandatory - prevents command injection
-    this.process = spawn('claude', args, { shell: false });
+    const spawnOptions = { shell: false };
+    if (this.cwd) {
+      spawnOptions.cwd = this.cwd;
+    }
+
+    this.process = spawn('claude', args, spawnOptions);
 
     // Register listeners
     if (this.outputCallback) {
@@ -71,8 +211,10 @@ export class CLIRunner {
    * Security: Input validation prevents empty/oversized input
    * Note: stdin.end() is called to signal completion since `claude -p` expects single input
    * @param {string} input - User input text
+   * @param {Array<Object>} [attachments] - Files claimed into attachmentDir; their paths are
+   *   listed after the text (outside the MAX_INPUT_LENGTH limit, which applies to user text)
    */
-  sendInput(input) {
+  sendInput(input, attachments = []) {
     if (!this.process) {
       throw new Error('CLI process not started');
     }
@@ -90,7 +232,8 @@ export class CLIRunner {
 
     // Security: Input passed via stdin, NOT as shell command
     // Note: `claude -p` is single-prompt mode, so stdin.end() is correct
-    this.process.stdin.write(input + '\n');
+    const prompt = attachments.length > 0 ? input + describeAttachments(attachments) : input;
+    this.process.stdin.write(prompt + '\n');
     this.process.stdin.end();
   }
 
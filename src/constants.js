@@ -19,12 +19,131 @@ export const MAX_PORT = 65535;
 // WebSocket limits
 export const MAX_CONNECTIONS = 3;
 
+// Chat tabs: concurrent conversations / runs per connection, addressed by a client tab ID
+export const MAX_TABS = 5;
+export const TAB_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+export const DEFAULT_TAB_ID = 'main'; // Used when a message carries no tabId
+
+// Origin/Host allowlist entries that are always accepted (TINYCC_ALLOWED_ORIGINS adds more)
+export const DEFAULT_ALLOWED_HOSTS = ['localhost', '127.0.0.1'];
+
 // Session ID validation pattern (UUID v4)
 export const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
+// Per-run CLI options (start.options); anything outside these whitelists is rejected
+export const RUN_MODELS = ['sonnet', 'opus', 'haiku']; // CLI model aliases
+// bypassPermissions is deliberately absent: the browser permission prompt must stay in the loop
+export const RUN_PERMISSION_MODES = ['default', 'acceptEdits', 'plan'];
+// Tool name with optional rule, e.g. "Read", "Bash(git diff:*)", "mcp__github__get_issue"
+export const RUN_TOOL_PATTERN =
+  /^(?:mcp__[A-Za-z0-9_-]+__)?[A-Za-z][A-Za-z0-9_]*(?:\([^(),\r\n]{1,200}\))?$/;
+export const RUN_MAX_TOOLS = 50; // Per list (allowed / disallowed)
+export const RUN_MAX_TURNS = 100;
+export const RUN_SYSTEM_PROMPT_MAX_LENGTH = 4000;
+
+// Attachments (POST /upload, staged, then moved into the run's temp directory on input)
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024; // Per file
+export const ATTACHMENT_MAX_FILES = 5; // Per message
+export const ATTACHMENT_STAGE_TTL_MS = 60 * 60 * 1000; // Uploads never sent are deleted
+export const ATTACHMENT_NAME_MAX_LENGTH = 100; // Sanitized file name kept in the prompt
+// Extension -> stored type; anything else is rejected
+export const ATTACHMENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+};
+
 // Preview text limits
 export const MAX_PREVIEW_LENGTH = 100;
 export const MAX_PREVIEW_LINES = 100; // Maximum lines to read from JSONL for preview
 
+// Session list paging (list-sessions)
+export const SESSIONS_PAGE_SIZE = 30; // Default page size
+export const SESSIONS_PAGE_MAX = 200; // Largest page a client may request
+export const SESSION_SORT_KEYS = ['modified', 'created', 'messageCount', 'title'];
+
+// Session management (sidecar metadata in DATA_DIR/session-metadata.json)
+export const SESSION_TITLE_MAX_LENGTH = 100;
+
+// Session index cache (DATA_DIR/session-index.json)
+export const SESSION_INDEX_SAVE_DELAY_MS = 2000; // Coalesce index writes
+export const SESSION_INDEX_WATCH_DELAY_MS = 300; // Re-index a transcript once writes settle
+export const SESSION_ACTIVE_WINDOW_MS = 60 * 1000; // Written this recently = shown as active
+
+// History replay paging (load-history)
+export const HISTORY_PAGE_SIZE = 50; // Maximum entries per page
+export const HISTORY_PAGE_MAX_BYTES = 256 * 1024; // Stop page early once this much JSONL is read
+
+// Session export (GET /export/<project>/<sessionId>.<format>)
+export const EXPORT_FORMATS = ['md', 'html', 'json'];
+export const EXPORT_MAX_BYTES = 20 * 1024 * 1024; // Larger transcripts are refused (413)
+
+// Session fork (fork-session): transcripts larger than this are not copied
+export const FORK_MAX_BYTES = 20 * 1024 * 1024;
+
+// Usage accounting (src/usage.js, DATA_DIR/usage.json)
+export const USAGE_DAYS = 30; // Days shown on the usage page
+export const USAGE_RETENTION_DAYS = 90; // Server totals untouched this long are dropped
+export const USAGE_SAVE_DELAY_MS = 2000; // Coalesce usage writes
+
+// Cross-project session search (search-sessions)
+export const SEARCH_MAX_QUERY_LENGTH = 200;
+export const SEARCH_MAX_RESULTS = 50; // Sessions returned (newest first)
+export const SEARCH_MAX_SNIPPETS = 3; // Snippets per session (all matches are counted)
+export const SEARCH_SNIPPET_CONTEXT = 60; // Characters shown on each side of a match
+export const SEARCH_ROLES = ['user', 'assistant'];
+export const SEARCH_REGEX_TIMEOUT_MS = 10000; // Regex searches run in a worker killed after this
+
+// Permission prompt bridge (src/permission-broker.js, src/permission-mcp.js)
+export const PERMISSION_TIMEOUT_MS = 5 * 60 * 1000; // Unanswered requests are denied
+export const PERMISSION_MCP_SERVER = 'tinycc';
+export const PERMISSION_MCP_TOOL = 'approve';
+
 // Project directory management
 export const PROJECTS_BASE_DIR = process.env.CLAUDE_PROJECTS_BASE || '.claude/projects';
+
+// Server data directory (auth secret, caches, metadata); relative paths are under $HOME
+export const DATA_DIR = process.env.TINYCC_DATA_DIR || '.tinycc-webui';
+
+// Authentication (src/auth.js)
+export const AUTH_COOKIE_NAME = 'tinycc_session';
+export const AUTH_SECRET_BYTES = 24; // Generated access token entropy
+export const AUTH_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const AUTH_MAX_FAILURES = 5; // Failed logins before lockout
+export const AUTH_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+export const AUTH_LOCKOUT_MS = 15 * 60 * 1000;
+export const MAX_LOGIN_BODY_SIZE = 4 * 1024;
+
+// TLS (src/tls.js)
+export const TLS_CERT_VALIDITY_DAYS = 825; // Longest validity iOS accepts for a trusted leaf
+
+// Run reattachment (src/run-registry.js)
+export const RUN_GRACE_PERIOD_MS = 10 * 60 * 1000; // Detached runs are kept this long
+export const RUN_BUFFER_MAX_BYTES = 2 * 1024 * 1024; // Replay buffer per run (oldest dropped first)
+
+// Run queue (src/run-queue.js): CLI processes running at once across all connections
+export const DEFAULT_MAX_RUNS = 2; // TINYCC_MAX_RUNS overrides
+export const MAX_RUNS_LIMIT = 16;
+export const RUN_QUEUE_MAX_LENGTH = 20; // Prompts waiting for a slot
+export const RUN_DURATION_ESTIMATE_MS = 60 * 1000; // Assumed run length until one has finished
+
+// Background jobs (src/job-store.js): detached runs persisted under DATA_DIR/jobs
+export const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'killed'];
+export const JOB_MAX_STORED = 100; // Oldest finished jobs (and their output) are deleted
+export const JOB_OUTPUT_MAX_BYTES = 20 * 1024 * 1024; // Persisted output per job
+export const JOB_PROMPT_PREVIEW_LENGTH = 200; // Prompt shown in the jobs list
+
+// Run-finished notifications (src/notifier.js): TINYCC_NOTIFY_WEBHOOK / TINYCC_NOTIFY_COMMAND
+export const NOTIFY_MIN_DURATION_MS = 30 * 1000; // Shorter runs are not notified (TINYCC_NOTIFY_MIN_SECONDS)
+export const NOTIFY_MIN_SECONDS_LIMIT = 24 * 60 * 60;
+export const NOTIFY_MAX_ATTEMPTS = 3; // Delivery attempts per channel
+export const NOTIFY_RETRY_BASE_MS = 2000; // Retry delay, doubled per failed attempt
+export const NOTIFY_TIMEOUT_MS = 10 * 1000; // Per attempt (webhook request / hook command)
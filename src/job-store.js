@@ -0,0 +1,352 @@
+/**
+ * Location   : src/job-store.js
+ * Purpose    : Persist background jobs: status, start / end times, final result and the
+ *              parsed CLI output of each job
+ * Why        : A job keeps running after the browser closes and must be readable later from
+ *              any device, including after a server restart
+ * Related    : tests/job-store.test.js, src/server.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import readline from 'readline';
+import {
+  HISTORY_PAGE_SIZE,
+  HISTORY_PAGE_MAX_BYTES,
+  JOB_MAX_STORED,
+  JOB_OUTPUT_MAX_BYTES,
+  JOB_PROMPT_PREVIEW_LENGTH,
+  JOB_STATUSES,
+  SESSION_ID_PATTERN,
+} from './constants.js';
+import { JsonFileWriter, ensurePrivateDir } from './json-store.js';
+
+// Bump when the stored shape changes
+const STORE_VERSION = 1;
+
+const INDEX_FILENAME = 'jobs.json';
+
+// Jobs in these states had a CLI process (or a queue place) that a restart took away
+const UNFINISHED_STATUSES = ['queued', 'running'];
+
+/**
+ * Fields of a `result` event kept with the job (the full event stays in the output)
+ * @param {Object} result - CLI `result` event
+ * @returns {Object} Result summary
+ */
+export function summarizeResult(result) {
+  return {
+    subtype: result.subtype || null,
+    isError: Boolean(result.is_error),
+    result: typeof result.result === 'string' ? result.result : null,
+    costUsd: Number.isFinite(result.total_cost_usd) ? result.total_cost_usd : null,
+    durationMs: Number.isFinite(result.duration_ms) ? result.duration_ms : null,
+    turns: Number.isInteger(result.num_turns) ? result.num_turns : null,
+    usage: result.usage || null,
+  };
+}
+
+export class JobStore {
+  /**
+   * @param {string} dir - Directory for the job index and output files (created on first write)
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.jobs = new Map(); // jobId -> job record
+    this.loading = null;
+    this.writer = new JsonFileWriter(this.indexPath());
+    this.appending = new Map(); // jobId -> tail of its output appends
+  }
+
+  /**
+   * Load the job index once (missing or unreadable files start empty)
+   * Jobs that were queued or running when the server stopped are marked failed
+   * @param {number} [now] - Current time (for tests)
+   * @returns {Promise<void>}
+   */
+  load(now = Date.now()) {
+    if (!this.loading) {
+      this.loading = (async () => {
+        let data;
+        try {
+          data = JSON.parse(await fsPromises.readFile(this.indexPath(), 'utf-8'));
+        } catch {
+          // Missing or corrupt index: no jobs yet
+          return;
+        }
+        if (data.version !== STORE_VERSION || !Array.isArray(data.jobs)) return;
+
+        let interrupted = false;
+        for (const job of data.jobs) {
+          if (typeof job?.jobId !== 'string' || !SESSION_ID_PATTERN.test(job.jobId)) continue;
+          if (!JOB_STATUSES.includes(job.status)) continue;
+          if (UNFINISHED_STATUSES.includes(job.status)) {
+            Object.assign(job, { status: 'failed', error: 'Server stopped', endedAt: now });
+            interrupted = true;
+          }
+          this.jobs.set(job.jobId, job);
+        }
+        if (interrupted) {
+          this.save().catch(() => {
+            // Kept in memory; the next change retries
+          });
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Record a new queued job
+   * @param {Object} fields
+   * @param {string|null} fields.projectName - Project the job runs in
+   * @param {string} fields.prompt - User prompt (already validated)
+   * @param {number} [now] - Current time (for tests)
+   * @returns {Promise<Object>} Job (copy)
+   */
+  async create({ projectName, prompt }, now = Date.now()) {
+    await this.load();
+
+    const job = {
+      jobId: crypto.randomUUID(),
+      status: 'queued',
+      projectName,
+      prompt,
+      sessionId: null,
+      createdAt: now,
+      startedAt: null,
+      endedAt: null,
+      exitCode: null,
+      result: null,
+      error: null,
+      outputSeq: 0,
+      outputBytes: 0,
+      truncated: false,
+    };
+    this.jobs.set(job.jobId, job);
+
+    await this.prune();
+    await this.save();
+    return { ...job };
+  }
+
+  /**
+   * Full job record
+   * @param {*} jobId - Client-supplied job ID
+   * @returns {Object|null} Job (copy), or null if unknown
+   */
+  get(jobId) {
+    const job = typeof jobId === 'string' ? this.jobs.get(jobId) : undefined;
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Jobs for the jobs list, newest first, with the prompt shortened
+   * @returns {Promise<Array<Object>>} Job summaries
+   */
+  async list() {
+    await this.load();
+    return [...this.jobs.values()]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map((job) => JobStore.summarize(job));
+  }
+
+  /**
+   * Job as shown in lists and status updates (prompt shortened, output counters omitted)
+   * @param {Object} job - Job record
+   * @returns {Object} Summary
+   */
+  static summarize(job) {
+    const summary = { ...job, prompt: job.prompt.slice(0, JOB_PROMPT_PREVIEW_LENGTH) };
+    delete summary.outputSeq;
+    delete summary.outputBytes;
+    return summary;
+  }
+
+  /**
+   * Change a job's status / times / result and persist the index
+   * @param {string} jobId - Job ID
+   * @param {Object} fields - Fields to overwrite
+   * @returns {Promise<Object|null>} Updated job (copy), or null if unknown
+   */
+  async update(jobId, fields) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return null;
+    }
+    Object.assign(job, fields);
+    await this.save();
+    return { ...job };
+  }
+
+  /**
+   * Append a parsed CLI message to a job's output
+   * Output beyond JOB_OUTPUT_MAX_BYTES is dropped and the job marked truncated
+   * (the final result is still kept with the job)
+   * @param {string} jobId - Job ID
+   * @param {Object} message - Parsed message
+   * @returns {number|null} Sequence number of the entry, or null if it was not stored
+   */
+  append(jobId, message) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.truncated) {
+      return null;
+    }
+
+    const seq = job.outputSeq + 1;
+    const line = JSON.stringify({ seq, message }) + '\n';
+    const bytes = Buffer.byteLength(line, 'utf-8');
+    if (job.outputBytes + bytes > JOB_OUTPUT_MAX_BYTES) {
+      job.truncated = true;
+      return null;
+    }
+    job.outputSeq = seq;
+    job.outputBytes += bytes;
+
+    // Security: Output holds prompts and tool results, so it is owner-only (0600)
+    const write = async () => {
+      await ensurePrivateDir(this.dir);
+      await fsPromises.appendFile(this.outputPath(jobId), line, { mode: 0o600 });
+    };
+    const previous = this.appending.get(jobId) || Promise.resolve();
+    const tail = previous.then(write, write);
+    this.appending.set(jobId, tail);
+    tail
+      .catch(() => {
+        // Entry lost; readers page over what was written
+      })
+      .finally(() => {
+        if (this.appending.get(jobId) === tail) {
+          this.appending.delete(jobId);
+        }
+      });
+    return seq;
+  }
+
+  /**
+   * Read one page of a job's output
+   * Paging uses a byte offset cursor, like session history (see SessionManager.readHistory)
+   * @param {string} jobId - Job ID
+   * @param {number} [cursor=0] - Byte offset to start reading from
+   * @param {number} [limit=HISTORY_PAGE_SIZE] - Maximum number of entries to return
+   * @returns {Promise<{entries: Array<{seq: number, message: Object}>, nextCursor: number,
+   *   done: boolean}>}
+   * @throws {Error} If the job is unknown
+   */
+  async readOutput(jobId, cursor = 0, limit = HISTORY_PAGE_SIZE) {
+    await this.load();
+    if (!this.get(jobId)) {
+      throw new Error('Job not found');
+    }
+    // Entries appended so far are on disk before the page is read
+    await this.appending.get(jobId)?.catch(() => {});
+
+    const filePath = this.outputPath(jobId);
+    let size;
+    try {
+      size = (await fsPromises.stat(filePath)).size;
+    } catch {
+      // No output yet
+      return { entries: [], nextCursor: cursor, done: true };
+    }
+    if (cursor >= size) {
+      return { entries: [], nextCursor: cursor, done: true };
+    }
+
+    return new Promise((resolve, reject) => {
+      const fileStream = fs.createReadStream(filePath, {
+        encoding: 'utf-8',
+        start: cursor,
+        end: size - 1,
+      });
+      const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+
+      const entries = [];
+      let bytesRead = 0;
+      let finished = false;
+
+      const finish = (done) => {
+        if (finished) return;
+        finished = true;
+        rl.close();
+        fileStream.destroy();
+        resolve({ entries, nextCursor: cursor + bytesRead, done });
+      };
+
+      rl.on('line', (line) => {
+        // rl.close() does not stop already-buffered lines from being emitted
+        if (finished) return;
+
+        bytesRead += Buffer.byteLength(line, 'utf-8') + 1;
+        try {
+          const entry = JSON.parse(line);
+          if (Number.isInteger(entry.seq) && entry.message) {
+            entries.push({ seq: entry.seq, message: entry.message });
+          }
+        } catch {
+          // Skip invalid lines
+        }
+
+        if (entries.length >= limit || bytesRead >= HISTORY_PAGE_MAX_BYTES) {
+          finish(false);
+        }
+      });
+
+      rl.on('close', () => {
+        finish(true);
+      });
+
+      fileStream.on('error', (err) => {
+        if (finished) return;
+        finished = true;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Delete the oldest finished jobs (and their output) beyond JOB_MAX_STORED
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    const finished = [...this.jobs.values()]
+      .filter((job) => !UNFINISHED_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    let excess = this.jobs.size - JOB_MAX_STORED;
+    for (const job of finished) {
+      if (excess <= 0) break;
+      this.jobs.delete(job.jobId);
+      await fsPromises.rm(this.outputPath(job.jobId), { force: true });
+      excess--;
+    }
+  }
+
+  /**
+   * Write the index atomically, one write at a time (see JsonFileWriter)
+   * @returns {Promise<void>}
+   */
+  save() {
+    return this.writer.write(() => ({
+      version: STORE_VERSION,
+      jobs: [...this.jobs.values()],
+    }));
+  }
+
+  /**
+   * @returns {string} Path of the job index
+   */
+  indexPath() {
+    return path.join(this.dir, INDEX_FILENAME);
+  }
+
+  /**
+   * @param {string} jobId - Job ID (from this store, never client input directly)
+   * @returns {string} Path of the job's output JSONL
+   */
+  outputPath(jobId) {
+    return path.join(this.dir, `${jobId}.jsonl`);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Location   : src/json-store.js
+ * Purpose    : Atomic, serialized JSON file writes for the stores under DATA_DIR
+ * Why        : The session index, session metadata, usage totals and job index all persist
+ *              a JSON snapshot that must never be left half-written or reordered
+ * Related    : tests/json-store.test.js, src/session-index.js, src/session-metadata.js,
+ *              src/usage.js, src/job-store.js
+ */
+
+import fsPromises from 'fs/promises';
+import path from 'path';
+
+/**
+ * Create a directory (and its parents) readable by the owner only
+ * Security: DATA_DIR files hold prompts, titles and costs, so directories are 0700
+ * @param {string} dir - Directory path
+ * @returns {Promise<void>}
+ */
+export async function ensurePrivateDir(dir) {
+  await fsPromises.mkdir(dir, { recursive: true, mode: 0o700 });
+}
+
+/**
+ * Write JSON atomically (temp file + rename)
+ * Security: The file is 0600 inside a 0700 directory (see ensurePrivateDir)
+ * @param {string} filePath - Destination file
+ * @param {*} data - JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await ensurePrivateDir(path.dirname(filePath));
+  await fsPromises.writeFile(tempPath, JSON.stringify(data), { mode: 0o600 });
+  await fsPromises.rename(tempPath, filePath);
+}
+
+export class JsonFileWriter {
+  /**
+   * @param {string} filePath - Destination file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Tail of the write chain; a slow write never races (or is overtaken by) the next one
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Queue an atomic write; the snapshot is built when the write starts, so it is never stale
+   * A failed write does not block the ones queued after it
+   * @param {function(): (*|Promise<*>)} build - Returns the JSON-serializable snapshot
+   * @returns {Promise<void>} Settles when this write is done
+   */
+  write(build) {
+    const write = async () => {
+      await writeJsonAtomic(this.filePath, await build());
+    };
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+}
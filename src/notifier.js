@@ -0,0 +1,277 @@
+/**
+ * Location   : src/notifier.js
+ * Purpose    : Notify an outgoing webhook and / or a local command when a long CLI run ends
+ * Why        : Runs take minutes; the user should not have to keep watching the phone for the
+ *              agent to finish
+ * Related    : tests/notifier.test.js, src/server.js
+ */
+
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import {
+  NOTIFY_MIN_DURATION_MS,
+  NOTIFY_MIN_SECONDS_LIMIT,
+  NOTIFY_MAX_ATTEMPTS,
+  NOTIFY_RETRY_BASE_MS,
+  NOTIFY_TIMEOUT_MS,
+} from './constants.js';
+
+/**
+ * Notification payload for a finished run
+ * Security: Metadata only - no prompt or output text leaves the server
+ * @param {Object} run
+ * @param {string} run.kind - 'chat' (tab run) or 'job' (background job)
+ * @param {string|null} [run.jobId] - Background job ID
+ * @param {string|null} run.sessionId - CLI session ID
+ * @param {string|null} run.projectName - Project the run worked in
+ * @param {number|null} run.exitCode - CLI exit code
+ * @param {Object|null} run.result - Last CLI `result` event (null if none arrived)
+ * @param {number|null} run.startedAt - When the CLI was spawned
+ * @param {number} [now] - Current time (for tests)
+ * @returns {Object} Payload
+ */
+export function buildRunPayload(run, now = Date.now()) {
+  const result = run.result || null;
+  let durationMs = null;
+  if (Number.isFinite(result?.duration_ms)) {
+    durationMs = result.duration_ms;
+  } else if (Number.isFinite(run.startedAt)) {
+    durationMs = now - run.startedAt;
+  }
+
+  return {
+    event: 'run-finished',
+    kind: run.kind,
+    jobId: run.jobId || null,
+    sessionId: run.sessionId || null,
+    projectName: run.projectName || null,
+    success: run.exitCode === 0 && result !== null && !result.is_error,
+    exitCode: run.exitCode ?? null,
+    subtype: result?.subtype || null,
+    durationMs,
+    costUsd: Number.isFinite(result?.total_cost_usd) ? result.total_cost_usd : null,
+    turns: Number.isInteger(result?.num_turns) ? result.num_turns : null,
+    finishedAt: new Date(now).toISOString(),
+  };
+}
+
+export class Notifier {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.webhookUrl] - http(s) URL that receives a JSON POST
+   * @param {string|null} [options.webhookSecret] - Key for the X-TinyCC-Signature HMAC
+   * @param {string|null} [options.command] - Absolute path of a hook run with the JSON on stdin
+   * @param {number} [options.minDurationMs] - Runs shorter than this are not notified
+   * @param {number} [options.retryBaseMs] - First retry delay (doubled per attempt)
+   */
+  constructor(options = {}) {
+    this.webhookUrl = options.webhookUrl || null;
+    this.webhookSecret = options.webhookSecret || null;
+    this.command = options.command || null;
+    this.minDurationMs = options.minDurationMs ?? NOTIFY_MIN_DURATION_MS;
+    this.retryBaseMs = options.retryBaseMs ?? NOTIFY_RETRY_BASE_MS;
+    // A test notification in flight (the settings button is not queued up)
+    this.testing = null;
+  }
+
+  /**
+   * Create Notifier from environment
+   * TINYCC_NOTIFY_WEBHOOK, TINYCC_NOTIFY_SECRET, TINYCC_NOTIFY_COMMAND,
+   * TINYCC_NOTIFY_MIN_SECONDS (0..NOTIFY_MIN_SECONDS_LIMIT)
+   * @returns {Notifier}
+   * @throws {Error} If a variable is invalid
+   */
+  static fromEnv() {
+    const webhookUrl = process.env.TINYCC_NOTIFY_WEBHOOK || null;
+    if (webhookUrl) {
+      let url;
+      try {
+        url = new URL(webhookUrl);
+      } catch {
+        url = null;
+      }
+      if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+        throw new Error('Invalid TINYCC_NOTIFY_WEBHOOK: must be an http(s) URL');
+      }
+    }
+
+    const command = process.env.TINYCC_NOTIFY_COMMAND || null;
+    if (command && !path.isAbsolute(command)) {
+      throw new Error('Invalid TINYCC_NOTIFY_COMMAND: must be an absolute path');
+    }
+
+    let minDurationMs = NOTIFY_MIN_DURATION_MS;
+    const rawSeconds = process.env.TINYCC_NOTIFY_MIN_SECONDS;
+    if (rawSeconds !== undefined && rawSeconds !== '') {
+      const seconds = Number(rawSeconds);
+      if (!Number.isInteger(seconds) || seconds < 0 || seconds > NOTIFY_MIN_SECONDS_LIMIT) {
+        throw new Error(
+          `Invalid TINYCC_NOTIFY_MIN_SECONDS: must be between 0 and ${NOTIFY_MIN_SECONDS_LIMIT}`
+        );
+      }
+      minDurationMs = seconds * 1000;
+    }
+
+    return new Notifier({
+      webhookUrl,
+      webhookSecret: process.env.TINYCC_NOTIFY_SECRET || null,
+      command,
+      minDurationMs,
+    });
+  }
+
+  /**
+   * Configured channels
+   * @returns {Array<string>} 'webhook' and / or 'command'
+   */
+  get channels() {
+    const channels = [];
+    if (this.webhookUrl) channels.push('webhook');
+    if (this.command) channels.push('command');
+    return channels;
+  }
+
+  /**
+   * Notify that a run ended, if a channel is configured and the run was long enough
+   * Runs of unknown duration are notified
+   * @param {Object} run - See buildRunPayload
+   * @param {number} [now] - Current time (for tests)
+   * @returns {Promise<Array<Object>>|null} Delivery results, or null if nothing was sent
+   */
+  runFinished(run, now = Date.now()) {
+    if (this.channels.length === 0) {
+      return null;
+    }
+    const payload = buildRunPayload(run, now);
+    if (payload.durationMs !== null && payload.durationMs < this.minDurationMs) {
+      return null;
+    }
+    return this.send(payload);
+  }
+
+  /**
+   * Send a test notification to every channel (settings drawer button)
+   * @param {number} [now] - Current time (for tests)
+   * @returns {Promise<Array<Object>>} Delivery results
+   * @throws {Error} If a test is already in flight
+   */
+  async test(now = Date.now()) {
+    if (this.testing) {
+      throw new Error('Notification test already running');
+    }
+    this.testing = this.send({ event: 'test', finishedAt: new Date(now).toISOString() });
+    try {
+      return await this.testing;
+    } finally {
+      this.testing = null;
+    }
+  }
+
+  /**
+   * Deliver a payload to every channel, retrying failed attempts with backoff
+   * @param {Object} payload - JSON payload
+   * @returns {Promise<Array<{channel: string, ok: boolean, attempts: number, error?: string}>>}
+   */
+  send(payload) {
+    const body = JSON.stringify(payload);
+    return Promise.all(
+      this.channels.map(async (channel) => {
+        let attempts = 0;
+        for (;;) {
+          attempts++;
+          try {
+            await (channel === 'webhook' ? this.postWebhook(body) : this.runCommand(body));
+            return { channel, ok: true, attempts };
+          } catch (err) {
+            if (err.retryable === false || attempts >= NOTIFY_MAX_ATTEMPTS) {
+              return { channel, ok: false, attempts, error: err.message };
+            }
+            await new Promise((resolve) => {
+              setTimeout(resolve, this.retryBaseMs * 2 ** (attempts - 1)).unref();
+            });
+          }
+        }
+      })
+    );
+  }
+
+  /**
+   * POST the payload to the webhook (one attempt)
+   * Security: The URL comes from the server environment only; clients cannot set it.
+   * With TINYCC_NOTIFY_SECRET the body is signed (X-TinyCC-Signature: sha256=<hex HMAC>)
+   * @param {string} body - JSON body
+   * @returns {Promise<void>}
+   * @throws {Error} On network errors, timeouts and non-2xx responses
+   *   (retryable unless a 4xx other than 408 / 429)
+   */
+  postWebhook(body) {
+    const url = new URL(this.webhookUrl);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'tinycc-webui',
+    };
+    if (this.webhookSecret) {
+      const signature = crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex');
+      headers['X-TinyCC-Signature'] = `sha256=${signature}`;
+    }
+
+    const client = url.protocol === 'https:' ? https : http;
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        url,
+        { method: 'POST', headers, timeout: NOTIFY_TIMEOUT_MS },
+        (res) => {
+          res.resume();
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+            return;
+          }
+          const err = new Error(`Webhook responded ${res.statusCode}`);
+          err.retryable = res.statusCode >= 500 || res.statusCode === 408 || res.statusCode === 429;
+          reject(err);
+        }
+      );
+      req.on('timeout', () => {
+        req.destroy(new Error('Webhook timed out'));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Run the hook command with the payload on stdin (one attempt)
+   * Security: spawn with shell: false and no arguments; the payload never reaches argv
+   * @param {string} body - JSON payload
+   * @returns {Promise<void>}
+   * @throws {Error} If the command cannot start, times out or exits non-zero
+   */
+  runCommand(body) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, [], {
+        shell: false,
+        stdio: ['pipe', 'ignore', 'ignore'],
+        timeout: NOTIFY_TIMEOUT_MS,
+      });
+      child.on('error', (err) => {
+        // A missing or non-executable hook will not start on a retry either
+        err.retryable = err.code !== 'ENOENT' && err.code !== 'EACCES';
+        reject(err);
+      });
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`Hook command exited with ${signal || code}`));
+        }
+      });
+      // The hook may exit without reading its input
+      child.stdin.on('error', () => {});
+      child.stdin.end(body);
+    });
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * Location   : src/origin-policy.js
+ * Purpose    : Configurable allowlist of hostnames, CIDR ranges and ports for Origin/Host checks
+ * Why        : Phones reach the server via LAN IPs or Tailscale names, not only localhost
+ * Related    : tests/origin-validation.test.js, src/server.js
+ */
+
+import net from 'net';
+import os from 'os';
+import { DEFAULT_ALLOWED_HOSTS } from './constants.js';
+
+/**
+ * Default port for a URL protocol
+ * @param {string} protocol - URL protocol (e.g. 'http:')
+ * @returns {number} Default port
+ */
+function defaultPort(protocol) {
+  return protocol === 'https:' || protocol === 'wss:' ? 443 : 80;
+}
+
+/**
+ * Check whether an IP address lies inside a subnet
+ * @param {{address: string, prefix: number, family: string}} subnet - Parsed CIDR
+ * @param {string} address - IP literal (IPv6 without brackets)
+ * @returns {boolean} True if address is inside subnet
+ */
+function subnetContains(subnet, address) {
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (family !== subnet.family) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  blockList.addSubnet(subnet.address, subnet.prefix, subnet.family);
+  return blockList.check(address, family);
+}
+
+/**
+ * Parse one allowlist entry
+ * Formats: 'host', 'host:port', '10.0.0.0/8', '10.0.0.0/8:3000', '[::1]', '[fd00::]/8:3000'
+ * @param {string} entry - Raw entry
+ * @returns {{host?: string, subnet?: {address: string, prefix: number, family: string}, port: number|null}}
+ * @throws {Error} If entry is malformed
+ */
+export function parseAllowlistEntry(entry) {
+  let rest = entry.trim().toLowerCase();
+  let port = null;
+
+  // Optional trailing :port (IPv6 literals must be bracketed to carry a port)
+  const portMatch = rest.match(/^(\[[^\]]+\](?:\/\d+)?|[^:[\]]+):(\d+)$/);
+  if (portMatch) {
+    rest = portMatch[1];
+    port = Number(portMatch[2]);
+    if (port < 1 || port > 65535) {
+      throw new Error(`Invalid port in allowlist entry: ${entry}`);
+    }
+  }
+
+  rest = rest.replace(/^\[([^\]]+)\]/, '$1');
+
+  const cidrMatch = rest.match(/^([^/]+)\/(\d+)$/);
+  if (cidrMatch) {
+    const address = cidrMatch[1];
+    const prefix = Number(cidrMatch[2]);
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const maxPrefix = family === 'ipv4' ? 32 : 128;
+
+    if (!family || prefix > maxPrefix) {
+      throw new Error(`Invalid CIDR in allowlist entry: ${entry}`);
+    }
+    return { subnet: { address, prefix, family }, port };
+  }
+
+  if (rest.length === 0 || !/^[a-z0-9.\-:]+$/.test(rest)) {
+    throw new Error(`Invalid hostname in allowlist entry: ${entry}`);
+  }
+  return { host: rest, port };
+}
+
+export class OriginPolicy {
+  /**
+   * @param {string} [spec] - Comma-separated allowlist (added to DEFAULT_ALLOWED_HOSTS)
+   */
+  constructor(spec = '') {
+    const entries = [
+      ...DEFAULT_ALLOWED_HOSTS,
+      ...spec
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.length > 0),
+    ];
+
+    this.entries = entries.map(parseAllowlistEntry);
+  }
+
+  /**
+   * Check a hostname/port pair against the allowlist
+   * Security: Exact hostname match (no substring/suffix matching), CIDR via net.BlockList
+   * @param {string} hostname - Hostname or IP literal (IPv6 without brackets)
+   * @param {number} port - Port number
+   * @returns {boolean} True if allowed
+   */
+  isAllowed(hostname, port) {
+    const host = hostname.toLowerCase().replace(/^\[(.+)\]$/, '$1');
+
+    return this.entries.some((entry) => {
+      if (entry.port !== null && entry.port !== port) {
+        return false;
+      }
+      return entry.host ? entry.host === host : subnetContains(entry.subnet, host);
+    });
+  }
+
+  /**
+   * Check if origin is allowed
+   * Missing Origin is allowed for non-browser clients (see server.js M-NEW-1)
+   * @param {string|undefined} origin - Origin header value
+   * @returns {boolean} True if origin is allowed
+   */
+  isAllowedOrigin(origin) {
+    if (!origin) return true;
+
+    try {
+      const url = new URL(origin);
+      const port = url.port ? Number(url.port) : defaultPort(url.protocol);
+      return this.isAllowed(url.hostname, port);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check if Host header is allowed (DNS rebinding protection)
+   * @param {string|undefined} host - Host header value
+   * @param {boolean} [secure=false] - Whether the request arrived over TLS
+   * @returns {boolean} True if host is allowed
+   */
+  isAllowedHost(host, secure = false) {
+    if (!host) return false;
+
+    try {
+      const url = new URL(`${secure ? 'https' : 'http'}://${host}`);
+      const port = url.port ? Number(url.port) : defaultPort(url.protocol);
+      return this.isAllowed(url.hostname, port);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * List URLs that will be accepted, for the startup log
+   * CIDR entries are expanded to this machine's interface addresses inside the range
+   * @param {number} port - Port the server listens on
+   * @param {string} [protocol='http'] - URL scheme
+   * @returns {Array<string>} Accepted URLs
+   */
+  describeUrls(port, protocol = 'http') {
+    const urls = new Set();
+    const addresses = Object.values(os.networkInterfaces())
+      .flat()
+      .map((iface) => iface.address);
+
+    for (const entry of this.entries) {
+      if (entry.port !== null && entry.port !== port) continue;
+
+      if (entry.host) {
+        const host = net.isIPv6(entry.host) ? `[${entry.host}]` : entry.host;
+        urls.add(`${protocol}://${host}:${port}`);
+        continue;
+      }
+
+      for (const address of addresses) {
+        if (subnetContains(entry.subnet, address)) {
+          const host = net.isIPv6(address) ? `[${address}]` : address;
+          urls.add(`${protocol}://${host}:${port}`);
+        }
+      }
+    }
+
+    return [...urls];
+  }
+}
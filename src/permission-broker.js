@@ -0,0 +1,200 @@
+/**
+ * Location   : src/permission-broker.js
+ * Purpose    : Route CLI tool permission requests to the browser and wait for a decision
+ * Why        : `claude -p` cannot prompt interactively; the permission-prompt MCP tool
+ *              (src/permission-mcp.js) forwards each request here over loopback HTTP
+ * Related    : tests/permission-broker.test.js, src/permission-mcp.js, src/server.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PERMISSION_TIMEOUT_MS, PERMISSION_MCP_SERVER } from './constants.js';
+
+const MCP_SCRIPT_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  'permission-mcp.js'
+);
+
+// Decisions accepted from the client
+export const PERMISSION_DECISIONS = ['allow', 'deny', 'allow-session'];
+
+/**
+ * Key that an "allow for this session" decision is remembered under
+ * Security: A grant covers the exact command (Bash) or file path (file tools) that was
+ * approved, never the whole tool - approving `npm test` must not approve `rm -rf` later.
+ * Tools without a command or path match on their complete input
+ * @param {string} toolName - Tool name
+ * @param {Object} input - Tool input
+ * @returns {string} Grant key
+ */
+export function permissionGrantKey(toolName, input) {
+  const target = input && typeof input === 'object' ? input : {};
+  if (typeof target.command === 'string') {
+    return JSON.stringify([toolName, 'command', target.command]);
+  }
+  for (const field of ['file_path', 'notebook_path', 'path']) {
+    if (typeof target[field] === 'string') {
+      return JSON.stringify([toolName, 'path', target[field]]);
+    }
+  }
+  return JSON.stringify([toolName, 'input', target]);
+}
+
+export class PermissionBroker {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || PERMISSION_TIMEOUT_MS;
+    // token -> { onRequest, grants: Set<string>, pending: Set<string>, configDir }
+    this.runs = new Map();
+    // requestId -> { token, toolName, input, resolve, timer }
+    this.requests = new Map();
+    this.endpoint = null;
+  }
+
+  /**
+   * Register a CLI run that may ask for permissions
+   * @param {Function} onRequest - Called with {requestId, toolName, input} to prompt the user
+   * @param {Set<string>} [grants] - Grant keys already allowed for this session (shared,
+   *   mutable; see permissionGrantKey)
+   * @returns {string} Run token handed to the MCP bridge through its config file
+   */
+  register(onRequest, grants = new Set()) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.runs.set(token, { onRequest, grants, pending: new Set(), configDir: null });
+    return token;
+  }
+
+  /**
+   * Write the --mcp-config file that points the CLI at the permission bridge
+   * Security: The run token is kept out of argv (visible in `ps`) by using a 0600 temp file
+   * @param {string} token - Run token from register()
+   * @returns {string} Path to MCP config file
+   */
+  writeMcpConfig(token) {
+    const run = this.runs.get(token);
+    if (!run) {
+      throw new Error('Unknown run');
+    }
+
+    const config = {
+      mcpServers: {
+        [PERMISSION_MCP_SERVER]: {
+          command: process.execPath,
+          args: [MCP_SCRIPT_PATH],
+          env: {
+            TINYCC_PERMISSION_URL: this.endpoint || '',
+            TINYCC_PERMISSION_TOKEN: token,
+          },
+        },
+      },
+    };
+
+    run.configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinycc-mcp-'));
+    const configPath = path.join(run.configDir, 'mcp.json');
+    fs.writeFileSync(configPath, JSON.stringify(config), { mode: 0o600 });
+    return configPath;
+  }
+
+  /**
+   * Unregister a run; pending requests are denied
+   * @param {string} token - Run token
+   */
+  unregister(token) {
+    const run = this.runs.get(token);
+    if (!run) return;
+
+    for (const requestId of run.pending) {
+      this.settle(requestId, { behavior: 'deny', message: 'Run ended before approval' });
+    }
+
+    if (run.configDir) {
+      fs.rmSync(run.configDir, { recursive: true, force: true });
+    }
+    this.runs.delete(token);
+  }
+
+  /**
+   * Ask the user whether a tool call may proceed
+   * Security: Unknown tokens are denied without prompting
+   * @param {string} token - Run token from the MCP bridge
+   * @param {string} toolName - Tool requesting permission
+   * @param {Object} input - Tool input
+   * @returns {Promise<{behavior: string, updatedInput?: Object, message?: string}>}
+   */
+  request(token, toolName, input) {
+    const run = typeof token === 'string' ? this.runs.get(token) : undefined;
+    if (!run) {
+      return Promise.resolve({ behavior: 'deny', message: 'Unknown run' });
+    }
+
+    // "Allow for this session" memory (same command / path only)
+    if (run.grants.has(permissionGrantKey(toolName, input))) {
+      return Promise.resolve({ behavior: 'allow', updatedInput: input });
+    }
+
+    const requestId = crypto.randomUUID();
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.settle(requestId, { behavior: 'deny', message: 'Permission request timed out' });
+      }, this.timeoutMs);
+
+      this.requests.set(requestId, { token, toolName, input, resolve, timer });
+      run.pending.add(requestId);
+      run.onRequest({ requestId, toolName, input });
+    });
+  }
+
+  /**
+   * Apply the user's decision to a pending request
+   * Security: Request must belong to the given run token (prevents cross-connection answers)
+   * @param {string} token - Run token of the responding connection
+   * @param {string} requestId - Pending request ID
+   * @param {string} decision - One of PERMISSION_DECISIONS
+   * @throws {Error} If decision is invalid or request is unknown (code EEXPIRED if it was
+   *   already settled, e.g. denied on timeout)
+   */
+  respond(token, requestId, decision) {
+    if (!PERMISSION_DECISIONS.includes(decision)) {
+      throw new Error('Invalid permission decision');
+    }
+
+    const request = this.requests.get(requestId);
+    if (!request) {
+      const err = new Error('Permission request expired');
+      err.code = 'EEXPIRED';
+      throw err;
+    }
+    if (request.token !== token) {
+      throw new Error('Unknown permission request');
+    }
+
+    if (decision === 'deny') {
+      this.settle(requestId, { behavior: 'deny', message: 'Denied by user' });
+      return;
+    }
+
+    if (decision === 'allow-session') {
+      this.runs.get(token).grants.add(permissionGrantKey(request.toolName, request.input));
+    }
+
+    this.settle(requestId, { behavior: 'allow', updatedInput: request.input });
+  }
+
+  /**
+   * Resolve and forget a pending request
+   * @param {string} requestId - Pending request ID
+   * @param {Object} result - Permission result returned to the CLI
+   */
+  settle(requestId, result) {
+    const request = this.requests.get(requestId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.requests.delete(requestId);
+    this.runs.get(request.token)?.pending.delete(requestId);
+    request.resolve(result);
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Location   : src/permission-mcp.js
+ * Purpose    : Minimal stdio MCP server exposing the permission-prompt tool for `claude -p`
+ * Why        : The CLI asks this tool whether a tool call may run; the request is forwarded
+ *              to the TinyCC server, which prompts the browser and returns the decision
+ * Related    : tests/permission-mcp.test.js, src/permission-broker.js, src/cli-runner.js
+ */
+
+import http from 'http';
+import readline from 'readline';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PERMISSION_MCP_SERVER, PERMISSION_MCP_TOOL } from './constants.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Forward a permission request to the TinyCC server over loopback HTTP
+ * Note: Endpoint and run token come from the environment set by CLIRunner
+ * @param {string} toolName - Tool requesting permission
+ * @param {Object} input - Tool input
+ * @returns {Promise<Object>} Permission result ({behavior, updatedInput} or {behavior, message})
+ */
+export function requestPermission(toolName, input) {
+  const endpoint = process.env.TINYCC_PERMISSION_URL;
+  const token = process.env.TINYCC_PERMISSION_TOKEN;
+
+  return new Promise((resolve) => {
+    if (!endpoint || !token) {
+      resolve({ behavior: 'deny', message: 'Permission bridge is not configured' });
+      return;
+    }
+
+    const body = JSON.stringify({ token, tool_name: toolName, input });
+    const req = http.request(
+      endpoint,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+        },
+      },
+      (res) => {
+        let data = '';
+        res.setEncoding('utf-8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch {
+            resolve({ behavior: 'deny', message: 'Invalid response from permission bridge' });
+          }
+        });
+      }
+    );
+
+    req.on('error', () => {
+      resolve({ behavior: 'deny', message: 'Permission bridge unreachable' });
+    });
+
+    req.end(body);
+  });
+}
+
+/**
+ * Handle one JSON-RPC message from the CLI
+ * @param {Object} message - Parsed JSON-RPC request or notification
+ * @param {Function} [askPermission] - Permission resolver (injectable for tests)
+ * @returns {Promise<Object|null>} JSON-RPC response, or null for notifications
+ */
+export async function handleRpc(message, askPermission = requestPermission) {
+  const { id, method, params } = message;
+
+  // Notifications (no id) never get a response
+  if (id === undefined || id === null) {
+    return null;
+  }
+
+  if (method === 'initialize') {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: { tools: {} },
+        serverInfo: { name: PERMISSION_MCP_SERVER, version: '0.1.0' },
+      },
+    };
+  }
+
+  if (method === 'tools/list') {
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        tools: [
+          {
+            name: PERMISSION_MCP_TOOL,
+            description: 'Ask the TinyCC-WebUI user to approve a tool call',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                tool_name: { type: 'string' },
+                input: { type: 'object' },
+                tool_use_id: { type: 'string' },
+              },
+              required: ['tool_name', 'input'],
+            },
+          },
+        ],
+      },
+    };
+  }
+
+  if (method === 'tools/call' && params?.name === PERMISSION_MCP_TOOL) {
+    const args = params.arguments || {};
+    const result = await askPermission(String(args.tool_name), args.input || {});
+
+    return {
+      jsonrpc: '2.0',
+      id,
+      result: {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+      },
+    };
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id,
+    error: { code: -32601, message: 'Method not found' },
+  };
+}
+
+/**
+ * Run the stdio loop (newline-delimited JSON-RPC)
+ */
+function main() {
+  const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  rl.on('line', async (line) => {
+    if (line.trim().length === 0) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return;
+    }
+
+    const response = await handleRpc(message);
+    if (response) {
+      process.stdout.write(JSON.stringify(response) + '\n');
+    }
+  });
+}
+
+// Entry point detection (see src/server.js for rationale)
+if (fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main();
+}
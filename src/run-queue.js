@@ -0,0 +1,186 @@
+/**
+ * Location   : src/run-queue.js
+ * Purpose    : Global FIFO scheduler limiting how many CLI processes run at once
+ * Why        : MAX_CONNECTIONS bounds sockets, not processes; with tabs, three clients could
+ *              start a dozen `claude` processes on a small (N100 / 8GB) host
+ * Related    : tests/run-queue.test.js, src/server.js
+ */
+
+import {
+  DEFAULT_MAX_RUNS,
+  MAX_RUNS_LIMIT,
+  RUN_QUEUE_MAX_LENGTH,
+  RUN_DURATION_ESTIMATE_MS,
+} from './constants.js';
+
+// Weight of the latest run in the average duration used for estimates
+const DURATION_SMOOTHING = 0.3;
+
+export class RunQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrent] - CLI processes allowed to run at once
+   * @param {number} [options.maxQueued] - Prompts allowed to wait for a slot
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || DEFAULT_MAX_RUNS;
+    this.maxQueued = options.maxQueued || RUN_QUEUE_MAX_LENGTH;
+    this.active = new Map(); // key -> startedAt
+    this.waiting = []; // {key, start, onUpdate}, oldest first
+    // Smoothed length of finished runs (null until one has finished)
+    this.averageDurationMs = null;
+  }
+
+  /**
+   * Create RunQueue from environment
+   * TINYCC_MAX_RUNS sets the number of concurrent CLI processes (1..MAX_RUNS_LIMIT)
+   * @returns {RunQueue}
+   * @throws {Error} If TINYCC_MAX_RUNS is invalid
+   */
+  static fromEnv() {
+    const raw = process.env.TINYCC_MAX_RUNS;
+    if (raw === undefined || raw === '') {
+      return new RunQueue();
+    }
+
+    const maxConcurrent = Number(raw);
+    if (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > MAX_RUNS_LIMIT) {
+      throw new Error(`Invalid TINYCC_MAX_RUNS: must be between 1 and ${MAX_RUNS_LIMIT}`);
+    }
+    return new RunQueue({ maxConcurrent });
+  }
+
+  /**
+   * Start a job now if a slot is free, otherwise append it to the queue
+   * @param {*} key - Job identity (the Run), used by cancel() / release()
+   * @param {Function} start - Called once the job holds a slot
+   * @param {Function} onUpdate - Called with {position, estimatedWaitMs} while the job waits
+   *   (when queued and whenever the jobs ahead of it change)
+   * @param {number} [now] - Current time (for tests)
+   * @returns {number} Queue position (0 = started right away)
+   * @throws {Error} If the job is already queued / running or the queue is full
+   */
+  enqueue(key, start, onUpdate, now = Date.now()) {
+    if (this.active.has(key) || this.position(key) > 0) {
+      throw new Error('Run already queued');
+    }
+
+    if (this.waiting.length === 0 && this.active.size < this.maxConcurrent) {
+      this.active.set(key, now);
+      start();
+      return 0;
+    }
+
+    // Security: Bound memory and waiting clients when many prompts pile up
+    if (this.waiting.length >= this.maxQueued) {
+      throw new Error('Run queue is full');
+    }
+    this.waiting.push({ key, start, onUpdate });
+    this.notify(now);
+    return this.waiting.length;
+  }
+
+  /**
+   * Remove a job that is still waiting
+   * @param {*} key - Job identity
+   * @param {number} [now] - Current time (for tests)
+   * @returns {boolean} True if the job was queued
+   */
+  cancel(key, now = Date.now()) {
+    const index = this.waiting.findIndex((job) => job.key === key);
+    if (index === -1) {
+      return false;
+    }
+    this.waiting.splice(index, 1);
+    this.notify(now);
+    return true;
+  }
+
+  /**
+   * Free a running job's slot (process exited or stopped) and start the next waiting job
+   * Safe to call more than once or for jobs that never ran
+   * @param {*} key - Job identity
+   * @param {number} [now] - Current time (for tests)
+   */
+  release(key, now = Date.now()) {
+    if (!this.active.has(key)) {
+      return;
+    }
+
+    const duration = now - this.active.get(key);
+    this.active.delete(key);
+    this.averageDurationMs =
+      this.averageDurationMs === null
+        ? duration
+        : Math.round(
+            this.averageDurationMs * (1 - DURATION_SMOOTHING) + duration * DURATION_SMOOTHING
+          );
+
+    this.drain(now);
+  }
+
+  /**
+   * Start waiting jobs while slots are free
+   * @param {number} now - Current time
+   */
+  drain(now) {
+    let started = false;
+    while (this.waiting.length > 0 && this.active.size < this.maxConcurrent) {
+      const job = this.waiting.shift();
+      this.active.set(job.key, now);
+      started = true;
+      job.start();
+    }
+    if (started) {
+      this.notify(now);
+    }
+  }
+
+  /**
+   * 1-based position of a waiting job
+   * @param {*} key - Job identity
+   * @returns {number} Position, or 0 if the job is not waiting
+   */
+  position(key) {
+    return this.waiting.findIndex((job) => job.key === key) + 1;
+  }
+
+  /**
+   * Estimated time until the job at a queue position starts
+   * Slots free up when running jobs reach the average duration; each waiting job then
+   * takes the earliest free slot in order
+   * @param {number} position - 1-based queue position
+   * @param {number} [now] - Current time (for tests)
+   * @returns {number} Milliseconds (0 when a slot is expected to be free already)
+   */
+  estimateWaitMs(position, now = Date.now()) {
+    const duration = this.averageDurationMs ?? RUN_DURATION_ESTIMATE_MS;
+    const slots = [...this.active.values()].map((startedAt) =>
+      Math.max(0, startedAt + duration - now)
+    );
+    while (slots.length < this.maxConcurrent) {
+      slots.push(0);
+    }
+
+    let wait = 0;
+    for (let i = 0; i < position; i++) {
+      slots.sort((a, b) => a - b);
+      wait = slots[0];
+      slots[0] = wait + duration;
+    }
+    return wait;
+  }
+
+  /**
+   * Tell every waiting job its current position and estimate
+   * @param {number} now - Current time
+   */
+  notify(now) {
+    this.waiting.forEach((job, index) => {
+      job.onUpdate({
+        position: index + 1,
+        estimatedWaitMs: this.estimateWaitMs(index + 1, now),
+      });
+    });
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Location   : src/run-registry.js
+ * Purpose    : Keep CLI runs alive across WebSocket reconnects and replay missed output
+ * Why        : Mobile browsers drop the socket when the screen locks; stopping the CLI on
+ *              close threw away long-running responses
+ * Related    : tests/run-registry.test.js, src/server.js
+ */
+
+import crypto from 'crypto';
+import { RUN_GRACE_PERIOD_MS, RUN_BUFFER_MAX_BYTES } from './constants.js';
+
+export class Run {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.conversation] - Connection conversation state shared with this run
+   *   ({sessionId, projectName, permissionGrants}); a reattaching connection adopts it
+   * @param {Function} [options.sender] - Delivery function of the starting connection
+   * @param {number} [options.maxBufferBytes] - Replay buffer limit
+   */
+  constructor(options = {}) {
+    this.runId = crypto.randomUUID();
+    this.conversation = options.conversation || {
+      sessionId: null,
+      projectName: null,
+      permissionGrants: new Set(),
+    };
+    this.maxBufferBytes = options.maxBufferBytes || RUN_BUFFER_MAX_BYTES;
+
+    this.cliRunner = null;
+    this.permissionToken = null;
+    this.exited = false;
+
+    // Outbound messages kept for replay: { seq, data }
+    this.buffer = [];
+    this.bufferBytes = 0;
+    this.seq = 0;
+    // Delivery function of the attached connection (null while detached)
+    this.sender = options.sender || null;
+    this.expiryTimer = null;
+  }
+
+  /**
+   * Send a message to the attached client, keeping it for replay
+   * Each message is stamped with runId and a sequence number for de-duplication
+   * @param {Object} message - Message object
+   */
+  send(message) {
+    this.seq++;
+    const data = JSON.stringify({ ...message, runId: this.runId, seq: this.seq });
+
+    this.buffer.push({ seq: this.seq, data });
+    this.bufferBytes += data.length;
+    // Drop oldest messages beyond the cap; a later replay reports the gap
+    while (this.bufferBytes > this.maxBufferBytes && this.buffer.length > 1) {
+      this.bufferBytes -= this.buffer.shift().data.length;
+    }
+
+    if (this.sender) {
+      this.sender(data);
+    }
+  }
+
+  /**
+   * Attach a connection: announce reattachment, replay messages after lastSeq, then go live
+   * @param {Function} sender - Delivery function receiving serialized messages
+   * @param {number} [lastSeq=0] - Last sequence number the client has seen
+   */
+  attach(sender, lastSeq = 0) {
+    const firstBuffered = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+
+    sender(
+      JSON.stringify({
+        type: 'reattached',
+        runId: this.runId,
+        running: !this.exited,
+        // Some messages after lastSeq were dropped from the buffer
+        missed: firstBuffered > lastSeq + 1,
+      })
+    );
+
+    for (const entry of this.buffer) {
+      if (entry.seq > lastSeq) {
+        sender(entry.data);
+      }
+    }
+    this.sender = sender;
+  }
+}
+
+export class RunRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.gracePeriodMs] - How long a detached run is kept
+   * @param {Function} [options.onRemove] - Called with a run when it is discarded (cleanup hook)
+   */
+  constructor(options = {}) {
+    this.gracePeriodMs = options.gracePeriodMs || RUN_GRACE_PERIOD_MS;
+    this.onRemove = options.onRemove || (() => {});
+    // runId -> Run
+    this.runs = new Map();
+  }
+
+  /**
+   * Create and register a run
+   * @param {Object} [options] - Passed to Run
+   * @returns {Run} New run
+   */
+  create(options = {}) {
+    const run = new Run(options);
+    this.runs.set(run.runId, run);
+    return run;
+  }
+
+  /**
+   * Whether a run that has not exited is working on a session
+   * @param {string} sessionId - CLI session ID
+   * @param {Run|null} [except] - Run to ignore (e.g. the one about to be superseded)
+   * @returns {boolean}
+   */
+  hasRunningSession(sessionId, except = null) {
+    for (const run of this.runs.values()) {
+      if (run !== except && !run.exited && run.conversation.sessionId === sessionId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Look up a run by ID
+   * Security: The run ID is an unguessable UUID handed only to the authenticated client
+   * @param {string} runId - Run ID from the client
+   * @returns {Run|undefined} Run, if still registered
+   */
+  get(runId) {
+    return typeof runId === 'string' ? this.runs.get(runId) : undefined;
+  }
+
+  /**
+   * Attach a connection to a run, cancelling its expiry
+   * @param {Run} run - Registered run
+   * @param {Function} sender - Delivery function of the connection
+   * @param {number} [lastSeq=0] - Last sequence number the client has seen
+   */
+  attach(run, sender, lastSeq = 0) {
+    clearTimeout(run.expiryTimer);
+    run.expiryTimer = null;
+    run.attach(sender, lastSeq);
+  }
+
+  /**
+   * Detach a connection; the run keeps going and is discarded after the grace period
+   * No-op if another connection has since taken the run over
+   * @param {Run} run - Registered run
+   * @param {Function} sender - Delivery function of the detaching connection
+   */
+  detach(run, sender) {
+    if (run.sender !== sender) return;
+
+    run.sender = null;
+    clearTimeout(run.expiryTimer);
+    run.expiryTimer = setTimeout(() => {
+      this.remove(run);
+    }, this.gracePeriodMs);
+  }
+
+  /**
+   * Discard a run immediately
+   * @param {Run} run - Run to discard
+   */
+  remove(run) {
+    if (!this.runs.has(run.runId)) return;
+
+    clearTimeout(run.expiryTimer);
+    this.runs.delete(run.runId);
+    this.onRemove(run);
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Location   : src/search-worker.js
+ * Purpose    : Run a regex session search off the main thread
+ * Why        : A catastrophically backtracking pattern must not block the event loop; the
+ *              worker can be terminated when it overruns SEARCH_REGEX_TIMEOUT_MS
+ * Related    : src/session-manager.js
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { SessionManager, compileSearch } from './session-manager.js';
+
+const { query, options, baseDir } = workerData;
+
+try {
+  const result = await SessionManager.scanSessions(compileSearch(query, options), baseDir);
+  parentPort.postMessage({ result });
+} catch (err) {
+  parentPort.postMessage({ error: err.message });
+}
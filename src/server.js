@@ -7,19 +7,43 @@
 
 import { WebSocketServer } from 'ws';
 import http from 'http';
+import https from 'https';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { CLIRunner } from './cli-runner.js';
+import { CLIRunner, validateSessionId, validateRunOptions } from './cli-runner.js';
 import { StreamParser } from './stream-parser.js';
 import { SessionManager } from './session-manager.js';
+import { SessionIndex } from './session-index.js';
+import { SessionMetadataStore } from './session-metadata.js';
+import { UsageTracker } from './usage.js';
+import { AttachmentStore } from './attachments.js';
+import { PermissionBroker } from './permission-broker.js';
+import { RunRegistry } from './run-registry.js';
+import { RunQueue } from './run-queue.js';
+import { JobStore, summarizeResult } from './job-store.js';
+import { Notifier } from './notifier.js';
+import { AuthManager } from './auth.js';
+import { OriginPolicy } from './origin-policy.js';
+import { loadTlsOptions, certificateFingerprint } from './tls.js';
+import { VendorAssets } from './vendor-assets.js';
+import { EXPORT_CONTENT_TYPES, normalizeTranscript, renderExport } from './session-export.js';
 import {
   MAX_INPUT_LENGTH,
   DEFAULT_PORT,
   MIN_PORT,
   MAX_PORT,
   MAX_CONNECTIONS,
+  MAX_TABS,
+  TAB_ID_PATTERN,
+  DEFAULT_TAB_ID,
+  MAX_BUFFER_SIZE,
+  MAX_LOGIN_BODY_SIZE,
   PROJECTS_BASE_DIR,
+  DATA_DIR,
+  SESSION_ACTIVE_WINDOW_MS,
+  EXPORT_FORMATS,
+  ATTACHMENT_MAX_BYTES,
 } from './constants.js';
 import os from 'os';
 
@@ -37,6 +61,75 @@ const PROJECT_DIR =
 // M-4: Track active connections
 let activeConnections = 0;
 
+// H-4: Origin/Host allowlist (TINYCC_ALLOWED_ORIGINS: hostnames, CIDR ranges, optional ports)
+let originPolicy = new OriginPolicy(process.env.TINYCC_ALLOWED_ORIGINS || '');
+
+// Routes CLI permission prompts (via src/permission-mcp.js) to the owning connection
+const permissionBroker = new PermissionBroker();
+
+// CLI runs outlive their WebSocket for a grace period so clients can reattach
+const runRegistry = new RunRegistry({
+  onRemove: (run) => {
+    // A discarded run gives up its queue place or process slot
+    runQueue.cancel(run);
+    runQueue.release(run);
+    if (run.cliRunner) {
+      run.cliRunner.stop();
+      run.cliRunner = null;
+    }
+    if (run.permissionToken) {
+      permissionBroker.unregister(run.permissionToken);
+      run.permissionToken = null;
+    }
+    if (run.attachmentDir) {
+      attachmentStore.removeRunDir(run.attachmentDir).catch(() => {});
+      run.attachmentDir = null;
+    }
+  },
+});
+
+// Transcript summaries for the sessions panel (persisted under DATA_DIR by startServer)
+let sessionIndex = new SessionIndex();
+// Custom titles, stars and archive flags (sidecar, persisted under DATA_DIR by startServer)
+let sessionMetadata = new SessionMetadataStore();
+// Running cost / token totals per session and per day (persisted under DATA_DIR by startServer)
+let usageTracker = new UsageTracker();
+// Uploaded attachments: staged until sent, then kept in the run's temp directory
+let attachmentStore = new AttachmentStore();
+// Global limit on concurrent CLI processes; further prompts wait in FIFO order
+// (TINYCC_MAX_RUNS, applied by startServer)
+let runQueue = new RunQueue();
+// Background jobs: status / result / output persisted under DATA_DIR/jobs (set by startServer)
+let jobStore = null;
+// Jobs waiting for or holding a run slot: jobId -> {cliRunner, permissionToken,
+// attachmentDir, viewers: Set<WebSocket>, permissionRequests: Map, killed, result}
+const liveJobs = new Map();
+// Open connections (job status changes are pushed to all of them)
+const connectedClients = new Set();
+// Run-finished webhook / hook command (TINYCC_NOTIFY_*, applied by startServer)
+let notifier = new Notifier();
+
+// Live session list updates: connection -> project whose sessions panel it shows
+const sessionSubscribers = new Map();
+// Follow-up pushes that clear a project's "active" markers once its writes stop
+const activityTimers = new Map();
+
+// Vendored marked / DOMPurify served under /vendor/ (hash-checked against the manifest)
+const vendorAssets = new VendorAssets();
+
+// Loopback addresses allowed to call the internal permission endpoint
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Messages addressed to a tab (tabId omitted = DEFAULT_TAB_ID)
+const TAB_MESSAGE_TYPES = [
+  'start',
+  'input',
+  'stop',
+  'permission-response',
+  'reattach',
+  'close-tab',
+];
+
 /**
  * Log with timestamp
  * Security: Sanitizes message to prevent log injection
@@ -80,15 +173,780 @@ export function validateInput(input) {
 }
 
 /**
- * Create HTTP server for static file serving
+ * Resolve client-supplied project name to its directory under the projects base
+ * Security: path.resolve() + startsWith() keeps the result inside the projects base (C-1)
+ * @param {string} projectName - Project directory name from client
+ * @returns {string} Absolute path to project directory
+ * @throws {Error} If project name escapes the projects base directory
  */
-function createHttpServer() {
-  return http.createServer(async (req, res) => {
+function resolveProjectDir(projectName) {
+  const projectsBase = path.join(os.homedir(), PROJECTS_BASE_DIR);
+  const requestedPath = path.resolve(projectsBase, String(projectName));
+
+  if (!requestedPath.startsWith(projectsBase + path.sep) && requestedPath !== projectsBase) {
+    throw new Error('Invalid project name: path traversal detected');
+  }
+
+  return requestedPath;
+}
+
+/**
+ * Resolve a project name the request must supply (no CLAUDE_PROJECT_DIR fallback)
+ * Security: Same traversal checks as resolveProjectDir() (C-1)
+ * @param {string} projectName - Client-supplied project directory name
+ * @returns {string} Absolute project directory
+ * @throws {Error} If the name is missing or escapes the projects base
+ */
+function resolveRequiredProjectDir(projectName) {
+  if (typeof projectName !== 'string' || projectName.length === 0) {
+    throw new Error('Invalid project name');
+  }
+  return resolveProjectDir(projectName);
+}
+
+/**
+ * Tell connections subscribed to a project that its session list changed
+ * Clients re-request the pages they show (lists are paged and sorted per client)
+ * @param {string} projectName - Project directory name
+ */
+function pushSessionsChanged(projectName) {
+  const payload = JSON.stringify({ type: 'sessions-changed', projectName });
+
+  for (const [ws, subscribed] of sessionSubscribers) {
+    if (subscribed === projectName && ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  }
+}
+
+/**
+ * Session index callback: a transcript in a project was added, written or deleted
+ * Pushes now, and again once SESSION_ACTIVE_WINDOW_MS passes without further writes so
+ * the "active" marker clears
+ * @param {string} projectName - Project directory name
+ */
+function handleSessionsChanged(projectName) {
+  pushSessionsChanged(projectName);
+
+  clearTimeout(activityTimers.get(projectName));
+  const timer = setTimeout(() => {
+    activityTimers.delete(projectName);
+    pushSessionsChanged(projectName);
+  }, SESSION_ACTIVE_WINDOW_MS);
+  timer.unref();
+  activityTimers.set(projectName, timer);
+}
+
+/**
+ * Session index callback: a project directory was added or removed
+ */
+function handleProjectsChanged() {
+  if (sessionSubscribers.size === 0) {
+    return;
+  }
+
+  SessionManager.listProjects()
+    .then((projects) => {
+      const payload = JSON.stringify({ type: 'projects-changed', projects });
+      for (const ws of sessionSubscribers.keys()) {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(payload);
+        }
+      }
+    })
+    .catch((err) => {
+      log(`Project list push error: ${err.message}`);
+    });
+}
+
+/**
+ * Push a job's status to every connection (jobs panel and job tabs)
+ * @param {Object|null} job - Job record
+ * @param {Object} [queue] - {position, estimatedWaitMs} while the job waits for a run slot
+ */
+function broadcastJob(job, queue = {}) {
+  if (!job) {
+    return;
+  }
+  const payload = JSON.stringify({ type: 'job-updated', job: JobStore.summarize(job), ...queue });
+  for (const ws of connectedClients) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  }
+}
+
+/**
+ * Send a message to the connections that have a job open
+ * @param {string} jobId - Job ID
+ * @param {Object} message - Message object
+ */
+function sendToJobViewers(jobId, message) {
+  const live = liveJobs.get(jobId);
+  if (!live) {
+    return;
+  }
+  const payload = JSON.stringify(message);
+  for (const ws of live.viewers) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  }
+}
+
+/**
+ * Persist a job's status change and push it to every connection
+ * @param {string} jobId - Job ID
+ * @param {Object} fields - Fields to overwrite
+ * @returns {Promise<void>}
+ */
+function updateJob(jobId, fields) {
+  return jobStore.update(jobId, fields).then(
+    (job) => broadcastJob(job),
+    (err) => log(`Job store error: ${err.message}`)
+  );
+}
+
+/**
+ * Notify the configured channels that a run ended on its own (not stopped by the user)
+ * Delivery happens in the background; failures are only logged
+ * @param {Object} run - {kind, jobId, sessionId, projectName, exitCode, result, startedAt}
+ */
+function notifyRunFinished(run) {
+  notifier.runFinished(run)?.then((results) => {
+    for (const result of results) {
+      if (!result.ok) {
+        log(
+          `Notification via ${result.channel} failed after ${result.attempts} attempts: ${result.error}`
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Whether a chat run or a background job is writing a session
+ * @param {string} sessionId - CLI session ID
+ * @param {Run|null} [exceptRun] - Run to ignore (the tab's run about to be superseded)
+ * @returns {boolean}
+ */
+function isSessionRunning(sessionId, exceptRun = null) {
+  if (runRegistry.hasRunningSession(sessionId, exceptRun)) {
+    return true;
+  }
+  for (const jobId of liveJobs.keys()) {
+    if (jobStore.get(jobId)?.sessionId === sessionId) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Start a background job: validated like a chat turn, then queued for a run slot
+ * The CLI belongs to no connection; its parsed output is persisted (see src/job-store.js)
+ * @param {Object} message - start-job message ({text, projectName, options, attachments})
+ * @returns {Promise<Object>} Job
+ * @throws {Error} If the prompt, options, project or attachments are invalid, or the run
+ *   queue is full
+ */
+async function startJob(message) {
+  validateInput(message.text);
+  // Security: Whitelisted model / permission mode / tools / limits only (see SPEC)
+  const runOptions = validateRunOptions(message.options);
+
+  const projectName = message.projectName || null;
+  let cwd = null;
+  if (projectName) {
+    const manager = new SessionManager(resolveProjectDir(projectName));
+    cwd = await manager.resolveWorkingDirectory();
+    if (!cwd) {
+      throw new Error('Project working directory could not be resolved');
+    }
+  }
+
+  const attachmentDir = await attachmentStore.createRunDir();
+  let files = null;
+  let job;
+  try {
+    if (message.attachments !== undefined) {
+      files = await attachmentStore.claim(message.attachments, attachmentDir);
+    }
+    job = await jobStore.create({ projectName, prompt: message.text });
+  } catch (err) {
+    // Claimed uploads live in the run directory, so they are removed with it
+    await attachmentStore.removeRunDir(attachmentDir);
+    throw err;
+  }
+
+  liveJobs.set(job.jobId, {
+    cliRunner: null,
+    permissionToken: null,
+    attachmentDir,
+    viewers: new Set(),
+    permissionRequests: new Map(),
+    killed: false,
+    result: null,
+  });
+
+  try {
+    runQueue.enqueue(
+      job.jobId,
+      () => runJob(job.jobId, { cwd, runOptions, files, text: message.text }),
+      (queue) => broadcastJob(jobStore.get(job.jobId), queue)
+    );
+  } catch (err) {
+    await finishJob(job.jobId, null, 'Run queue is full');
+    throw err;
+  }
+  return jobStore.get(job.jobId);
+}
+
+/**
+ * Spawn a job's CLI once it holds a run slot
+ * @param {string} jobId - Job ID
+ * @param {Object} params - {cwd, runOptions, files, text} validated by startJob
+ */
+function runJob(jobId, { cwd, runOptions, files, text }) {
+  const live = liveJobs.get(jobId);
+
+  // Tool approvals go to whoever has the job open (denied after PERMISSION_TIMEOUT_MS)
+  live.permissionToken = permissionBroker.register((request) => {
+    live.permissionRequests.set(request.requestId, request);
+    sendToJobViewers(jobId, { type: 'permission-request', jobId, ...request });
+  });
+
+  try {
+    const cliRunner = new CLIRunner({
+      sessionId: null,
+      cwd,
+      mcpConfigPath: permissionBroker.writeMcpConfig(live.permissionToken),
+      runOptions,
+      attachmentDir: live.attachmentDir,
+    });
+    live.cliRunner = cliRunner;
+
+    connectCliOutput(cliRunner, {
+      send: (msg) => recordJobMessage(jobId, msg),
+      // Lets the job's conversation be continued in a chat tab once it is finished
+      onSessionId: (id) => {
+        updateJob(jobId, { sessionId: id });
+      },
+      getSessionId: () => jobStore.get(jobId)?.sessionId,
+    });
+    cliRunner.onExit((code) => {
+      finishJob(jobId, code);
+    });
+
+    updateJob(jobId, { status: 'running', startedAt: Date.now() });
+    cliRunner.start();
+    if (files) {
+      cliRunner.sendInput(text, files);
+    } else {
+      cliRunner.sendInput(text);
+    }
+  } catch (err) {
+    log(`Job start error: ${err.message}`);
+    live.cliRunner = null;
+    finishJob(jobId, null, 'Failed to start');
+  }
+}
+
+/**
+ * Persist a parsed CLI message of a job and forward it to open viewers
+ * Text deltas are only streamed live; the complete assistant message is what gets stored
+ * @param {string} jobId - Job ID
+ * @param {Object} msg - Parsed message
+ */
+function recordJobMessage(jobId, msg) {
+  if (msg.type === 'result') {
+    // Full event kept for the run-finished notification
+    const live = liveJobs.get(jobId);
+    if (live) {
+      live.result = msg;
+    }
+    updateJob(jobId, { result: summarizeResult(msg) });
+  }
+
+  const seq =
+    msg.type === 'text-delta' || msg.type === 'message-start' ? null : jobStore.append(jobId, msg);
+  sendToJobViewers(jobId, {
+    type: 'job-event',
+    jobId,
+    ...(seq !== null && { seq }),
+    message: msg,
+  });
+}
+
+/**
+ * Settle a job: free its run slot and record how it ended
+ * done = exit code 0 with a successful result; killed = stopped by a client; else failed
+ * @param {string} jobId - Job ID
+ * @param {number|null} code - CLI exit code (null if the CLI never ran)
+ * @param {string|null} [error] - Reason shown in the jobs list
+ * @returns {Promise<void>}
+ */
+async function finishJob(jobId, code, error = null) {
+  const live = liveJobs.get(jobId);
+  if (!live) {
+    return;
+  }
+
+  if (live.cliRunner) {
+    recordJobMessage(jobId, { type: 'exit', code });
+  }
+  liveJobs.delete(jobId);
+  runQueue.release(jobId);
+  permissionBroker.unregister(live.permissionToken);
+  attachmentStore.removeRunDir(live.attachmentDir).catch(() => {});
+
+  const job = jobStore.get(jobId);
+  let status = 'failed';
+  if (live.killed) {
+    status = 'killed';
+  } else if (code === 0 && job.result && !job.result.isError) {
+    status = 'done';
+  }
+  await updateJob(jobId, { status, endedAt: Date.now(), exitCode: code, error });
+
+  if (live.cliRunner && !live.killed) {
+    notifyRunFinished({
+      kind: 'job',
+      jobId,
+      sessionId: job.sessionId,
+      projectName: job.projectName,
+      exitCode: code,
+      result: live.result,
+      startedAt: job.startedAt,
+    });
+  }
+}
+
+/**
+ * Kill a job: take it out of the run queue, or stop its CLI (the exit then settles it)
+ * @param {*} jobId - Client-supplied job ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the job is unknown or already finished
+ */
+async function killJob(jobId) {
+  const live = typeof jobId === 'string' ? liveJobs.get(jobId) : undefined;
+  if (!live) {
+    throw new Error('Job is not running');
+  }
+
+  live.killed = true;
+  if (runQueue.cancel(jobId) || !live.cliRunner) {
+    await finishJob(jobId, null);
+    return;
+  }
+  live.cliRunner.stop();
+}
+
+/**
+ * Parse a CLI runner's output into client messages
+ * Completed turns get their cost / tokens added to the running totals shown in the footer
+ * @param {CLIRunner} cliRunner - Runner (not started yet)
+ * @param {Object} handlers
+ * @param {Function} handlers.send - Called with each message for the client
+ * @param {Function} handlers.onSessionId - Called with the session ID the CLI reports
+ * @param {Function} handlers.getSessionId - Session the output belongs to (usage totals)
+ */
+function connectCliOutput(cliRunner, { send, onSessionId, getSessionId }) {
+  const streamParser = new StreamParser();
+  streamParser.onSessionId(onSessionId);
+
+  streamParser.onMessage((msg) => {
+    if (msg.type === 'result') {
+      send({
+        ...msg,
+        totals: usageTracker.record(streamParser.sessionId || getSessionId(), msg),
+      });
+      return;
+    }
+    send(msg);
+  });
+
+  // Handle CLI output
+  cliRunner.onOutput((chunk) => {
+    try {
+      streamParser.parse(chunk.toString());
+    } catch (err) {
+      log(`Stream parser error: ${err.message}`);
+      // M-2: Generic error message to client
+      send({
+        type: 'error',
+        message: 'Failed to parse CLI output',
+      });
+    }
+  });
+
+  // M-2: stderr logged only, generic message to client
+  cliRunner.onError((chunk) => {
+    log(`CLI stderr: ${chunk.toString()}`);
+    send({
+      type: 'error',
+      message: 'CLI process encountered an error',
+    });
+  });
+}
+
+/**
+ * Handle permission request from the MCP bridge (POST /internal/permission)
+ * Long-polls until the browser answers, then returns the permission result as JSON
+ * Security: Loopback callers only; the run token is checked by PermissionBroker
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ */
+async function handlePermissionRequest(req, res) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Content-Type-Options': 'nosniff',
+  };
+
+  if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+    res.writeHead(403, headers);
+    res.end(JSON.stringify({ behavior: 'deny', message: 'Forbidden' }));
+    return;
+  }
+
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    // Security: Prevent memory exhaustion from oversized bodies
+    if (body.length > MAX_BUFFER_SIZE) {
+      res.writeHead(413, headers);
+      res.end(JSON.stringify({ behavior: 'deny', message: 'Payload too large' }));
+      return;
+    }
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    res.writeHead(400, headers);
+    res.end(JSON.stringify({ behavior: 'deny', message: 'Invalid JSON' }));
+    return;
+  }
+
+  const result = await permissionBroker.request(
+    payload.token,
+    String(payload.tool_name),
+    payload.input && typeof payload.input === 'object' ? payload.input : {}
+  );
+
+  res.writeHead(200, headers);
+  res.end(JSON.stringify(result));
+}
+
+/**
+ * Download a session transcript (GET /export/<project>/<sessionId>.<md|html|json>)
+ * Security: Project name goes through resolveRequiredProjectDir() and the session ID through
+ * validateSessionId() (C-1); failures get a bare 400 with no detail
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} pathname - Request path
+ */
+async function handleExport(req, res, pathname) {
+  const plainHeaders = {
+    'Content-Type': 'text/plain',
+    'X-Content-Type-Options': 'nosniff',
+  };
+
+  const match = /^\/export\/([^/]+)\/([^/]+)\.([a-z]+)$/.exec(pathname);
+  let manager;
+  let sessionId;
+  let format;
+  try {
+    if (req.method !== 'GET' || !match || !EXPORT_FORMATS.includes(match[3])) {
+      throw new Error('Invalid export request');
+    }
+    sessionId = match[2];
+    format = match[3];
+    const projectName = decodeURIComponent(match[1]);
+    manager = new SessionManager(
+      resolveRequiredProjectDir(projectName),
+      sessionIndex,
+      sessionMetadata
+    );
+    manager.resolveSessionFile(sessionId);
+  } catch {
+    res.writeHead(400, plainHeaders);
+    res.end('Bad Request');
+    return;
+  }
+
+  let transcript;
+  try {
+    transcript = await manager.readTranscript(sessionId);
+  } catch (err) {
+    if (err.code === 'ETOOLARGE') {
+      res.writeHead(413, plainHeaders);
+      res.end('Payload Too Large');
+      return;
+    }
+    // ENOENT -> 404 in the caller
+    throw err;
+  }
+
+  const body = renderExport(
+    {
+      sessionId,
+      projectName: path.basename(manager.projectDir),
+      title: transcript.title,
+      messages: normalizeTranscript(transcript.entries),
+    },
+    format
+  );
+
+  res.writeHead(200, {
+    'Content-Type': EXPORT_CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${sessionId}.${format}"`,
+    // Transcripts may contain secrets from tool output
+    'Cache-Control': 'no-store',
+    // M-1: The HTML export carries only inline styles; nothing else may load or run
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline';",
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+  });
+  res.end(body);
+}
+
+/**
+ * Stage an attachment (POST /upload?name=<file name>, raw file bytes as the body)
+ * Answers {id, name, type, size}; the id is sent later in an `input` message
+ * Security: Browser requests must come from an allowed Origin (H-4); size, extension and
+ * content are checked by src/attachments.js and failures get a bare 400 with no detail
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {URL} url - Parsed request URL
+ */
+async function handleUpload(req, res, url) {
+  const plainHeaders = {
+    'Content-Type': 'text/plain',
+    'X-Content-Type-Options': 'nosniff',
+  };
+
+  if (req.method !== 'POST' || !isAllowedOrigin(req.headers.origin)) {
+    res.writeHead(403, plainHeaders);
+    res.end('Forbidden');
+    return;
+  }
+
+  // Security: Prevent memory exhaustion; refuse early when the declared size is too big
+  if (Number(req.headers['content-length']) > ATTACHMENT_MAX_BYTES) {
+    res.writeHead(413, plainHeaders);
+    res.end('Payload Too Large');
+    req.resume();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > ATTACHMENT_MAX_BYTES) {
+      res.writeHead(413, plainHeaders);
+      res.end('Payload Too Large');
+      return;
+    }
+    chunks.push(chunk);
+  }
+
+  let upload;
+  try {
+    upload = await attachmentStore.stage(url.searchParams.get('name'), Buffer.concat(chunks));
+  } catch (err) {
+    log(`Upload rejected: ${sanitizeLogMessage(err.message)}`);
+    res.writeHead(400, plainHeaders);
+    res.end('Bad Request');
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'application/json',
+    'Cache-Control': 'no-store',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.end(JSON.stringify(upload));
+}
+
+/**
+ * Handle login form submission (POST /login)
+ * Security: Failed attempts count towards per-address lockout in AuthManager
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {AuthManager} authManager - Authentication manager
+ */
+async function handleLogin(req, res, authManager) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_LOGIN_BODY_SIZE) {
+      res.writeHead(413, {
+        'Content-Type': 'text/plain',
+        'X-Content-Type-Options': 'nosniff',
+      });
+      res.end('Payload Too Large');
+      return;
+    }
+  }
+
+  const secret = new URLSearchParams(body).get('secret') || '';
+  const result = authManager.login(req.socket.remoteAddress, secret);
+
+  if (result.ok) {
+    log(`Login succeeded from ${req.socket.remoteAddress}`);
+    res.writeHead(303, {
+      Location: '/',
+      'Set-Cookie': authManager.sessionCookie(result.sessionId),
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.end();
+    return;
+  }
+
+  log(`Login failed from ${req.socket.remoteAddress}${result.locked ? ' (locked out)' : ''}`);
+  res.writeHead(303, {
+    Location: result.locked ? '/login?error=locked' : '/login?error=invalid',
+    'X-Content-Type-Options': 'nosniff',
+  });
+  res.end();
+}
+
+/**
+ * Check authentication for an HTTP request, answering it if access is denied
+ * Login page and stylesheets are public; everything else requires a session cookie
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} pathname - Request path without query string
+ * @param {AuthManager|null} authManager - Authentication manager (null = disabled)
+ * @returns {boolean} True if the request may proceed
+ */
+function checkAuth(req, res, pathname, authManager) {
+  if (!authManager) return true;
+
+  const isPublic =
+    pathname === '/login' || pathname.startsWith('/css/') || pathname === '/js/login.js';
+  if (isPublic || authManager.isAuthenticated(req)) {
+    return true;
+  }
+
+  if (pathname === '/' || pathname === '/index.html') {
+    res.writeHead(302, {
+      Location: '/login',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.end();
+  } else {
+    res.writeHead(401, {
+      'Content-Type': 'text/plain',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    res.end('Unauthorized');
+  }
+  return false;
+}
+
+/**
+ * Create HTTP(S) server for static file serving
+ * @param {AuthManager|null} authManager - Authentication manager (null = disabled)
+ * @param {{cert: string, key: string}|null} [tls] - TLS material (null = plain HTTP)
+ */
+function createHttpServer(authManager, tls = null) {
+  const handler = async (req, res) => {
     try {
+      // Security: Host allowlist blocks DNS rebinding
+      if (!originPolicy.isAllowedHost(req.headers.host, Boolean(req.socket.encrypted))) {
+        res.writeHead(403, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end('Forbidden');
+        return;
+      }
+
+      // Loopback-only bridge endpoint, authenticated by run token instead of cookie
+      // (served by createPermissionServer() instead when TLS is enabled)
+      if (!tls && req.method === 'POST' && req.url === '/internal/permission') {
+        await handlePermissionRequest(req, res);
+        return;
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      const { pathname } = url;
+
+      // Security: Login / logout change the session cookie, so a cross-site form must not be
+      // able to post them (login / logout CSRF); same Origin allowlist as WebSocket upgrades
+      if (
+        authManager &&
+        req.method === 'POST' &&
+        (pathname === '/login' || pathname === '/logout') &&
+        !isAllowedOrigin(req.headers.origin)
+      ) {
+        res.writeHead(403, {
+          'Content-Type': 'text/plain',
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end('Forbidden');
+        return;
+      }
+
+      if (authManager && req.method === 'POST' && pathname === '/login') {
+        await handleLogin(req, res, authManager);
+        return;
+      }
+
+      if (authManager && req.method === 'POST' && pathname === '/logout') {
+        authManager.logout(req);
+        res.writeHead(303, {
+          Location: '/login',
+          'Set-Cookie': authManager.clearedCookie(),
+          'X-Content-Type-Options': 'nosniff',
+        });
+        res.end();
+        return;
+      }
+
+      if (!checkAuth(req, res, pathname, authManager)) {
+        return;
+      }
+
+      if (pathname.startsWith('/export/')) {
+        await handleExport(req, res, pathname);
+        return;
+      }
+
+      if (pathname === '/upload') {
+        await handleUpload(req, res, url);
+        return;
+      }
+
+      if (pathname.startsWith('/vendor/')) {
+        const content = await vendorAssets.get(pathname.slice('/vendor/'.length));
+        if (!content) {
+          res.writeHead(404, {
+            'Content-Type': 'text/plain',
+            'X-Content-Type-Options': 'nosniff',
+          });
+          res.end('Not Found');
+          return;
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'application/javascript',
+          'X-Content-Type-Options': 'nosniff',
+          'X-Frame-Options': 'DENY',
+        });
+        res.end(content);
+        return;
+      }
+
       let filePath;
 
       if (req.url === '/' || req.url === '/index.html') {
         filePath = path.join(__dirname, '../public/index.html');
+      } else if (pathname === '/login') {
+        filePath = path.join(__dirname, '../public/login.html');
       } else if (req.url.startsWith('/css/')) {
         filePath = path.join(__dirname, '../public', req.url);
       } else if (req.url.startsWith('/js/')) {
@@ -135,7 +993,7 @@ function createHttpServer() {
 
       if (ext === '.html') {
         headers['Content-Security-Policy'] =
-          "default-src 'self'; script-src 'self' https://cdn.jsdelivr.net; style-src 'self' 'unsafe-inline';";
+          "default-src 'self'; script-src 'self'; style-src 'self' 'unsafe-inline';";
       }
 
       res.writeHead(200, headers);
@@ -156,6 +1014,39 @@ function createHttpServer() {
         res.end('Internal Server Error');
       }
     }
+  };
+
+  return tls
+    ? https.createServer({ cert: tls.cert, key: tls.key }, handler)
+    : http.createServer(handler);
+}
+
+/**
+ * Create loopback-only plain HTTP server for the permission bridge
+ * Why: In TLS mode the MCP bridge would otherwise have to trust the (self-signed)
+ * certificate; a 127.0.0.1 listener keeps the bridge dependency-free
+ * @returns {http.Server} Server handling POST /internal/permission only
+ */
+function createPermissionServer() {
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'POST' && req.url === '/internal/permission') {
+        await handlePermissionRequest(req, res);
+        return;
+      }
+      res.writeHead(404, {
+        'Content-Type': 'text/plain',
+        'X-Content-Type-Options': 'nosniff',
+      });
+      res.end('Not Found');
+    } catch (err) {
+      log(`Permission bridge error: ${err.message}`);
+      res.writeHead(500, {
+        'Content-Type': 'text/plain',
+        'X-Content-Type-Options': 'nosniff',
+      });
+      res.end('Internal Server Error');
+    }
   });
 }
 
@@ -168,16 +1059,9 @@ function createHttpServer() {
 function isAllowedOrigin(origin) {
   // M-NEW-1: origin未設定は非ブラウザクライアント（curl, wscat等）を許可
   // WebSocketはSame-Origin PolicyがないためOriginヘッダーは任意
-  // 本番環境では認証レイヤーで保護すべき
-  if (!origin) return true;
-
-  try {
-    const url = new URL(origin);
-    // H-NEW-1: hostname厳密一致でsubstring bypassを防止
-    return url.hostname === 'localhost' || url.hostname === '127.0.0.1';
-  } catch {
-    return false;
-  }
+  // 認証レイヤー（src/auth.js）で保護する
+  // H-NEW-1: hostname厳密一致 + CIDR/ポート許可リスト（src/origin-policy.js）
+  return originPolicy.isAllowedOrigin(origin);
 }
 
 /**
@@ -213,87 +1097,262 @@ function handleConnection(ws, req) {
   }
 
   activeConnections++;
+  connectedClients.add(ws);
   log(`Client connected (${activeConnections}/${MAX_CONNECTIONS})`);
 
-  let cliRunner = null;
-  let streamParser = null;
+  // Chat tabs: tabId -> {conversation, run}. Each tab is its own multi-turn conversation
+  // (CLI session continued by follow-up turns, shared with the runs it spawns so a
+  // reconnecting client picks it back up) and follows its own CLI run, which outlives the
+  // socket (see src/run-registry.js). Tabs run concurrently
+  const tabs = new Map();
+
+  /**
+   * Look up the tab a message is addressed to
+   * @param {*} tabId - Client-supplied tab ID (undefined = DEFAULT_TAB_ID)
+   * @param {boolean} [open] - Open the tab if it does not exist yet (start / reattach)
+   * @returns {Object|undefined} Tab
+   * @throws {Error} If the ID is invalid or MAX_TABS would be exceeded
+   */
+  const getTab = (tabId, open = false) => {
+    const id = tabId === undefined ? DEFAULT_TAB_ID : tabId;
+    if (typeof id !== 'string' || !TAB_ID_PATTERN.test(id)) {
+      throw new Error('Invalid tab ID');
+    }
+
+    let tab = tabs.get(id);
+    if (!tab && open) {
+      // Security: Bound the CLI processes one connection can keep running
+      if (tabs.size >= MAX_TABS) {
+        throw new Error('Too many tabs');
+      }
+      tab = {
+        tabId: id,
+        conversation: { sessionId: null, projectName: null, permissionGrants: new Set() },
+        run: null,
+      };
+      tabs.set(id, tab);
+    }
+    return tab;
+  };
+
+  // Delivery function for runs attached to this connection
+  const sendToClient = (data) => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(data);
+    }
+  };
 
   ws.on('message', async (data) => {
+    // Tab of the request, echoed in errors so the client shows them in (and only stops)
+    // that tab; requests that are not about a tab get errors without a tabId
+    let requestTabId = null;
     try {
       const message = JSON.parse(data.toString());
+      if (typeof message.tabId === 'string' && TAB_ID_PATTERN.test(message.tabId)) {
+        requestTabId = message.tabId;
+      } else if (
+        message.tabId === undefined &&
+        message.jobId === undefined &&
+        TAB_MESSAGE_TYPES.includes(message.type)
+      ) {
+        requestTabId = DEFAULT_TAB_ID;
+      }
 
       if (message.type === 'start') {
-        // Start new CLI session
-        const sessionId = message.sessionId || null;
+        // Explicit sessionId resumes that session; otherwise follow-up turns continue
+        // the tab's conversation unless the client asks for a fresh one
+        // ("allow for this session" tool approvals reset along with it)
+        // Security: Validate client input before any tab or run state changes, so a rejected
+        // start leaves neither a bad session ID in the conversation nor an orphaned run
+        if (message.sessionId) {
+          validateSessionId(message.sessionId);
+        }
+        // Security: Whitelisted model / permission mode / tools / limits only (see SPEC)
+        const runOptions = validateRunOptions(message.options);
 
-        // Each CLI invocation is single-use (`claude -p`)
-        cliRunner = new CLIRunner({ sessionId });
-        streamParser = new StreamParser();
+        const tab = getTab(message.tabId, true);
+        const projectName = message.projectName || null;
+        if (message.newSession || projectName !== tab.conversation.projectName) {
+          tab.conversation = { sessionId: null, projectName, permissionGrants: new Set() };
+        }
+        const { conversation } = tab;
+        const sessionId = message.sessionId || conversation.sessionId;
+        // Two CLI processes appending to one transcript would interleave it
+        if (sessionId && isSessionRunning(sessionId, tab.run)) {
+          throw new Error('Session is running in another tab');
+        }
+        // Run the CLI inside the selected project's real working directory
+        let cwd = null;
+        if (projectName) {
+          const manager = new SessionManager(resolveProjectDir(projectName));
+          cwd = await manager.resolveWorkingDirectory();
+          if (!cwd) {
+            throw new Error('Project working directory could not be resolved');
+          }
+        }
 
-        // Forward parsed messages to client
-        streamParser.onMessage((msg) => {
-          ws.send(JSON.stringify(msg));
-        });
+        // Private directory the attachments of this run's prompt are moved into
+        const attachmentDir = await attachmentStore.createRunDir();
 
-        // Handle CLI output
-        cliRunner.onOutput((chunk) => {
-          try {
-            streamParser.parse(chunk.toString());
-          } catch (err) {
-            log(`Stream parser error: ${err.message}`);
-            // M-2: Generic error message to client
-            ws.send(
-              JSON.stringify({
-                type: 'error',
-                message: 'Failed to parse CLI output',
-              })
-            );
-          }
+        // The tab's previous run is superseded (its output was already delivered)
+        if (tab.run) {
+          runRegistry.remove(tab.run);
+        }
+        conversation.sessionId = sessionId;
+        const run = runRegistry.create({ conversation, sender: sendToClient });
+        run.attachmentDir = attachmentDir;
+        tab.run = run;
+
+        // Browser permission prompts for this run
+        run.permissionToken = permissionBroker.register((request) => {
+          run.send({
+            type: 'permission-request',
+            ...request,
+          });
+        }, conversation.permissionGrants);
+        const mcpConfigPath = permissionBroker.writeMcpConfig(run.permissionToken);
+
+        // Each CLI invocation is single-use (`claude -p`)
+        const cliRunner = new CLIRunner({
+          sessionId,
+          cwd,
+          mcpConfigPath,
+          runOptions,
+          attachmentDir,
         });
+        run.cliRunner = cliRunner;
 
-        // M-2: stderr logged only, generic message to client
-        cliRunner.onError((chunk) => {
-          log(`CLI stderr: ${chunk.toString()}`);
-          ws.send(
-            JSON.stringify({
-              type: 'error',
-              message: 'CLI process encountered an error',
-            })
-          );
+        // Forward parsed messages to client
+        connectCliOutput(cliRunner, {
+          send: (msg) => {
+            if (msg.type === 'result') {
+              // Summarized in the run-finished notification
+              run.lastResult = msg;
+            }
+            run.send(msg);
+          },
+          // Remember the CLI's session ID so the next turn resumes it with `-r`
+          onSessionId: (id) => {
+            run.conversation.sessionId = id;
+            run.send({
+              type: 'session',
+              sessionId: id,
+            });
+          },
+          getSessionId: () => run.conversation.sessionId,
         });
 
         // Handle CLI exit
         cliRunner.onExit((code) => {
-          ws.send(
-            JSON.stringify({
-              type: 'exit',
-              code,
-            })
-          );
+          run.send({
+            type: 'exit',
+            code,
+          });
+          // Stopped runs had their reference cleared already: the user is watching
+          if (run.cliRunner === cliRunner) {
+            notifyRunFinished({
+              kind: 'chat',
+              sessionId: run.conversation.sessionId,
+              projectName,
+              exitCode: code,
+              result: run.lastResult,
+              startedAt: run.startedAt,
+            });
+          }
           // CLIRunner is single-use, clear reference
-          cliRunner = null;
+          run.exited = true;
+          run.cliRunner = null;
+          permissionBroker.unregister(run.permissionToken);
+          run.permissionToken = null;
+          // Next queued prompt gets the slot
+          runQueue.release(run);
         });
 
-        cliRunner.start();
-
-        ws.send(
-          JSON.stringify({
-            type: 'started',
-            sessionId,
-          })
-        );
+        // The process is spawned when the prompt arrives and a run slot is free (see 'input')
+        run.send({
+          type: 'started',
+          sessionId,
+          tabId: tab.tabId,
+        });
       } else if (message.type === 'input') {
         // Validate and send user input to CLI
         validateInput(message.text);
 
-        if (!cliRunner) {
+        const run = getTab(message.tabId)?.run;
+        if (!run?.cliRunner) {
           // Need to start a new CLIRunner for each input
           // since `claude -p` is single-prompt mode
           throw new Error('CLI not started');
         }
 
-        cliRunner.sendInput(message.text);
+        let files = null;
+        if (message.attachments !== undefined) {
+          // Uploaded files (POST /upload) move into the run's directory; the prompt lists them
+          files = await attachmentStore.claim(message.attachments, run.attachmentDir);
+          if (!run.cliRunner) {
+            throw new Error('CLI not started');
+          }
+        }
+
+        // Spawn the CLI once a run slot is free; until then the client sees its place in line
+        const { cliRunner } = run;
+        let queued = false;
+        runQueue.enqueue(
+          run,
+          () => {
+            if (queued) {
+              run.send({ type: 'dequeued', cancelled: false });
+            }
+            try {
+              run.startedAt = Date.now();
+              cliRunner.start();
+              if (files) {
+                cliRunner.sendInput(message.text, files);
+              } else {
+                cliRunner.sendInput(message.text);
+              }
+            } catch (err) {
+              // May run from another connection's handler: report to this run only
+              log(`CLI start error: ${err.message}`);
+              runQueue.release(run);
+              run.send({
+                type: 'error',
+                message: 'Failed to process request',
+              });
+            }
+          },
+          ({ position, estimatedWaitMs }) => {
+            queued = true;
+            run.send({ type: 'queued', position, estimatedWaitMs });
+          }
+        );
         // After sendInput, cliRunner will exit automatically
+      } else if (message.type === 'reattach') {
+        // Reconnected client resumes following a run and replays what it missed
+        const lastSeq = message.lastSeq === undefined ? 0 : message.lastSeq;
+        if (!Number.isSafeInteger(lastSeq) || lastSeq < 0) {
+          throw new Error('Invalid reattach sequence');
+        }
+
+        const run = runRegistry.get(message.runId);
+        if (!run) {
+          ws.send(
+            JSON.stringify({
+              type: 'reattach-failed',
+              ...(requestTabId && { tabId: requestTabId }),
+            })
+          );
+          return;
+        }
+
+        const tab = getTab(message.tabId, true);
+
+        if (tab.run && tab.run !== run) {
+          runRegistry.detach(tab.run, sendToClient);
+        }
+        tab.run = run;
+        tab.conversation = run.conversation;
+        runRegistry.attach(run, sendToClient, lastSeq);
       } else if (message.type === 'list-projects') {
         // F6: List available project directories
         const projects = await SessionManager.listProjects();
@@ -316,38 +1375,277 @@ function handleConnection(ws, req) {
         let targetDir;
 
         if (message.projectName) {
-          // Security: Validate projectName to prevent path traversal
-          const projectsBase = path.join(os.homedir(), PROJECTS_BASE_DIR);
-          const requestedPath = path.resolve(projectsBase, message.projectName);
-
-          // C-1: Verify resolved path is within projects base directory
-          if (
-            !requestedPath.startsWith(projectsBase + path.sep) &&
-            requestedPath !== projectsBase
-          ) {
-            throw new Error('Invalid project name: path traversal detected');
-          }
-
-          targetDir = requestedPath;
+          targetDir = resolveProjectDir(message.projectName);
         } else {
           // Fallback to default project directory
           targetDir = PROJECT_DIR;
         }
 
-        const manager = new SessionManager(targetDir);
-        const sessions = await manager.listSessions();
+        const manager = new SessionManager(targetDir, sessionIndex, sessionMetadata);
+        const page = await manager.listSessionsPage({
+          sort: message.sort,
+          order: message.order,
+          offset: message.offset,
+          limit: message.limit,
+          cursor: message.cursor,
+          archived: message.archived,
+        });
 
         ws.send(
           JSON.stringify({
             type: 'sessions',
-            sessions,
+            projectName: message.projectName || null,
+            cursor: message.cursor || null,
+            ...page,
           })
         );
+      } else if (message.type === 'subscribe-sessions') {
+        // Live updates for the sessions panel (one project per connection)
+        resolveRequiredProjectDir(message.projectName);
+        sessionSubscribers.set(ws, message.projectName);
+      } else if (message.type === 'unsubscribe-sessions') {
+        sessionSubscribers.delete(ws);
+      } else if (message.type === 'update-session') {
+        // Rename / star / archive (sidecar metadata; the CLI's JSONL is never rewritten)
+        const manager = new SessionManager(
+          resolveRequiredProjectDir(message.projectName),
+          sessionIndex,
+          sessionMetadata
+        );
+        const metadata = await manager.updateSession(message.sessionId, {
+          title: message.title,
+          starred: message.starred,
+          archived: message.archived,
+        });
+
+        ws.send(
+          JSON.stringify({
+            type: 'session-updated',
+            projectName: message.projectName,
+            sessionId: message.sessionId,
+            ...metadata,
+          })
+        );
+        pushSessionsChanged(message.projectName);
+      } else if (message.type === 'delete-session') {
+        // Irreversible: the client must echo the session ID back as confirmation
+        const manager = new SessionManager(
+          resolveRequiredProjectDir(message.projectName),
+          sessionIndex,
+          sessionMetadata
+        );
+        if (typeof message.sessionId !== 'string' || message.confirm !== message.sessionId) {
+          throw new Error('Session deletion not confirmed');
+        }
+        if (isSessionRunning(message.sessionId)) {
+          throw new Error('Session has a running CLI process');
+        }
+        await manager.deleteSession(message.sessionId);
+
+        ws.send(
+          JSON.stringify({
+            type: 'session-deleted',
+            projectName: message.projectName,
+            sessionId: message.sessionId,
+          })
+        );
+        pushSessionsChanged(message.projectName);
+      } else if (message.type === 'fork-session') {
+        // Branch before an earlier prompt: truncated copy under a new ID, original untouched
+        const manager = new SessionManager(
+          resolveRequiredProjectDir(message.projectName),
+          sessionIndex,
+          sessionMetadata
+        );
+        const fork = await manager.forkSession(message.sessionId, message.messageUuid);
+
+        ws.send(
+          JSON.stringify({
+            type: 'session-forked',
+            projectName: message.projectName,
+            sourceSessionId: message.sessionId,
+            sessionId: fork.sessionId,
+            prompt: fork.prompt,
+          })
+        );
+        if (fork.sessionId) {
+          pushSessionsChanged(message.projectName);
+        }
+      } else if (message.type === 'get-usage') {
+        // Usage page: tokens from transcripts, cost from the server's own records
+        const usage = await SessionManager.summarizeUsage(sessionIndex, usageTracker);
+        ws.send(
+          JSON.stringify({
+            type: 'usage',
+            ...usage,
+          })
+        );
+      } else if (message.type === 'search-sessions') {
+        // Full-text / regex search across every project's transcripts
+        const { results, truncated } = await SessionManager.searchSessions(message.query, {
+          regex: message.regex === true,
+          role: message.role,
+          from: message.from,
+          to: message.to,
+        });
+
+        ws.send(
+          JSON.stringify({
+            type: 'search-results',
+            query: message.query,
+            results,
+            truncated,
+          })
+        );
+      } else if (message.type === 'load-history') {
+        // Replay a session transcript page by page (byte offset cursor)
+        validateSessionId(message.sessionId);
+
+        const cursor = message.cursor === undefined ? 0 : message.cursor;
+        if (!Number.isSafeInteger(cursor) || cursor < 0) {
+          throw new Error('Invalid history cursor');
+        }
+
+        const targetDir = message.projectName
+          ? resolveProjectDir(message.projectName)
+          : PROJECT_DIR;
+
+        const manager = new SessionManager(targetDir);
+        const page = await manager.readHistory(message.sessionId, cursor);
+
+        ws.send(
+          JSON.stringify({
+            type: 'history',
+            sessionId: message.sessionId,
+            cursor,
+            ...page,
+          })
+        );
+      } else if (message.type === 'permission-response') {
+        // Browser decision for a pending tool permission request of a tab's run or a job
+        const live = message.jobId !== undefined ? liveJobs.get(message.jobId) : null;
+        const token =
+          message.jobId !== undefined
+            ? live?.permissionToken
+            : getTab(message.tabId)?.run?.permissionToken;
+        try {
+          permissionBroker.respond(token, message.requestId, message.decision);
+        } catch (err) {
+          if (err.code !== 'EEXPIRED') {
+            throw err;
+          }
+          // Already denied on timeout (or the run ended): tell the user instead of a generic error
+          ws.send(
+            JSON.stringify({
+              type: 'permission-expired',
+              requestId: message.requestId,
+              ...(message.jobId !== undefined ? { jobId: message.jobId } : { tabId: requestTabId }),
+            })
+          );
+        } finally {
+          live?.permissionRequests.delete(message.requestId);
+        }
       } else if (message.type === 'stop') {
-        // Stop CLI process
-        if (cliRunner) {
-          cliRunner.stop();
-          cliRunner = null;
+        // Stop the tab's CLI process, or take its prompt out of the run queue
+        const run = getTab(message.tabId)?.run;
+        if (run && runQueue.cancel(run)) {
+          // Not spawned yet: the run stays usable for the next prompt
+          run.send({ type: 'dequeued', cancelled: true });
+        } else if (run?.cliRunner) {
+          run.cliRunner.stop();
+          run.cliRunner = null;
+        }
+      } else if (message.type === 'start-job') {
+        // Background job: keeps running without this connection (see startJob)
+        const job = await startJob(message);
+        ws.send(
+          JSON.stringify({
+            type: 'job-started',
+            job: JobStore.summarize(job),
+          })
+        );
+      } else if (message.type === 'list-jobs') {
+        // Newest first; waiting jobs carry their place in the run queue
+        const jobs = (await jobStore.list()).map((job) => {
+          const position = runQueue.position(job.jobId);
+          return position > 0
+            ? { ...job, position, estimatedWaitMs: runQueue.estimateWaitMs(position) }
+            : job;
+        });
+        ws.send(
+          JSON.stringify({
+            type: 'jobs',
+            jobs,
+          })
+        );
+      } else if (message.type === 'open-job') {
+        // One page of a job's stored output; the first page also subscribes this
+        // connection to its live output (entries carry seq for de-duplication)
+        const cursor = message.cursor === undefined ? 0 : message.cursor;
+        if (!Number.isSafeInteger(cursor) || cursor < 0) {
+          throw new Error('Invalid job output cursor');
+        }
+        await jobStore.load();
+        const job = jobStore.get(message.jobId);
+        if (!job) {
+          throw new Error('Job not found');
+        }
+
+        const live = liveJobs.get(job.jobId);
+        // Approvals asked for before this connection subscribed (later ones arrive live)
+        let pendingRequests = [];
+        if (live && cursor === 0) {
+          live.viewers.add(ws);
+          pendingRequests = [...live.permissionRequests.values()];
+        }
+        const page = await jobStore.readOutput(job.jobId, cursor);
+        ws.send(
+          JSON.stringify({
+            type: 'job-output',
+            jobId: job.jobId,
+            cursor,
+            ...(cursor === 0 && { job: { ...JobStore.summarize(job), prompt: job.prompt } }),
+            ...page,
+          })
+        );
+
+        for (const request of pendingRequests) {
+          // Answered or timed out meanwhile
+          if (!permissionBroker.requests.has(request.requestId)) {
+            live.permissionRequests.delete(request.requestId);
+            continue;
+          }
+          ws.send(JSON.stringify({ type: 'permission-request', jobId: job.jobId, ...request }));
+        }
+      } else if (message.type === 'close-job') {
+        // Job tab closed: stop forwarding its live output
+        liveJobs.get(message.jobId)?.viewers.delete(ws);
+      } else if (message.type === 'kill-job') {
+        await killJob(message.jobId);
+      } else if (message.type === 'test-notification') {
+        // Settings drawer button: send a test payload to every configured channel
+        const results = await notifier.test();
+        ws.send(
+          JSON.stringify({
+            type: 'notification-test',
+            channels: notifier.channels,
+            // M-2: Outcome only; failure details stay in the server log
+            results: results.map(({ channel, ok, attempts }) => ({ channel, ok, attempts })),
+          })
+        );
+        for (const result of results) {
+          if (!result.ok) {
+            log(`Test notification via ${result.channel} failed: ${result.error}`);
+          }
+        }
+      } else if (message.type === 'close-tab') {
+        // Closed tab: its run (and CLI process, if any) is discarded right away
+        const tab = getTab(message.tabId);
+        if (tab) {
+          if (tab.run) {
+            runRegistry.remove(tab.run);
+          }
+          tabs.delete(tab.tabId);
         }
       } else {
         throw new Error(`Unknown message type: ${message.type}`);
@@ -359,6 +1657,7 @@ function handleConnection(ws, req) {
         JSON.stringify({
           type: 'error',
           message: 'Failed to process request',
+          ...(requestTabId && { tabId: requestTabId }),
         })
       );
     }
@@ -367,8 +1666,16 @@ function handleConnection(ws, req) {
   ws.on('close', () => {
     activeConnections--;
     log(`Client disconnected (${activeConnections}/${MAX_CONNECTIONS})`);
-    if (cliRunner) {
-      cliRunner.stop();
+    sessionSubscribers.delete(ws);
+    connectedClients.delete(ws);
+    for (const live of liveJobs.values()) {
+      live.viewers.delete(ws);
+    }
+    // Runs keep going for a grace period so the client can reattach
+    for (const tab of tabs.values()) {
+      if (tab.run) {
+        runRegistry.detach(tab.run, sendToClient);
+      }
     }
   });
 
@@ -379,22 +1686,160 @@ function handleConnection(ws, req) {
 
 /**
  * Start server
+ * @param {Object} [options]
+ * @param {AuthManager|null} [options.authManager] - Override auth (null disables); default from env
+ * @param {number} [options.port] - Override PORT (0 = OS-assigned)
+ * @param {OriginPolicy} [options.originPolicy] - Override TINYCC_ALLOWED_ORIGINS allowlist
+ * @param {{cert: string, key: string}|null} [options.tls] - TLS material (null disables);
+ *   default from TINYCC_TLS / TINYCC_TLS_CERT + TINYCC_TLS_KEY
+ * @param {SessionIndex} [options.sessionIndex] - Override the persistent, watched index
+ * @param {SessionMetadataStore} [options.sessionMetadata] - Override the persistent store
+ * @param {UsageTracker} [options.usageTracker] - Override the persistent usage totals
+ * @param {AttachmentStore} [options.attachmentStore] - Override the temp-directory upload store
+ * @param {RunQueue} [options.runQueue] - Override the TINYCC_MAX_RUNS run queue
+ * @param {JobStore} [options.jobStore] - Override the DATA_DIR/jobs background job store
+ * @param {Notifier} [options.notifier] - Override the TINYCC_NOTIFY_* run-finished notifier
  */
-export function startServer() {
-  const httpServer = createHttpServer();
-  const wss = new WebSocketServer({ server: httpServer });
+export function startServer(options = {}) {
+  if (options.originPolicy) {
+    originPolicy = options.originPolicy;
+  }
+
+  let authManager = options.authManager;
+  if (authManager === undefined) {
+    const fromEnv = AuthManager.fromEnv();
+    authManager = fromEnv.authManager;
+
+    if (fromEnv.generated) {
+      // Shown once on first run; afterwards read it from the secret file
+      log(`Access token generated: ${authManager.secret}`);
+      log(`Stored in ${path.join(path.resolve(os.homedir(), DATA_DIR), 'auth-secret')}`);
+    }
+  }
+
+  if (!authManager) {
+    log('WARNING: Authentication disabled (TINYCC_AUTH=off)');
+  }
+
+  let tls = options.tls;
+  if (tls === undefined) {
+    const hostNames = originPolicy.entries.filter((entry) => entry.host).map((entry) => entry.host);
+    tls = loadTlsOptions(hostNames);
+
+    if (tls?.generated) {
+      log(`Self-signed certificate generated in ${tls.dir}`);
+    }
+  }
+
+  if (tls && authManager) {
+    // Security: Session cookie must never travel over plain HTTP once TLS is on
+    authManager.secureCookies = true;
+  }
+
+  const port = options.port !== undefined ? options.port : PORT;
+  const httpServer = createHttpServer(authManager, tls);
+  // Security: WebSocket upgrade requires an allowed Host and the same session cookie as
+  // static routes (401 otherwise)
+  const wss = new WebSocketServer({
+    server: httpServer,
+    verifyClient: (info) =>
+      originPolicy.isAllowedHost(info.req.headers.host, Boolean(info.req.socket.encrypted)) &&
+      (!authManager || authManager.isAuthenticated(info.req)),
+  });
 
   wss.on('connection', handleConnection);
 
-  httpServer.listen(PORT, () => {
-    log(`Server running at http://localhost:${PORT}`);
-    log(`WebSocket available at ws://localhost:${PORT}`);
+  // Transcript index persists across restarts and is re-indexed as the CLI writes, so the
+  // sessions panel opens instantly and subscribed panels get live updates (callers may
+  // pass their own index, e.g. an in-memory one)
+  if (options.sessionIndex) {
+    sessionIndex = options.sessionIndex;
+  } else {
+    const index = new SessionIndex(
+      path.join(path.resolve(os.homedir(), DATA_DIR), 'session-index.json')
+    );
+    if (!index.watch(path.join(os.homedir(), PROJECTS_BASE_DIR))) {
+      log('Session index: projects directory not watchable, indexing on demand');
+    }
+    httpServer.on('close', () => {
+      index.close().catch(() => {});
+    });
+    sessionIndex = index;
+  }
+  sessionIndex.onSessionsChanged(handleSessionsChanged);
+
+  sessionMetadata =
+    options.sessionMetadata ||
+    new SessionMetadataStore(
+      path.join(path.resolve(os.homedir(), DATA_DIR), 'session-metadata.json')
+    );
+
+  if (options.usageTracker) {
+    usageTracker = options.usageTracker;
+  } else {
+    const tracker = new UsageTracker(path.join(path.resolve(os.homedir(), DATA_DIR), 'usage.json'));
+    tracker.load();
+    httpServer.on('close', () => {
+      tracker.close().catch(() => {});
+    });
+    usageTracker = tracker;
+  }
+  sessionIndex.onProjectsChanged(handleProjectsChanged);
+
+  if (options.attachmentStore) {
+    attachmentStore = options.attachmentStore;
+  } else {
+    // Uploads never outlive the server
+    const store = new AttachmentStore();
+    httpServer.on('close', () => {
+      store.close().catch(() => {});
+    });
+    attachmentStore = store;
+  }
+
+  runQueue = options.runQueue || RunQueue.fromEnv();
+  notifier = options.notifier || Notifier.fromEnv();
+
+  // Jobs still queued / running when the server last stopped are marked failed
+  jobStore =
+    options.jobStore || new JobStore(path.join(path.resolve(os.homedir(), DATA_DIR), 'jobs'));
+  jobStore.load();
+
+  // Permission bridge calls back over loopback HTTP: the main server itself, or a
+  // dedicated 127.0.0.1 listener when the main server speaks TLS
+  let permissionServer = null;
+  if (tls) {
+    permissionServer = createPermissionServer();
+    permissionServer.listen(0, '127.0.0.1', () => {
+      permissionBroker.endpoint = `http://127.0.0.1:${permissionServer.address().port}/internal/permission`;
+    });
+    httpServer.on('close', () => permissionServer.close());
+  }
+
+  httpServer.listen(port, () => {
+    const boundPort = httpServer.address().port;
+    const scheme = tls ? 'https' : 'http';
+    if (!tls) {
+      permissionBroker.endpoint = `http://127.0.0.1:${boundPort}/internal/permission`;
+    }
+
+    log(`Server running at ${scheme}://localhost:${boundPort}`);
+    log(`WebSocket available at ${tls ? 'wss' : 'ws'}://localhost:${boundPort}`);
+    if (tls) {
+      // Compare with the fingerprint the phone shows before trusting the certificate
+      log(`TLS certificate SHA-256 fingerprint: ${certificateFingerprint(tls.cert)}`);
+    }
+    for (const url of originPolicy.describeUrls(boundPort, scheme)) {
+      log(`Accepting connections from ${url}`);
+    }
+    log(`Concurrent CLI runs: ${runQueue.maxConcurrent}`);
+    log(`Run notifications: ${notifier.channels.join(', ') || 'off'}`);
     // L-NEW-3: PROJECT_DIRログ出力は開発時の利便性のため意図的に残す
     // ローカル開発環境専用（本番環境ではDOCKER_CONTAINERなど別の方法で管理）
     log(`Project directory: ${PROJECT_DIR}`);
   });
 
-  return { httpServer, wss };
+  return { httpServer, wss, permissionServer };
 }
 
 // Start server if run directly (entry point detection)
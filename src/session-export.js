@@ -0,0 +1,245 @@
+/**
+ * Location   : src/session-export.js
+ * Purpose    : Convert a session transcript into Markdown, self-contained HTML or normalized JSON
+ * Why        : Transcripts are pasted into PR descriptions and incident notes; the raw JSONL
+ *              is full of CLI bookkeeping and splits tool calls from their results
+ * Related    : tests/session-export.test.js, src/server.js, src/session-manager.js
+ */
+
+// Download format -> response Content-Type
+export const EXPORT_CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+const ROLE_LABELS = { user: 'ユーザー', assistant: 'アシスタント' };
+
+/**
+ * Plain text of a tool result (string content or text blocks; other blocks are noted)
+ * @param {string|Array<Object>} content - tool_result content
+ * @returns {string} Text
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .map((block) => {
+      if (block && block.type === 'text' && typeof block.text === 'string') return block.text;
+      return `[${block && typeof block.type === 'string' ? block.type : 'unknown'}]`;
+    })
+    .join('\n');
+}
+
+/**
+ * Normalize transcript entries into messages with text / tool_use / tool_result blocks
+ * Entries carrying no exportable blocks (e.g. thinking-only) are dropped
+ * @param {Array<Object>} entries - Entries from SessionManager.readTranscript()
+ * @returns {Array<Object>} Messages ({role, uuid, timestamp, blocks})
+ */
+export function normalizeTranscript(entries) {
+  const messages = [];
+
+  for (const entry of entries) {
+    const content = entry.message.content;
+    const blocks = [];
+
+    if (typeof content === 'string') {
+      if (content.trim().length > 0) blocks.push({ type: 'text', text: content });
+    } else if (Array.isArray(content)) {
+      for (const block of content) {
+        if (!block || typeof block !== 'object') continue;
+
+        if (block.type === 'text' && typeof block.text === 'string') {
+          blocks.push({ type: 'text', text: block.text });
+        } else if (block.type === 'tool_use') {
+          blocks.push({
+            type: 'tool_use',
+            id: block.id || null,
+            name: String(block.name || ''),
+            input: block.input ?? null,
+          });
+        } else if (block.type === 'tool_result') {
+          blocks.push({
+            type: 'tool_result',
+            toolUseId: block.tool_use_id || null,
+            isError: block.is_error === true,
+            content: toolResultText(block.content),
+          });
+        }
+      }
+    }
+
+    if (blocks.length > 0) {
+      messages.push({
+        role: entry.type,
+        uuid: entry.uuid,
+        timestamp: entry.timestamp,
+        blocks,
+      });
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Fenced code block that cannot be closed early by backticks inside the text
+ * @param {string} text - Block body
+ * @param {string} [lang] - Info string
+ * @returns {string} Markdown
+ */
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const marker = '`'.repeat(longest + 1);
+  return `${marker}${lang}\n${text}\n${marker}`;
+}
+
+/**
+ * Tool input as shown in exports (Bash command as-is, anything else as pretty JSON)
+ * @param {Object} block - Normalized tool_use block
+ * @returns {{text: string, lang: string}}
+ */
+function formatToolInput(block) {
+  if (block.name === 'Bash' && typeof block.input?.command === 'string') {
+    return { text: block.input.command, lang: 'bash' };
+  }
+  return { text: JSON.stringify(block.input, null, 2), lang: 'json' };
+}
+
+/**
+ * Render a Markdown transcript
+ * @param {Object} session - {sessionId, projectName, title, messages}
+ * @returns {string} Markdown
+ */
+export function renderMarkdown(session) {
+  const lines = [`# ${session.title || session.sessionId}`, ''];
+  lines.push(`- セッション: \`${session.sessionId}\``);
+  lines.push(`- プロジェクト: \`${session.projectName}\``);
+  lines.push('');
+
+  for (const message of session.messages) {
+    const time = message.timestamp ? ` (${message.timestamp})` : '';
+    lines.push(`## ${ROLE_LABELS[message.role] || message.role}${time}`, '');
+
+    for (const block of message.blocks) {
+      if (block.type === 'text') {
+        lines.push(block.text, '');
+      } else if (block.type === 'tool_use') {
+        const input = formatToolInput(block);
+        lines.push(`**ツール: ${block.name}**`, '', fence(input.text, input.lang), '');
+      } else if (block.type === 'tool_result') {
+        lines.push(
+          block.isError ? '**結果 (エラー):**' : '**結果:**',
+          '',
+          fence(block.content),
+          ''
+        );
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} text - Untrusted text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLE = `
+body { max-width: 900px; margin: 2rem auto; padding: 0 1rem; font-family: sans-serif;
+  line-height: 1.6; color: #222; }
+.meta { color: #666; font-size: 0.9rem; }
+.message { border: 1px solid #ddd; border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.message.user { background: #f5f7ff; }
+.role { font-weight: bold; }
+.time { color: #888; font-size: 0.8rem; margin-left: 0.5rem; }
+.text { white-space: pre-wrap; }
+details { margin: 0.5rem 0; }
+summary { cursor: pointer; font-family: monospace; }
+pre { background: #f4f4f4; padding: 0.5rem; overflow-x: auto; white-space: pre-wrap; }
+.error pre { background: #fff0f0; }
+`;
+
+/**
+ * Render a self-contained HTML page (inline styles, no scripts, no external resources)
+ * Security: Every transcript string is HTML-escaped; text is shown verbatim, not as Markdown
+ * @param {Object} session - {sessionId, projectName, title, messages}
+ * @returns {string} HTML document
+ */
+export function renderHtml(session) {
+  const title = escapeHtml(session.title || session.sessionId);
+  const parts = [
+    '<!doctype html>',
+    '<html lang="ja">',
+    '<head>',
+    '<meta charset="UTF-8" />',
+    `<title>${title}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${title}</h1>`,
+    `<p class="meta">セッション: ${escapeHtml(session.sessionId)}<br />` +
+      `プロジェクト: ${escapeHtml(session.projectName)}</p>`,
+  ];
+
+  for (const message of session.messages) {
+    const role = message.role === 'user' ? 'user' : 'assistant';
+    parts.push(`<div class="message ${role}">`);
+    parts.push(
+      `<div><span class="role">${escapeHtml(ROLE_LABELS[role])}</span>` +
+        (message.timestamp ? `<span class="time">${escapeHtml(message.timestamp)}</span>` : '') +
+        '</div>'
+    );
+
+    for (const block of message.blocks) {
+      if (block.type === 'text') {
+        parts.push(`<div class="text">${escapeHtml(block.text)}</div>`);
+      } else if (block.type === 'tool_use') {
+        parts.push(
+          `<details><summary>ツール: ${escapeHtml(block.name)}</summary>` +
+            `<pre>${escapeHtml(formatToolInput(block).text)}</pre></details>`
+        );
+      } else if (block.type === 'tool_result') {
+        parts.push(
+          `<details${block.isError ? ' class="error"' : ''}>` +
+            `<summary>${block.isError ? '結果 (エラー)' : '結果'}</summary>` +
+            `<pre>${escapeHtml(block.content)}</pre></details>`
+        );
+      }
+    }
+
+    parts.push('</div>');
+  }
+
+  parts.push('</body>', '</html>', '');
+  return parts.join('\n');
+}
+
+/**
+ * Render a session in one of the export formats
+ * @param {Object} session - {sessionId, projectName, title, messages}
+ * @param {string} format - 'md' | 'html' | 'json'
+ * @returns {string} Document body
+ * @throws {Error} If the format is unknown
+ */
+export function renderExport(session, format) {
+  if (format === 'md') return renderMarkdown(session);
+  if (format === 'html') return renderHtml(session);
+  if (format === 'json') return JSON.stringify(session, null, 2);
+  throw new Error('Invalid export format');
+}
@@ -0,0 +1,443 @@
+/**
+ * Location   : src/session-index.js
+ * Purpose    : Persistent per-file summary cache of session JSONL transcripts
+ * Why        : Re-reading every transcript whenever the sessions panel opens is slow with
+ *              hundreds of sessions on low-power hosts; files are re-read only when their
+ *              size/mtime change, appended transcripts resume from the last indexed byte,
+ *              and an fs.watch refresh keeps the index warm between panel opens (and tells
+ *              the server when to push live session list updates)
+ * Related    : tests/session-index.test.js, src/session-manager.js, src/server.js
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import {
+  MAX_PREVIEW_LENGTH,
+  MAX_PREVIEW_LINES,
+  SESSION_INDEX_SAVE_DELAY_MS,
+  SESSION_INDEX_WATCH_DELAY_MS,
+} from './constants.js';
+import { JsonFileWriter } from './json-store.js';
+import { tokenCounts, usageDay } from './usage.js';
+
+// Bump when the entry shape changes; older index files are discarded
+const INDEX_VERSION = 2;
+
+/**
+ * Create an empty summary for a transcript
+ * @returns {Object} Entry with no lines consumed
+ */
+function emptyEntry() {
+  return {
+    size: 0,
+    mtimeMs: 0,
+    offset: 0,
+    lineCount: 0,
+    messageCount: 0,
+    firstMessageAt: null,
+    lastMessageAt: null,
+    firstPrompt: null,
+    title: null,
+    // Token usage of assistant messages per local day: {'YYYY-MM-DD': {inputTokens, ...}}
+    usage: {},
+    // Last counted assistant message ({id, day, counts}) so repeated lines replace it
+    lastUsage: null,
+  };
+}
+
+/**
+ * Fold an assistant message's token usage into the entry's per-day totals
+ * The CLI writes one line per content block, each repeating the message ID and its usage
+ * so far, so a repeated ID replaces the previous count instead of adding to it
+ * @param {Object} entry - Entry being built (mutated)
+ * @param {Object} message - Assistant API message ({id, usage})
+ * @param {number} time - Line timestamp
+ */
+function applyUsage(entry, message, time) {
+  const last = entry.lastUsage;
+  if (last && message.id && last.id === message.id) {
+    const previous = entry.usage[last.day];
+    for (const [key, value] of Object.entries(last.counts)) {
+      previous[key] -= value;
+    }
+    previous.messages--;
+  }
+
+  const day = usageDay(time);
+  const counts = tokenCounts(message.usage);
+  const totals = entry.usage[day] || {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    messages: 0,
+  };
+  for (const [key, value] of Object.entries(counts)) {
+    totals[key] += value;
+  }
+  totals.messages++;
+  entry.usage[day] = totals;
+  entry.lastUsage = { id: message.id || null, day, counts };
+}
+
+/**
+ * Plain text of a user message (string content or text blocks)
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} Trimmed text ('' for tool results)
+ */
+function promptText(content) {
+  if (typeof content === 'string') {
+    return content.trim();
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+    .map((block) => block.text)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Fold one complete JSONL line into an entry
+ * @param {Object} entry - Entry being built (mutated)
+ * @param {string} line - Line without its trailing newline
+ * @returns {boolean} False if the line is not valid JSON
+ */
+function applyLine(entry, line) {
+  entry.lineCount++;
+  if (line.trim().length === 0) {
+    return true;
+  }
+
+  let json;
+  try {
+    json = JSON.parse(line);
+  } catch {
+    return false;
+  }
+
+  // CLI writes conversation summaries as {"type":"summary","summary":"..."}
+  if (json.type === 'summary' && typeof json.summary === 'string') {
+    entry.title = json.summary;
+    return true;
+  }
+
+  if ((json.type !== 'user' && json.type !== 'assistant') || !json.message) {
+    return true;
+  }
+
+  entry.messageCount++;
+
+  const time = Date.parse(json.timestamp);
+  if (!Number.isNaN(time)) {
+    entry.firstMessageAt = entry.firstMessageAt === null ? time : entry.firstMessageAt;
+    entry.lastMessageAt = Math.max(entry.lastMessageAt ?? time, time);
+
+    if (json.type === 'assistant' && json.message.usage) {
+      applyUsage(entry, json.message, time);
+    }
+  }
+
+  // Preview only considers the first MAX_PREVIEW_LINES lines (same rule as the old list scan)
+  if (
+    entry.firstPrompt === null &&
+    json.type === 'user' &&
+    !json.isMeta &&
+    entry.lineCount <= MAX_PREVIEW_LINES
+  ) {
+    const text = promptText(json.message.content);
+    if (text.length > 0) {
+      entry.firstPrompt =
+        text.length > MAX_PREVIEW_LENGTH ? text.substring(0, MAX_PREVIEW_LENGTH) + '...' : text;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Read a transcript from a byte offset and fold its lines into an entry
+ * A trailing line without '\n' is only consumed if it parses, since the CLI may be
+ * in the middle of writing it
+ * @param {string} filePath - JSONL path
+ * @param {Object} entry - Entry to continue from (mutated)
+ * @returns {Promise<Object>} The entry with offset advanced past consumed lines
+ */
+async function scanTranscript(filePath, entry) {
+  const stream = fs.createReadStream(filePath, { start: entry.offset });
+  let pending = Buffer.alloc(0);
+
+  try {
+    for await (const chunk of stream) {
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let lineStart = 0;
+      let newline;
+      while ((newline = data.indexOf(0x0a, lineStart)) !== -1) {
+        applyLine(entry, data.toString('utf-8', lineStart, newline));
+        entry.offset += newline + 1 - lineStart;
+        lineStart = newline + 1;
+      }
+      pending = data.subarray(lineStart);
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (pending.length > 0) {
+    const trial = { ...entry };
+    if (applyLine(trial, pending.toString('utf-8'))) {
+      Object.assign(entry, trial, { offset: entry.offset + pending.length });
+    }
+  }
+
+  return entry;
+}
+
+export class SessionIndex {
+  /**
+   * @param {string|null} [indexPath] - JSON file to persist to (null keeps the index in memory)
+   */
+  constructor(indexPath = null) {
+    this.indexPath = indexPath;
+    this.writer = indexPath ? new JsonFileWriter(indexPath) : null;
+    this.entries = new Map(); // absolute path -> entry
+    this.loading = null;
+    this.inFlight = new Map(); // absolute path -> Promise<entry>
+    this.saveTimer = null;
+    this.watcher = null;
+    this.watchTimers = new Map();
+    this.projectsTimer = null;
+    this.sessionsChangedCallback = null;
+    this.projectsChangedCallback = null;
+  }
+
+  /**
+   * Register callback for re-indexed, added or deleted transcripts (while watching)
+   * @param {Function} callback - Called with the project directory name
+   */
+  onSessionsChanged(callback) {
+    this.sessionsChangedCallback = callback;
+  }
+
+  /**
+   * Register callback for project directories added or removed (while watching)
+   * @param {Function} callback - Called with no arguments
+   */
+  onProjectsChanged(callback) {
+    this.projectsChangedCallback = callback;
+  }
+
+  /**
+   * Load the persisted index once (missing or outdated files start empty)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.indexPath) return;
+        try {
+          const data = JSON.parse(await fsPromises.readFile(this.indexPath, 'utf-8'));
+          if (data.version === INDEX_VERSION && data.files && typeof data.files === 'object') {
+            for (const [filePath, entry] of Object.entries(data.files)) {
+              this.entries.set(filePath, { ...emptyEntry(), ...entry });
+            }
+          }
+        } catch {
+          // Unreadable or corrupt index: rebuild from the transcripts
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get the summary of a transcript, re-reading it only if its size or mtime changed
+   * Growth re-reads from the last indexed byte; shrinking (rewrite) re-reads the whole file
+   * @param {string} filePath - Absolute JSONL path
+   * @returns {Promise<Object>} Entry {size, mtimeMs, lineCount, messageCount, firstMessageAt,
+   *   lastMessageAt, firstPrompt, title, usage}
+   * @throws {Error} If the file cannot be read
+   */
+  async get(filePath) {
+    await this.load();
+
+    // One refresh per file at a time (watcher and panel may ask together)
+    if (this.inFlight.has(filePath)) {
+      return this.inFlight.get(filePath);
+    }
+
+    const refresh = (async () => {
+      const stat = await fsPromises.stat(filePath);
+      const cached = this.entries.get(filePath);
+      if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+        return cached;
+      }
+
+      // Deep copy (entries are plain JSON): callers may still hold the cached entry and its usage
+      const base =
+        cached && stat.size >= cached.offset ? JSON.parse(JSON.stringify(cached)) : emptyEntry();
+      const entry = await scanTranscript(filePath, base);
+      entry.size = stat.size;
+      entry.mtimeMs = stat.mtimeMs;
+
+      this.entries.set(filePath, entry);
+      this.scheduleSave();
+      return entry;
+    })();
+
+    this.inFlight.set(filePath, refresh);
+    try {
+      return await refresh;
+    } finally {
+      this.inFlight.delete(filePath);
+    }
+  }
+
+  /**
+   * Drop entries for transcripts in a directory that no longer exist
+   * @param {string} dirPath - Project directory
+   * @param {Array<string>} filenames - JSONL file names currently in the directory
+   */
+  retain(dirPath, filenames) {
+    const keep = new Set(filenames.map((filename) => path.join(dirPath, filename)));
+    for (const filePath of this.entries.keys()) {
+      if (path.dirname(filePath) === dirPath && !keep.has(filePath)) {
+        this.entries.delete(filePath);
+        this.scheduleSave();
+      }
+    }
+  }
+
+  /**
+   * Persist the index after SESSION_INDEX_SAVE_DELAY_MS (bursts of updates write once)
+   */
+  scheduleSave() {
+    if (!this.indexPath || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(() => {
+        // Best effort: the index is rebuilt from transcripts if it cannot be written
+      });
+    }, SESSION_INDEX_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the index atomically (see JsonFileWriter)
+   * Security: Index holds prompt previews, so it is private to the owner like the other
+   * DATA_DIR files
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.writer) return;
+
+    await this.writer.write(() => ({
+      version: INDEX_VERSION,
+      files: Object.fromEntries(this.entries),
+    }));
+  }
+
+  /**
+   * Re-index transcripts under a projects base directory as the CLI writes them
+   * Only <project>/<session>.jsonl files and top-level project directories are tracked
+   * @param {string} baseDir - Projects base directory (watched recursively)
+   * @returns {boolean} False if the directory cannot be watched
+   */
+  watch(baseDir) {
+    this.unwatch();
+
+    try {
+      this.watcher = fs.watch(baseDir, { recursive: true }, (eventType, filename) => {
+        if (!filename) return;
+        const parts = filename.split(path.sep);
+        if (parts.length === 1) {
+          this.scheduleProjectsChanged();
+        } else if (parts.length === 2 && parts[1].endsWith('.jsonl')) {
+          this.scheduleRefresh(path.join(baseDir, filename), parts[0]);
+        }
+      });
+    } catch {
+      return false;
+    }
+
+    this.watcher.on('error', () => this.unwatch());
+    return true;
+  }
+
+  /**
+   * Refresh one transcript after SESSION_INDEX_WATCH_DELAY_MS of quiet, then report it
+   * if its summary changed
+   * @param {string} filePath - Absolute JSONL path
+   * @param {string} projectName - Project directory name containing it
+   */
+  scheduleRefresh(filePath, projectName) {
+    clearTimeout(this.watchTimers.get(filePath));
+    const timer = setTimeout(async () => {
+      this.watchTimers.delete(filePath);
+
+      const before = this.entries.get(filePath);
+      let changed;
+      try {
+        changed = (await this.get(filePath)) !== before;
+      } catch {
+        // Deleted (or unreadable) transcript
+        changed = this.entries.delete(filePath);
+        if (changed) {
+          this.scheduleSave();
+        }
+      }
+
+      if (changed && this.sessionsChangedCallback) {
+        this.sessionsChangedCallback(projectName);
+      }
+    }, SESSION_INDEX_WATCH_DELAY_MS);
+    timer.unref();
+    this.watchTimers.set(filePath, timer);
+  }
+
+  /**
+   * Report project directory changes after SESSION_INDEX_WATCH_DELAY_MS of quiet
+   */
+  scheduleProjectsChanged() {
+    clearTimeout(this.projectsTimer);
+    this.projectsTimer = setTimeout(() => {
+      this.projectsTimer = null;
+      if (this.projectsChangedCallback) {
+        this.projectsChangedCallback();
+      }
+    }, SESSION_INDEX_WATCH_DELAY_MS);
+    this.projectsTimer.unref();
+  }
+
+  /**
+   * Stop watching for transcript changes
+   */
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    for (const timer of this.watchTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchTimers.clear();
+    clearTimeout(this.projectsTimer);
+    this.projectsTimer = null;
+  }
+
+  /**
+   * Stop watching and write any pending changes
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.unwatch();
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    }
+  }
+}
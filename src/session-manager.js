@@ -5,16 +5,263 @@
  * Related    : tests/session-manager.test.js, src/server.js
  */
 
+import crypto from 'crypto';
 import fs from 'fs';
 import fsPromises from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import readline from 'readline';
-import { MAX_PREVIEW_LENGTH, MAX_PREVIEW_LINES, PROJECTS_BASE_DIR } from './constants.js';
+import { Worker } from 'worker_threads';
+import { SessionIndex } from './session-index.js';
+import { SessionMetadataStore } from './session-metadata.js';
+import { validateSessionId } from './cli-runner.js';
+import { usageDay, emptyTotals, addTotals } from './usage.js';
+import {
+  MAX_PREVIEW_LINES,
+  PROJECTS_BASE_DIR,
+  SESSION_ACTIVE_WINDOW_MS,
+  SESSIONS_PAGE_SIZE,
+  SESSIONS_PAGE_MAX,
+  SESSION_SORT_KEYS,
+  HISTORY_PAGE_SIZE,
+  HISTORY_PAGE_MAX_BYTES,
+  EXPORT_MAX_BYTES,
+  FORK_MAX_BYTES,
+  SESSION_ID_PATTERN,
+  SEARCH_MAX_QUERY_LENGTH,
+  SEARCH_MAX_RESULTS,
+  SEARCH_MAX_SNIPPETS,
+  SEARCH_SNIPPET_CONTEXT,
+  SEARCH_ROLES,
+  SEARCH_REGEX_TIMEOUT_MS,
+  USAGE_DAYS,
+} from './constants.js';
+
+/**
+ * Encode an absolute path the way Claude CLI names its project directories
+ * Note: The CLI replaces every non-alphanumeric character with '-' (e.g. '/home/user' -> '-home-user')
+ * @param {string} dirPath - Absolute filesystem path
+ * @returns {string} Encoded project directory name
+ */
+export function encodeProjectPath(dirPath) {
+  return dirPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+/**
+ * Concatenate the plain text of a message (string content or text blocks)
+ * @param {string|Array<Object>} content - Message content
+ * @returns {string} Text (tool blocks are ignored)
+ */
+function messageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+  return content
+    .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Validate search options and compile the query
+ * Security: Query length is capped; a regex query runs server-side, so only an
+ * authenticated client can submit one (see src/auth.js), and it is only ever executed in a
+ * worker thread with a timeout (see SessionManager.searchSessions)
+ * @param {string} query - Search text or regular expression source
+ * @param {Object} [options]
+ * @param {boolean} [options.regex=false] - Treat query as a regular expression
+ * @param {string} [options.role] - Only match 'user' or 'assistant' messages
+ * @param {number} [options.from] - Only match messages at or after this time (ms)
+ * @param {number} [options.to] - Only match messages at or before this time (ms)
+ * @returns {{pattern: RegExp, role: string|null, from: number|null, to: number|null}}
+ * @throws {Error} If any option is invalid
+ */
+export function compileSearch(query, options = {}) {
+  if (typeof query !== 'string' || query.trim().length === 0) {
+    throw new Error('Search query cannot be empty');
+  }
+  if (query.length > SEARCH_MAX_QUERY_LENGTH) {
+    throw new Error('Search query exceeds maximum length');
+  }
+
+  const role = options.role || null;
+  if (role !== null && !SEARCH_ROLES.includes(role)) {
+    throw new Error('Invalid search role');
+  }
+
+  const from = options.from ?? null;
+  const to = options.to ?? null;
+  for (const bound of [from, to]) {
+    if (bound !== null && !Number.isFinite(bound)) {
+      throw new Error('Invalid search date range');
+    }
+  }
+
+  let pattern;
+  try {
+    const source = options.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    pattern = new RegExp(source, 'gi');
+  } catch {
+    throw new Error('Invalid search pattern');
+  }
+
+  return { pattern, role, from, to };
+}
+
+/**
+ * Find matches of a pattern in text and build a highlighted snippet around the first one
+ * @param {string} text - Message text
+ * @param {RegExp} pattern - Global pattern from compileSearch()
+ * @returns {{count: number, snippet: string, highlights: Array<[number, number]>}|null}
+ *   Snippet with [start, end) highlight ranges relative to it, or null if nothing matched
+ */
+function findMatches(text, pattern) {
+  const ranges = [];
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      // Empty matches would loop forever and highlight nothing
+      pattern.lastIndex++;
+      continue;
+    }
+    ranges.push([match.index, match.index + match[0].length]);
+  }
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  const start = Math.max(0, ranges[0][0] - SEARCH_SNIPPET_CONTEXT);
+  const end = Math.min(text.length, ranges[0][1] + SEARCH_SNIPPET_CONTEXT);
+  // Whitespace collapsed one-for-one so highlight offsets stay valid
+  const snippet = text.slice(start, end).replace(/\s/g, ' ');
+  const highlights = ranges
+    .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+    .map(([matchStart, matchEnd]) => [matchStart - start, matchEnd - start]);
+
+  return {
+    count: ranges.length,
+    snippet: (start > 0 ? '…' : '') + snippet + (end < text.length ? '…' : ''),
+    highlights: start > 0 ? highlights.map(([a, b]) => [a + 1, b + 1]) : highlights,
+  };
+}
+
+/**
+ * Value a session is ordered by
+ * @param {Object} session - Session list item
+ * @param {string} sort - One of SESSION_SORT_KEYS
+ * @returns {number|string} Sort value (titles fall back to the first prompt)
+ */
+function sortValue(session, sort) {
+  if (sort === 'created') {
+    return session.created ?? session.modified;
+  }
+  if (sort === 'messageCount') {
+    return session.messageCount;
+  }
+  if (sort === 'title') {
+    return session.title || session.preview;
+  }
+  return session.modified;
+}
+
+/**
+ * Compare two {starred, value, filename} sort keys
+ * Starred sessions come first in any order; filename breaks ties so the order is total
+ * @param {{starred: boolean, value: number|string, filename: string}} a
+ * @param {{starred: boolean, value: number|string, filename: string}} b
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {number} Negative if a comes first
+ */
+function compareKeys(a, b, order) {
+  if (a.starred !== b.starred) {
+    return a.starred ? -1 : 1;
+  }
+
+  const diff = typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value;
+  if (diff !== 0) {
+    return order === 'asc' ? diff : -diff;
+  }
+  return a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : 0;
+}
+
+/**
+ * Encode the position after a session as an opaque cursor
+ * @param {Object} session - Last session of a page
+ * @param {string} sort - Sort key
+ * @param {string} order - Sort order
+ * @returns {string} base64url cursor
+ */
+function encodeSessionCursor(session, sort, order) {
+  const cursor = {
+    sort,
+    order,
+    starred: session.starred,
+    value: sortValue(session, sort),
+    filename: session.filename,
+  };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeSessionCursor()
+ * @param {string} cursor - base64url cursor
+ * @param {string} sort - Sort key of the current request
+ * @param {string} order - Sort order of the current request
+ * @returns {{starred: boolean, value: number|string, filename: string}} Sort key to
+ *   continue after
+ * @throws {Error} If the cursor is malformed or was issued for another ordering
+ */
+function decodeSessionCursor(cursor, sort, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+  } catch {
+    throw new Error('Invalid session cursor');
+  }
+
+  const valueType = sort === 'title' ? 'string' : 'number';
+  if (
+    !decoded ||
+    decoded.sort !== sort ||
+    decoded.order !== order ||
+    typeof decoded.starred !== 'boolean' ||
+    typeof decoded.value !== valueType ||
+    typeof decoded.filename !== 'string'
+  ) {
+    throw new Error('Invalid session cursor');
+  }
+
+  return { starred: decoded.starred, value: decoded.value, filename: decoded.filename };
+}
+
+/**
+ * Preview text for the session list
+ * @param {Object} summary - Session index entry
+ * @returns {string} First user prompt, or a placeholder
+ */
+function sessionPreview(summary) {
+  if (summary.firstPrompt !== null) {
+    return summary.firstPrompt;
+  }
+  return summary.lineCount === 0 ? '(empty session)' : '(no user messages)';
+}
 
 export class SessionManager {
-  constructor(projectDir) {
+  /**
+   * @param {string} projectDir - Project directory containing session JSONL files
+   * @param {SessionIndex} [index] - Shared transcript index (an in-memory one by default)
+   * @param {SessionMetadataStore} [metadata] - Title / star / archive store (in-memory default)
+   */
+  constructor(projectDir, index = null, metadata = null) {
     this.projectDir = projectDir;
+    this.index = index || new SessionIndex();
+    this.metadata = metadata || new SessionMetadataStore();
   }
 
   /**
@@ -42,9 +289,273 @@ export class SessionManager {
     return directories.sort();
   }
 
+  /**
+   * Aggregate usage for the last USAGE_DAYS days: tokens from every project's transcripts
+   * (via the session index) plus cost / duration / runs recorded by the server
+   * Security: Returns project directory names only, never full paths (C-1 compliance)
+   * @param {SessionIndex} index - Session index (per-day token usage per transcript)
+   * @param {UsageTracker} tracker - Server-recorded `result` totals
+   * @param {Object} [options]
+   * @param {number} [options.now] - Current time (for tests)
+   * @param {string} [baseDir] - Projects base directory (defaults to PROJECTS_BASE_DIR)
+   * @returns {Promise<{days: Array<Object>, projects: Array<Object>, totals: Object}>}
+   *   days: [{day, inputTokens, ..., messages, costUsd, runs, ...}] newest first;
+   *   projects: [{projectName, sessions, inputTokens, ..., messages}] by output tokens
+   */
+  static async summarizeUsage(index, tracker, options = {}, baseDir = null) {
+    const projectsBase = baseDir || path.join(os.homedir(), PROJECTS_BASE_DIR);
+    const now = options.now ?? Date.now();
+    const tokenTotals = () => ({
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheCreationTokens: 0,
+      messages: 0,
+    });
+
+    // Day keys in the window, newest first
+    const days = new Map();
+    for (let i = 0; i < USAGE_DAYS; i++) {
+      const day = usageDay(now - i * 24 * 60 * 60 * 1000);
+      days.set(day, { day, ...tokenTotals(), ...emptyTotals() });
+    }
+
+    const projects = [];
+    for (const projectName of await SessionManager.listProjects(projectsBase)) {
+      const projectDir = path.join(projectsBase, projectName);
+      const project = { projectName, sessions: 0, ...tokenTotals() };
+
+      let filenames;
+      try {
+        filenames = (await fsPromises.readdir(projectDir)).filter((f) => f.endsWith('.jsonl'));
+      } catch {
+        continue;
+      }
+
+      for (const filename of filenames) {
+        let entry;
+        try {
+          entry = await index.get(path.join(projectDir, filename));
+        } catch {
+          // Deleted while scanning
+          continue;
+        }
+
+        let used = false;
+        for (const [day, usage] of Object.entries(entry.usage || {})) {
+          const totals = days.get(day);
+          if (!totals) continue;
+          used = true;
+          for (const key of Object.keys(tokenTotals())) {
+            totals[key] += usage[key] || 0;
+            project[key] += usage[key] || 0;
+          }
+        }
+        if (used) project.sessions++;
+      }
+
+      if (project.sessions > 0) {
+        projects.push(project);
+      }
+    }
+
+    // Cost, duration and runs only exist in the server's own records
+    await tracker.load();
+    for (const totals of days.values()) {
+      const recorded = tracker.getDay(totals.day);
+      if (recorded) {
+        totals.costUsd += recorded.costUsd;
+        totals.durationMs += recorded.durationMs;
+        totals.turns += recorded.turns;
+        totals.runs += recorded.runs;
+      }
+    }
+
+    const dayList = [...days.values()];
+    const totals = { ...tokenTotals(), ...emptyTotals() };
+    for (const day of dayList) {
+      addTotals(totals, day);
+    }
+
+    projects.sort((a, b) => b.outputTokens - a.outputTokens);
+    return { days: dayList, projects, totals };
+  }
+
+  /**
+   * Search session transcripts across every project
+   * Files are scanned newest first and scanning stops once SEARCH_MAX_RESULTS sessions match
+   * Security: Returns project directory names only, never full paths (C-1 compliance)
+   * @param {string} query - Search text or regular expression source
+   * @param {Object} [options] - See compileSearch()
+   * @param {string} [baseDir] - Projects base directory (defaults to PROJECTS_BASE_DIR)
+   * @param {number} [timeoutMs] - Regex search time limit
+   * @returns {Promise<{results: Array<Object>, truncated: boolean}>} Matching sessions with
+   *   {projectName, sessionId, modified, matchCount, matches: [{role, uuid, timestamp,
+   *   snippet, highlights}]}
+   * @throws {Error} If the query or options are invalid, or a regex search times out
+   */
+  static async searchSessions(
+    query,
+    options = {},
+    baseDir = null,
+    timeoutMs = SEARCH_REGEX_TIMEOUT_MS
+  ) {
+    const search = compileSearch(query, options);
+    if (!options.regex) {
+      return SessionManager.scanSessions(search, baseDir);
+    }
+
+    // Security: A user regex may backtrack catastrophically (e.g. '(a+)+$'). Running it on
+    // the server's only event loop would freeze every connection and live CLI stream, so
+    // the scan runs in a worker that is terminated once the timeout passes
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./search-worker.js', import.meta.url), {
+        workerData: { query, options, baseDir },
+      });
+      const timer = setTimeout(() => {
+        worker.terminate();
+        reject(new Error('Search timed out'));
+      }, timeoutMs);
+
+      worker.once('message', (message) => {
+        clearTimeout(timer);
+        worker.terminate();
+        if (message.error) {
+          reject(new Error(message.error));
+        } else {
+          resolve(message.result);
+        }
+      });
+      worker.once('error', (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Scan transcripts for a compiled search (see searchSessions)
+   * @param {Object} search - Compiled search from compileSearch()
+   * @param {string} [baseDir] - Projects base directory (defaults to PROJECTS_BASE_DIR)
+   * @returns {Promise<{results: Array<Object>, truncated: boolean}>}
+   */
+  static async scanSessions(search, baseDir = null) {
+    const projectsBase = baseDir || path.join(os.homedir(), PROJECTS_BASE_DIR);
+    const projects = await SessionManager.listProjects(projectsBase);
+
+    const files = [];
+    for (const projectName of projects) {
+      const projectDir = path.join(projectsBase, projectName);
+      let entries;
+      try {
+        entries = await fsPromises.readdir(projectDir, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (entry.isDirectory() || !entry.name.endsWith('.jsonl')) continue;
+        try {
+          const stat = await fsPromises.stat(path.join(projectDir, entry.name));
+          // A file last written before the range start cannot contain matching messages
+          if (search.from !== null && stat.mtimeMs < search.from) continue;
+          files.push({ projectName, filename: entry.name, modified: stat.mtimeMs });
+        } catch {
+          // Skip files removed while scanning
+        }
+      }
+    }
+
+    files.sort((a, b) => b.modified - a.modified);
+
+    const results = [];
+    for (const file of files) {
+      if (results.length >= SEARCH_MAX_RESULTS) {
+        return { results, truncated: true };
+      }
+
+      const manager = new SessionManager(path.join(projectsBase, file.projectName));
+      const found = await manager.searchFile(file.filename, search);
+      if (found.matchCount > 0) {
+        results.push({
+          projectName: file.projectName,
+          sessionId: file.filename.slice(0, -'.jsonl'.length),
+          modified: file.modified,
+          ...found,
+        });
+      }
+    }
+
+    return { results, truncated: false };
+  }
+
+  /**
+   * Search one JSONL transcript in this project
+   * @param {string} filename - JSONL file name
+   * @param {Object} search - Compiled search from compileSearch()
+   * @returns {Promise<{matchCount: number, matches: Array<Object>}>}
+   */
+  async searchFile(filename, search) {
+    const filePath = path.join(this.projectDir, filename);
+    const matches = [];
+    let matchCount = 0;
+
+    const fileStream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+
+    try {
+      for await (const line of rl) {
+        if (line.trim().length === 0) continue;
+
+        let json;
+        try {
+          json = JSON.parse(line);
+        } catch {
+          continue;
+        }
+
+        if (!SEARCH_ROLES.includes(json.type) || !json.message) continue;
+        if (search.role && json.type !== search.role) continue;
+
+        if (search.from !== null || search.to !== null) {
+          const time = Date.parse(json.timestamp);
+          if (Number.isNaN(time)) continue;
+          if (search.from !== null && time < search.from) continue;
+          if (search.to !== null && time > search.to) continue;
+        }
+
+        const found = findMatches(messageText(json.message.content), search.pattern);
+        if (!found) continue;
+
+        matchCount += found.count;
+        if (matches.length < SEARCH_MAX_SNIPPETS) {
+          matches.push({
+            role: json.type,
+            uuid: json.uuid || null,
+            timestamp: json.timestamp || null,
+            snippet: found.snippet,
+            highlights: found.highlights,
+          });
+        }
+      }
+    } catch {
+      // Unreadable file: report what was found so far
+    } finally {
+      fileStream.destroy();
+    }
+
+    return { matchCount, matches };
+  }
+
   /**
    * List all sessions in project directory
-   * @returns {Promise<Array<{filename: string, preview: string, modified: number}>>}
+   * Summaries come from the session index, so only new or changed transcripts are read
+   * A session is "active" if its transcript was written within SESSION_ACTIVE_WINDOW_MS
+   * (typically a CLI run in progress, here or in a terminal)
+   * A custom title from the metadata store takes precedence over the CLI summary
+   * @returns {Promise<Array<{filename: string, preview: string, modified: number,
+   *   created: number|null, lastMessageAt: number|null, messageCount: number,
+   *   title: string|null, starred: boolean, archived: boolean, active: boolean}>>}
    */
   async listSessions() {
     // Handle non-existent project directory gracefully
@@ -62,18 +573,28 @@ export class SessionManager {
       .filter((entry) => !entry.isDirectory() && entry.name.endsWith('.jsonl'))
       .map((entry) => entry.name);
 
+    this.index.retain(this.projectDir, jsonlFiles);
+
     const sessions = [];
+    const now = Date.now();
+    const projectName = path.basename(this.projectDir);
 
     for (const filename of jsonlFiles) {
       try {
-        const filePath = path.join(this.projectDir, filename);
-        const stat = await fsPromises.stat(filePath);
-        const preview = await this.extractPreview(filePath);
+        const summary = await this.index.get(path.join(this.projectDir, filename));
+        const metadata = await this.metadata.get(projectName, filename.slice(0, -'.jsonl'.length));
 
         sessions.push({
           filename,
-          preview,
-          modified: stat.mtimeMs,
+          preview: sessionPreview(summary),
+          modified: summary.mtimeMs,
+          created: summary.firstMessageAt,
+          lastMessageAt: summary.lastMessageAt,
+          messageCount: summary.messageCount,
+          title: metadata.title || summary.title,
+          starred: metadata.starred,
+          archived: metadata.archived,
+          active: now - summary.mtimeMs < SESSION_ACTIVE_WINDOW_MS,
         });
       } catch {
         // Skip files with read errors
@@ -88,12 +609,367 @@ export class SessionManager {
   }
 
   /**
-   * Extract first user message from JSONL file
+   * List one page of sessions in a chosen order (starred sessions first)
+   * A cursor continues after the last session of the previous page, so sessions added
+   * meanwhile do not shift or repeat entries the way an offset would
+   * @param {Object} [options]
+   * @param {boolean} [options.archived=false] - List archived sessions instead of the others
+   * @param {string} [options.sort='modified'] - One of SESSION_SORT_KEYS
+   * @param {string} [options.order] - 'asc' or 'desc' (default: 'asc' for title, else 'desc')
+   * @param {number} [options.offset=0] - Sessions to skip (ignored when cursor is given)
+   * @param {number} [options.limit=SESSIONS_PAGE_SIZE] - Page size (1..SESSIONS_PAGE_MAX)
+   * @param {string} [options.cursor] - nextCursor from a previous page
+   * @returns {Promise<{sessions: Array<Object>, total: number, offset: number,
+   *   nextCursor: string|null, sort: string, order: string, archived: boolean}>}
+   * @throws {Error} If any option is invalid
+   */
+  async listSessionsPage(options = {}) {
+    const sort = options.sort ?? 'modified';
+    if (!SESSION_SORT_KEYS.includes(sort)) {
+      throw new Error('Invalid session sort key');
+    }
+
+    const order = options.order ?? (sort === 'title' ? 'asc' : 'desc');
+    if (order !== 'asc' && order !== 'desc') {
+      throw new Error('Invalid session sort order');
+    }
+
+    const offset = options.offset ?? 0;
+    const limit = options.limit ?? SESSIONS_PAGE_SIZE;
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      throw new Error('Invalid session offset');
+    }
+    if (!Number.isSafeInteger(limit) || limit < 1 || limit > SESSIONS_PAGE_MAX) {
+      throw new Error('Invalid session page size');
+    }
+
+    const archived = options.archived ?? false;
+    if (typeof archived !== 'boolean') {
+      throw new Error('Invalid archived filter');
+    }
+
+    const keyOf = (session) => ({
+      starred: session.starred,
+      value: sortValue(session, sort),
+      filename: session.filename,
+    });
+    const sessions = (await this.listSessions()).filter((session) => session.archived === archived);
+    sessions.sort((a, b) => compareKeys(keyOf(a), keyOf(b), order));
+
+    let start = offset;
+    if (options.cursor !== undefined && options.cursor !== null) {
+      const after = decodeSessionCursor(options.cursor, sort, order);
+      start = sessions.findIndex((session) => compareKeys(keyOf(session), after, order) > 0);
+      if (start === -1) {
+        start = sessions.length;
+      }
+    }
+
+    const page = sessions.slice(start, start + limit);
+    const end = start + page.length;
+
+    return {
+      sessions: page,
+      total: sessions.length,
+      offset: start,
+      nextCursor: end < sessions.length ? encodeSessionCursor(page.at(-1), sort, order) : null,
+      sort,
+      order,
+      archived,
+    };
+  }
+
+  /**
+   * Resolve a session's JSONL path inside this project directory
+   * Security: UUID format check + path.resolve() + startsWith(), same as projectName (C-1)
+   * @param {string} sessionId - Session ID
+   * @returns {string} Absolute JSONL path
+   * @throws {Error} If the ID is malformed or escapes the project directory
+   */
+  resolveSessionFile(sessionId) {
+    validateSessionId(sessionId);
+    const filePath = path.resolve(this.projectDir, `${sessionId}.jsonl`);
+
+    if (!filePath.startsWith(this.projectDir + path.sep)) {
+      throw new Error('Invalid session path: path traversal detected');
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Rename, star or archive a session (stored in the sidecar; the JSONL is not touched)
+   * @param {string} sessionId - Session ID
+   * @param {Object} changes - See SessionMetadataStore.update()
+   * @returns {Promise<{title: string|null, starred: boolean, archived: boolean}>}
+   * @throws {Error} If the session does not exist or a change is invalid
+   */
+  async updateSession(sessionId, changes) {
+    await fsPromises.access(this.resolveSessionFile(sessionId));
+    return this.metadata.update(path.basename(this.projectDir), sessionId, changes);
+  }
+
+  /**
+   * Delete a session transcript, its CLI side directory (if any) and its metadata
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the session does not exist
+   */
+  async deleteSession(sessionId) {
+    const filePath = this.resolveSessionFile(sessionId);
+    await fsPromises.unlink(filePath);
+    // Newer CLI versions keep per-session data (e.g. subagent transcripts) beside the JSONL
+    await fsPromises.rm(filePath.slice(0, -'.jsonl'.length), { recursive: true, force: true });
+    await this.metadata.remove(path.basename(this.projectDir), sessionId);
+  }
+
+  /**
+   * Branch a session just before one of its user prompts
+   * Writes a truncated copy under a new session ID (entries re-stamped with it) so the CLI
+   * can resume the branch with `-r`; the original transcript is never modified
+   * Security: Both IDs are format-checked; the copy is created exclusively (wx) with 0600
+   * @param {string} sessionId - Session to branch from
+   * @param {string} messageUuid - UUID of the user prompt to branch before
+   * @returns {Promise<{sessionId: string|null, prompt: string}>} New session ID (null when
+   *   the prompt was the first message, i.e. the branch is a new session) and the prompt text
+   * @throws {Error} If an ID is invalid, the file is too large, or the prompt is not found
+   */
+  async forkSession(sessionId, messageUuid) {
+    const filePath = this.resolveSessionFile(sessionId);
+    if (typeof messageUuid !== 'string' || !SESSION_ID_PATTERN.test(messageUuid)) {
+      throw new Error('Invalid message ID format');
+    }
+
+    const stat = await fsPromises.stat(filePath);
+    if (stat.size > FORK_MAX_BYTES) {
+      throw new Error('Transcript exceeds fork size limit');
+    }
+
+    const forkId = crypto.randomUUID();
+    const lines = [];
+    let hasMessages = false;
+    let prompt = null;
+
+    const fileStream = fs.createReadStream(filePath, { encoding: 'utf-8' });
+    const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+    try {
+      for await (const line of rl) {
+        if (line.trim().length === 0) continue;
+
+        let json;
+        try {
+          json = JSON.parse(line);
+        } catch {
+          // Skip invalid JSON lines
+          continue;
+        }
+
+        if (json.uuid === messageUuid) {
+          const text =
+            json.type === 'user' && json.message ? messageText(json.message.content) : '';
+          if (text.trim().length === 0) {
+            throw new Error('Fork point is not a user prompt');
+          }
+          prompt = text;
+          break;
+        }
+
+        if (json.type === 'user' || json.type === 'assistant') {
+          hasMessages = true;
+        }
+        if (typeof json.sessionId === 'string') {
+          json.sessionId = forkId;
+        }
+        lines.push(JSON.stringify(json));
+      }
+    } finally {
+      rl.close();
+      fileStream.destroy();
+    }
+
+    if (prompt === null) {
+      throw new Error('Fork point not found');
+    }
+    if (!hasMessages) {
+      return { sessionId: null, prompt };
+    }
+
+    await fsPromises.writeFile(
+      path.join(this.projectDir, `${forkId}.jsonl`),
+      lines.join('\n') + '\n',
+      { flag: 'wx', mode: 0o600 }
+    );
+    return { sessionId: forkId, prompt };
+  }
+
+  /**
+   * Read one page of transcript entries (user/assistant, including tool blocks) from a session
+   * Paging uses a byte offset cursor so large JSONL files are never read in full at once
+   * Note: Byte accounting assumes '\n' line endings, which is what the CLI writes
+   * @param {string} sessionId - Session ID (validated by caller)
+   * @param {number} [cursor=0] - Byte offset to start reading from
+   * @param {number} [limit=HISTORY_PAGE_SIZE] - Maximum number of entries to return
+   * @returns {Promise<{entries: Array<Object>, nextCursor: number, done: boolean}>}
+   */
+  async readHistory(sessionId, cursor = 0, limit = HISTORY_PAGE_SIZE) {
+    const filePath = path.join(this.projectDir, `${sessionId}.jsonl`);
+
+    // Surface ENOENT before streaming so callers get a proper error
+    await fsPromises.access(filePath);
+
+    return new Promise((resolve, reject) => {
+      const fileStream = fs.createReadStream(filePath, { encoding: 'utf-8', start: cursor });
+      const rl = readline.createInterface({
+        input: fileStream,
+        crlfDelay: Infinity,
+      });
+
+      const entries = [];
+      let bytesRead = 0;
+      let finished = false;
+
+      const finish = (done) => {
+        if (finished) return;
+        finished = true;
+        rl.close();
+        fileStream.destroy();
+        resolve({ entries, nextCursor: cursor + bytesRead, done });
+      };
+
+      rl.on('line', (line) => {
+        // rl.close() does not stop already-buffered lines from being emitted
+        if (finished) return;
+
+        bytesRead += Buffer.byteLength(line, 'utf-8') + 1;
+
+        if (line.trim().length === 0) return;
+
+        try {
+          const json = JSON.parse(line);
+          if ((json.type === 'user' || json.type === 'assistant') && json.message) {
+            entries.push({
+              type: json.type,
+              uuid: json.uuid || null,
+              timestamp: json.timestamp || null,
+              message: {
+                role: json.message.role || json.type,
+                content: json.message.content,
+              },
+            });
+          }
+        } catch {
+          // Skip invalid JSON lines
+        }
+
+        if (entries.length >= limit || bytesRead >= HISTORY_PAGE_MAX_BYTES) {
+          finish(false);
+        }
+      });
+
+      rl.on('close', () => {
+        finish(true);
+      });
+
+      fileStream.on('error', (err) => {
+        if (finished) return;
+        finished = true;
+        reject(err);
+      });
+    });
+  }
+
+  /**
+   * Read a whole transcript for export: title and every user/assistant entry
+   * Security: Transcripts over EXPORT_MAX_BYTES are refused rather than buffered
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<{title: string|null, entries: Array<Object>}>}
+   * @throws {Error} If the ID is invalid, the file is missing, or it is too large
+   *   (err.code 'ETOOLARGE')
+   */
+  async readTranscript(sessionId) {
+    const filePath = this.resolveSessionFile(sessionId);
+    const stat = await fsPromises.stat(filePath);
+    if (stat.size > EXPORT_MAX_BYTES) {
+      const err = new Error('Transcript exceeds export size limit');
+      err.code = 'ETOOLARGE';
+      throw err;
+    }
+
+    const metadata = await this.metadata.get(path.basename(this.projectDir), sessionId);
+    const summary = await this.index.get(filePath);
+
+    const entries = [];
+    let cursor = 0;
+    for (;;) {
+      const page = await this.readHistory(sessionId, cursor, Infinity);
+      entries.push(...page.entries);
+      if (page.done) break;
+      cursor = page.nextCursor;
+    }
+
+    return { title: metadata.title || summary.title, entries };
+  }
+
+  /**
+   * Resolve the real working directory that this project directory was created for
+   * The encoded name is lossy ('-' may stand for '/', '.', '_', ...), so the `cwd` recorded
+   * in the session JSONL files is used and verified against the encoded name.
+   * Security: Candidate must be absolute, re-encode to the project name, and be a directory
+   * @returns {Promise<string|null>} Absolute working directory, or null if it cannot be resolved
+   */
+  async resolveWorkingDirectory() {
+    const projectName = path.basename(this.projectDir);
+    const tried = new Set();
+
+    const verify = async (candidate) => {
+      if (!candidate || tried.has(candidate)) return false;
+      tried.add(candidate);
+      if (!path.isAbsolute(candidate) || encodeProjectPath(candidate) !== projectName) {
+        return false;
+      }
+
+      try {
+        const stat = await fsPromises.stat(candidate);
+        return stat.isDirectory();
+      } catch {
+        // Directory no longer exists, try next candidate
+        return false;
+      }
+    };
+
+    let entries;
+    try {
+      entries = await fsPromises.readdir(this.projectDir, { withFileTypes: true });
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        throw err;
+      }
+      entries = [];
+    }
+
+    // Every session of a project normally records the same cwd, so stop at the first
+    // transcript whose cwd verifies instead of opening all of them on every prompt
+    for (const entry of entries) {
+      if (entry.isDirectory() || !entry.name.endsWith('.jsonl')) continue;
+
+      const cwd = await this.extractCwd(path.join(this.projectDir, entry.name));
+      if (await verify(cwd)) {
+        return cwd;
+      }
+    }
+
+    // Fallback: naive decode works for paths without '-', '.', '_' etc.
+    const decoded = projectName.replace(/-/g, '/');
+    return (await verify(decoded)) ? decoded : null;
+  }
+
+  /**
+   * Extract the first recorded `cwd` field from JSONL file
    * Security: Read only first MAX_PREVIEW_LINES lines to prevent memory exhaustion
    * @param {string} filePath - Path to JSONL file
-   * @returns {Promise<string>} Preview text
+   * @returns {Promise<string|null>} Recorded working directory, or null if none found
    */
-  async extractPreview(filePath) {
+  async extractCwd(filePath) {
     return new Promise((resolve) => {
       const fileStream = fs.createReadStream(filePath, { encoding: 'utf-8' });
       const rl = readline.createInterface({
@@ -105,30 +981,20 @@ export class SessionManager {
       let found = false;
 
       rl.on('line', (line) => {
+        if (found) return;
         lineCount++;
 
-        // Stop after MAX_PREVIEW_LINES to prevent reading entire file
         if (lineCount > MAX_PREVIEW_LINES) {
           rl.close();
           return;
         }
 
-        if (line.trim().length === 0) return;
-
         try {
           const json = JSON.parse(line);
-
-          // P-2 fix: Check json.message.content instead of json.content
-          if (json.type === 'user' && json.message && json.message.content) {
-            const text = json.message.content.trim();
+          if (typeof json.cwd === 'string' && json.cwd.length > 0) {
             found = true;
             rl.close();
-
-            if (text.length > MAX_PREVIEW_LENGTH) {
-              resolve(text.substring(0, MAX_PREVIEW_LENGTH) + '...');
-            } else {
-              resolve(text);
-            }
+            resolve(json.cwd);
           }
         } catch {
           // Skip invalid JSON lines
@@ -137,16 +1003,12 @@ export class SessionManager {
 
       rl.on('close', () => {
         if (!found) {
-          if (lineCount === 0) {
-            resolve('(empty session)');
-          } else {
-            resolve('(no user messages)');
-          }
+          resolve(null);
         }
       });
 
       rl.on('error', () => {
-        resolve('(read error)');
+        resolve(null);
       });
     });
   }
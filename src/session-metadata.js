@@ -0,0 +1,154 @@
+/**
+ * Location   : src/session-metadata.js
+ * Purpose    : Sidecar store for per-session custom title, star and archive flags
+ * Why        : Session management must never rewrite the CLI's JSONL transcripts, so user
+ *              metadata is kept in a separate JSON file under DATA_DIR
+ * Related    : tests/session-metadata.test.js, src/session-manager.js, src/server.js
+ */
+
+import fsPromises from 'fs/promises';
+import { SESSION_TITLE_MAX_LENGTH } from './constants.js';
+import { JsonFileWriter } from './json-store.js';
+
+// Bump when the stored shape changes
+const STORE_VERSION = 1;
+
+/**
+ * Build the store key for a session
+ * @param {string} projectName - Project directory name
+ * @param {string} sessionId - Session ID
+ * @returns {string} Key
+ */
+function storeKey(projectName, sessionId) {
+  return `${projectName}/${sessionId}`;
+}
+
+export class SessionMetadataStore {
+  /**
+   * @param {string|null} [filePath] - JSON file to persist to (null keeps metadata in memory)
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.sessions = new Map(); // "project/sessionId" -> {title, starred, archived}
+    this.loading = null;
+    this.writer = filePath ? new JsonFileWriter(filePath) : null;
+  }
+
+  /**
+   * Load the persisted store once (missing or unreadable files start empty)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.filePath) return;
+        try {
+          const data = JSON.parse(await fsPromises.readFile(this.filePath, 'utf-8'));
+          if (
+            data.version === STORE_VERSION &&
+            data.sessions &&
+            typeof data.sessions === 'object'
+          ) {
+            for (const [key, metadata] of Object.entries(data.sessions)) {
+              this.sessions.set(key, metadata);
+            }
+          }
+        } catch {
+          // Missing or corrupt store: start without metadata
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Metadata for a session
+   * @param {string} projectName - Project directory name
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<{title: string|null, starred: boolean, archived: boolean}>}
+   */
+  async get(projectName, sessionId) {
+    await this.load();
+    const metadata = this.sessions.get(storeKey(projectName, sessionId)) || {};
+    return {
+      title: metadata.title || null,
+      starred: metadata.starred === true,
+      archived: metadata.archived === true,
+    };
+  }
+
+  /**
+   * Change a session's title, star or archive flag and persist the store
+   * @param {string} projectName - Project directory name
+   * @param {string} sessionId - Session ID
+   * @param {Object} changes
+   * @param {string|null} [changes.title] - Custom title ('' or null clears it)
+   * @param {boolean} [changes.starred] - Pin to the top of the list
+   * @param {boolean} [changes.archived] - Hide from the default list
+   * @returns {Promise<{title: string|null, starred: boolean, archived: boolean}>} New metadata
+   * @throws {Error} If a change has the wrong type or the title is too long
+   */
+  async update(projectName, sessionId, changes) {
+    await this.load();
+    const next = await this.get(projectName, sessionId);
+
+    if (changes.title !== undefined) {
+      if (changes.title !== null && typeof changes.title !== 'string') {
+        throw new Error('Invalid session title');
+      }
+      const title = (changes.title || '').trim();
+      if (title.length > SESSION_TITLE_MAX_LENGTH) {
+        throw new Error('Session title exceeds maximum length');
+      }
+      next.title = title || null;
+    }
+
+    for (const flag of ['starred', 'archived']) {
+      if (changes[flag] !== undefined) {
+        if (typeof changes[flag] !== 'boolean') {
+          throw new Error(`Invalid session ${flag} flag`);
+        }
+        next[flag] = changes[flag];
+      }
+    }
+
+    const key = storeKey(projectName, sessionId);
+    if (next.title === null && !next.starred && !next.archived) {
+      this.sessions.delete(key);
+    } else {
+      this.sessions.set(key, next);
+    }
+
+    await this.save();
+    return next;
+  }
+
+  /**
+   * Forget a deleted session's metadata
+   * @param {string} projectName - Project directory name
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async remove(projectName, sessionId) {
+    await this.load();
+    if (this.sessions.delete(storeKey(projectName, sessionId))) {
+      await this.save();
+    }
+  }
+
+  /**
+   * Write the store atomically, one write at a time (see JsonFileWriter)
+   * Concurrent updates land in order
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.writer) {
+      return Promise.resolve();
+    }
+
+    return this.writer.write(() => ({
+      version: STORE_VERSION,
+      sessions: Object.fromEntries(this.sessions),
+    }));
+  }
+}
@@ -5,12 +5,14 @@
  * Related    : tests/stream-parser.test.js, src/server.js
  */
 
-import { MAX_BUFFER_SIZE } from './constants.js';
+import { MAX_BUFFER_SIZE, SESSION_ID_PATTERN } from './constants.js';
 
 export class StreamParser {
   constructor() {
     this.buffer = '';
     this.messageCallback = null;
+    this.sessionIdCallback = null;
+    this.sessionId = null;
   }
 
   /**
@@ -47,21 +49,71 @@ export class StreamParser {
 
   /**
    * Process parsed JSON message
-   * Filter: system messages are dropped, others are passed through
+   * Filter: system messages are dropped, stream events are reduced to deltas,
+   * others are passed through
    * @param {Object} message - Parsed JSON object
    */
   processMessage(message) {
+    // Capture session_id from init/result events before filtering
+    // Security: Only UUID-shaped IDs are kept, since they are later passed to `claude -r`
+    if (
+      typeof message.session_id === 'string' &&
+      message.session_id !== this.sessionId &&
+      SESSION_ID_PATTERN.test(message.session_id)
+    ) {
+      this.sessionId = message.session_id;
+      if (this.sessionIdCallback) {
+        this.sessionIdCallback(this.sessionId);
+      }
+    }
+
     // Filter out system messages (hook_started, init, etc.)
     if (message.type === 'system') {
       return;
     }
 
+    // F2: Reduce partial-message stream events to compact deltas
+    if (message.type === 'stream_event') {
+      const delta = this.toDelta(message.event);
+      if (delta && this.messageCallback) {
+        this.messageCallback(delta);
+      }
+      return;
+    }
+
     // Pass through assistant and result messages
     if (this.messageCallback) {
       this.messageCallback(message);
     }
   }
 
+  /**
+   * Convert an Anthropic streaming event to a client delta message
+   * Only message starts and text deltas are forwarded; tool input deltas are dropped
+   * because the complete assistant message carries the final tool_use block
+   * @param {Object} event - Raw stream event (message_start, content_block_delta, ...)
+   * @returns {Object|null} Delta message, or null if the event is not displayed
+   */
+  toDelta(event) {
+    if (!event || typeof event !== 'object') {
+      return null;
+    }
+
+    if (event.type === 'message_start') {
+      return { type: 'message-start' };
+    }
+
+    if (
+      event.type === 'content_block_delta' &&
+      event.delta?.type === 'text_delta' &&
+      typeof event.delta.text === 'string'
+    ) {
+      return { type: 'text-delta', index: event.index, text: event.delta.text };
+    }
+
+    return null;
+  }
+
   /**
    * Register callback for filtered messages
    * @param {Function} callback - Called with parsed message object
@@ -69,4 +121,12 @@ export class StreamParser {
   onMessage(callback) {
     this.messageCallback = callback;
   }
+
+  /**
+   * Register callback for CLI session ID discovery
+   * @param {Function} callback - Called with session ID string when first seen or changed
+   */
+  onSessionId(callback) {
+    this.sessionIdCallback = callback;
+  }
 }
@@ -0,0 +1,264 @@
+/**
+ * Location   : src/tls.js
+ * Purpose    : Load TLS cert/key from configured paths or generate a persistent self-signed one
+ * Why        : Phones need HTTPS/WSS for secure contexts (clipboard, PWA) and to protect the
+ *              auth cookie on the LAN; Node has no certificate generator, so a minimal DER
+ *              encoder builds the X.509 structure and node:crypto signs it
+ * Related    : tests/tls.test.js, src/server.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { DATA_DIR, TLS_CERT_VALIDITY_DAYS } from './constants.js';
+
+const CERT_FILENAME = 'cert.pem';
+const KEY_FILENAME = 'key.pem';
+
+// ASN.1 object identifiers
+const OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+const OID_COMMON_NAME = '2.5.4.3';
+const OID_SUBJECT_ALT_NAME = '2.5.29.17';
+const OID_BASIC_CONSTRAINTS = '2.5.29.19';
+
+/**
+ * Encode a DER element
+ * @param {number} tag - ASN.1 tag byte
+ * @param {Buffer} content - Element content
+ * @returns {Buffer} DER-encoded element
+ */
+function der(tag, content) {
+  let length;
+  if (content.length < 0x80) {
+    length = Buffer.from([content.length]);
+  } else {
+    const bytes = [];
+    for (let n = content.length; n > 0; n >>= 8) {
+      bytes.unshift(n & 0xff);
+    }
+    length = Buffer.from([0x80 | bytes.length, ...bytes]);
+  }
+  return Buffer.concat([Buffer.from([tag]), length, content]);
+}
+
+const sequence = (...items) => der(0x30, Buffer.concat(items));
+const set = (...items) => der(0x31, Buffer.concat(items));
+
+/**
+ * Encode an OBJECT IDENTIFIER
+ * @param {string} oid - Dotted OID
+ * @returns {Buffer} DER-encoded OID
+ */
+function objectId(oid) {
+  const parts = oid.split('.').map(Number);
+  const bytes = [parts[0] * 40 + parts[1]];
+  for (const part of parts.slice(2)) {
+    const chunk = [part & 0x7f];
+    for (let n = part >> 7; n > 0; n >>= 7) {
+      chunk.unshift((n & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+/**
+ * Encode a UTCTime (valid for years 1950-2049)
+ * @param {Date} date - Time to encode
+ * @returns {Buffer} DER-encoded UTCTime
+ */
+function utcTime(date) {
+  const text = date
+    .toISOString()
+    .replace(/[-:T]/g, '')
+    .replace(/\.\d+Z$/, 'Z')
+    .slice(2);
+  return der(0x17, Buffer.from(text, 'ascii'));
+}
+
+/**
+ * Encode an X.501 Name with a single common name
+ * @param {string} commonName - CN value
+ * @returns {Buffer} DER-encoded Name
+ */
+function name(commonName) {
+  return sequence(set(sequence(objectId(OID_COMMON_NAME), der(0x0c, Buffer.from(commonName)))));
+}
+
+/**
+ * Encode the subjectAltName extension value
+ * @param {Array<string>} hostnames - DNS names
+ * @param {Array<string>} ips - IPv4/IPv6 literals
+ * @returns {Buffer} DER-encoded GeneralNames
+ */
+function subjectAltNames(hostnames, ips) {
+  const names = [];
+  for (const hostname of hostnames) {
+    names.push(der(0x82, Buffer.from(hostname, 'ascii'))); // [2] dNSName
+  }
+  for (const ip of ips) {
+    const bytes = net.isIPv4(ip) ? Buffer.from(ip.split('.').map(Number)) : ipv6ToBuffer(ip);
+    names.push(der(0x87, bytes)); // [7] iPAddress
+  }
+  return sequence(...names);
+}
+
+/**
+ * Convert an IPv6 literal to its 16-byte form
+ * @param {string} ip - IPv6 literal (may contain '::')
+ * @returns {Buffer} 16-byte address
+ */
+function ipv6ToBuffer(ip) {
+  const [head, tail = ''] = ip.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = ip.includes('::') && tail ? tail.split(':') : [];
+  const missing = 8 - headParts.length - tailParts.length;
+  const groups = [...headParts, ...Array(ip.includes('::') ? missing : 0).fill('0'), ...tailParts];
+
+  const buffer = Buffer.alloc(16);
+  groups.forEach((group, index) => {
+    buffer.writeUInt16BE(parseInt(group, 16), index * 2);
+  });
+  return buffer;
+}
+
+/**
+ * Generate a self-signed ECDSA P-256 certificate
+ * @param {Object} [options]
+ * @param {Array<string>} [options.hostnames] - DNS names for subjectAltName
+ * @param {Array<string>} [options.ips] - IP addresses for subjectAltName
+ * @param {number} [options.days] - Validity period in days
+ * @returns {{cert: string, key: string}} PEM-encoded certificate and private key
+ */
+export function generateSelfSignedCertificate(options = {}) {
+  const hostnames = options.hostnames || ['localhost'];
+  const ips = (options.ips || ['127.0.0.1']).filter((ip) => net.isIP(ip));
+  const days = options.days || TLS_CERT_VALIDITY_DAYS;
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  // Positive 16-byte serial number: clear the top bit and set the next one, so the
+  // leading byte is never 0x00 (DER INTEGERs must be minimal; OpenSSL rejects padding)
+  const serial = crypto.randomBytes(16);
+  serial[0] = (serial[0] & 0x7f) | 0x40;
+
+  const notBefore = new Date(Date.now() - 60 * 1000);
+  const notAfter = new Date(notBefore.getTime() + days * 24 * 60 * 60 * 1000);
+  const signatureAlgorithm = sequence(objectId(OID_ECDSA_WITH_SHA256));
+
+  const extensions = sequence(
+    // basicConstraints: CA=false (critical)
+    sequence(
+      objectId(OID_BASIC_CONSTRAINTS),
+      der(0x01, Buffer.from([0xff])),
+      der(0x04, sequence())
+    ),
+    sequence(objectId(OID_SUBJECT_ALT_NAME), der(0x04, subjectAltNames(hostnames, ips)))
+  );
+
+  const tbsCertificate = sequence(
+    der(0xa0, der(0x02, Buffer.from([0x02]))), // [0] version v3
+    der(0x02, serial),
+    signatureAlgorithm,
+    name('TinyCC-WebUI'),
+    sequence(utcTime(notBefore), utcTime(notAfter)),
+    name('TinyCC-WebUI'),
+    publicKey.export({ type: 'spki', format: 'der' }),
+    der(0xa3, extensions) // [3] extensions
+  );
+
+  const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+  const certificate = sequence(
+    tbsCertificate,
+    signatureAlgorithm,
+    der(0x03, Buffer.concat([Buffer.from([0x00]), signature]))
+  );
+
+  const base64 = certificate
+    .toString('base64')
+    .match(/.{1,64}/g)
+    .join('\n');
+  return {
+    cert: `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`,
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+  };
+}
+
+/**
+ * Load the persisted self-signed certificate, generating it on first run
+ * Security: Private key stored with mode 0600 inside a 0700 directory
+ * @param {string} tlsDir - Directory holding cert.pem and key.pem
+ * @param {Object} [certOptions] - Passed to generateSelfSignedCertificate on first run
+ * @returns {{cert: string, key: string, generated: boolean}}
+ */
+export function loadOrCreateSelfSigned(tlsDir, certOptions = {}) {
+  const certPath = path.join(tlsDir, CERT_FILENAME);
+  const keyPath = path.join(tlsDir, KEY_FILENAME);
+
+  try {
+    return {
+      cert: fs.readFileSync(certPath, 'utf-8'),
+      key: fs.readFileSync(keyPath, 'utf-8'),
+      generated: false,
+    };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  const { cert, key } = generateSelfSignedCertificate(certOptions);
+  fs.mkdirSync(tlsDir, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyPath, key, { mode: 0o600 });
+  fs.writeFileSync(certPath, cert, { mode: 0o644 });
+  return { cert, key, generated: true };
+}
+
+/**
+ * SHA-256 fingerprint of a PEM certificate, for pinning on client devices
+ * @param {string} cert - PEM-encoded certificate
+ * @returns {string} Colon-separated hex fingerprint
+ */
+export function certificateFingerprint(cert) {
+  return new crypto.X509Certificate(cert).fingerprint256;
+}
+
+/**
+ * Resolve TLS configuration from environment
+ * TINYCC_TLS_CERT + TINYCC_TLS_KEY: use the given PEM files
+ * TINYCC_TLS=self-signed: generate once under DATA_DIR/tls and reuse
+ * @param {Array<string>} [extraNames] - Allowlisted hostnames/IPs for a generated certificate
+ * @returns {{cert: string, key: string, generated: boolean, dir?: string}|null}
+ *   TLS options, or null for plain HTTP
+ */
+export function loadTlsOptions(extraNames = []) {
+  if (process.env.TINYCC_TLS_CERT || process.env.TINYCC_TLS_KEY) {
+    if (!process.env.TINYCC_TLS_CERT || !process.env.TINYCC_TLS_KEY) {
+      throw new Error('TINYCC_TLS_CERT and TINYCC_TLS_KEY must be set together');
+    }
+    return {
+      cert: fs.readFileSync(process.env.TINYCC_TLS_CERT, 'utf-8'),
+      key: fs.readFileSync(process.env.TINYCC_TLS_KEY, 'utf-8'),
+      generated: false,
+    };
+  }
+
+  if (process.env.TINYCC_TLS !== 'self-signed') {
+    return null;
+  }
+
+  // Cover every name a phone might use: loopback, this host, LAN interfaces, allowlist
+  const interfaceIps = Object.values(os.networkInterfaces())
+    .flat()
+    .map((iface) => iface.address.replace(/%.*$/, ''));
+  const names = ['localhost', os.hostname(), '127.0.0.1', '::1', ...interfaceIps, ...extraNames];
+
+  const dir = path.join(path.resolve(os.homedir(), DATA_DIR), 'tls');
+  const material = loadOrCreateSelfSigned(dir, {
+    hostnames: [...new Set(names.filter((name) => !net.isIP(name)))],
+    ips: [...new Set(names.filter((name) => net.isIP(name)))],
+  });
+  return { ...material, dir };
+}
@@ -0,0 +1,242 @@
+/**
+ * Location   : src/usage.js
+ * Purpose    : Token / cost bookkeeping: per-session and per-day totals of CLI `result` events
+ * Why        : The team watches spend; the CLI reports cost only in `result` events (the JSONL
+ *              transcripts carry tokens but no cost), so the server keeps its own running totals
+ * Related    : tests/usage.test.js, src/server.js, src/session-index.js, src/session-manager.js
+ */
+
+import fsPromises from 'fs/promises';
+import { USAGE_RETENTION_DAYS, USAGE_SAVE_DELAY_MS } from './constants.js';
+import { JsonFileWriter } from './json-store.js';
+
+// Bump when the stored shape changes
+const STORE_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Token counts of an API `usage` object (missing fields count as 0)
+ * @param {Object} usage - {input_tokens, output_tokens, cache_read_input_tokens, ...}
+ * @returns {{inputTokens: number, outputTokens: number, cacheReadTokens: number,
+ *   cacheCreationTokens: number}}
+ */
+export function tokenCounts(usage) {
+  const count = (value) => (Number.isFinite(value) && value > 0 ? value : 0);
+  return {
+    inputTokens: count(usage?.input_tokens),
+    outputTokens: count(usage?.output_tokens),
+    cacheReadTokens: count(usage?.cache_read_input_tokens),
+    cacheCreationTokens: count(usage?.cache_creation_input_tokens),
+  };
+}
+
+/**
+ * Local calendar day of a timestamp ('YYYY-MM-DD', server time zone)
+ * @param {number} time - Milliseconds since epoch
+ * @returns {string} Day key
+ */
+export function usageDay(time) {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Create an empty running total
+ * @returns {Object} Totals
+ */
+export function emptyTotals() {
+  return {
+    costUsd: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    durationMs: 0,
+    turns: 0,
+    runs: 0,
+  };
+}
+
+/**
+ * Add one set of totals into another
+ * @param {Object} target - Totals (mutated)
+ * @param {Object} source - Totals to add (missing fields count as 0)
+ */
+export function addTotals(target, source) {
+  for (const key of Object.keys(target)) {
+    if (key === 'lastAt') continue;
+    if (Number.isFinite(source[key])) {
+      target[key] += source[key];
+    }
+  }
+}
+
+export class UsageTracker {
+  /**
+   * @param {string|null} [filePath] - JSON file to persist to (null keeps totals in memory)
+   */
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.sessions = new Map(); // sessionId -> totals + lastAt
+    this.days = new Map(); // 'YYYY-MM-DD' -> totals
+    this.loading = null;
+    this.saveTimer = null;
+    this.writer = filePath ? new JsonFileWriter(filePath) : null;
+  }
+
+  /**
+   * Load the persisted totals once and add them to anything recorded meanwhile
+   * (missing or unreadable files start empty)
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        if (!this.filePath) return;
+        let data;
+        try {
+          data = JSON.parse(await fsPromises.readFile(this.filePath, 'utf-8'));
+        } catch {
+          // Missing or corrupt store: start from zero
+          return;
+        }
+        if (data.version !== STORE_VERSION) return;
+
+        for (const [map, stored] of [
+          [this.sessions, data.sessions],
+          [this.days, data.days],
+        ]) {
+          if (!stored || typeof stored !== 'object') continue;
+          for (const [key, totals] of Object.entries(stored)) {
+            const current = map.get(key) || { ...emptyTotals(), lastAt: 0 };
+            addTotals(current, totals);
+            current.lastAt = Math.max(current.lastAt || 0, totals.lastAt || 0);
+            map.set(key, current);
+          }
+        }
+      })();
+    }
+    return this.loading;
+  }
+
+  /**
+   * Add a CLI `result` event to its session's and today's totals
+   * @param {string|null} sessionId - CLI session the run belongs to
+   * @param {Object} result - `result` event ({total_cost_usd, usage, duration_ms, num_turns})
+   * @param {number} [now] - Current time (for tests)
+   * @returns {{session: Object|null, day: Object}} Updated totals (copies)
+   */
+  record(sessionId, result, now = Date.now()) {
+    const run = {
+      ...emptyTotals(),
+      ...tokenCounts(result.usage),
+      costUsd: Number.isFinite(result.total_cost_usd) ? result.total_cost_usd : 0,
+      durationMs: Number.isFinite(result.duration_ms) ? result.duration_ms : 0,
+      turns: Number.isInteger(result.num_turns) ? result.num_turns : 0,
+      runs: 1,
+    };
+
+    const dayKey = usageDay(now);
+    const day = this.days.get(dayKey) || { ...emptyTotals(), lastAt: 0 };
+    addTotals(day, run);
+    day.lastAt = now;
+    this.days.set(dayKey, day);
+
+    let session = null;
+    if (sessionId) {
+      session = this.sessions.get(sessionId) || { ...emptyTotals(), lastAt: 0 };
+      addTotals(session, run);
+      session.lastAt = now;
+      this.sessions.set(sessionId, session);
+    }
+
+    this.prune(now);
+    this.scheduleSave();
+    return { session: session && { ...session }, day: { ...day } };
+  }
+
+  /**
+   * Totals of one session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Totals, or null if nothing was recorded
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  /**
+   * Totals of one day
+   * @param {string} day - 'YYYY-MM-DD'
+   * @returns {Object|null} Totals, or null if nothing was recorded
+   */
+  getDay(day) {
+    const totals = this.days.get(day);
+    return totals ? { ...totals } : null;
+  }
+
+  /**
+   * Drop days and sessions untouched for USAGE_RETENTION_DAYS
+   * @param {number} now - Current time
+   */
+  prune(now) {
+    const cutoff = now - USAGE_RETENTION_DAYS * DAY_MS;
+    for (const map of [this.days, this.sessions]) {
+      for (const [key, totals] of map) {
+        if (totals.lastAt < cutoff) {
+          map.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Coalesce writes: save once results stop arriving for USAGE_SAVE_DELAY_MS
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(() => {
+        // Totals stay in memory; the next result retries
+      });
+    }, USAGE_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the totals atomically, one write at a time (see JsonFileWriter)
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.writer) {
+      return Promise.resolve();
+    }
+
+    return this.writer.write(async () => {
+      // Loaded totals must be merged in before the file is replaced
+      await this.load();
+      return {
+        version: STORE_VERSION,
+        sessions: Object.fromEntries(this.sessions),
+        days: Object.fromEntries(this.days),
+      };
+    });
+  }
+
+  /**
+   * Flush pending totals (server shutdown)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.save();
+    }
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Location   : src/vendor-assets.js
+ * Purpose    : Serve vendored browser libraries (public/vendor/) verified against their manifest
+ * Why        : marked / DOMPurify used to come from a CDN; local copies keep the UI working
+ *              offline while the build-time hash manifest still guards their integrity
+ * Related    : tests/vendor-assets.test.js, scripts/vendor.js, src/server.js
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_VENDOR_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '../public/vendor'
+);
+
+export class VendorAssets {
+  /**
+   * @param {string} [vendorDir] - Directory holding vendored files and manifest.json
+   */
+  constructor(vendorDir = DEFAULT_VENDOR_DIR) {
+    this.vendorDir = vendorDir;
+    // name -> 'sha384-...' (loaded lazily)
+    this.manifest = null;
+    // name -> verified file content
+    this.cache = new Map();
+  }
+
+  /**
+   * Load manifest.json written by scripts/vendor.js
+   * @returns {Promise<Object<string, string>>} File name -> SRI integrity value
+   */
+  async loadManifest() {
+    if (!this.manifest) {
+      const raw = await fs.readFile(path.join(this.vendorDir, 'manifest.json'), 'utf-8');
+      this.manifest = JSON.parse(raw);
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Get a vendored file, verifying its hash on first read
+   * Security: Only names listed in the manifest are served (no path handling at all)
+   * @param {string} name - File name from the /vendor/ URL
+   * @returns {Promise<Buffer|null>} File content, or null if not a vendored file
+   * @throws {Error} If the file on disk does not match its manifest hash
+   */
+  async get(name) {
+    const manifest = await this.loadManifest();
+    if (!Object.hasOwn(manifest, name)) {
+      return null;
+    }
+
+    if (!this.cache.has(name)) {
+      const content = await fs.readFile(path.join(this.vendorDir, name));
+      const digest = `sha384-${crypto.createHash('sha384').update(content).digest('base64')}`;
+      if (digest !== manifest[name]) {
+        throw new Error(`Vendored file integrity mismatch: ${name}`);
+      }
+      this.cache.set(name, content);
+    }
+    return this.cache.get(name);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Location   : tests/attachments.test.js
+ * Purpose    : Test attachment validation, staging and per-run directories
+ * Why        : Uploads are untrusted files written to disk and handed to the CLI by path
+ * Related    : src/attachments.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { AttachmentStore, validateAttachment, describeAttachments } from '../src/attachments.js';
+import { ATTACHMENT_MAX_BYTES, ATTACHMENT_STAGE_TTL_MS } from '../src/constants.js';
+
+const png = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('image data'),
+]);
+
+describe('validateAttachment', () => {
+  it('should derive the type from a whitelisted extension', () => {
+    expect(validateAttachment('Screenshot.PNG', png)).toEqual({
+      name: 'Screenshot.png',
+      type: 'image/png',
+    });
+    expect(validateAttachment('notes.md', Buffer.from('# notes'))).toEqual({
+      name: 'notes.md',
+      type: 'text/markdown',
+    });
+  });
+
+  it('should reject extensions outside the whitelist', () => {
+    for (const name of ['page.html', 'run.sh', 'noext', 'image.png.exe']) {
+      expect(() => validateAttachment(name, png)).toThrow('Invalid attachment type');
+    }
+  });
+
+  it('should reject content that does not match the type', () => {
+    expect(() => validateAttachment('fake.png', Buffer.from('<script>'))).toThrow('does not match');
+    expect(() => validateAttachment('fake.pdf', png)).toThrow('does not match');
+    expect(() => validateAttachment('binary.txt', Buffer.from([0x41, 0x00]))).toThrow(
+      'does not match'
+    );
+  });
+
+  it('should accept WebP by its RIFF header', () => {
+    const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]);
+
+    expect(validateAttachment('photo.webp', webp).type).toBe('image/webp');
+  });
+
+  it('should reject empty and oversized files', () => {
+    expect(() => validateAttachment('empty.txt', Buffer.alloc(0))).toThrow('size');
+    expect(() =>
+      validateAttachment('big.txt', Buffer.alloc(ATTACHMENT_MAX_BYTES + 1, 0x41))
+    ).toThrow('size');
+  });
+
+  it('should strip directories and unsafe characters from the name', () => {
+    expect(validateAttachment('../../etc/passwd.txt', Buffer.from('x')).name).toBe('passwd.txt');
+    expect(validateAttachment('C:\\Users\\me\\shot.png', png).name).toBe('shot.png');
+    expect(validateAttachment('-rf $(x)\n.txt', Buffer.from('x')).name).toBe('rf __x__.txt');
+    expect(validateAttachment('..png', png).name).toBe('file.png');
+    expect(validateAttachment('スクリーンショット.png', png).name).toBe('スクリーンショット.png');
+  });
+});
+
+describe('describeAttachments', () => {
+  it('should list each file path and type after the message', () => {
+    const text = describeAttachments([
+      { path: '/tmp/a/1-shot.png', name: 'shot.png', type: 'image/png' },
+    ]);
+
+    expect(text).toBe(
+      '\n\nAttached files (open them with the Read tool):\n- /tmp/a/1-shot.png (image/png)'
+    );
+  });
+});
+
+describe('AttachmentStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'attachments-test-'));
+    store = new AttachmentStore(path.join(tempDir, 'uploads'));
+  });
+
+  afterEach(async () => {
+    await store.close();
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should stage an upload and move it into a run directory when claimed', async () => {
+    const upload = await store.stage('shot.png', png);
+    expect(upload).toEqual({
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      name: 'shot.png',
+      type: 'image/png',
+      size: png.length,
+    });
+
+    const runDir = await store.createRunDir();
+    const files = await store.claim([upload.id], runDir);
+
+    expect(files).toHaveLength(1);
+    expect(path.dirname(files[0].path)).toBe(runDir);
+    expect(files[0].path.endsWith('-shot.png')).toBe(true);
+    expect(await fs.readFile(files[0].path)).toEqual(png);
+    // Claimed uploads cannot be claimed again
+    await expect(store.claim([upload.id], runDir)).rejects.toThrow('Attachment not found');
+  });
+
+  it('should write uploads with owner-only permissions', async () => {
+    await store.stage('shot.png', png);
+    const root = await store.init();
+
+    expect((await fs.stat(root)).mode & 0o777).toBe(0o700);
+    const [file] = await fs.readdir(root);
+    expect((await fs.stat(path.join(root, file))).mode & 0o777).toBe(0o600);
+  });
+
+  it('should reject unknown, malformed and duplicate upload IDs', async () => {
+    const upload = await store.stage('a.txt', Buffer.from('a'));
+    const runDir = await store.createRunDir();
+
+    await expect(store.claim(['../../etc/passwd'], runDir)).rejects.toThrow('not found');
+    await expect(store.claim(['550e8400-e29b-41d4-a716-446655440000'], runDir)).rejects.toThrow(
+      'not found'
+    );
+    await expect(store.claim([upload.id, upload.id], runDir)).rejects.toThrow(
+      'Invalid attachments'
+    );
+    await expect(store.claim('not-a-list', runDir)).rejects.toThrow('Invalid attachments');
+  });
+
+  it('should delete uploads that were never sent', async () => {
+    const old = await store.stage('old.txt', Buffer.from('old'), 0);
+    await store.stage('new.txt', Buffer.from('new'), ATTACHMENT_STAGE_TTL_MS + 1);
+
+    expect(store.staged.has(old.id)).toBe(false);
+    expect(await fs.readdir(await store.init())).toHaveLength(1);
+  });
+
+  it('should only remove run directories inside its root', async () => {
+    const runDir = await store.createRunDir();
+    const outside = path.join(tempDir, 'keep');
+    await fs.mkdir(outside);
+
+    await store.removeRunDir(outside);
+    await store.removeRunDir(runDir);
+
+    await expect(fs.stat(outside)).resolves.toBeDefined();
+    await expect(fs.stat(runDir)).rejects.toThrow();
+  });
+});
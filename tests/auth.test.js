@@ -0,0 +1,132 @@
+/**
+ * Location   : tests/auth.test.js
+ * Purpose    : Test AuthManager login, session cookies, lockout and secret persistence
+ * Why        : Authentication is the only barrier between the network and the local CLI
+ * Related    : src/auth.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { AuthManager, parseCookies } from '../src/auth.js';
+
+const requestWithCookie = (cookie) => ({ headers: { cookie } });
+
+describe('AuthManager', () => {
+  describe('parseCookies', () => {
+    it('should parse multiple cookies', () => {
+      expect(parseCookies('a=1; tinycc_session=abc; b=2')).toEqual({
+        a: '1',
+        tinycc_session: 'abc',
+        b: '2',
+      });
+    });
+
+    it('should return empty object for missing header', () => {
+      expect(parseCookies(undefined)).toEqual({});
+    });
+  });
+
+  describe('login', () => {
+    it('should create a session for the correct secret', () => {
+      const auth = new AuthManager({ secret: 'secret-value' });
+
+      const result = auth.login('10.0.0.1', 'secret-value');
+
+      expect(result.ok).toBe(true);
+      expect(auth.isAuthenticated(requestWithCookie(`tinycc_session=${result.sessionId}`))).toBe(
+        true
+      );
+    });
+
+    it('should reject wrong and empty secrets', () => {
+      const auth = new AuthManager({ secret: 'secret-value' });
+
+      expect(auth.login('10.0.0.1', 'wrong').ok).toBe(false);
+      expect(auth.login('10.0.0.1', '').ok).toBe(false);
+      expect(auth.login('10.0.0.1', undefined).ok).toBe(false);
+    });
+
+    it('should lock out an address after max failures', () => {
+      const auth = new AuthManager({ secret: 'secret-value', maxFailures: 3 });
+
+      auth.login('10.0.0.1', 'wrong');
+      auth.login('10.0.0.1', 'wrong');
+      const third = auth.login('10.0.0.1', 'wrong');
+
+      expect(third.locked).toBe(true);
+      expect(auth.login('10.0.0.1', 'secret-value')).toEqual({ ok: false, locked: true });
+      // Other addresses are unaffected
+      expect(auth.login('10.0.0.2', 'secret-value').ok).toBe(true);
+    });
+
+    it('should unlock after lockout period', () => {
+      const auth = new AuthManager({ secret: 'secret-value', maxFailures: 1, lockoutMs: 1 });
+
+      auth.login('10.0.0.1', 'wrong');
+      const record = auth.failures.get('10.0.0.1');
+      record.lockedUntil = Date.now() - 1;
+
+      expect(auth.login('10.0.0.1', 'secret-value').ok).toBe(true);
+    });
+  });
+
+  describe('sessions', () => {
+    it('should reject unknown and expired sessions', () => {
+      const auth = new AuthManager({ secret: 'secret-value' });
+      const { sessionId } = auth.login('10.0.0.1', 'secret-value');
+
+      expect(auth.isAuthenticated(requestWithCookie('tinycc_session=forged'))).toBe(false);
+      expect(auth.isAuthenticated(requestWithCookie(undefined))).toBe(false);
+
+      auth.sessions.set(sessionId, Date.now() - 1);
+      expect(auth.isAuthenticated(requestWithCookie(`tinycc_session=${sessionId}`))).toBe(false);
+    });
+
+    it('should invalidate session on logout', () => {
+      const auth = new AuthManager({ secret: 'secret-value' });
+      const { sessionId } = auth.login('10.0.0.1', 'secret-value');
+      const req = requestWithCookie(`tinycc_session=${sessionId}`);
+
+      auth.logout(req);
+
+      expect(auth.isAuthenticated(req)).toBe(false);
+    });
+
+    it('should build HttpOnly SameSite=Strict cookies', () => {
+      const auth = new AuthManager({ secret: 'secret-value', secureCookies: true });
+
+      const cookie = auth.sessionCookie('abc');
+
+      expect(cookie).toContain('tinycc_session=abc');
+      expect(cookie).toContain('HttpOnly');
+      expect(cookie).toContain('SameSite=Strict');
+      expect(cookie).toContain('Secure');
+    });
+  });
+
+  describe('loadOrCreateSecret', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'auth-test-')), 'data');
+    });
+
+    afterEach(async () => {
+      await fs.rm(path.dirname(dataDir), { recursive: true, force: true });
+    });
+
+    it('should generate and persist a token on first run', async () => {
+      const first = AuthManager.loadOrCreateSecret(dataDir);
+      const second = AuthManager.loadOrCreateSecret(dataDir);
+
+      expect(first.generated).toBe(true);
+      expect(second.generated).toBe(false);
+      expect(second.secret).toBe(first.secret);
+
+      const stat = await fs.stat(path.join(dataDir, 'auth-secret'));
+      expect(stat.mode & 0o777).toBe(0o600);
+    });
+  });
+});
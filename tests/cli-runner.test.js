@@ -7,7 +7,7 @@
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { spawn } from 'child_process';
-import { CLIRunner, validateSessionId } from '../src/cli-runner.js';
+import { CLIRunner, validateSessionId, validateRunOptions } from '../src/cli-runner.js';
 
 vi.mock('child_process');
 
@@ -87,9 +87,13 @@ describe('CLIRunner', () => {
       const runner = new CLIRunner();
       runner.start();
 
-      expect(spawn).toHaveBeenCalledWith('claude', ['-p', '--output-format', 'stream-json'], {
-        shell: false,
-      });
+      expect(spawn).toHaveBeenCalledWith(
+        'claude',
+        ['-p', '--output-format', 'stream-json', '--include-partial-messages'],
+        {
+          shell: false,
+        }
+      );
     });
 
     it('should support session resumption with -r flag', () => {
@@ -102,6 +106,57 @@ describe('CLIRunner', () => {
       });
     });
 
+    it('should spawn CLI in the given working directory', () => {
+      const runner = new CLIRunner({ cwd: '/tmp/project' });
+      runner.start();
+
+      expect(spawn).toHaveBeenCalledWith('claude', expect.any(Array), {
+        shell: false,
+        cwd: '/tmp/project',
+      });
+    });
+
+    it('should enable the permission prompt tool when MCP config is given', () => {
+      const runner = new CLIRunner({ mcpConfigPath: '/tmp/tinycc-mcp/mcp.json' });
+      runner.start();
+
+      expect(spawn).toHaveBeenCalledWith(
+        'claude',
+        expect.arrayContaining([
+          '--mcp-config',
+          '/tmp/tinycc-mcp/mcp.json',
+          '--permission-prompt-tool',
+          'mcp__tinycc__approve',
+        ]),
+        { shell: false }
+      );
+    });
+
+    it('should let the CLI read the run attachment directory', () => {
+      const runner = new CLIRunner({ attachmentDir: '/tmp/tinycc-attachments-x/run-y' });
+      runner.start();
+
+      expect(spawn).toHaveBeenCalledWith(
+        'claude',
+        expect.arrayContaining(['--add-dir', '/tmp/tinycc-attachments-x/run-y']),
+        { shell: false }
+      );
+    });
+
+    it('should list attachment paths after the user text', () => {
+      const runner = new CLIRunner();
+      runner.start();
+
+      runner.sendInput('What is broken here?', [
+        { path: '/tmp/run-y/1a2b3c4d-shot.png', name: 'shot.png', type: 'image/png' },
+      ]);
+
+      expect(mockProcess.stdin.write).toHaveBeenCalledWith(
+        'What is broken here?\n\nAttached files (open them with the Read tool):\n' +
+          '- /tmp/run-y/1a2b3c4d-shot.png (image/png)\n'
+      );
+    });
+
     it('should register stdout listener', () => {
       const runner = new CLIRunner();
       const callback = vi.fn();
@@ -153,6 +208,78 @@ describe('CLIRunner', () => {
     });
   });
 
+  describe('Run Options', () => {
+    it('should default every option to the CLI defaults', () => {
+      expect(validateRunOptions(undefined)).toEqual({
+        model: null,
+        permissionMode: null,
+        allowedTools: [],
+        disallowedTools: [],
+        maxTurns: null,
+        appendSystemPrompt: null,
+      });
+    });
+
+    it('should pass whitelisted options as separate arguments', () => {
+      const runner = new CLIRunner({
+        runOptions: {
+          model: 'sonnet',
+          permissionMode: 'acceptEdits',
+          allowedTools: ['Read', 'Bash(npm test:*)'],
+          disallowedTools: ['WebFetch'],
+          maxTurns: 10,
+          appendSystemPrompt: '-Answer in Japanese',
+        },
+      });
+      runner.start();
+
+      const args = spawn.mock.calls[0][1];
+      expect(args).toEqual([
+        '-p',
+        '--output-format',
+        'stream-json',
+        '--include-partial-messages',
+        '--model',
+        'sonnet',
+        '--permission-mode',
+        'acceptEdits',
+        '--allowedTools',
+        'Read,Bash(npm test:*)',
+        '--disallowedTools',
+        'WebFetch',
+        '--max-turns',
+        '10',
+        '--append-system-prompt=-Answer in Japanese',
+      ]);
+    });
+
+    it('should reject values outside the whitelists', () => {
+      expect(() => validateRunOptions({ model: 'gpt-4' })).toThrow('Invalid model');
+      expect(() => validateRunOptions({ permissionMode: 'bypassPermissions' })).toThrow(
+        'Invalid permission mode'
+      );
+      expect(() => validateRunOptions({ maxTurns: 0 })).toThrow('Invalid max turns');
+      expect(() => validateRunOptions({ maxTurns: '5' })).toThrow('Invalid max turns');
+      expect(() => validateRunOptions({ appendSystemPrompt: 'a'.repeat(4001) })).toThrow(
+        'Invalid system prompt'
+      );
+      expect(() => validateRunOptions([])).toThrow('Invalid run options');
+    });
+
+    it('should reject tool entries that could inject flags', () => {
+      for (const tool of ['--dangerously-skip-permissions', 'Bash,Write', 'Bash(a)(b)', '']) {
+        expect(() => validateRunOptions({ allowedTools: [tool] })).toThrow('Invalid allowed tools');
+      }
+      expect(() => validateRunOptions({ disallowedTools: 'Bash' })).toThrow(
+        'Invalid disallowed tools'
+      );
+    });
+
+    it('should re-validate options in the constructor', () => {
+      expect(() => new CLIRunner({ runOptions: { model: '--help' } })).toThrow('Invalid model');
+    });
+  });
+
   describe('Session ID Validation', () => {
     it('should accept valid UUID', () => {
       const validUUID = '550e8400-e29b-41d4-a716-446655440000';
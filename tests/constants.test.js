@@ -16,6 +16,8 @@ import {
   SESSION_ID_PATTERN,
   MAX_PREVIEW_LENGTH,
   MAX_PREVIEW_LINES,
+  HISTORY_PAGE_SIZE,
+  HISTORY_PAGE_MAX_BYTES,
 } from '../src/constants.js';
 
 describe('Constants', () => {
@@ -58,4 +60,10 @@ describe('Constants', () => {
     expect(MAX_PREVIEW_LENGTH).toBeGreaterThan(0);
     expect(MAX_PREVIEW_LINES).toBeGreaterThan(0);
   });
+
+  it('should have reasonable history paging limits', () => {
+    expect(HISTORY_PAGE_SIZE).toBe(50);
+    expect(HISTORY_PAGE_MAX_BYTES).toBe(256 * 1024);
+    expect(HISTORY_PAGE_MAX_BYTES).toBeLessThan(MAX_BUFFER_SIZE);
+  });
 });
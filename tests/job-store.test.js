@@ -0,0 +1,196 @@
+/**
+ * Location   : tests/job-store.test.js
+ * Purpose    : Test background job records, output paging and persistence
+ * Why        : Jobs must survive disconnects and restarts, and their output is read back
+ *              from any device
+ * Related    : src/job-store.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { JobStore, summarizeResult } from '../src/job-store.js';
+import {
+  JOB_MAX_STORED,
+  JOB_OUTPUT_MAX_BYTES,
+  JOB_PROMPT_PREVIEW_LENGTH,
+} from '../src/constants.js';
+
+describe('summarizeResult', () => {
+  it('should keep the result text, cost, duration and turns', () => {
+    expect(
+      summarizeResult({
+        type: 'result',
+        subtype: 'success',
+        is_error: false,
+        result: 'Done',
+        total_cost_usd: 0.12,
+        duration_ms: 3400,
+        num_turns: 2,
+        usage: { input_tokens: 10 },
+      })
+    ).toEqual({
+      subtype: 'success',
+      isError: false,
+      result: 'Done',
+      costUsd: 0.12,
+      durationMs: 3400,
+      turns: 2,
+      usage: { input_tokens: 10 },
+    });
+  });
+
+  it('should null out missing or malformed fields', () => {
+    expect(summarizeResult({ is_error: true, total_cost_usd: 'x' })).toMatchObject({
+      isError: true,
+      result: null,
+      costUsd: null,
+      turns: null,
+    });
+  });
+});
+
+describe('JobStore', () => {
+  let tempDir;
+  let store;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-test-'));
+    store = new JobStore(path.join(tempDir, 'jobs'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create queued jobs and list them newest first', async () => {
+    const first = await store.create({ projectName: 'p', prompt: 'first' }, 1000);
+    const second = await store.create({ projectName: null, prompt: 'x'.repeat(500) }, 2000);
+
+    expect(first).toMatchObject({
+      jobId: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      status: 'queued',
+      projectName: 'p',
+      prompt: 'first',
+      createdAt: 1000,
+      startedAt: null,
+      result: null,
+    });
+
+    const jobs = await store.list();
+    expect(jobs.map((job) => job.jobId)).toEqual([second.jobId, first.jobId]);
+    expect(jobs[0].prompt).toHaveLength(JOB_PROMPT_PREVIEW_LENGTH);
+    expect(jobs[0]).not.toHaveProperty('outputSeq');
+    // The full prompt stays with the job
+    expect(store.get(second.jobId).prompt).toHaveLength(500);
+  });
+
+  it('should return copies and null for unknown IDs', async () => {
+    const job = await store.create({ projectName: null, prompt: 'p' });
+
+    store.get(job.jobId).status = 'done';
+    expect(store.get(job.jobId).status).toBe('queued');
+    expect(store.get('missing')).toBeNull();
+    expect(store.get({ jobId: job.jobId })).toBeNull();
+    expect(await store.update('missing', { status: 'done' })).toBeNull();
+  });
+
+  it('should append output and read it back in pages', async () => {
+    const job = await store.create({ projectName: null, prompt: 'p' });
+    for (let i = 1; i <= 5; i++) {
+      expect(store.append(job.jobId, { type: 'assistant', index: i })).toBe(i);
+    }
+
+    const first = await store.readOutput(job.jobId, 0, 2);
+    expect(first.entries).toEqual([
+      { seq: 1, message: { type: 'assistant', index: 1 } },
+      { seq: 2, message: { type: 'assistant', index: 2 } },
+    ]);
+    expect(first.done).toBe(false);
+
+    const rest = await store.readOutput(job.jobId, first.nextCursor, 10);
+    expect(rest.entries.map((entry) => entry.seq)).toEqual([3, 4, 5]);
+    expect(rest.done).toBe(true);
+
+    const end = await store.readOutput(job.jobId, rest.nextCursor);
+    expect(end).toEqual({ entries: [], nextCursor: rest.nextCursor, done: true });
+  });
+
+  it('should return an empty page for jobs without output and reject unknown jobs', async () => {
+    const job = await store.create({ projectName: null, prompt: 'p' });
+
+    expect(await store.readOutput(job.jobId)).toEqual({ entries: [], nextCursor: 0, done: true });
+    await expect(store.readOutput('550e8400-e29b-41d4-a716-446655440000')).rejects.toThrow(
+      'Job not found'
+    );
+  });
+
+  it('should stop storing output at the size limit', async () => {
+    const job = await store.create({ projectName: null, prompt: 'p' });
+    const big = 'x'.repeat(JOB_OUTPUT_MAX_BYTES / 2);
+
+    expect(store.append(job.jobId, { text: big })).toBe(1);
+    expect(store.append(job.jobId, { text: big })).toBeNull();
+    expect(store.append(job.jobId, { text: 'small' })).toBeNull();
+    expect(store.get(job.jobId).truncated).toBe(true);
+    expect((await store.readOutput(job.jobId)).entries).toHaveLength(1);
+  });
+
+  it('should write output with owner-only permissions', async () => {
+    const job = await store.create({ projectName: null, prompt: 'p' });
+    store.append(job.jobId, { type: 'exit', code: 0 });
+    await store.readOutput(job.jobId);
+
+    expect((await fs.stat(store.outputPath(job.jobId))).mode & 0o777).toBe(0o600);
+  });
+
+  it('should reload jobs and mark interrupted ones failed', async () => {
+    const running = await store.create({ projectName: null, prompt: 'running' });
+    const done = await store.create({ projectName: null, prompt: 'done' });
+    await store.update(running.jobId, { status: 'running', startedAt: 1 });
+    await store.update(done.jobId, { status: 'done', endedAt: 2 });
+
+    const reloaded = new JobStore(store.dir);
+    await reloaded.load(5000);
+    await reloaded.writer.writing;
+
+    expect(reloaded.get(running.jobId)).toMatchObject({
+      status: 'failed',
+      error: 'Server stopped',
+      endedAt: 5000,
+    });
+    expect(reloaded.get(done.jobId)).toMatchObject({ status: 'done', endedAt: 2 });
+
+    const saved = JSON.parse(await fs.readFile(store.indexPath(), 'utf-8'));
+    expect(saved.jobs.find((job) => job.jobId === running.jobId).status).toBe('failed');
+  });
+
+  it('should start empty when the index is missing or corrupt', async () => {
+    await store.load();
+    expect(await store.list()).toEqual([]);
+
+    await fs.mkdir(store.dir, { recursive: true });
+    await fs.writeFile(store.indexPath(), '{not json');
+    const corrupt = new JobStore(store.dir);
+    expect(await corrupt.list()).toEqual([]);
+  });
+
+  it('should delete the oldest finished jobs beyond the limit', async () => {
+    const oldest = await store.create({ projectName: null, prompt: 'oldest' }, 0);
+    store.append(oldest.jobId, { type: 'exit', code: 0 });
+    await store.readOutput(oldest.jobId);
+    await store.update(oldest.jobId, { status: 'done' });
+    // Unfinished jobs are never pruned
+    const waiting = await store.create({ projectName: null, prompt: 'waiting' }, 1);
+
+    for (let i = 0; i < JOB_MAX_STORED - 1; i++) {
+      await store.create({ projectName: null, prompt: `job ${i}` }, 10 + i);
+    }
+
+    expect(store.jobs.size).toBe(JOB_MAX_STORED);
+    expect(store.get(oldest.jobId)).toBeNull();
+    expect(store.get(waiting.jobId)).not.toBeNull();
+    await expect(fs.stat(store.outputPath(oldest.jobId))).rejects.toThrow();
+  });
+});
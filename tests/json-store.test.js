@@ -0,0 +1,73 @@
+/**
+ * Location   : tests/json-store.test.js
+ * Purpose    : Test atomic, serialized JSON writes and DATA_DIR permissions
+ * Why        : Every persistent store under DATA_DIR writes through this helper
+ * Related    : src/json-store.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { JsonFileWriter, ensurePrivateDir, writeJsonAtomic } from '../src/json-store.js';
+
+describe('json-store', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-test-'));
+    filePath = path.join(tempDir, 'data', 'store.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write 0600 inside a 0700 directory and leave no temp file', async () => {
+    await writeJsonAtomic(filePath, { version: 1 });
+
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual({ version: 1 });
+    expect((await fs.stat(path.dirname(filePath))).mode & 0o777).toBe(0o700);
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600);
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['store.json']);
+  });
+
+  it('should create private directories', async () => {
+    const dir = path.join(tempDir, 'a', 'b');
+    await ensurePrivateDir(dir);
+
+    expect((await fs.stat(dir)).mode & 0o777).toBe(0o700);
+  });
+
+  it('should run writes in order and build each snapshot when it starts', async () => {
+    const writer = new JsonFileWriter(filePath);
+    const state = { count: 0 };
+    const built = [];
+
+    const writes = [1, 2, 3].map(() =>
+      writer.write(async () => {
+        state.count++;
+        built.push(state.count);
+        return { ...state };
+      })
+    );
+    await Promise.all(writes);
+
+    expect(built).toEqual([1, 2, 3]);
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual({ count: 3 });
+  });
+
+  it('should keep writing after a failed write', async () => {
+    const writer = new JsonFileWriter(filePath);
+
+    const failed = writer.write(() => {
+      throw new Error('Snapshot failed');
+    });
+    const next = writer.write(() => ({ ok: true }));
+
+    await expect(failed).rejects.toThrow('Snapshot failed');
+    await next;
+    expect(JSON.parse(await fs.readFile(filePath, 'utf-8'))).toEqual({ ok: true });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Location   : tests/notifier.test.js
+ * Purpose    : Test run-finished notifications: payload, webhook, hook command and retries
+ * Why        : Notifications leave the server; the payload must stay metadata-only and
+ *              delivery must survive a flaky receiver
+ * Related    : src/notifier.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { Notifier, buildRunPayload } from '../src/notifier.js';
+import { NOTIFY_MAX_ATTEMPTS, NOTIFY_MIN_DURATION_MS } from '../src/constants.js';
+
+const result = {
+  type: 'result',
+  subtype: 'success',
+  is_error: false,
+  result: 'Secret output',
+  total_cost_usd: 0.25,
+  duration_ms: 90000,
+  num_turns: 4,
+};
+
+const run = {
+  kind: 'chat',
+  sessionId: '550e8400-e29b-41d4-a716-446655440000',
+  projectName: '-home-user-app',
+  exitCode: 0,
+  result,
+  startedAt: 1000,
+};
+
+describe('buildRunPayload', () => {
+  it('should report session, duration, cost and success', () => {
+    expect(buildRunPayload(run, Date.UTC(2026, 0, 2))).toEqual({
+      event: 'run-finished',
+      kind: 'chat',
+      jobId: null,
+      sessionId: run.sessionId,
+      projectName: '-home-user-app',
+      success: true,
+      exitCode: 0,
+      subtype: 'success',
+      durationMs: 90000,
+      costUsd: 0.25,
+      turns: 4,
+      finishedAt: '2026-01-02T00:00:00.000Z',
+    });
+  });
+
+  it('should not include prompt or output text', () => {
+    expect(JSON.stringify(buildRunPayload(run))).not.toContain('Secret output');
+  });
+
+  it('should mark runs without a successful result as failed and time them itself', () => {
+    const payload = buildRunPayload({ ...run, exitCode: 1, result: null, startedAt: 1000 }, 6000);
+
+    expect(payload).toMatchObject({ success: false, exitCode: 1, durationMs: 5000, costUsd: null });
+    expect(buildRunPayload({ ...run, result: { ...result, is_error: true } }).success).toBe(false);
+  });
+});
+
+describe('Notifier.fromEnv', () => {
+  const keys = [
+    'TINYCC_NOTIFY_WEBHOOK',
+    'TINYCC_NOTIFY_SECRET',
+    'TINYCC_NOTIFY_COMMAND',
+    'TINYCC_NOTIFY_MIN_SECONDS',
+  ];
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.fromEntries(keys.map((key) => [key, process.env[key]]));
+    for (const key of keys) delete process.env[key];
+  });
+
+  afterEach(() => {
+    for (const key of keys) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    }
+  });
+
+  it('should have no channels by default', () => {
+    const notifier = Notifier.fromEnv();
+
+    expect(notifier.channels).toEqual([]);
+    expect(notifier.minDurationMs).toBe(NOTIFY_MIN_DURATION_MS);
+    expect(notifier.runFinished(run)).toBeNull();
+  });
+
+  it('should read the webhook, secret, command and threshold', () => {
+    process.env.TINYCC_NOTIFY_WEBHOOK = 'https://hooks.example.com/run';
+    process.env.TINYCC_NOTIFY_SECRET = 'shh';
+    process.env.TINYCC_NOTIFY_COMMAND = '/usr/local/bin/notify-run';
+    process.env.TINYCC_NOTIFY_MIN_SECONDS = '0';
+
+    const notifier = Notifier.fromEnv();
+    expect(notifier.channels).toEqual(['webhook', 'command']);
+    expect(notifier.webhookSecret).toBe('shh');
+    expect(notifier.minDurationMs).toBe(0);
+  });
+
+  it('should reject invalid values', () => {
+    process.env.TINYCC_NOTIFY_WEBHOOK = 'file:///etc/passwd';
+    expect(() => Notifier.fromEnv()).toThrow('TINYCC_NOTIFY_WEBHOOK');
+
+    delete process.env.TINYCC_NOTIFY_WEBHOOK;
+    process.env.TINYCC_NOTIFY_COMMAND = 'notify-run';
+    expect(() => Notifier.fromEnv()).toThrow('TINYCC_NOTIFY_COMMAND');
+
+    delete process.env.TINYCC_NOTIFY_COMMAND;
+    process.env.TINYCC_NOTIFY_MIN_SECONDS = '-1';
+    expect(() => Notifier.fromEnv()).toThrow('TINYCC_NOTIFY_MIN_SECONDS');
+  });
+});
+
+describe('Notifier webhook', () => {
+  let server;
+  let url;
+  let requests;
+  let statuses;
+
+  beforeEach(async () => {
+    requests = [];
+    statuses = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ headers: req.headers, body });
+        res.statusCode = statuses.shift() || 204;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hook`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('should POST the payload signed with the secret', async () => {
+    const notifier = new Notifier({ webhookUrl: url, webhookSecret: 'shh', minDurationMs: 0 });
+
+    const results = await notifier.runFinished(run);
+
+    expect(results).toEqual([{ channel: 'webhook', ok: true, attempts: 1 }]);
+    expect(JSON.parse(requests[0].body)).toMatchObject({ event: 'run-finished', success: true });
+    expect(requests[0].headers['content-type']).toBe('application/json');
+    const signature = crypto.createHmac('sha256', 'shh').update(requests[0].body).digest('hex');
+    expect(requests[0].headers['x-tinycc-signature']).toBe(`sha256=${signature}`);
+  });
+
+  it('should skip runs shorter than the threshold', () => {
+    const notifier = new Notifier({ webhookUrl: url, minDurationMs: 120000 });
+
+    expect(notifier.runFinished(run)).toBeNull();
+    expect(notifier.runFinished({ ...run, result: null, startedAt: null })).not.toBeNull();
+  });
+
+  it('should retry server errors and give up on client errors', async () => {
+    const notifier = new Notifier({ webhookUrl: url, retryBaseMs: 1 });
+
+    statuses.push(500, 503);
+    expect(await notifier.test()).toEqual([{ channel: 'webhook', ok: true, attempts: 3 }]);
+
+    statuses.push(500, 500, 500);
+    const failed = await notifier.test();
+    expect(failed[0]).toMatchObject({ ok: false, attempts: NOTIFY_MAX_ATTEMPTS });
+
+    statuses.push(404);
+    expect((await notifier.test())[0]).toMatchObject({ ok: false, attempts: 1 });
+    expect(JSON.parse(requests[0].body).event).toBe('test');
+  });
+
+  it('should allow one test notification at a time', async () => {
+    const notifier = new Notifier({ webhookUrl: url });
+    const first = notifier.test();
+
+    await expect(notifier.test()).rejects.toThrow('already running');
+    await first;
+  });
+});
+
+describe('Notifier command hook', () => {
+  let tempDir;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'notifier-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  const writeHook = async (script) => {
+    const hookPath = path.join(tempDir, 'hook.sh');
+    await fs.writeFile(hookPath, `#!/bin/sh\n${script}\n`, { mode: 0o700 });
+    return hookPath;
+  };
+
+  it('should pass the payload on stdin', async () => {
+    const outPath = path.join(tempDir, 'payload.json');
+    const notifier = new Notifier({
+      command: await writeHook(`cat > '${outPath}'`),
+      minDurationMs: 0,
+    });
+
+    expect(await notifier.runFinished({ ...run, kind: 'job', jobId: 'j-1' })).toEqual([
+      { channel: 'command', ok: true, attempts: 1 },
+    ]);
+    expect(JSON.parse(await fs.readFile(outPath, 'utf-8'))).toMatchObject({
+      kind: 'job',
+      jobId: 'j-1',
+      costUsd: 0.25,
+    });
+  });
+
+  it('should retry a failing hook and not retry a missing one', async () => {
+    const countPath = path.join(tempDir, 'count');
+    const notifier = new Notifier({
+      command: await writeHook(`echo x >> '${countPath}'; exit 1`),
+      retryBaseMs: 1,
+    });
+
+    expect((await notifier.test())[0]).toMatchObject({ ok: false, attempts: NOTIFY_MAX_ATTEMPTS });
+    expect((await fs.readFile(countPath, 'utf-8')).trim().split('\n')).toHaveLength(
+      NOTIFY_MAX_ATTEMPTS
+    );
+
+    const missing = new Notifier({ command: path.join(tempDir, 'missing'), retryBaseMs: 1 });
+    expect((await missing.test())[0]).toMatchObject({ ok: false, attempts: 1 });
+  });
+});
@@ -1,26 +1,16 @@
 /**
  * Location   : tests/origin-validation.test.js
- * Purpose    : Test Origin validation to prevent substring bypass attacks
+ * Purpose    : Test Origin/Host allowlist to prevent substring bypass attacks
  * Why        : Origin validation is critical for WebSocket security
- * Related    : src/server.js
+ * Related    : src/origin-policy.js, src/server.js
  */
 
 import { describe, it, expect } from 'vitest';
+import { OriginPolicy, parseAllowlistEntry } from '../src/origin-policy.js';
 
-/**
- * Test implementation of isAllowedOrigin function
- * This is a copy of the server function for testing
- */
-function isAllowedOrigin(origin) {
-  if (!origin) return true;
-
-  try {
-    const url = new URL(origin);
-    return url.hostname === 'localhost' || url.hostname === '127.0.0.1';
-  } catch {
-    return false;
-  }
-}
+// Default policy: only DEFAULT_ALLOWED_HOSTS (localhost, 127.0.0.1)
+const defaultPolicy = new OriginPolicy();
+const isAllowedOrigin = (origin) => defaultPolicy.isAllowedOrigin(origin);
 
 describe('Origin Validation', () => {
   describe('isAllowedOrigin', () => {
@@ -68,4 +58,62 @@ describe('Origin Validation', () => {
       expect(isAllowedOrigin('http://localhost')).toBe(true);
     });
   });
+  describe('Configured allowlist', () => {
+    const policy = new OriginPolicy(
+      'myphone.tailnet.ts.net, 192.168.1.0/24, 100.64.0.0/10:3000, [fd00::]/8'
+    );
+
+    it('should keep localhost defaults', () => {
+      expect(policy.isAllowedOrigin('http://localhost:3000')).toBe(true);
+    });
+
+    it('should allow exact hostnames only', () => {
+      expect(policy.isAllowedOrigin('https://myphone.tailnet.ts.net')).toBe(true);
+      expect(policy.isAllowedOrigin('https://evil.myphone.tailnet.ts.net')).toBe(false);
+      expect(policy.isAllowedOrigin('https://myphone.tailnet.ts.net.evil.com')).toBe(false);
+    });
+
+    it('should allow addresses inside CIDR ranges', () => {
+      expect(policy.isAllowedOrigin('http://192.168.1.42:3000')).toBe(true);
+      expect(policy.isAllowedOrigin('http://192.168.2.42:3000')).toBe(false);
+      expect(policy.isAllowedOrigin('http://[fd12::1]:3000')).toBe(true);
+    });
+
+    it('should enforce ports when given', () => {
+      expect(policy.isAllowedOrigin('http://100.100.1.1:3000')).toBe(true);
+      expect(policy.isAllowedOrigin('http://100.100.1.1:8080')).toBe(false);
+      // Default port applies when the origin omits it
+      expect(policy.isAllowedOrigin('http://100.100.1.1')).toBe(false);
+    });
+
+    it('should check Host headers', () => {
+      expect(policy.isAllowedHost('192.168.1.42:3000')).toBe(true);
+      expect(policy.isAllowedHost('attacker.example:3000')).toBe(false);
+      expect(policy.isAllowedHost(undefined)).toBe(false);
+    });
+
+    it('should describe accepted URLs for the startup log', () => {
+      const urls = policy.describeUrls(3000);
+
+      expect(urls).toContain('http://localhost:3000');
+      expect(urls).toContain('http://myphone.tailnet.ts.net:3000');
+    });
+  });
+
+  describe('parseAllowlistEntry', () => {
+    it('should parse hostnames, ports and CIDR ranges', () => {
+      expect(parseAllowlistEntry('Example.com:8443')).toEqual({ host: 'example.com', port: 8443 });
+      expect(parseAllowlistEntry('10.0.0.0/8')).toEqual({
+        subnet: { address: '10.0.0.0', prefix: 8, family: 'ipv4' },
+        port: null,
+      });
+      expect(parseAllowlistEntry('[::1]:3000')).toEqual({ host: '::1', port: 3000 });
+    });
+
+    it('should reject malformed entries', () => {
+      expect(() => parseAllowlistEntry('10.0.0.0/33')).toThrow('Invalid CIDR');
+      expect(() => parseAllowlistEntry('host:99999')).toThrow('Invalid port');
+      expect(() => parseAllowlistEntry('bad host')).toThrow('Invalid hostname');
+    });
+  });
 });
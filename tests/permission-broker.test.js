@@ -0,0 +1,182 @@
+/**
+ * Location   : tests/permission-broker.test.js
+ * Purpose    : Test PermissionBroker routing of tool permission requests
+ * Why        : Broker decides whether the CLI may run tools - must fail closed
+ * Related    : src/permission-broker.js
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import { PermissionBroker, permissionGrantKey } from '../src/permission-broker.js';
+
+describe('PermissionBroker', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('request / respond', () => {
+    it('should prompt the user and resolve with allow', async () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      const pending = broker.request(token, 'Bash', { command: 'ls' });
+      const { requestId } = onRequest.mock.calls[0][0];
+      broker.respond(token, requestId, 'allow');
+
+      expect(onRequest).toHaveBeenCalledWith({
+        requestId,
+        toolName: 'Bash',
+        input: { command: 'ls' },
+      });
+      await expect(pending).resolves.toEqual({
+        behavior: 'allow',
+        updatedInput: { command: 'ls' },
+      });
+    });
+
+    it('should resolve with deny when user denies', async () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      const pending = broker.request(token, 'Bash', { command: 'rm -rf /' });
+      broker.respond(token, onRequest.mock.calls[0][0].requestId, 'deny');
+
+      await expect(pending).resolves.toMatchObject({ behavior: 'deny' });
+    });
+
+    it('should remember allow-session for the same file only', async () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      const first = broker.request(token, 'Edit', { file_path: 'a.js', old_string: 'x' });
+      broker.respond(token, onRequest.mock.calls[0][0].requestId, 'allow-session');
+      await first;
+
+      const second = await broker.request(token, 'Edit', { file_path: 'a.js', old_string: 'y' });
+      expect(onRequest).toHaveBeenCalledTimes(1);
+      expect(second).toEqual({
+        behavior: 'allow',
+        updatedInput: { file_path: 'a.js', old_string: 'y' },
+      });
+
+      broker.request(token, 'Edit', { file_path: 'b.js' });
+      expect(onRequest).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not extend an allow-session Bash grant to other commands', async () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      const first = broker.request(token, 'Bash', { command: 'npm test' });
+      broker.respond(token, onRequest.mock.calls[0][0].requestId, 'allow-session');
+      await first;
+
+      await broker.request(token, 'Bash', { command: 'npm test' });
+      expect(onRequest).toHaveBeenCalledTimes(1);
+
+      broker.request(token, 'Bash', { command: 'rm -rf /' });
+      expect(onRequest).toHaveBeenCalledTimes(2);
+    });
+
+    it('should key grants by tool and command, path or whole input', () => {
+      expect(permissionGrantKey('Bash', { command: 'ls' })).not.toBe(
+        permissionGrantKey('Bash', { command: 'ls -a' })
+      );
+      expect(permissionGrantKey('Read', { file_path: '/a' })).not.toBe(
+        permissionGrantKey('Write', { file_path: '/a' })
+      );
+      expect(permissionGrantKey('WebFetch', { url: 'https://a' })).toBe(
+        permissionGrantKey('WebFetch', { url: 'https://a' })
+      );
+      expect(permissionGrantKey('WebFetch', { url: 'https://a' })).not.toBe(
+        permissionGrantKey('WebFetch', { url: 'https://b' })
+      );
+    });
+
+    it('should deny requests with unknown token without prompting', async () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      broker.register(onRequest);
+
+      const result = await broker.request('forged-token', 'Bash', {});
+
+      expect(result.behavior).toBe('deny');
+      expect(onRequest).not.toHaveBeenCalled();
+    });
+
+    it('should reject responses from another run', () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+      const otherToken = broker.register(vi.fn());
+
+      broker.request(token, 'Bash', {});
+      const { requestId } = onRequest.mock.calls[0][0];
+
+      expect(() => broker.respond(otherToken, requestId, 'allow')).toThrow(
+        'Unknown permission request'
+      );
+    });
+
+    it('should reject invalid decisions', () => {
+      const broker = new PermissionBroker();
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      broker.request(token, 'Bash', {});
+      const { requestId } = onRequest.mock.calls[0][0];
+
+      expect(() => broker.respond(token, requestId, 'yes')).toThrow('Invalid permission decision');
+    });
+
+    it('should deny after timeout', async () => {
+      vi.useFakeTimers();
+      const broker = new PermissionBroker({ timeoutMs: 1000 });
+      const token = broker.register(vi.fn());
+
+      const pending = broker.request(token, 'Bash', {});
+      vi.advanceTimersByTime(1000);
+
+      await expect(pending).resolves.toMatchObject({ behavior: 'deny' });
+    });
+
+    it('should report answers to settled requests as expired', async () => {
+      vi.useFakeTimers();
+      const broker = new PermissionBroker({ timeoutMs: 1000 });
+      const onRequest = vi.fn();
+      const token = broker.register(onRequest);
+
+      const pending = broker.request(token, 'Bash', {});
+      vi.advanceTimersByTime(1000);
+      await pending;
+
+      const { requestId } = onRequest.mock.calls[0][0];
+      expect(() => broker.respond(token, requestId, 'allow')).toThrow(
+        expect.objectContaining({ code: 'EEXPIRED' })
+      );
+    });
+  });
+
+  describe('unregister', () => {
+    it('should deny pending requests and remove MCP config', async () => {
+      const broker = new PermissionBroker();
+      broker.endpoint = 'http://127.0.0.1:3000/internal/permission';
+      const token = broker.register(vi.fn());
+      const configPath = broker.writeMcpConfig(token);
+
+      const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      expect(config.mcpServers.tinycc.env.TINYCC_PERMISSION_TOKEN).toBe(token);
+      expect(fs.statSync(configPath).mode & 0o777).toBe(0o600);
+
+      const pending = broker.request(token, 'Bash', {});
+      broker.unregister(token);
+
+      await expect(pending).resolves.toMatchObject({ behavior: 'deny' });
+      expect(fs.existsSync(configPath)).toBe(false);
+    });
+  });
+});
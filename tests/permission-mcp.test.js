@@ -0,0 +1,65 @@
+/**
+ * Location   : tests/permission-mcp.test.js
+ * Purpose    : Test the stdio MCP permission-prompt bridge JSON-RPC handling
+ * Why        : The CLI relies on exact MCP responses to decide whether a tool may run
+ * Related    : src/permission-mcp.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { handleRpc, requestPermission } from '../src/permission-mcp.js';
+
+describe('Permission MCP bridge', () => {
+  it('should answer initialize with tool capability', async () => {
+    const response = await handleRpc({ jsonrpc: '2.0', id: 1, method: 'initialize' });
+
+    expect(response.id).toBe(1);
+    expect(response.result.capabilities).toEqual({ tools: {} });
+  });
+
+  it('should ignore notifications', async () => {
+    const response = await handleRpc({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response).toBeNull();
+  });
+
+  it('should list the approve tool', async () => {
+    const response = await handleRpc({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+
+    expect(response.result.tools.map((t) => t.name)).toEqual(['approve']);
+  });
+
+  it('should return the permission result as JSON text', async () => {
+    const askPermission = vi.fn().mockResolvedValue({ behavior: 'allow', updatedInput: {} });
+
+    const response = await handleRpc(
+      {
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'approve', arguments: { tool_name: 'Bash', input: { command: 'ls' } } },
+      },
+      askPermission
+    );
+
+    expect(askPermission).toHaveBeenCalledWith('Bash', { command: 'ls' });
+    expect(JSON.parse(response.result.content[0].text)).toEqual({
+      behavior: 'allow',
+      updatedInput: {},
+    });
+  });
+
+  it('should return method-not-found for unknown methods', async () => {
+    const response = await handleRpc({ jsonrpc: '2.0', id: 4, method: 'resources/list' });
+
+    expect(response.error.code).toBe(-32601);
+  });
+
+  it('should deny when the bridge is not configured', async () => {
+    delete process.env.TINYCC_PERMISSION_URL;
+    delete process.env.TINYCC_PERMISSION_TOKEN;
+
+    const result = await requestPermission('Bash', {});
+
+    expect(result.behavior).toBe('deny');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Location   : tests/run-queue.test.js
+ * Purpose    : Test the global CLI run queue (slots, FIFO order, cancel, estimates)
+ * Why        : The queue is what keeps a small host from running unbounded `claude` processes
+ * Related    : src/run-queue.js
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RunQueue } from '../src/run-queue.js';
+import { DEFAULT_MAX_RUNS, MAX_RUNS_LIMIT, RUN_DURATION_ESTIMATE_MS } from '../src/constants.js';
+
+describe('RunQueue', () => {
+  afterEach(() => {
+    delete process.env.TINYCC_MAX_RUNS;
+  });
+
+  it('should start jobs right away while slots are free', () => {
+    const queue = new RunQueue({ maxConcurrent: 2 });
+    const start = vi.fn();
+
+    expect(queue.enqueue('a', start, vi.fn(), 0)).toBe(0);
+    expect(queue.enqueue('b', start, vi.fn(), 0)).toBe(0);
+
+    expect(start).toHaveBeenCalledTimes(2);
+    expect(queue.active.size).toBe(2);
+  });
+
+  it('should queue extra jobs and start them in FIFO order as slots free up', () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const started = [];
+    const job = (key) => queue.enqueue(key, () => started.push(key), vi.fn(), 0);
+
+    job('a');
+    expect(job('b')).toBe(1);
+    expect(job('c')).toBe(2);
+    expect(started).toEqual(['a']);
+
+    queue.release('a', 1000);
+    expect(started).toEqual(['a', 'b']);
+    queue.release('b', 2000);
+    expect(started).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should tell waiting jobs their position whenever the queue moves', () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const updates = vi.fn();
+    queue.enqueue('a', vi.fn(), vi.fn(), 0);
+    queue.enqueue('b', vi.fn(), vi.fn(), 0);
+    queue.enqueue('c', vi.fn(), updates, 0);
+
+    expect(updates).toHaveBeenLastCalledWith({
+      position: 2,
+      estimatedWaitMs: 2 * RUN_DURATION_ESTIMATE_MS,
+    });
+
+    queue.cancel('b', 0);
+    expect(updates).toHaveBeenLastCalledWith({
+      position: 1,
+      estimatedWaitMs: RUN_DURATION_ESTIMATE_MS,
+    });
+  });
+
+  it('should cancel only waiting jobs', () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    const start = vi.fn();
+    queue.enqueue('a', vi.fn(), vi.fn(), 0);
+    queue.enqueue('b', start, vi.fn(), 0);
+
+    expect(queue.cancel('a')).toBe(false);
+    expect(queue.cancel('b')).toBe(true);
+    expect(queue.position('b')).toBe(0);
+
+    queue.release('a');
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  it('should ignore releases of jobs that hold no slot', () => {
+    const queue = new RunQueue({ maxConcurrent: 1 });
+    queue.enqueue('a', vi.fn(), vi.fn(), 0);
+
+    queue.release('unknown', 10);
+    queue.release('a', 10);
+    queue.release('a', 20);
+
+    expect(queue.active.size).toBe(0);
+    expect(queue.averageDurationMs).toBe(10);
+  });
+
+  it('should estimate the wait from the running jobs and the average duration', () => {
+    const queue = new RunQueue({ maxConcurrent: 2 });
+    queue.enqueue('a', vi.fn(), vi.fn(), 0);
+    queue.release('a', 100000); // Average: 100s
+    queue.enqueue('b', vi.fn(), vi.fn(), 100000);
+    queue.enqueue('c', vi.fn(), vi.fn(), 130000);
+
+    // Slots free at 200s and 230s; the 3rd waiting job takes the first slot again
+    expect(queue.estimateWaitMs(1, 150000)).toBe(50000);
+    expect(queue.estimateWaitMs(2, 150000)).toBe(80000);
+    expect(queue.estimateWaitMs(3, 150000)).toBe(150000);
+    // Overdue runs count as finishing now
+    expect(queue.estimateWaitMs(1, 300000)).toBe(0);
+  });
+
+  it('should reject duplicates and jobs beyond the queue length', () => {
+    const queue = new RunQueue({ maxConcurrent: 1, maxQueued: 1 });
+    queue.enqueue('a', vi.fn(), vi.fn());
+    queue.enqueue('b', vi.fn(), vi.fn());
+
+    expect(() => queue.enqueue('a', vi.fn(), vi.fn())).toThrow('already queued');
+    expect(() => queue.enqueue('b', vi.fn(), vi.fn())).toThrow('already queued');
+    expect(() => queue.enqueue('c', vi.fn(), vi.fn())).toThrow('Run queue is full');
+  });
+
+  it('should read the limit from TINYCC_MAX_RUNS', () => {
+    expect(RunQueue.fromEnv().maxConcurrent).toBe(DEFAULT_MAX_RUNS);
+
+    process.env.TINYCC_MAX_RUNS = '4';
+    expect(RunQueue.fromEnv().maxConcurrent).toBe(4);
+
+    for (const value of ['0', '1.5', 'two', String(MAX_RUNS_LIMIT + 1)]) {
+      process.env.TINYCC_MAX_RUNS = value;
+      expect(() => RunQueue.fromEnv()).toThrow('Invalid TINYCC_MAX_RUNS');
+    }
+  });
+});
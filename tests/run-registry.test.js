@@ -0,0 +1,134 @@
+/**
+ * Location   : tests/run-registry.test.js
+ * Purpose    : Test run buffering, replay after reattach and grace-period expiry
+ * Why        : Reattachment must neither lose nor duplicate output after a dropped socket
+ * Related    : src/run-registry.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Run, RunRegistry } from '../src/run-registry.js';
+
+const parse = (sent) => sent.map((data) => JSON.parse(data));
+
+describe('Run', () => {
+  it('should stamp messages with runId and increasing seq', () => {
+    const sent = [];
+    const run = new Run({ sender: (data) => sent.push(data) });
+
+    run.send({ type: 'started' });
+    run.send({ type: 'exit', code: 0 });
+
+    expect(parse(sent)).toEqual([
+      { type: 'started', runId: run.runId, seq: 1 },
+      { type: 'exit', code: 0, runId: run.runId, seq: 2 },
+    ]);
+  });
+
+  it('should replay only messages after lastSeq on attach', () => {
+    const run = new Run();
+    run.send({ type: 'a' });
+    run.send({ type: 'b' });
+    run.send({ type: 'c' });
+
+    const sent = [];
+    run.attach((data) => sent.push(data), 1);
+    run.send({ type: 'd' });
+
+    expect(parse(sent).map((m) => m.type)).toEqual(['reattached', 'b', 'c', 'd']);
+    expect(parse(sent)[0]).toEqual({
+      type: 'reattached',
+      runId: run.runId,
+      running: true,
+      missed: false,
+    });
+  });
+
+  it('should drop oldest messages past the buffer limit and report the gap', () => {
+    const run = new Run({ maxBufferBytes: 200 });
+    for (let i = 0; i < 10; i++) {
+      run.send({ type: 'text-delta', text: 'x'.repeat(40) });
+    }
+
+    const sent = [];
+    run.attach((data) => sent.push(data), 0);
+    const [header, ...replayed] = parse(sent);
+
+    expect(header.missed).toBe(true);
+    expect(replayed.length).toBeLessThan(10);
+    expect(replayed[replayed.length - 1].seq).toBe(10);
+  });
+});
+
+describe('RunRegistry', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should discard a detached run after the grace period', () => {
+    const onRemove = vi.fn();
+    const registry = new RunRegistry({ gracePeriodMs: 1000, onRemove });
+    const sender = vi.fn();
+    const run = registry.create({ sender });
+
+    registry.detach(run, sender);
+    vi.advanceTimersByTime(999);
+    expect(registry.get(run.runId)).toBe(run);
+
+    vi.advanceTimersByTime(1);
+    expect(registry.get(run.runId)).toBeUndefined();
+    expect(onRemove).toHaveBeenCalledWith(run);
+  });
+
+  it('should report sessions that a live run is still writing', () => {
+    const registry = new RunRegistry();
+    const run = registry.create({
+      conversation: { sessionId: 'session-1', projectName: 'p', permissionGrants: new Set() },
+    });
+
+    expect(registry.hasRunningSession('session-1')).toBe(true);
+    expect(registry.hasRunningSession('session-2')).toBe(false);
+    // The tab's own run is about to be superseded
+    expect(registry.hasRunningSession('session-1', run)).toBe(false);
+
+    run.exited = true;
+    expect(registry.hasRunningSession('session-1')).toBe(false);
+  });
+
+  it('should cancel expiry when a client reattaches', () => {
+    const onRemove = vi.fn();
+    const registry = new RunRegistry({ gracePeriodMs: 1000, onRemove });
+    const sender = vi.fn();
+    const run = registry.create({ sender });
+
+    registry.detach(run, sender);
+    registry.attach(run, vi.fn(), run.seq);
+    vi.advanceTimersByTime(5000);
+
+    expect(registry.get(run.runId)).toBe(run);
+    expect(onRemove).not.toHaveBeenCalled();
+  });
+
+  it('should ignore detach from a connection that no longer owns the run', () => {
+    const registry = new RunRegistry({ gracePeriodMs: 1000 });
+    const oldSender = vi.fn();
+    const newSender = vi.fn();
+    const run = registry.create({ sender: oldSender });
+
+    registry.attach(run, newSender, 0);
+    registry.detach(run, oldSender);
+    vi.advanceTimersByTime(5000);
+
+    expect(run.sender).toBe(newSender);
+    expect(registry.get(run.runId)).toBe(run);
+  });
+
+  it('should reject non-string run IDs', () => {
+    const registry = new RunRegistry();
+
+    expect(registry.get({ toString: () => 'x' })).toBeUndefined();
+  });
+});
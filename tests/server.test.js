@@ -7,13 +7,29 @@
 
 import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
 import { validateInput, startServer } from '../src/server.js';
+import { SessionIndex } from '../src/session-index.js';
+import { SessionMetadataStore } from '../src/session-metadata.js';
+import { UsageTracker } from '../src/usage.js';
+import { RunQueue } from '../src/run-queue.js';
+import { JobStore } from '../src/job-store.js';
+import { Notifier } from '../src/notifier.js';
+import { AttachmentStore } from '../src/attachments.js';
+import { AuthManager } from '../src/auth.js';
 import WebSocket from 'ws';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ATTACHMENT_MAX_BYTES, MAX_TABS, MAX_RUNS_LIMIT } from '../src/constants.js';
+import http from 'http';
+import https from 'https';
+import { generateSelfSignedCertificate } from '../src/tls.js';
 
 // Mock CLIRunner to prevent actual CLI execution
 let latestMockInstance = null;
-vi.mock('../src/cli-runner.js', () => {
+vi.mock('../src/cli-runner.js', async (importOriginal) => {
   class MockCLIRunner {
-    constructor() {
+    constructor(options = {}) {
+      this.options = options;
       this.start = vi.fn();
       this.sendInput = vi.fn();
       this.stop = vi.fn();
@@ -39,6 +55,7 @@ vi.mock('../src/cli-runner.js', () => {
   }
 
   return {
+    ...(await importOriginal()),
     CLIRunner: MockCLIRunner,
   };
 });
@@ -88,11 +105,32 @@ describe('WebSocket Integration Tests', () => {
   let server;
   let wss;
   let serverPort;
+  let sessionIndex;
+  let runQueue;
+  let jobStore;
+  let jobsDir;
+  let notifier;
 
   beforeAll(async () => {
     // Start server on random available port
     process.env.PORT = '0'; // Use OS-assigned port
-    const serverInstance = startServer();
+    // Authentication is covered separately in 'Authentication' below
+    sessionIndex = new SessionIndex();
+    // Mock runs mostly never exit: keep slots free except in 'Run queue' below
+    runQueue = new RunQueue({ maxConcurrent: MAX_RUNS_LIMIT });
+    jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-jobs-test-'));
+    jobStore = new JobStore(jobsDir);
+    // No channels: 'Run notifications' below spies on what would be sent
+    notifier = new Notifier();
+    const serverInstance = startServer({
+      authManager: null,
+      sessionIndex,
+      sessionMetadata: new SessionMetadataStore(),
+      usageTracker: new UsageTracker(),
+      runQueue,
+      jobStore,
+      notifier,
+    });
     server = serverInstance.httpServer;
     wss = serverInstance.wss;
 
@@ -112,6 +150,8 @@ describe('WebSocket Integration Tests', () => {
     await new Promise((resolve) => {
       server.close(resolve);
     });
+    await jobStore.writer.writing;
+    fs.rmSync(jobsDir, { recursive: true, force: true });
     vi.clearAllMocks();
   });
 
@@ -197,47 +237,211 @@ describe('WebSocket Integration Tests', () => {
     }, 10000); // Increase timeout for integration test
   });
 
-  describe('F6: Project selection with path traversal prevention', () => {
-    it('should reject path traversal attempts with parent directory references', async () => {
+  describe('Per-run CLI options', () => {
+    const connect = async () => {
       const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+      return { client, messages };
+    };
+
+    it('should hand validated options to the CLI runner', async () => {
+      const { client, messages } = await connect();
+      const options = {
+        model: 'opus',
+        permissionMode: 'plan',
+        allowedTools: ['Read', 'Bash(git diff:*)'],
+        maxTurns: 5,
+      };
+
+      client.send(JSON.stringify({ type: 'start', options }));
+      await vi.waitFor(() => expect(messages.some((m) => m.type === 'started')).toBe(true));
+
+      expect(latestMockInstance.options.runOptions).toEqual({
+        ...options,
+        disallowedTools: [],
+        appendSystemPrompt: null,
+      });
+      client.close();
+    }, 10000);
 
+    it('should refuse to start with options outside the whitelist', async () => {
+      const { client, messages } = await connect();
+
+      client.send(
+        JSON.stringify({ type: 'start', options: { permissionMode: 'bypassPermissions' } })
+      );
+      await vi.waitFor(() => expect(messages.length).toBeGreaterThan(0));
+
+      expect(messages[0]).toEqual({
+        type: 'error',
+        message: 'Failed to process request',
+        tabId: 'main',
+      });
+      client.close();
+    }, 10000);
+  });
+
+  describe('Attachments', () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      Buffer.from('image data'),
+    ]);
+
+    const upload = (name, body, headers = {}) =>
+      fetch(`http://localhost:${serverPort}/upload?name=${encodeURIComponent(name)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream', ...headers },
+        body,
+      });
+
+    it('should stage an upload and hand it to the run on input', async () => {
+      const response = await upload('shot.png', png);
+      expect(response.status).toBe(200);
+      const staged = await response.json();
+      expect(staged).toMatchObject({ name: 'shot.png', type: 'image/png', size: png.length });
+
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
       await new Promise((resolve) => {
         client.on('open', resolve);
       });
 
+      client.send(JSON.stringify({ type: 'start' }));
+      await vi.waitFor(() => expect(messages.some((m) => m.type === 'started')).toBe(true));
+      const runner = latestMockInstance;
+      expect(runner.options.attachmentDir).toEqual(expect.any(String));
+
+      client.send(JSON.stringify({ type: 'input', text: 'Look', attachments: [staged.id] }));
+      await vi.waitFor(() => expect(runner.sendInput).toHaveBeenCalled());
+
+      const [text, files] = runner.sendInput.mock.calls[0];
+      expect(text).toBe('Look');
+      expect(files).toEqual([
+        expect.objectContaining({ name: 'shot.png', type: 'image/png', size: png.length }),
+      ]);
+      expect(path.dirname(files[0].path)).toBe(runner.options.attachmentDir);
+      expect(fs.readFileSync(files[0].path)).toEqual(png);
+      client.close();
+    }, 10000);
+
+    it('should refuse input naming an unknown attachment', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
       const messages = [];
       client.on('message', (data) => {
         messages.push(JSON.parse(data.toString()));
       });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
 
-      // Attempt path traversal with ../
+      client.send(JSON.stringify({ type: 'start' }));
+      await vi.waitFor(() => expect(messages.some((m) => m.type === 'started')).toBe(true));
+      const runner = latestMockInstance;
       client.send(
         JSON.stringify({
-          type: 'list-sessions',
-          projectName: '../etc',
+          type: 'input',
+          text: 'Look',
+          attachments: ['550e8400-e29b-41d4-a716-446655440000'],
         })
       );
+      await vi.waitFor(() => expect(messages.some((m) => m.type === 'error')).toBe(true));
 
-      // Wait for error message
+      expect(messages.find((m) => m.type === 'error').message).toBe('Failed to process request');
+      expect(runner.sendInput).not.toHaveBeenCalled();
+      client.close();
+    }, 10000);
+
+    it('should reject disallowed types and mismatched content', async () => {
+      for (const [name, body] of [
+        ['page.html', '<script>alert(1)</script>'],
+        ['fake.png', 'not a png'],
+      ]) {
+        const response = await upload(name, body);
+
+        expect(response.status).toBe(400);
+        expect(await response.text()).toBe('Bad Request');
+      }
+    });
+
+    it('should reject uploads from a foreign origin', async () => {
+      const response = await upload('shot.png', png, { Origin: 'https://evil.example' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should refuse oversized uploads', async () => {
+      const response = await upload('big.txt', Buffer.alloc(ATTACHMENT_MAX_BYTES + 1, 0x41));
+
+      expect(response.status).toBe(413);
+    });
+  });
+
+  describe('Usage totals', () => {
+    it('should attach running session and day totals to result events', async () => {
+      const sessionId = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
       await new Promise((resolve) => {
-        const checkMessages = () => {
-          if (messages.some((m) => m.type === 'error')) {
-            resolve();
-          } else {
-            setTimeout(checkMessages, 10);
-          }
-        };
-        checkMessages();
+        client.on('open', resolve);
       });
 
-      const errorMsg = messages.find((m) => m.type === 'error');
-      expect(errorMsg).toBeDefined();
-      expect(errorMsg.type).toBe('error');
+      client.send(JSON.stringify({ type: 'start', sessionId }));
+      await vi.waitFor(() => expect(messages.some((m) => m.type === 'started')).toBe(true));
+      const result = {
+        type: 'result',
+        session_id: sessionId,
+        total_cost_usd: 0.02,
+        duration_ms: 800,
+        num_turns: 1,
+        usage: { input_tokens: 5, output_tokens: 7 },
+      };
+      latestMockInstance._outputCallback(Buffer.from(JSON.stringify(result) + '\n'));
+      latestMockInstance._outputCallback(Buffer.from(JSON.stringify(result) + '\n'));
 
+      await vi.waitFor(() => expect(messages.filter((m) => m.type === 'result')).toHaveLength(2));
+      const last = messages.filter((m) => m.type === 'result')[1];
+      expect(last.total_cost_usd).toBe(0.02);
+      expect(last.totals.session).toMatchObject({ costUsd: 0.04, outputTokens: 14, runs: 2 });
+      expect(last.totals.day.runs).toBeGreaterThanOrEqual(2);
       client.close();
     }, 10000);
 
-    it('should reject path traversal with absolute paths', async () => {
+    it('should reply to get-usage with day, project and overall totals', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+      const reply = new Promise((resolve) => {
+        client.on('message', (data) => resolve(JSON.parse(data.toString())));
+      });
+
+      client.send(JSON.stringify({ type: 'get-usage' }));
+      const message = await reply;
+
+      expect(message.type).toBe('usage');
+      expect(message.days).toHaveLength(30);
+      expect(Array.isArray(message.projects)).toBe(true);
+      expect(message.totals.runs).toBeGreaterThanOrEqual(2);
+      client.close();
+    }, 10000);
+  });
+
+  describe('Multi-turn conversation', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should resume the CLI-reported session on the next turn', async () => {
       const client = new WebSocket(`ws://localhost:${serverPort}`);
 
       await new Promise((resolve) => {
@@ -249,69 +453,1509 @@ describe('WebSocket Integration Tests', () => {
         messages.push(JSON.parse(data.toString()));
       });
 
-      // Attempt with absolute path
-      client.send(
-        JSON.stringify({
-          type: 'list-sessions',
-          projectName: '/etc/passwd',
-        })
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            if (messages.some(predicate)) {
+              resolve();
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      // First turn: fresh session, CLI reports its session_id in init
+      client.send(JSON.stringify({ type: 'start', sessionId: null }));
+      await waitFor((m) => m.type === 'started');
+      expect(latestMockInstance.options.sessionId).toBeNull();
+
+      latestMockInstance._outputCallback(
+        Buffer.from(`{"type":"system","subtype":"init","session_id":"${sessionId}"}\n`)
       );
+      await waitFor((m) => m.type === 'session');
+      latestMockInstance._exitCallback(0);
 
-      // Wait for error message
-      await new Promise((resolve) => {
-        const checkMessages = () => {
-          if (messages.some((m) => m.type === 'error')) {
-            resolve();
-          } else {
-            setTimeout(checkMessages, 10);
-          }
-        };
-        checkMessages();
-      });
+      // Second turn: no sessionId from client, server resumes with -r
+      messages.length = 0;
+      client.send(JSON.stringify({ type: 'start', sessionId: null }));
+      await waitFor((m) => m.type === 'started');
+      expect(latestMockInstance.options.sessionId).toBe(sessionId);
 
-      const errorMsg = messages.find((m) => m.type === 'error');
-      expect(errorMsg).toBeDefined();
+      // Explicit new session discards the remembered ID
+      latestMockInstance._exitCallback(0);
+      messages.length = 0;
+      client.send(JSON.stringify({ type: 'start', sessionId: null, newSession: true }));
+      await waitFor((m) => m.type === 'started');
+      expect(latestMockInstance.options.sessionId).toBeNull();
 
       client.close();
     }, 10000);
+  });
 
-    it('should accept valid project name', async () => {
+  describe('Run reattachment', () => {
+    const connect = async () => {
       const client = new WebSocket(`ws://localhost:${serverPort}`);
-
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
       await new Promise((resolve) => {
         client.on('open', resolve);
       });
 
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      return { client, messages, waitFor };
+    };
+
+    it('should keep the run alive across a dropped socket and replay missed output', async () => {
+      const first = await connect();
+      first.client.send(JSON.stringify({ type: 'start' }));
+      const started = await first.waitFor((m) => m.type === 'started');
+      const runner = latestMockInstance;
+
+      expect(started.runId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(started.seq).toBe(1);
+
+      // Screen locks: socket closes, CLI keeps running
+      first.client.close();
+      await new Promise((resolve) => first.client.on('close', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(runner.stop).not.toHaveBeenCalled();
+
+      // Output produced while nobody is attached is buffered
+      runner._outputCallback(
+        Buffer.from('{"type":"assistant","message":{"content":[{"type":"text","text":"hi"}]}}\n')
+      );
+
+      const second = await connect();
+      second.client.send(
+        JSON.stringify({ type: 'reattach', runId: started.runId, lastSeq: started.seq })
+      );
+      const reattached = await second.waitFor((m) => m.type === 'reattached');
+      const replayed = await second.waitFor((m) => m.type === 'assistant');
+
+      expect(reattached).toMatchObject({ runId: started.runId, running: true, missed: false });
+      expect(replayed.seq).toBe(2);
+
+      // Live output and input go through the new socket
+      runner._exitCallback(0);
+      const exit = await second.waitFor((m) => m.type === 'exit');
+      expect(exit.seq).toBe(3);
+
+      second.client.close();
+    }, 10000);
+
+    it('should continue the reattached conversation on the next turn', async () => {
+      const sessionId = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+      const first = await connect();
+      first.client.send(JSON.stringify({ type: 'start' }));
+      const started = await first.waitFor((m) => m.type === 'started');
+      latestMockInstance._outputCallback(
+        Buffer.from(`{"type":"system","subtype":"init","session_id":"${sessionId}"}\n`)
+      );
+      await first.waitFor((m) => m.type === 'session');
+      latestMockInstance._exitCallback(0);
+      first.client.close();
+
+      const second = await connect();
+      second.client.send(JSON.stringify({ type: 'reattach', runId: started.runId, lastSeq: 0 }));
+      await second.waitFor((m) => m.type === 'reattached');
+      second.client.send(JSON.stringify({ type: 'start' }));
+      await second.waitFor((m) => m.type === 'started' && m.runId !== started.runId);
+
+      expect(latestMockInstance.options.sessionId).toBe(sessionId);
+
+      second.client.close();
+    }, 10000);
+
+    it('should report unknown runs', async () => {
+      const { client, waitFor } = await connect();
+      client.send(
+        JSON.stringify({ type: 'reattach', runId: '00000000-0000-4000-8000-000000000000' })
+      );
+
+      expect(await waitFor((m) => m.type === 'reattach-failed')).toEqual({
+        type: 'reattach-failed',
+        tabId: 'main',
+      });
+
+      client.close();
+    }, 10000);
+  });
+
+  describe('Chat tabs', () => {
+    const connect = async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
       const messages = [];
       client.on('message', (data) => {
         messages.push(JSON.parse(data.toString()));
       });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      return { client, messages, waitFor };
+    };
+
+    it('should run one CLI per tab side by side', async () => {
+      const { client, waitFor } = await connect();
+
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-a' }));
+      const startedA = await waitFor((m) => m.type === 'started' && m.tabId === 'tab-a');
+      const runnerA = latestMockInstance;
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-b' }));
+      const startedB = await waitFor((m) => m.type === 'started' && m.tabId === 'tab-b');
+      const runnerB = latestMockInstance;
+
+      expect(runnerB).not.toBe(runnerA);
+      expect(startedB.runId).not.toBe(startedA.runId);
+
+      // Input and stop only reach the addressed tab's CLI
+      client.send(JSON.stringify({ type: 'input', tabId: 'tab-a', text: 'first' }));
+      client.send(JSON.stringify({ type: 'stop', tabId: 'tab-b' }));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(runnerA.sendInput).toHaveBeenCalledWith('first');
+      expect(runnerB.sendInput).not.toHaveBeenCalled();
+      expect(runnerB.stop).toHaveBeenCalled();
+      expect(runnerA.stop).not.toHaveBeenCalled();
+
+      // Output is tagged with the run of the tab that produced it
+      runnerA._exitCallback(0);
+      expect((await waitFor((m) => m.type === 'exit')).runId).toBe(startedA.runId);
+
+      client.close();
+    }, 10000);
+
+    it('should refuse to resume a session that another tab is running', async () => {
+      const sessionId = '9b2f4c1e-3d5a-4e6f-8a7b-1c2d3e4f5a6b';
+      const { client, waitFor } = await connect();
+
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-a', sessionId }));
+      await waitFor((m) => m.type === 'started');
+      const runner = latestMockInstance;
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-b', sessionId }));
+
+      expect(await waitFor((m) => m.type === 'error')).toEqual({
+        type: 'error',
+        message: 'Failed to process request',
+        tabId: 'tab-b',
+      });
+      expect(latestMockInstance).toBe(runner);
+
+      runner._exitCallback(0);
+      client.close();
+    }, 10000);
+
+    it('should stop the CLI of a closed tab', async () => {
+      const { client, waitFor } = await connect();
+
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-a' }));
+      await waitFor((m) => m.type === 'started');
+      const runner = latestMockInstance;
+      client.send(JSON.stringify({ type: 'close-tab', tabId: 'tab-a' }));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(runner.stop).toHaveBeenCalled();
+
+      // The tab is gone: its input has no CLI anymore
+      client.send(JSON.stringify({ type: 'input', tabId: 'tab-a', text: 'late' }));
+      expect((await waitFor((m) => m.type === 'error')).tabId).toBe('tab-a');
+
+      client.close();
+    }, 10000);
+
+    it('should limit the tabs of one connection', async () => {
+      const { client, messages, waitFor } = await connect();
+
+      for (let i = 0; i < MAX_TABS; i++) {
+        client.send(JSON.stringify({ type: 'start', tabId: `tab-${i}` }));
+        await waitFor((m) => m.type === 'started' && m.tabId === `tab-${i}`);
+      }
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-extra' }));
+
+      expect((await waitFor((m) => m.type === 'error')).tabId).toBe('tab-extra');
+      expect(messages.some((m) => m.type === 'started' && m.tabId === 'tab-extra')).toBe(false);
+
+      client.close();
+    }, 10000);
+
+    it('should name the default tab only in errors of tab requests', async () => {
+      const { client, messages, waitFor } = await connect();
+
+      // No tabId: addressed to the default tab
+      client.send(JSON.stringify({ type: 'input', text: 'no run yet' }));
+      expect((await waitFor((m) => m.type === 'error')).tabId).toBe('main');
+
+      // Not about a tab: the client must not stop whichever tab is visible
+      client.send(JSON.stringify({ type: 'search-sessions', query: '' }));
+      await vi.waitFor(() => expect(messages.filter((m) => m.type === 'error')).toHaveLength(2));
+      expect(messages.filter((m) => m.type === 'error')[1]).not.toHaveProperty('tabId');
+
+      client.close();
+    }, 10000);
+
+    it('should leave the tab usable after a start with a malformed session ID', async () => {
+      const { client, waitFor } = await connect();
+      const before = latestMockInstance;
 
-      // Valid project name (even if directory doesn't exist, should not error on validation)
       client.send(
-        JSON.stringify({
-          type: 'list-sessions',
-          projectName: 'my-project',
-        })
+        JSON.stringify({ type: 'start', tabId: 'tab-bad', sessionId: '../../etc/passwd' })
       );
+      expect((await waitFor((m) => m.type === 'error')).tabId).toBe('tab-bad');
+      // Rejected before any run (and its CLI runner) was created
+      expect(latestMockInstance).toBe(before);
 
-      // Wait for sessions response (empty array expected)
+      client.send(JSON.stringify({ type: 'start', tabId: 'tab-bad' }));
+      await waitFor((m) => m.type === 'started' && m.tabId === 'tab-bad');
+      expect(latestMockInstance.options.sessionId).toBeNull();
+
+      latestMockInstance._exitCallback(0);
+      client.close();
+    }, 10000);
+
+    it('should reject malformed tab IDs', async () => {
+      const { client, waitFor } = await connect();
+
+      client.send(JSON.stringify({ type: 'start', tabId: '../tab' }));
+
+      expect(await waitFor((m) => m.type === 'error')).toEqual({
+        type: 'error',
+        message: 'Failed to process request',
+      });
+
+      client.close();
+    }, 10000);
+  });
+
+  describe('Run queue', () => {
+    const connect = async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
       await new Promise((resolve) => {
-        const checkMessages = () => {
-          if (messages.some((m) => m.type === 'sessions')) {
-            resolve();
-          } else {
-            setTimeout(checkMessages, 10);
-          }
-        };
-        checkMessages();
+        client.on('open', resolve);
       });
 
-      const sessionsMsg = messages.find((m) => m.type === 'sessions');
-      expect(sessionsMsg).toBeDefined();
-      expect(sessionsMsg.sessions).toEqual([]);
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
 
-      client.close();
+      return { client, messages, waitFor };
+    };
+
+    it('should queue prompts beyond the run limit and start them as slots free up', async () => {
+      const { client, messages, waitFor } = await connect();
+      const runners = {};
+      const runIds = {};
+      for (const tabId of ['tab-a', 'tab-b', 'tab-c']) {
+        client.send(JSON.stringify({ type: 'start', tabId }));
+        runIds[tabId] = (await waitFor((m) => m.type === 'started' && m.tabId === tabId)).runId;
+        runners[tabId] = latestMockInstance;
+      }
+      // One free slot left for this test
+      const previousLimit = runQueue.maxConcurrent;
+      runQueue.maxConcurrent = runQueue.active.size + 1;
+
+      try {
+        for (const tabId of ['tab-a', 'tab-b', 'tab-c']) {
+          client.send(JSON.stringify({ type: 'input', tabId, text: `from ${tabId}` }));
+        }
+        const queuedC = await waitFor(
+          (m) => m.type === 'queued' && m.runId === runIds['tab-c'] && m.position === 2
+        );
+
+        expect(runners['tab-a'].start).toHaveBeenCalled();
+        expect(runners['tab-a'].sendInput).toHaveBeenCalledWith('from tab-a');
+        expect(runners['tab-b'].start).not.toHaveBeenCalled();
+        expect(queuedC.estimatedWaitMs).toBeTypeOf('number');
+
+        // Stop cancels a waiting prompt; the one behind it moves up
+        client.send(JSON.stringify({ type: 'stop', tabId: 'tab-b' }));
+        await waitFor((m) => m.type === 'dequeued' && m.runId === runIds['tab-b']);
+        await waitFor(
+          (m) => m.type === 'queued' && m.runId === runIds['tab-c'] && m.position === 1
+        );
+        expect(runners['tab-b'].stop).not.toHaveBeenCalled();
+
+        // Exit frees the slot for the next prompt in line
+        runners['tab-a']._exitCallback(0);
+        const dequeued = await waitFor((m) => m.type === 'dequeued' && m.runId === runIds['tab-c']);
+        expect(dequeued.cancelled).toBe(false);
+        expect(runners['tab-c'].start).toHaveBeenCalled();
+        expect(runners['tab-c'].sendInput).toHaveBeenCalledWith('from tab-c');
+        expect(
+          messages.find((m) => m.type === 'dequeued' && m.runId === runIds['tab-b']).cancelled
+        ).toBe(true);
+      } finally {
+        runQueue.maxConcurrent = previousLimit;
+        client.close();
+      }
+    }, 10000);
+  });
+
+  describe('Background jobs', () => {
+    const connect = async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      return { client, messages, waitFor };
+    };
+
+    // Run slots left free for a test (earlier tests' mock runs never exit)
+    const withFreeSlots = async (slots, test) => {
+      const previousLimit = runQueue.maxConcurrent;
+      runQueue.maxConcurrent = runQueue.active.size + slots;
+      try {
+        await test();
+      } finally {
+        runQueue.maxConcurrent = previousLimit;
+      }
+    };
+
+    const emit = (runner, message) => {
+      runner._outputCallback(Buffer.from(JSON.stringify(message) + '\n'));
+    };
+
+    it('should keep a job running after its client leaves and persist its output', async () => {
+      await withFreeSlots(1, async () => {
+        const sessionId = '3f6d2a9b-5c1e-4e8f-9a7b-2d4c6e8f0a1b';
+        const starter = await connect();
+        starter.client.send(JSON.stringify({ type: 'start-job', text: 'job prompt' }));
+        const { job } = await starter.waitFor((m) => m.type === 'job-started');
+        const runner = latestMockInstance;
+
+        expect(job.status).toBe('running');
+        expect(runner.options.sessionId).toBeNull();
+        expect(runner.start).toHaveBeenCalled();
+        expect(runner.sendInput).toHaveBeenCalledWith('job prompt');
+
+        // The browser goes away; the job carries on
+        starter.client.close();
+        emit(runner, {
+          type: 'assistant',
+          session_id: sessionId,
+          message: { content: [{ type: 'text', text: 'Working on it' }] },
+        });
+        emit(runner, {
+          type: 'result',
+          subtype: 'success',
+          session_id: sessionId,
+          result: 'All done',
+          total_cost_usd: 0.01,
+        });
+        runner._exitCallback(0);
+        await vi.waitFor(() => expect(jobStore.get(job.jobId).status).toBe('done'));
+
+        // Another device lists and opens it
+        const viewer = await connect();
+        viewer.client.send(JSON.stringify({ type: 'list-jobs' }));
+        const { jobs } = await viewer.waitFor((m) => m.type === 'jobs');
+        expect(jobs.find((listed) => listed.jobId === job.jobId)).toMatchObject({
+          status: 'done',
+          sessionId,
+          result: { result: 'All done', costUsd: 0.01, isError: false },
+        });
+
+        viewer.client.send(JSON.stringify({ type: 'open-job', jobId: job.jobId }));
+        const page = await viewer.waitFor((m) => m.type === 'job-output');
+        expect(page.job).toMatchObject({ prompt: 'job prompt', status: 'done', exitCode: 0 });
+        expect(page.job.startedAt).toBeTypeOf('number');
+        expect(page.job.endedAt).toBeGreaterThanOrEqual(page.job.startedAt);
+        expect(page.entries.map((entry) => entry.message.type)).toEqual([
+          'assistant',
+          'result',
+          'exit',
+        ]);
+        expect(page.done).toBe(true);
+        viewer.client.close();
+      });
     }, 10000);
+
+    it('should stream a running job to viewers and kill it on request', async () => {
+      await withFreeSlots(1, async () => {
+        const { client, messages, waitFor } = await connect();
+        client.send(JSON.stringify({ type: 'start-job', text: 'long job' }));
+        const { job } = await waitFor((m) => m.type === 'job-started');
+        const runner = latestMockInstance;
+
+        client.send(JSON.stringify({ type: 'open-job', jobId: job.jobId, cursor: 0 }));
+        await waitFor((m) => m.type === 'job-output' && m.jobId === job.jobId);
+        emit(runner, {
+          type: 'assistant',
+          message: { content: [{ type: 'text', text: 'Step 1' }] },
+        });
+        const event = await waitFor((m) => m.type === 'job-event' && m.jobId === job.jobId);
+        expect(event.seq).toBe(1);
+        expect(event.message.type).toBe('assistant');
+
+        client.send(JSON.stringify({ type: 'kill-job', jobId: job.jobId }));
+        await vi.waitFor(() => expect(runner.stop).toHaveBeenCalled());
+        runner._exitCallback(143);
+
+        const killed = await waitFor(
+          (m) => m.type === 'job-updated' && m.job.jobId === job.jobId && m.job.status === 'killed'
+        );
+        expect(killed.job.exitCode).toBe(143);
+        expect(messages.some((m) => m.type === 'job-event' && m.message.type === 'exit')).toBe(
+          true
+        );
+        client.close();
+      });
+    }, 10000);
+
+    it('should queue jobs when all run slots are busy and cancel them when killed', async () => {
+      await withFreeSlots(0, async () => {
+        const { client, waitFor } = await connect();
+        const runner = latestMockInstance;
+        client.send(JSON.stringify({ type: 'start-job', text: 'waiting job' }));
+        const { job } = await waitFor((m) => m.type === 'job-started');
+        expect(job.status).toBe('queued');
+
+        client.send(JSON.stringify({ type: 'list-jobs' }));
+        const { jobs } = await waitFor((m) => m.type === 'jobs');
+        expect(jobs.find((listed) => listed.jobId === job.jobId).position).toBe(1);
+
+        client.send(JSON.stringify({ type: 'kill-job', jobId: job.jobId }));
+        await waitFor(
+          (m) => m.type === 'job-updated' && m.job.jobId === job.jobId && m.job.status === 'killed'
+        );
+        // Never spawned a CLI
+        expect(latestMockInstance).toBe(runner);
+        expect(runQueue.position(job.jobId)).toBe(0);
+        client.close();
+      });
+    }, 10000);
+
+    it('should reject invalid job requests', async () => {
+      const { client, messages } = await connect();
+
+      client.send(JSON.stringify({ type: 'start-job', text: '' }));
+      client.send(JSON.stringify({ type: 'open-job', jobId: '../../etc/passwd' }));
+      client.send(JSON.stringify({ type: 'kill-job', jobId: 'not-a-job' }));
+
+      await vi.waitFor(() => expect(messages.filter((m) => m.type === 'error')).toHaveLength(3));
+      expect(messages.some((m) => m.type === 'job-started')).toBe(false);
+      client.close();
+    }, 10000);
+
+    it('should remove the attachment directory when the job cannot be recorded', async () => {
+      const createRunDir = vi.spyOn(AttachmentStore.prototype, 'createRunDir');
+      const removeRunDir = vi.spyOn(AttachmentStore.prototype, 'removeRunDir');
+      const create = vi.spyOn(jobStore, 'create').mockRejectedValueOnce(new Error('ENOSPC'));
+      const { client, waitFor } = await connect();
+
+      try {
+        client.send(JSON.stringify({ type: 'start-job', text: 'disk is full' }));
+        await waitFor((m) => m.type === 'error');
+
+        const attachmentDir = await createRunDir.mock.results.at(-1).value;
+        expect(removeRunDir).toHaveBeenCalledWith(attachmentDir);
+        expect(fs.existsSync(attachmentDir)).toBe(false);
+      } finally {
+        createRunDir.mockRestore();
+        removeRunDir.mockRestore();
+        create.mockRestore();
+        client.close();
+      }
+    }, 10000);
+  });
+
+  describe('Run notifications', () => {
+    const connect = async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      return { client, messages, waitFor };
+    };
+
+    it('should notify when a chat run exits on its own but not when stopped', async () => {
+      const runFinished = vi.spyOn(notifier, 'runFinished');
+      const { client, waitFor } = await connect();
+
+      try {
+        client.send(JSON.stringify({ type: 'start', tabId: 'notify-a' }));
+        await waitFor((m) => m.type === 'started' && m.tabId === 'notify-a');
+        const finished = latestMockInstance;
+        client.send(JSON.stringify({ type: 'input', tabId: 'notify-a', text: 'long task' }));
+        await vi.waitFor(() => expect(finished.start).toHaveBeenCalled());
+        const result = { type: 'result', subtype: 'success', total_cost_usd: 0.3 };
+        finished._outputCallback(Buffer.from(JSON.stringify(result) + '\n'));
+        finished._exitCallback(0);
+
+        expect(runFinished).toHaveBeenCalledTimes(1);
+        expect(runFinished.mock.calls[0][0]).toMatchObject({
+          kind: 'chat',
+          exitCode: 0,
+          result: { total_cost_usd: 0.3 },
+          startedAt: expect.any(Number),
+        });
+
+        client.send(JSON.stringify({ type: 'start', tabId: 'notify-b' }));
+        await waitFor((m) => m.type === 'started' && m.tabId === 'notify-b');
+        const stopped = latestMockInstance;
+        client.send(JSON.stringify({ type: 'input', tabId: 'notify-b', text: 'never mind' }));
+        await vi.waitFor(() => expect(stopped.start).toHaveBeenCalled());
+        client.send(JSON.stringify({ type: 'stop', tabId: 'notify-b' }));
+        await vi.waitFor(() => expect(stopped.stop).toHaveBeenCalled());
+        stopped._exitCallback(143);
+
+        expect(runFinished).toHaveBeenCalledTimes(1);
+      } finally {
+        runFinished.mockRestore();
+        client.close();
+      }
+    }, 10000);
+
+    it('should notify when a background job finishes', async () => {
+      const runFinished = vi.spyOn(notifier, 'runFinished');
+      const { client, waitFor } = await connect();
+
+      try {
+        client.send(JSON.stringify({ type: 'start-job', text: 'notify job' }));
+        const { job } = await waitFor((m) => m.type === 'job-started');
+        latestMockInstance._exitCallback(1);
+
+        await vi.waitFor(() => expect(runFinished).toHaveBeenCalled());
+        expect(runFinished.mock.calls[0][0]).toMatchObject({
+          kind: 'job',
+          jobId: job.jobId,
+          exitCode: 1,
+          result: null,
+        });
+      } finally {
+        runFinished.mockRestore();
+        client.close();
+      }
+    }, 10000);
+
+    it('should report test notification results per channel', async () => {
+      const { client, waitFor } = await connect();
+
+      client.send(JSON.stringify({ type: 'test-notification' }));
+      const reply = await waitFor((m) => m.type === 'notification-test');
+
+      expect(reply).toEqual({ type: 'notification-test', channels: [], results: [] });
+      client.close();
+    }, 10000);
+  });
+
+  describe('Host allowlist', () => {
+    it('should reject requests with a Host outside the allowlist', async () => {
+      const status = await new Promise((resolve) => {
+        http
+          .request(
+            {
+              host: '127.0.0.1',
+              port: serverPort,
+              path: '/',
+              headers: { Host: 'attacker.example' },
+            },
+            (res) => resolve(res.statusCode)
+          )
+          .end();
+      });
+
+      expect(status).toBe(403);
+    });
+  });
+
+  describe('Vendored libraries', () => {
+    it('should serve marked and DOMPurify locally', async () => {
+      for (const name of ['marked.min.js', 'purify.min.js']) {
+        const response = await fetch(`http://localhost:${serverPort}/vendor/${name}`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('application/javascript');
+      }
+    });
+
+    it('should not serve files outside the vendor manifest', async () => {
+      const response = await fetch(`http://localhost:${serverPort}/vendor/manifest.json`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should not allow the CDN origin in the page CSP', async () => {
+      const response = await fetch(`http://localhost:${serverPort}/`);
+      const csp = response.headers.get('content-security-policy');
+
+      expect(csp).toContain("script-src 'self';");
+      expect(csp).not.toContain('cdn.jsdelivr.net');
+    });
+  });
+
+  describe('Session export', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should reject malformed session IDs and unknown formats', async () => {
+      for (const url of [
+        `/export/my-project/not-a-uuid.md`,
+        `/export/my-project/${sessionId}.pdf`,
+        `/export/my-project/${sessionId}`,
+      ]) {
+        const response = await fetch(`http://localhost:${serverPort}${url}`);
+
+        expect(response.status).toBe(400);
+        expect(await response.text()).toBe('Bad Request');
+      }
+    });
+
+    it('should reject an encoded traversal in the project name', async () => {
+      const response = await fetch(
+        `http://localhost:${serverPort}/export/..%2F..%2Fetc/${sessionId}.json`
+      );
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a session that does not exist', async () => {
+      const response = await fetch(
+        `http://localhost:${serverPort}/export/tinycc-missing-project-3f9a/${sessionId}.html`
+      );
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Permission bridge endpoint', () => {
+    it('should deny requests with an unknown run token', async () => {
+      const response = await fetch(`http://127.0.0.1:${serverPort}/internal/permission`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token: 'forged', tool_name: 'Bash', input: {} }),
+      });
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).behavior).toBe('deny');
+    });
+
+    it('should reject invalid JSON bodies', async () => {
+      const response = await fetch(`http://127.0.0.1:${serverPort}/internal/permission`, {
+        method: 'POST',
+        body: 'not json',
+      });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should forward permission requests to the owning connection', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      const waitFor = (predicate) =>
+        new Promise((resolve) => {
+          const check = () => {
+            const found = messages.find(predicate);
+            if (found) {
+              resolve(found);
+            } else {
+              setTimeout(check, 10);
+            }
+          };
+          check();
+        });
+
+      client.send(JSON.stringify({ type: 'start', sessionId: null, newSession: true }));
+      await waitFor((m) => m.type === 'started');
+
+      // Read the run token the way the MCP bridge would
+      const config = JSON.parse(fs.readFileSync(latestMockInstance.options.mcpConfigPath, 'utf-8'));
+      const { TINYCC_PERMISSION_URL, TINYCC_PERMISSION_TOKEN } = config.mcpServers.tinycc.env;
+
+      const pending = fetch(TINYCC_PERMISSION_URL, {
+        method: 'POST',
+        body: JSON.stringify({
+          token: TINYCC_PERMISSION_TOKEN,
+          tool_name: 'Bash',
+          input: { command: 'ls' },
+        }),
+      });
+
+      const request = await waitFor((m) => m.type === 'permission-request');
+      expect(request.toolName).toBe('Bash');
+
+      client.send(
+        JSON.stringify({
+          type: 'permission-response',
+          requestId: request.requestId,
+          decision: 'allow',
+        })
+      );
+
+      const result = await (await pending).json();
+      expect(result).toEqual({ behavior: 'allow', updatedInput: { command: 'ls' } });
+
+      // A second answer finds the request settled
+      client.send(
+        JSON.stringify({
+          type: 'permission-response',
+          tabId: 'main',
+          requestId: request.requestId,
+          decision: 'deny',
+        })
+      );
+      expect(await waitFor((m) => m.type === 'permission-expired')).toEqual({
+        type: 'permission-expired',
+        requestId: request.requestId,
+        tabId: 'main',
+      });
+      expect(messages.some((m) => m.type === 'error')).toBe(false);
+
+      latestMockInstance._exitCallback(0);
+      client.close();
+    }, 10000);
+  });
+
+  describe('load-history', () => {
+    it('should reject invalid session ID', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      client.send(
+        JSON.stringify({
+          type: 'load-history',
+          sessionId: '../../etc/passwd',
+        })
+      );
+
+      await new Promise((resolve) => {
+        const checkMessages = () => {
+          if (messages.some((m) => m.type === 'error')) {
+            resolve();
+          } else {
+            setTimeout(checkMessages, 10);
+          }
+        };
+        checkMessages();
+      });
+
+      expect(messages.some((m) => m.type === 'history')).toBe(false);
+
+      client.close();
+    }, 10000);
+  });
+
+  describe('search-sessions', () => {
+    const send = async (payload) => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const reply = new Promise((resolve) => {
+        client.on('message', (data) => resolve(JSON.parse(data.toString())));
+      });
+      client.send(JSON.stringify(payload));
+
+      const message = await reply;
+      client.close();
+      return message;
+    };
+
+    it('should reply with search results', async () => {
+      const message = await send({
+        type: 'search-sessions',
+        query: 'no-such-text-anywhere-4f2c',
+      });
+
+      expect(message).toMatchObject({ type: 'search-results', results: [], truncated: false });
+    }, 10000);
+
+    it('should reject an invalid regular expression with a generic error', async () => {
+      const message = await send({ type: 'search-sessions', query: '(', regex: true });
+
+      expect(message).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+  });
+
+  describe('Live session list updates', () => {
+    const projectName = 'tinycc-live-update-test-7d1e';
+
+    const connect = async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+      return { client, messages };
+    };
+
+    // Round-trip a list-projects request so earlier messages are known to be handled
+    const sync = async (client, messages) => {
+      const count = messages.filter((m) => m.type === 'projects').length;
+      client.send(JSON.stringify({ type: 'list-projects' }));
+      await vi.waitFor(() =>
+        expect(messages.filter((m) => m.type === 'projects').length).toBe(count + 1)
+      );
+    };
+
+    it('should push sessions-changed to connections subscribed to the project', async () => {
+      const { client, messages } = await connect();
+      client.send(JSON.stringify({ type: 'subscribe-sessions', projectName }));
+      await sync(client, messages);
+
+      sessionIndex.sessionsChangedCallback(projectName);
+
+      await vi.waitFor(() =>
+        expect(messages).toContainEqual({ type: 'sessions-changed', projectName })
+      );
+      client.close();
+    });
+
+    it('should stop pushing after unsubscribe-sessions', async () => {
+      const { client, messages } = await connect();
+      client.send(JSON.stringify({ type: 'subscribe-sessions', projectName }));
+      client.send(JSON.stringify({ type: 'unsubscribe-sessions' }));
+      await sync(client, messages);
+
+      sessionIndex.sessionsChangedCallback(projectName);
+      await sync(client, messages);
+
+      expect(messages.some((m) => m.type === 'sessions-changed')).toBe(false);
+      client.close();
+    });
+
+    it('should push projects-changed to subscribed connections', async () => {
+      const { client, messages } = await connect();
+      client.send(JSON.stringify({ type: 'subscribe-sessions', projectName }));
+      await sync(client, messages);
+
+      sessionIndex.projectsChangedCallback();
+
+      await vi.waitFor(() => {
+        const pushed = messages.find((m) => m.type === 'projects-changed');
+        expect(Array.isArray(pushed?.projects)).toBe(true);
+      });
+      client.close();
+    });
+
+    it('should reject a traversal project name with a generic error', async () => {
+      const { client, messages } = await connect();
+      client.send(JSON.stringify({ type: 'subscribe-sessions', projectName: '../etc' }));
+
+      await vi.waitFor(() =>
+        expect(messages).toContainEqual({ type: 'error', message: 'Failed to process request' })
+      );
+      client.close();
+    });
+  });
+
+  describe('list-sessions paging', () => {
+    const request = async (payload) => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const reply = new Promise((resolve) => {
+        client.on('message', (data) => resolve(JSON.parse(data.toString())));
+      });
+      client.send(JSON.stringify(payload));
+
+      const message = await reply;
+      client.close();
+      return message;
+    };
+
+    it('should echo the project, cursor and ordering with the page', async () => {
+      const message = await request({
+        type: 'list-sessions',
+        projectName: 'my-project',
+        sort: 'title',
+        limit: 10,
+      });
+
+      expect(message).toEqual({
+        type: 'sessions',
+        projectName: 'my-project',
+        cursor: null,
+        sessions: [],
+        total: 0,
+        offset: 0,
+        nextCursor: null,
+        sort: 'title',
+        order: 'asc',
+        archived: false,
+      });
+    }, 10000);
+
+    it('should reject an unknown sort key with a generic error', async () => {
+      const message = await request({
+        type: 'list-sessions',
+        projectName: 'my-project',
+        sort: 'size',
+      });
+
+      expect(message).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+  });
+
+  describe('Session management actions', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    const request = async (payload) => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const reply = new Promise((resolve) => {
+        client.on('message', (data) => resolve(JSON.parse(data.toString())));
+      });
+      client.send(JSON.stringify(payload));
+
+      const message = await reply;
+      client.close();
+      return message;
+    };
+
+    it('should reject renaming a session that does not exist with a generic error', async () => {
+      const message = await request({
+        type: 'update-session',
+        projectName: 'tinycc-missing-project-3f9a',
+        sessionId,
+        title: 'Renamed',
+      });
+
+      expect(message).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+
+    it('should refuse deletion without the confirmation echo', async () => {
+      const message = await request({
+        type: 'delete-session',
+        projectName: 'tinycc-missing-project-3f9a',
+        sessionId,
+      });
+
+      expect(message).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+
+    it('should reject a fork of a session that does not exist with a generic error', async () => {
+      const message = await request({
+        type: 'fork-session',
+        projectName: 'tinycc-missing-project-3f9a',
+        sessionId,
+        messageUuid: '11111111-1111-4111-8111-111111111111',
+      });
+
+      expect(message).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+
+    it('should reject traversal in the project name or session ID', async () => {
+      const byProject = await request({
+        type: 'delete-session',
+        projectName: '../etc',
+        sessionId,
+        confirm: sessionId,
+      });
+      const bySession = await request({
+        type: 'update-session',
+        projectName: 'my-project',
+        sessionId: '../../etc/passwd',
+        starred: true,
+      });
+
+      expect(byProject).toEqual({ type: 'error', message: 'Failed to process request' });
+      expect(bySession).toEqual({ type: 'error', message: 'Failed to process request' });
+    }, 10000);
+  });
+
+  describe('F6: Project selection with path traversal prevention', () => {
+    it('should reject path traversal attempts with parent directory references', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      // Attempt path traversal with ../
+      client.send(
+        JSON.stringify({
+          type: 'list-sessions',
+          projectName: '../etc',
+        })
+      );
+
+      // Wait for error message
+      await new Promise((resolve) => {
+        const checkMessages = () => {
+          if (messages.some((m) => m.type === 'error')) {
+            resolve();
+          } else {
+            setTimeout(checkMessages, 10);
+          }
+        };
+        checkMessages();
+      });
+
+      const errorMsg = messages.find((m) => m.type === 'error');
+      expect(errorMsg).toBeDefined();
+      expect(errorMsg.type).toBe('error');
+
+      client.close();
+    }, 10000);
+
+    it('should reject path traversal with absolute paths', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      // Attempt with absolute path
+      client.send(
+        JSON.stringify({
+          type: 'list-sessions',
+          projectName: '/etc/passwd',
+        })
+      );
+
+      // Wait for error message
+      await new Promise((resolve) => {
+        const checkMessages = () => {
+          if (messages.some((m) => m.type === 'error')) {
+            resolve();
+          } else {
+            setTimeout(checkMessages, 10);
+          }
+        };
+        checkMessages();
+      });
+
+      const errorMsg = messages.find((m) => m.type === 'error');
+      expect(errorMsg).toBeDefined();
+
+      client.close();
+    }, 10000);
+
+    it('should reject path traversal in start projectName', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      client.send(
+        JSON.stringify({
+          type: 'start',
+          projectName: '../../etc',
+        })
+      );
+
+      await new Promise((resolve) => {
+        const checkMessages = () => {
+          if (messages.some((m) => m.type === 'error')) {
+            resolve();
+          } else {
+            setTimeout(checkMessages, 10);
+          }
+        };
+        checkMessages();
+      });
+
+      expect(messages.some((m) => m.type === 'started')).toBe(false);
+
+      client.close();
+    }, 10000);
+
+    it('should accept valid project name', async () => {
+      const client = new WebSocket(`ws://localhost:${serverPort}`);
+
+      await new Promise((resolve) => {
+        client.on('open', resolve);
+      });
+
+      const messages = [];
+      client.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+      });
+
+      // Valid project name (even if directory doesn't exist, should not error on validation)
+      client.send(
+        JSON.stringify({
+          type: 'list-sessions',
+          projectName: 'my-project',
+        })
+      );
+
+      // Wait for sessions response (empty array expected)
+      await new Promise((resolve) => {
+        const checkMessages = () => {
+          if (messages.some((m) => m.type === 'sessions')) {
+            resolve();
+          } else {
+            setTimeout(checkMessages, 10);
+          }
+        };
+        checkMessages();
+      });
+
+      const sessionsMsg = messages.find((m) => m.type === 'sessions');
+      expect(sessionsMsg).toBeDefined();
+      expect(sessionsMsg.sessions).toEqual([]);
+
+      client.close();
+    }, 10000);
+  });
+});
+
+describe('Authentication', () => {
+  let server;
+  let wss;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const authManager = new AuthManager({ secret: 'correct-horse', maxFailures: 2 });
+    const serverInstance = startServer({ authManager, port: 0, sessionIndex: new SessionIndex() });
+    server = serverInstance.httpServer;
+    wss = serverInstance.wss;
+
+    await new Promise((resolve) => {
+      server.on('listening', resolve);
+    });
+
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    wss.clients.forEach((client) => {
+      client.close();
+    });
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  const login = (secret) =>
+    fetch(`${baseUrl}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ secret }).toString(),
+      redirect: 'manual',
+    });
+
+  it('should redirect unauthenticated page loads to the login page', async () => {
+    const response = await fetch(`${baseUrl}/`, { redirect: 'manual' });
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('location')).toBe('/login');
+  });
+
+  it('should serve the login page without a session', async () => {
+    const response = await fetch(`${baseUrl}/login`);
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('action="/login"');
+  });
+
+  it('should reject unauthenticated static assets', async () => {
+    const response = await fetch(`${baseUrl}/js/app.js`);
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject unauthenticated session exports', async () => {
+    const response = await fetch(
+      `${baseUrl}/export/my-project/550e8400-e29b-41d4-a716-446655440000.md`
+    );
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject unauthenticated uploads', async () => {
+    const response = await fetch(`${baseUrl}/upload?name=notes.txt`, {
+      method: 'POST',
+      body: 'notes',
+    });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should reject WebSocket upgrade without session cookie', async () => {
+    const client = new WebSocket(baseUrl.replace('http', 'ws'));
+
+    const status = await new Promise((resolve) => {
+      client.on('unexpected-response', (_req, res) => resolve(res.statusCode));
+      client.on('error', () => resolve('error'));
+    });
+
+    expect(status).toBe(401);
+  });
+
+  it('should reject cross-site login and logout posts', async () => {
+    const post = (pathname, origin, body = '') =>
+      fetch(`${baseUrl}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Origin: origin },
+        body,
+        redirect: 'manual',
+      });
+    const secret = new URLSearchParams({ secret: 'correct-horse' }).toString();
+
+    const forged = await post('/login', 'https://evil.example', secret);
+    expect(forged.status).toBe(403);
+    expect(forged.headers.get('set-cookie')).toBeNull();
+    expect((await post('/logout', 'https://evil.example')).status).toBe(403);
+    expect((await post('/logout', 'null')).status).toBe(403);
+
+    const sameSite = await post('/login', `http://localhost:${server.address().port}`, secret);
+    expect(sameSite.status).toBe(303);
+    expect(sameSite.headers.get('set-cookie')).toContain('HttpOnly');
+  });
+
+  it('should issue an HttpOnly cookie that unlocks pages and WebSocket', async () => {
+    const response = await login('correct-horse');
+    const cookie = response.headers.get('set-cookie');
+
+    expect(response.status).toBe(303);
+    expect(cookie).toContain('HttpOnly');
+    expect(cookie).toContain('SameSite=Strict');
+
+    const sessionCookie = cookie.split(';')[0];
+    const page = await fetch(`${baseUrl}/`, { headers: { Cookie: sessionCookie } });
+    expect(page.status).toBe(200);
+
+    const client = new WebSocket(baseUrl.replace('http', 'ws'), {
+      headers: { Cookie: sessionCookie },
+    });
+    await new Promise((resolve, reject) => {
+      client.on('open', resolve);
+      client.on('error', reject);
+    });
+    client.close();
+  });
+
+  it('should lock out after repeated failures', async () => {
+    const first = await login('wrong');
+    expect(first.headers.get('location')).toBe('/login?error=invalid');
+
+    const second = await login('wrong');
+    expect(second.headers.get('location')).toBe('/login?error=locked');
+
+    // Even the correct secret is refused while locked out
+    const third = await login('correct-horse');
+    expect(third.headers.get('location')).toBe('/login?error=locked');
+    expect(third.headers.get('set-cookie')).toBeNull();
+  });
+});
+
+describe('TLS mode', () => {
+  const { cert, key } = generateSelfSignedCertificate();
+  let server;
+  let wss;
+  let permissionServer;
+  let serverPort;
+
+  beforeAll(async () => {
+    const authManager = new AuthManager({ secret: 'correct-horse' });
+    const serverInstance = startServer({
+      authManager,
+      port: 0,
+      tls: { cert, key },
+      sessionIndex: new SessionIndex(),
+    });
+    server = serverInstance.httpServer;
+    wss = serverInstance.wss;
+    permissionServer = serverInstance.permissionServer;
+
+    await Promise.all([
+      new Promise((resolve) => server.on('listening', resolve)),
+      new Promise((resolve) => permissionServer.on('listening', resolve)),
+    ]);
+
+    serverPort = server.address().port;
+  });
+
+  afterAll(async () => {
+    wss.clients.forEach((client) => {
+      client.close();
+    });
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  });
+
+  // Trust the generated certificate explicitly (it covers 127.0.0.1)
+  const request = (options, body) =>
+    new Promise((resolve, reject) => {
+      const req = https.request(
+        { host: '127.0.0.1', port: serverPort, ca: cert, ...options },
+        (res) => {
+          res.resume();
+          res.on('end', () => resolve(res));
+        }
+      );
+      req.on('error', reject);
+      req.end(body);
+    });
+
+  it('should serve pages over HTTPS', async () => {
+    const res = await request({ path: '/' });
+
+    expect(res.statusCode).toBe(302);
+    expect(res.headers.location).toBe('/login');
+  });
+
+  it('should mark the session cookie Secure and accept it over WSS', async () => {
+    const res = await request(
+      {
+        method: 'POST',
+        path: '/login',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      },
+      'secret=correct-horse'
+    );
+    const cookie = res.headers['set-cookie'][0];
+
+    expect(cookie).toContain('Secure');
+
+    const client = new WebSocket(`wss://127.0.0.1:${serverPort}`, {
+      ca: cert,
+      headers: { Cookie: cookie.split(';')[0] },
+    });
+    await new Promise((resolve, reject) => {
+      client.on('open', resolve);
+      client.on('error', reject);
+    });
+    client.close();
+  });
+
+  it('should serve the permission bridge on a loopback HTTP listener', async () => {
+    const bridgePort = permissionServer.address().port;
+
+    expect(permissionServer.address().address).toBe('127.0.0.1');
+
+    const response = await fetch(`http://127.0.0.1:${bridgePort}/internal/permission`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: 'forged', tool_name: 'Bash', input: {} }),
+    });
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).behavior).toBe('deny');
+  });
+
+  it('should not expose the permission bridge on the TLS port', async () => {
+    const res = await request(
+      {
+        method: 'POST',
+        path: '/internal/permission',
+        headers: { 'Content-Type': 'application/json' },
+      },
+      '{}'
+    );
+
+    // Falls through to auth check instead of the bridge handler
+    expect(res.statusCode).toBe(401);
   });
 });
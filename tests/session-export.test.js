@@ -0,0 +1,131 @@
+/**
+ * Location   : tests/session-export.test.js
+ * Purpose    : Test transcript export to Markdown, HTML and normalized JSON
+ * Why        : Exports are pasted into PRs and incident notes, so tool calls must survive and
+ *              untrusted transcript text must not become markup
+ * Related    : src/session-export.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTranscript,
+  renderMarkdown,
+  renderHtml,
+  renderExport,
+} from '../src/session-export.js';
+
+const entries = [
+  {
+    type: 'user',
+    uuid: 'u1',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    message: { role: 'user', content: 'List the files' },
+  },
+  {
+    type: 'assistant',
+    uuid: 'a1',
+    timestamp: '2026-01-01T00:00:05.000Z',
+    message: {
+      role: 'assistant',
+      content: [
+        { type: 'thinking', thinking: 'internal' },
+        { type: 'text', text: 'Running ls' },
+        { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'ls' } },
+      ],
+    },
+  },
+  {
+    type: 'user',
+    uuid: 'u2',
+    timestamp: null,
+    message: {
+      role: 'user',
+      content: [
+        {
+          type: 'tool_result',
+          tool_use_id: 'toolu_1',
+          is_error: true,
+          content: [{ type: 'text', text: 'ls: ```denied```' }],
+        },
+      ],
+    },
+  },
+];
+
+const session = (messages) => ({
+  sessionId: '550e8400-e29b-41d4-a716-446655440000',
+  projectName: '-home-user-app',
+  title: 'Deploy <script>alert(1)</script>',
+  messages,
+});
+
+describe('normalizeTranscript', () => {
+  it('should keep text, tool calls and tool results and drop thinking', () => {
+    const messages = normalizeTranscript(entries);
+
+    expect(messages).toHaveLength(3);
+    expect(messages[1].blocks).toEqual([
+      { type: 'text', text: 'Running ls' },
+      { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'ls' } },
+    ]);
+    expect(messages[2].blocks).toEqual([
+      { type: 'tool_result', toolUseId: 'toolu_1', isError: true, content: 'ls: ```denied```' },
+    ]);
+  });
+
+  it('should drop entries with nothing to export', () => {
+    const messages = normalizeTranscript([
+      { type: 'assistant', message: { content: [{ type: 'thinking', thinking: 'x' }] } },
+      { type: 'user', message: { content: '   ' } },
+    ]);
+
+    expect(messages).toEqual([]);
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('should render roles, tool calls and results', () => {
+    const markdown = renderMarkdown(session(normalizeTranscript(entries)));
+
+    expect(markdown).toContain('## ユーザー (2026-01-01T00:00:00.000Z)');
+    expect(markdown).toContain('**ツール: Bash**\n\n```bash\nls\n```');
+    expect(markdown).toContain('**結果 (エラー):**');
+  });
+
+  it('should fence results with more backticks than they contain', () => {
+    const markdown = renderMarkdown(session(normalizeTranscript(entries)));
+
+    expect(markdown).toContain('````\nls: ```denied```\n````');
+  });
+});
+
+describe('renderHtml', () => {
+  it('should escape transcript text and include no scripts', () => {
+    const html = renderHtml(
+      session(
+        normalizeTranscript([
+          { type: 'user', message: { content: '<img src=x onerror=alert(1)>' } },
+          ...entries,
+        ])
+      )
+    );
+
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('<img');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('<summary>ツール: Bash</summary>');
+  });
+});
+
+describe('renderExport', () => {
+  it('should serialize the normalized session as JSON', () => {
+    const data = JSON.parse(renderExport(session(normalizeTranscript(entries)), 'json'));
+
+    expect(data.sessionId).toBe('550e8400-e29b-41d4-a716-446655440000');
+    expect(data.messages[1].blocks[1].name).toBe('Bash');
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => renderExport(session([]), 'pdf')).toThrow('Invalid export format');
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Location   : tests/session-index.test.js
+ * Purpose    : Test the persistent session index (summaries, incremental re-reads, watch)
+ * Why        : The index replaces per-request JSONL scans, so stale or double-counted
+ *              summaries would show up directly in the sessions panel
+ * Related    : src/session-index.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs/promises';
+import fsSync from 'fs';
+import path from 'path';
+import os from 'os';
+import { SessionIndex } from '../src/session-index.js';
+
+const line = (json) => JSON.stringify(json) + '\n';
+
+describe('SessionIndex', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-index-test-'));
+    filePath = path.join(tempDir, 'session.jsonl');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  describe('get', () => {
+    it('should summarize message count, times, first prompt and title', async () => {
+      await fs.writeFile(
+        filePath,
+        line({ type: 'summary', summary: 'ログ解析の相談' }) +
+          line({ type: 'system', subtype: 'init' }) +
+          line({
+            type: 'user',
+            timestamp: '2026-01-01T00:00:00.000Z',
+            message: { content: '  最初の質問  ' },
+          }) +
+          line({
+            type: 'assistant',
+            timestamp: '2026-01-01T00:01:00.000Z',
+            message: { content: [{ type: 'text', text: '回答' }] },
+          })
+      );
+
+      const entry = await new SessionIndex().get(filePath);
+
+      expect(entry).toMatchObject({
+        messageCount: 2,
+        firstMessageAt: Date.parse('2026-01-01T00:00:00.000Z'),
+        lastMessageAt: Date.parse('2026-01-01T00:01:00.000Z'),
+        firstPrompt: '最初の質問',
+        title: 'ログ解析の相談',
+      });
+    });
+
+    it('should skip meta and tool-result user entries for the first prompt', async () => {
+      await fs.writeFile(
+        filePath,
+        line({ type: 'user', isMeta: true, message: { content: 'caveat' } }) +
+          line({ type: 'user', message: { content: [{ type: 'tool_result', content: 'x' }] } }) +
+          line({ type: 'user', message: { content: [{ type: 'text', text: '本題' }] } })
+      );
+
+      const entry = await new SessionIndex().get(filePath);
+
+      expect(entry.firstPrompt).toBe('本題');
+    });
+
+    it('should not re-read a file whose size and mtime are unchanged', async () => {
+      await fs.writeFile(filePath, line({ type: 'user', message: { content: 'Hello' } }));
+      const index = new SessionIndex();
+      const first = await index.get(filePath);
+
+      const readSpy = vi.spyOn(fsSync, 'createReadStream');
+      const second = await index.get(filePath);
+
+      expect(second).toBe(first);
+      expect(readSpy).not.toHaveBeenCalled();
+      readSpy.mockRestore();
+    });
+
+    it('should continue from the last indexed byte when a transcript grows', async () => {
+      await fs.writeFile(filePath, line({ type: 'user', message: { content: 'One' } }));
+      const index = new SessionIndex();
+      await index.get(filePath);
+
+      await fs.appendFile(
+        filePath,
+        line({ type: 'assistant', message: { content: [{ type: 'text', text: 'Two' }] } })
+      );
+      const entry = await index.get(filePath);
+
+      expect(entry.messageCount).toBe(2);
+      expect(entry.firstPrompt).toBe('One');
+      expect(entry.offset).toBe((await fs.stat(filePath)).size);
+    });
+
+    it('should leave a partially written trailing line for the next read', async () => {
+      const complete = line({ type: 'user', message: { content: 'One' } });
+      const partial = '{"type":"assistant","message":{"content":[{"type":"te';
+      await fs.writeFile(filePath, complete + partial);
+      const index = new SessionIndex();
+
+      const before = await index.get(filePath);
+      expect(before.messageCount).toBe(1);
+      expect(before.offset).toBe(Buffer.byteLength(complete));
+
+      await fs.appendFile(filePath, 'xt","text":"Two"}]}}\n');
+      const after = await index.get(filePath);
+
+      expect(after.messageCount).toBe(2);
+    });
+
+    it('should re-read the whole file when it shrinks', async () => {
+      await fs.writeFile(
+        filePath,
+        line({ type: 'user', message: { content: 'One' } }) +
+          line({ type: 'user', message: { content: 'Two' } })
+      );
+      const index = new SessionIndex();
+      await index.get(filePath);
+
+      await fs.writeFile(filePath, line({ type: 'user', message: { content: 'New' } }));
+      const entry = await index.get(filePath);
+
+      expect(entry.messageCount).toBe(1);
+      expect(entry.firstPrompt).toBe('New');
+    });
+
+    it('should count token usage per day once per assistant message', async () => {
+      const usage = (output) => ({
+        input_tokens: 10,
+        output_tokens: output,
+        cache_read_input_tokens: 100,
+      });
+      const timestamp = new Date(2026, 0, 5, 12).toISOString();
+      // One line per content block, repeating the message ID with growing usage
+      await fs.writeFile(
+        filePath,
+        line({
+          type: 'assistant',
+          timestamp,
+          message: { id: 'msg_1', content: [{ type: 'text', text: 'a' }], usage: usage(1) },
+        }) +
+          line({
+            type: 'assistant',
+            timestamp,
+            message: { id: 'msg_1', content: [{ type: 'tool_use' }], usage: usage(20) },
+          }) +
+          line({
+            type: 'assistant',
+            timestamp,
+            message: { id: 'msg_2', content: [{ type: 'text', text: 'b' }], usage: usage(5) },
+          })
+      );
+
+      const entry = await new SessionIndex().get(filePath);
+
+      expect(entry.usage['2026-01-05']).toEqual({
+        inputTokens: 20,
+        outputTokens: 25,
+        cacheReadTokens: 200,
+        cacheCreationTokens: 0,
+        messages: 2,
+      });
+    });
+
+    it('should not change a cached entry when a later read adds usage', async () => {
+      const timestamp = new Date(2026, 0, 5, 12).toISOString();
+      const assistant = (id) =>
+        line({
+          type: 'assistant',
+          timestamp,
+          message: { id, content: [], usage: { output_tokens: 1 } },
+        });
+      await fs.writeFile(filePath, assistant('msg_1'));
+      const index = new SessionIndex();
+      const first = await index.get(filePath);
+
+      await fs.appendFile(filePath, assistant('msg_2'));
+      const second = await index.get(filePath);
+
+      expect(first.usage['2026-01-05'].outputTokens).toBe(1);
+      expect(second.usage['2026-01-05'].outputTokens).toBe(2);
+    });
+
+    it('should reject for a missing file', async () => {
+      await expect(new SessionIndex().get(filePath)).rejects.toThrow();
+    });
+  });
+
+  describe('retain', () => {
+    it('should drop entries for transcripts no longer in the directory', async () => {
+      await fs.writeFile(filePath, line({ type: 'user', message: { content: 'Hello' } }));
+      const index = new SessionIndex();
+      await index.get(filePath);
+
+      index.retain(tempDir, []);
+
+      expect(index.entries.has(filePath)).toBe(false);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should save the index and reuse it after a restart', async () => {
+      const indexPath = path.join(tempDir, 'data', 'session-index.json');
+      await fs.writeFile(filePath, line({ type: 'user', message: { content: 'Hello' } }));
+
+      const index = new SessionIndex(indexPath);
+      await index.get(filePath);
+      await index.close();
+
+      const restarted = new SessionIndex(indexPath);
+      await restarted.load();
+      expect(restarted.entries.get(filePath).firstPrompt).toBe('Hello');
+    });
+
+    it('should ignore a corrupt or outdated index file', async () => {
+      const indexPath = path.join(tempDir, 'session-index.json');
+      await fs.writeFile(indexPath, '{"version":0,"files":{"/x.jsonl":{}}}');
+
+      const index = new SessionIndex(indexPath);
+      await index.load();
+
+      expect(index.entries.size).toBe(0);
+    });
+  });
+
+  describe('watch', () => {
+    it('should re-index a transcript after the CLI writes it', async () => {
+      const projectDir = path.join(tempDir, 'project');
+      await fs.mkdir(projectDir);
+      const index = new SessionIndex();
+
+      expect(index.watch(tempDir)).toBe(true);
+      try {
+        const transcript = path.join(projectDir, 'watched.jsonl');
+        await fs.writeFile(transcript, line({ type: 'user', message: { content: 'Watched' } }));
+
+        await vi.waitFor(() => expect(index.entries.get(transcript)?.messageCount).toBe(1), {
+          timeout: 3000,
+        });
+      } finally {
+        await index.close();
+      }
+    });
+
+    it('should report changed sessions and projects to the registered callbacks', async () => {
+      const index = new SessionIndex();
+      const sessionsChanged = vi.fn();
+      const projectsChanged = vi.fn();
+      index.onSessionsChanged(sessionsChanged);
+      index.onProjectsChanged(projectsChanged);
+
+      expect(index.watch(tempDir)).toBe(true);
+      try {
+        const projectDir = path.join(tempDir, 'new-project');
+        await fs.mkdir(projectDir);
+        await vi.waitFor(() => expect(projectsChanged).toHaveBeenCalled(), { timeout: 3000 });
+
+        await fs.writeFile(
+          path.join(projectDir, 'new.jsonl'),
+          line({ type: 'user', message: { content: 'Hi' } })
+        );
+        await vi.waitFor(() => expect(sessionsChanged).toHaveBeenCalledWith('new-project'), {
+          timeout: 3000,
+        });
+
+        await fs.rm(path.join(projectDir, 'new.jsonl'));
+        await vi.waitFor(() => expect(sessionsChanged).toHaveBeenCalledTimes(2), {
+          timeout: 3000,
+        });
+      } finally {
+        await index.close();
+      }
+    });
+
+    it('should report an unwatchable directory', () => {
+      const index = new SessionIndex();
+
+      expect(index.watch(path.join(tempDir, 'missing'))).toBe(false);
+    });
+  });
+});
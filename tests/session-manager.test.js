@@ -5,8 +5,10 @@
  * Related    : src/session-manager.js
  */
 
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { SessionManager } from '../src/session-manager.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionManager, encodeProjectPath, compileSearch } from '../src/session-manager.js';
+import { SessionIndex } from '../src/session-index.js';
+import { UsageTracker, usageDay } from '../src/usage.js';
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
@@ -118,6 +120,37 @@ describe('SessionManager', () => {
       expect(sessions[0].preview).toContain('...');
     });
 
+    it('should include indexed message count, times and title', async () => {
+      await fs.writeFile(
+        path.join(tempDir, 'session.jsonl'),
+        '{"type":"summary","summary":"Title"}\n' +
+          '{"type":"user","timestamp":"2026-01-01T00:00:00.000Z","message":{"content":"Hi"}}\n' +
+          '{"type":"assistant","timestamp":"2026-01-02T00:00:00.000Z","message":{"content":[]}}\n'
+      );
+
+      const sessions = await manager.listSessions();
+
+      expect(sessions[0]).toMatchObject({
+        preview: 'Hi',
+        title: 'Title',
+        messageCount: 2,
+        created: Date.parse('2026-01-01T00:00:00.000Z'),
+        lastMessageAt: Date.parse('2026-01-02T00:00:00.000Z'),
+      });
+    });
+
+    it('should mark recently written sessions as active', async () => {
+      await fs.writeFile(path.join(tempDir, 'live.jsonl'), '');
+      await fs.writeFile(path.join(tempDir, 'idle.jsonl'), '');
+      const hourAgo = (Date.now() - 60 * 60 * 1000) / 1000;
+      await fs.utimes(path.join(tempDir, 'idle.jsonl'), hourAgo, hourAgo);
+
+      const sessions = await manager.listSessions();
+
+      expect(sessions.find((s) => s.filename === 'live.jsonl').active).toBe(true);
+      expect(sessions.find((s) => s.filename === 'idle.jsonl').active).toBe(false);
+    });
+
     it('should stop reading after MAX_PREVIEW_LINES', async () => {
       // Create file with many lines
       const lines = [];
@@ -135,6 +168,352 @@ describe('SessionManager', () => {
     });
   });
 
+  describe('listSessionsPage', () => {
+    // Five sessions: s0 (oldest, 1 message) .. s4 (newest, 5 messages)
+    beforeEach(async () => {
+      const now = Date.now();
+      for (let i = 0; i < 5; i++) {
+        const lines = [];
+        for (let j = 0; j <= i; j++) {
+          lines.push(
+            JSON.stringify({
+              type: 'user',
+              timestamp: new Date(now - (10 - i) * 60000).toISOString(),
+              message: { content: `Prompt ${'edcba'[i]}` },
+            })
+          );
+        }
+        const file = path.join(tempDir, `s${i}.jsonl`);
+        await fs.writeFile(file, lines.join('\n') + '\n');
+        const mtime = (now - (5 - i) * 1000) / 1000;
+        await fs.utimes(file, mtime, mtime);
+      }
+    });
+
+    const names = (page) => page.sessions.map((s) => s.filename);
+
+    it('should return the newest sessions first with a cursor for the rest', async () => {
+      const page = await manager.listSessionsPage({ limit: 2 });
+
+      expect(names(page)).toEqual(['s4.jsonl', 's3.jsonl']);
+      expect(page).toMatchObject({ total: 5, offset: 0, sort: 'modified', order: 'desc' });
+      expect(typeof page.nextCursor).toBe('string');
+    });
+
+    it('should continue after the cursor until the last page', async () => {
+      const first = await manager.listSessionsPage({ limit: 2 });
+      const second = await manager.listSessionsPage({ limit: 2, cursor: first.nextCursor });
+      const third = await manager.listSessionsPage({ limit: 2, cursor: second.nextCursor });
+
+      expect(names(second)).toEqual(['s2.jsonl', 's1.jsonl']);
+      expect(names(third)).toEqual(['s0.jsonl']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('should not repeat entries when a session is added between pages', async () => {
+      const first = await manager.listSessionsPage({ limit: 2 });
+      await fs.writeFile(path.join(tempDir, 'new.jsonl'), '');
+
+      const second = await manager.listSessionsPage({ limit: 2, cursor: first.nextCursor });
+
+      expect(names(second)).toEqual(['s2.jsonl', 's1.jsonl']);
+      expect(second.total).toBe(6);
+    });
+
+    it('should support offset and limit', async () => {
+      const page = await manager.listSessionsPage({ offset: 3, limit: 10 });
+
+      expect(names(page)).toEqual(['s1.jsonl', 's0.jsonl']);
+      expect(page.offset).toBe(3);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it('should sort by message count, creation time and title', async () => {
+      const byCount = await manager.listSessionsPage({ sort: 'messageCount', order: 'asc' });
+      const byCreated = await manager.listSessionsPage({ sort: 'created' });
+      const byTitle = await manager.listSessionsPage({ sort: 'title' });
+
+      expect(names(byCount)[0]).toBe('s0.jsonl');
+      expect(names(byCreated)[0]).toBe('s4.jsonl');
+      // Untitled sessions order by first prompt: 'Prompt a' (s4) .. 'Prompt e' (s0), ascending
+      expect(names(byTitle)).toEqual(['s4.jsonl', 's3.jsonl', 's2.jsonl', 's1.jsonl', 's0.jsonl']);
+    });
+
+    it('should reject invalid options and cursors from another ordering', async () => {
+      const first = await manager.listSessionsPage({ limit: 2 });
+
+      await expect(manager.listSessionsPage({ sort: 'size' })).rejects.toThrow(
+        'Invalid session sort key'
+      );
+      await expect(manager.listSessionsPage({ limit: 0 })).rejects.toThrow(
+        'Invalid session page size'
+      );
+      await expect(manager.listSessionsPage({ offset: -1 })).rejects.toThrow(
+        'Invalid session offset'
+      );
+      await expect(
+        manager.listSessionsPage({ sort: 'title', cursor: first.nextCursor })
+      ).rejects.toThrow('Invalid session cursor');
+      await expect(manager.listSessionsPage({ cursor: 'not-a-cursor' })).rejects.toThrow(
+        'Invalid session cursor'
+      );
+    });
+  });
+
+  describe('session management', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+    const transcript = '{"type":"user","message":{"content":"Hello"}}\n';
+
+    beforeEach(async () => {
+      await fs.writeFile(path.join(tempDir, `${sessionId}.jsonl`), transcript);
+    });
+
+    it('should show a custom title without rewriting the JSONL', async () => {
+      await manager.updateSession(sessionId, { title: 'Renamed' });
+
+      const sessions = await manager.listSessions();
+
+      expect(sessions[0].title).toBe('Renamed');
+      expect(await fs.readFile(path.join(tempDir, `${sessionId}.jsonl`), 'utf-8')).toBe(transcript);
+    });
+
+    it('should list starred sessions first and hide archived ones', async () => {
+      const other = '6ba7b810-9dad-41d1-80b4-00c04fd430c8';
+      const archived = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+      await fs.writeFile(path.join(tempDir, `${other}.jsonl`), transcript);
+      await fs.writeFile(path.join(tempDir, `${archived}.jsonl`), transcript);
+      const old = (Date.now() - 60000) / 1000;
+      await fs.utimes(path.join(tempDir, `${sessionId}.jsonl`), old, old);
+
+      await manager.updateSession(sessionId, { starred: true });
+      await manager.updateSession(archived, { archived: true });
+
+      const page = await manager.listSessionsPage();
+      const archivedPage = await manager.listSessionsPage({ archived: true });
+
+      expect(page.sessions.map((s) => s.filename)).toEqual([
+        `${sessionId}.jsonl`,
+        `${other}.jsonl`,
+      ]);
+      expect(archivedPage.sessions.map((s) => s.filename)).toEqual([`${archived}.jsonl`]);
+    });
+
+    it('should delete the transcript, its side directory and its metadata', async () => {
+      await fs.mkdir(path.join(tempDir, sessionId));
+      await manager.updateSession(sessionId, { starred: true });
+
+      await manager.deleteSession(sessionId);
+
+      expect(await manager.listSessions()).toEqual([]);
+      await expect(fs.access(path.join(tempDir, sessionId))).rejects.toThrow();
+      expect(await manager.metadata.get(path.basename(tempDir), sessionId)).toMatchObject({
+        starred: false,
+      });
+    });
+
+    it('should reject malformed or traversal session IDs', async () => {
+      await expect(manager.updateSession('../../etc/passwd', { starred: true })).rejects.toThrow(
+        'Invalid session ID format'
+      );
+      await expect(manager.deleteSession('../x')).rejects.toThrow('Invalid session ID format');
+    });
+
+    it('should reject changes to a session that does not exist', async () => {
+      await expect(
+        manager.updateSession('6ba7b810-9dad-41d1-80b4-00c04fd430c8', { starred: true })
+      ).rejects.toThrow();
+    });
+  });
+
+  describe('forkSession', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+    const first = '11111111-1111-4111-8111-111111111111';
+    const answer = '22222222-2222-4222-8222-222222222222';
+    const second = '33333333-3333-4333-8333-333333333333';
+    const lines = [
+      { type: 'user', uuid: first, sessionId, message: { content: 'First prompt' } },
+      {
+        type: 'assistant',
+        uuid: answer,
+        sessionId,
+        message: { content: [{ type: 'text', text: 'Answer' }] },
+      },
+      { type: 'user', uuid: second, sessionId, message: { content: 'Second prompt' } },
+    ];
+    const original = lines.map((l) => JSON.stringify(l)).join('\n') + '\n';
+
+    beforeEach(async () => {
+      await fs.writeFile(path.join(tempDir, `${sessionId}.jsonl`), original);
+    });
+
+    it('should copy the history before the prompt under a new session ID', async () => {
+      const fork = await manager.forkSession(sessionId, second);
+
+      expect(fork.prompt).toBe('Second prompt');
+      expect(fork.sessionId).not.toBe(sessionId);
+
+      const copied = (await fs.readFile(path.join(tempDir, `${fork.sessionId}.jsonl`), 'utf-8'))
+        .trim()
+        .split('\n')
+        .map((l) => JSON.parse(l));
+      expect(copied.map((l) => l.uuid)).toEqual([first, answer]);
+      expect(copied.every((l) => l.sessionId === fork.sessionId)).toBe(true);
+
+      const stat = await fs.stat(path.join(tempDir, `${fork.sessionId}.jsonl`));
+      expect(stat.mode & 0o777).toBe(0o600);
+    });
+
+    it('should leave the original transcript untouched', async () => {
+      await manager.forkSession(sessionId, second);
+
+      expect(await fs.readFile(path.join(tempDir, `${sessionId}.jsonl`), 'utf-8')).toBe(original);
+    });
+
+    it('should start a new session when forking before the first prompt', async () => {
+      const fork = await manager.forkSession(sessionId, first);
+
+      expect(fork).toEqual({ sessionId: null, prompt: 'First prompt' });
+      expect(await fs.readdir(tempDir)).toEqual([`${sessionId}.jsonl`]);
+    });
+
+    it('should only fork before user prompts that exist', async () => {
+      await expect(manager.forkSession(sessionId, answer)).rejects.toThrow(
+        'Fork point is not a user prompt'
+      );
+      await expect(
+        manager.forkSession(sessionId, '44444444-4444-4444-8444-444444444444')
+      ).rejects.toThrow('Fork point not found');
+      await expect(manager.forkSession(sessionId, '../x')).rejects.toThrow(
+        'Invalid message ID format'
+      );
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    it('should total transcript tokens per day and project and add recorded cost', async () => {
+      const now = new Date(2026, 0, 5, 12).getTime();
+      const assistant = (id, time, output) =>
+        JSON.stringify({
+          type: 'assistant',
+          timestamp: new Date(time).toISOString(),
+          message: { id, content: [], usage: { input_tokens: 1, output_tokens: output } },
+        }) + '\n';
+      await fs.mkdir(path.join(tempDir, 'project-a'));
+      await fs.mkdir(path.join(tempDir, 'project-b'));
+      await fs.writeFile(
+        path.join(tempDir, 'project-a', 's1.jsonl'),
+        assistant('m1', now, 10) + assistant('m2', now - 86400000, 5)
+      );
+      await fs.writeFile(path.join(tempDir, 'project-b', 's2.jsonl'), assistant('m3', now, 50));
+      // Outside the 30-day window
+      await fs.writeFile(
+        path.join(tempDir, 'project-b', 'old.jsonl'),
+        assistant('m4', now - 40 * 86400000, 1000)
+      );
+      const tracker = new UsageTracker();
+      tracker.record('550e8400-e29b-41d4-a716-446655440000', { total_cost_usd: 1.5 }, now);
+
+      const usage = await SessionManager.summarizeUsage(
+        new SessionIndex(),
+        tracker,
+        { now },
+        tempDir
+      );
+
+      expect(usage.days).toHaveLength(30);
+      expect(usage.days[0]).toMatchObject({
+        day: usageDay(now),
+        outputTokens: 60,
+        messages: 2,
+        costUsd: 1.5,
+        runs: 1,
+      });
+      expect(usage.days[1]).toMatchObject({ outputTokens: 5, costUsd: 0 });
+      expect(usage.projects.map((p) => [p.projectName, p.outputTokens, p.sessions])).toEqual([
+        ['project-b', 50, 1],
+        ['project-a', 15, 1],
+      ]);
+      expect(usage.totals).toMatchObject({ outputTokens: 65, inputTokens: 3, costUsd: 1.5 });
+    });
+  });
+
+  describe('readTranscript', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should read every entry across history pages with the session title', async () => {
+      const lines = [JSON.stringify({ type: 'summary', summary: 'CLI summary' })];
+      for (let i = 0; i < 120; i++) {
+        lines.push(JSON.stringify({ type: 'user', message: { content: `Message ${i}` } }));
+      }
+      await fs.writeFile(path.join(tempDir, `${sessionId}.jsonl`), lines.join('\n') + '\n');
+      await manager.updateSession(sessionId, { title: 'Custom title' });
+
+      const transcript = await manager.readTranscript(sessionId);
+
+      expect(transcript.title).toBe('Custom title');
+      expect(transcript.entries).toHaveLength(120);
+      expect(transcript.entries[119].message.content).toBe('Message 119');
+    });
+
+    it('should reject invalid session IDs before touching the filesystem', async () => {
+      await expect(manager.readTranscript('../secret')).rejects.toThrow(
+        'Invalid session ID format'
+      );
+    });
+  });
+
+  describe('readHistory', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should return user and assistant entries including tool blocks', async () => {
+      await fs.writeFile(
+        path.join(tempDir, `${sessionId}.jsonl`),
+        '{"type":"system","subtype":"init"}\n' +
+          '{"type":"user","uuid":"u1","message":{"role":"user","content":"Hello"}}\n' +
+          '{"type":"assistant","message":{"content":[{"type":"tool_use","id":"t1","name":"Bash"}]}}\n' +
+          '{"type":"user","message":{"content":[{"type":"tool_result","tool_use_id":"t1"}]}}\n' +
+          'not json\n'
+      );
+
+      const page = await manager.readHistory(sessionId);
+
+      expect(page.done).toBe(true);
+      expect(page.entries).toHaveLength(3);
+      expect(page.entries[0]).toMatchObject({
+        type: 'user',
+        uuid: 'u1',
+        message: { role: 'user', content: 'Hello' },
+      });
+      expect(page.entries[1].message.content[0].name).toBe('Bash');
+      expect(page.entries[2].message.content[0].type).toBe('tool_result');
+    });
+
+    it('should page through entries with a byte offset cursor', async () => {
+      const lines = [];
+      for (let i = 0; i < 5; i++) {
+        lines.push(`{"type":"user","message":{"content":"メッセージ ${i}"}}`);
+      }
+      await fs.writeFile(path.join(tempDir, `${sessionId}.jsonl`), lines.join('\n') + '\n');
+
+      const first = await manager.readHistory(sessionId, 0, 2);
+      const second = await manager.readHistory(sessionId, first.nextCursor, 2);
+      const third = await manager.readHistory(sessionId, second.nextCursor, 2);
+
+      expect(first.done).toBe(false);
+      expect(first.entries.map((e) => e.message.content)).toEqual(['メッセージ 0', 'メッセージ 1']);
+      expect(second.entries.map((e) => e.message.content)).toEqual([
+        'メッセージ 2',
+        'メッセージ 3',
+      ]);
+      expect(third.entries.map((e) => e.message.content)).toEqual(['メッセージ 4']);
+      expect(third.done).toBe(true);
+    });
+
+    it('should reject when session file does not exist', async () => {
+      await expect(manager.readHistory(sessionId)).rejects.toThrow();
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return empty array for non-existent directory', async () => {
       const invalidManager = new SessionManager('/nonexistent/path/that/does/not/exist');
@@ -196,4 +575,223 @@ describe('SessionManager', () => {
       expect(projects).toEqual(['valid-project']);
     });
   });
+
+  describe('searchSessions', () => {
+    let projectsBase;
+    const sessionA = '11111111-1111-4111-8111-111111111111';
+    const sessionB = '22222222-2222-4222-8222-222222222222';
+
+    const line = (type, content, timestamp, uuid) =>
+      JSON.stringify({ type, uuid, timestamp, message: { role: type, content } });
+
+    beforeEach(async () => {
+      projectsBase = await fs.mkdtemp(path.join(os.tmpdir(), 'projects-base-'));
+      await fs.mkdir(path.join(projectsBase, 'project-a'));
+      await fs.mkdir(path.join(projectsBase, 'project-b'));
+
+      await fs.writeFile(
+        path.join(projectsBase, 'project-a', `${sessionA}.jsonl`),
+        [
+          line('user', 'Fix the database migration please', '2026-01-10T10:00:00Z', 'u1'),
+          line(
+            'assistant',
+            [
+              { type: 'text', text: 'The migration failed because of a lock.' },
+              { type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'migration' } },
+            ],
+            '2026-01-10T10:00:05Z',
+            'a1'
+          ),
+        ].join('\n') + '\n'
+      );
+      await fs.writeFile(
+        path.join(projectsBase, 'project-b', `${sessionB}.jsonl`),
+        line('user', 'Unrelated question about CSS', '2026-02-01T09:00:00Z', 'u2') + '\n'
+      );
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectsBase, { recursive: true, force: true });
+    });
+
+    it('should find plain text case-insensitively across projects', async () => {
+      const { results, truncated } = await SessionManager.searchSessions(
+        'MIGRATION',
+        {},
+        projectsBase
+      );
+
+      expect(truncated).toBe(false);
+      expect(results).toHaveLength(1);
+      expect(results[0]).toMatchObject({
+        projectName: 'project-a',
+        sessionId: sessionA,
+        matchCount: 2,
+      });
+      // Tool inputs are not searched
+      expect(results[0].matches.map((m) => m.uuid)).toEqual(['u1', 'a1']);
+    });
+
+    it('should return highlight ranges inside the snippet', async () => {
+      const { results } = await SessionManager.searchSessions('migration', {}, projectsBase);
+      const [first] = results[0].matches;
+      const [start, end] = first.highlights[0];
+
+      expect(first.snippet).toBe('Fix the database migration please');
+      expect(first.snippet.slice(start, end)).toBe('migration');
+    });
+
+    it('should support regular expressions', async () => {
+      const { results } = await SessionManager.searchSessions(
+        'c(ss|afe)\\b',
+        { regex: true },
+        projectsBase
+      );
+
+      expect(results.map((r) => r.sessionId)).toEqual([sessionB]);
+    });
+
+    it('should time out a catastrophically backtracking regex without blocking', async () => {
+      await fs.writeFile(
+        path.join(projectsBase, 'project-b', `${sessionB}.jsonl`),
+        line('user', `${'a'.repeat(40)}!`, '2026-02-01T09:00:00Z', 'u2') + '\n'
+      );
+      let timerFired = false;
+      setTimeout(() => {
+        timerFired = true;
+      }, 50);
+
+      await expect(
+        SessionManager.searchSessions('(a+)+$', { regex: true }, projectsBase, 300)
+      ).rejects.toThrow('Search timed out');
+      // The event loop kept running while the pattern backtracked
+      expect(timerFired).toBe(true);
+    });
+
+    it('should treat regex metacharacters literally in plain mode', async () => {
+      const { results } = await SessionManager.searchSessions('c(ss', {}, projectsBase);
+
+      expect(results).toEqual([]);
+    });
+
+    it('should filter by role', async () => {
+      const { results } = await SessionManager.searchSessions(
+        'migration',
+        { role: 'assistant' },
+        projectsBase
+      );
+
+      expect(results[0].matchCount).toBe(1);
+      expect(results[0].matches[0].role).toBe('assistant');
+    });
+
+    it('should filter by date range', async () => {
+      const { results } = await SessionManager.searchSessions(
+        'e',
+        {
+          from: Date.parse('2026-01-15T00:00:00Z'),
+          to: Date.parse('2026-02-15T00:00:00Z'),
+        },
+        projectsBase
+      );
+
+      expect(results.map((r) => r.sessionId)).toEqual([sessionB]);
+    });
+  });
+
+  describe('compileSearch', () => {
+    it('should reject empty, oversized and invalid queries', () => {
+      expect(() => compileSearch('  ')).toThrow('empty');
+      expect(() => compileSearch('x'.repeat(201))).toThrow('maximum length');
+      expect(() => compileSearch('(', { regex: true })).toThrow('Invalid search pattern');
+    });
+
+    it('should reject unknown roles and non-numeric dates', () => {
+      expect(() => compileSearch('a', { role: 'system' })).toThrow('Invalid search role');
+      expect(() => compileSearch('a', { from: '2026-01-01' })).toThrow('date range');
+    });
+  });
+
+  describe('resolveWorkingDirectory', () => {
+    let projectsBase;
+    let workDir;
+
+    beforeEach(async () => {
+      projectsBase = await fs.mkdtemp(path.join(os.tmpdir(), 'projects-base-'));
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'work.dir_'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(projectsBase, { recursive: true, force: true });
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    it('should encode paths like Claude CLI project directories', () => {
+      expect(encodeProjectPath('/home/user')).toBe('-home-user');
+      expect(encodeProjectPath('/home/user/my.repo_v2')).toBe('-home-user-my-repo-v2');
+    });
+
+    it('should resolve cwd recorded in session JSONL', async () => {
+      const projectDir = path.join(projectsBase, encodeProjectPath(workDir));
+      await fs.mkdir(projectDir);
+      await fs.writeFile(
+        path.join(projectDir, 'session.jsonl'),
+        `{"type":"user","cwd":${JSON.stringify(workDir)},"message":{"content":"Hi"}}\n`
+      );
+
+      const resolved = await new SessionManager(projectDir).resolveWorkingDirectory();
+
+      expect(resolved).toBe(workDir);
+    });
+
+    it('should stop reading transcripts at the first verified cwd', async () => {
+      const projectDir = path.join(projectsBase, encodeProjectPath(workDir));
+      await fs.mkdir(projectDir);
+      for (let i = 0; i < 5; i++) {
+        await fs.writeFile(
+          path.join(projectDir, `session-${i}.jsonl`),
+          `{"type":"user","cwd":${JSON.stringify(workDir)}}\n`
+        );
+      }
+      const manager = new SessionManager(projectDir);
+      const extractCwd = vi.spyOn(manager, 'extractCwd');
+
+      expect(await manager.resolveWorkingDirectory()).toBe(workDir);
+      expect(extractCwd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject recorded cwd that does not match the project name', async () => {
+      const projectDir = path.join(projectsBase, encodeProjectPath(workDir));
+      await fs.mkdir(projectDir);
+      await fs.writeFile(path.join(projectDir, 'session.jsonl'), '{"type":"user","cwd":"/etc"}\n');
+
+      const resolved = await new SessionManager(projectDir).resolveWorkingDirectory();
+
+      expect(resolved).toBeNull();
+    });
+
+    // Naive decoding is only lossless for paths made of alphanumerics and '/'
+    it.skipIf(/[^a-zA-Z0-9/]/.test(os.tmpdir()))(
+      'should fall back to naive decoding when no cwd is recorded',
+      async () => {
+        const naiveDir = await fs.mkdtemp(path.join(os.tmpdir(), 'naive'));
+        const projectDir = path.join(projectsBase, encodeProjectPath(naiveDir));
+        await fs.mkdir(projectDir);
+
+        const resolved = await new SessionManager(projectDir).resolveWorkingDirectory();
+
+        expect(resolved).toBe(naiveDir);
+        await fs.rm(naiveDir, { recursive: true, force: true });
+      }
+    );
+
+    it('should return null when the working directory no longer exists', async () => {
+      const projectDir = path.join(projectsBase, '-nonexistent-path');
+      await fs.mkdir(projectDir);
+
+      const resolved = await new SessionManager(projectDir).resolveWorkingDirectory();
+
+      expect(resolved).toBeNull();
+    });
+  });
 });
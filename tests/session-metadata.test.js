@@ -0,0 +1,88 @@
+/**
+ * Location   : tests/session-metadata.test.js
+ * Purpose    : Test the sidecar store for session titles, stars and archive flags
+ * Why        : Session metadata must persist without touching the CLI's JSONL files
+ * Related    : src/session-metadata.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { SessionMetadataStore } from '../src/session-metadata.js';
+
+const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+describe('SessionMetadataStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'session-metadata-test-'));
+    filePath = path.join(tempDir, 'data', 'session-metadata.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should default to no title, not starred, not archived', async () => {
+    const store = new SessionMetadataStore();
+
+    expect(await store.get('project', sessionId)).toEqual({
+      title: null,
+      starred: false,
+      archived: false,
+    });
+  });
+
+  it('should apply partial updates and keep the other fields', async () => {
+    const store = new SessionMetadataStore();
+
+    await store.update('project', sessionId, { title: '  本番障害の調査  ' });
+    const updated = await store.update('project', sessionId, { starred: true });
+
+    expect(updated).toEqual({ title: '本番障害の調査', starred: true, archived: false });
+    expect(await store.get('other-project', sessionId)).toMatchObject({ starred: false });
+  });
+
+  it('should clear the title with an empty string or null', async () => {
+    const store = new SessionMetadataStore();
+    await store.update('project', sessionId, { title: 'Title' });
+
+    expect((await store.update('project', sessionId, { title: '' })).title).toBeNull();
+    expect(store.sessions.size).toBe(0);
+  });
+
+  it('should reject invalid titles and flags', async () => {
+    const store = new SessionMetadataStore();
+
+    await expect(store.update('project', sessionId, { title: 42 })).rejects.toThrow(
+      'Invalid session title'
+    );
+    await expect(store.update('project', sessionId, { title: 'a'.repeat(101) })).rejects.toThrow(
+      'Session title exceeds maximum length'
+    );
+    await expect(store.update('project', sessionId, { starred: 'yes' })).rejects.toThrow(
+      'Invalid session starred flag'
+    );
+  });
+
+  it('should persist and reload after a restart', async () => {
+    const store = new SessionMetadataStore(filePath);
+    await store.update('project', sessionId, { archived: true });
+
+    const restarted = new SessionMetadataStore(filePath);
+    expect(await restarted.get('project', sessionId)).toMatchObject({ archived: true });
+  });
+
+  it('should forget removed sessions', async () => {
+    const store = new SessionMetadataStore(filePath);
+    await store.update('project', sessionId, { starred: true });
+
+    await store.remove('project', sessionId);
+
+    const restarted = new SessionMetadataStore(filePath);
+    expect(await restarted.get('project', sessionId)).toMatchObject({ starred: false });
+  });
+});
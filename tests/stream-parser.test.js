@@ -152,4 +152,80 @@ describe('StreamParser', () => {
       expect(() => parser.parse(maxChunk)).not.toThrow();
     });
   });
+
+  describe('Partial Message Deltas', () => {
+    it('should reduce text deltas to compact messages', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onMessage(callback);
+
+      parser.parse(
+        '{"type":"stream_event","event":{"type":"content_block_delta","index":0,' +
+          '"delta":{"type":"text_delta","text":"Hel"}}}\n'
+      );
+
+      expect(callback).toHaveBeenCalledWith({ type: 'text-delta', index: 0, text: 'Hel' });
+    });
+
+    it('should forward message_start as message-start', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onMessage(callback);
+
+      parser.parse('{"type":"stream_event","event":{"type":"message_start","message":{}}}\n');
+
+      expect(callback).toHaveBeenCalledWith({ type: 'message-start' });
+    });
+
+    it('should drop non-text stream events', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onMessage(callback);
+
+      parser.parse(
+        '{"type":"stream_event","event":{"type":"content_block_delta","index":1,' +
+          '"delta":{"type":"input_json_delta","partial_json":"{"}}}\n' +
+          '{"type":"stream_event","event":{"type":"content_block_stop","index":1}}\n'
+      );
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Session ID Capture', () => {
+    const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+
+    it('should capture session_id from filtered init message', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onSessionId(callback);
+
+      parser.parse(`{"type":"system","subtype":"init","session_id":"${sessionId}"}\n`);
+
+      expect(callback).toHaveBeenCalledWith(sessionId);
+      expect(parser.sessionId).toBe(sessionId);
+    });
+
+    it('should notify only once for repeated session_id', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onSessionId(callback);
+
+      parser.parse(`{"type":"system","subtype":"init","session_id":"${sessionId}"}\n`);
+      parser.parse(`{"type":"result","subtype":"success","session_id":"${sessionId}"}\n`);
+
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore malformed session_id', () => {
+      const parser = new StreamParser();
+      const callback = vi.fn();
+      parser.onSessionId(callback);
+
+      parser.parse('{"type":"system","subtype":"init","session_id":"-r; rm -rf /"}\n');
+
+      expect(callback).not.toHaveBeenCalled();
+      expect(parser.sessionId).toBeNull();
+    });
+  });
 });
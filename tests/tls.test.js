@@ -0,0 +1,147 @@
+/**
+ * Location   : tests/tls.test.js
+ * Purpose    : Test self-signed certificate generation, persistence and env configuration
+ * Why        : The DER encoder is hand-written; node:crypto must accept what it produces
+ * Related    : src/tls.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+  generateSelfSignedCertificate,
+  loadOrCreateSelfSigned,
+  loadTlsOptions,
+  certificateFingerprint,
+} from '../src/tls.js';
+
+describe('TLS', () => {
+  describe('generateSelfSignedCertificate', () => {
+    it('should produce a certificate that parses and matches its key', () => {
+      const { cert, key } = generateSelfSignedCertificate();
+      const x509 = new crypto.X509Certificate(cert);
+
+      expect(x509.subject).toBe('CN=TinyCC-WebUI');
+      expect(x509.checkPrivateKey(crypto.createPrivateKey(key))).toBe(true);
+      // Self-signed: verifies with its own public key
+      expect(x509.verify(x509.publicKey)).toBe(true);
+      expect(x509.ca).toBe(false);
+    });
+
+    it('should include hostnames and IP addresses in subjectAltName', () => {
+      const { cert } = generateSelfSignedCertificate({
+        hostnames: ['localhost', 'laptop.tailnet.ts.net'],
+        ips: ['127.0.0.1', '192.168.1.20', '::1', 'fd00::1:2'],
+      });
+      const x509 = new crypto.X509Certificate(cert);
+
+      expect(x509.checkHost('laptop.tailnet.ts.net')).toBe('laptop.tailnet.ts.net');
+      expect(x509.checkIP('192.168.1.20')).toBe('192.168.1.20');
+      expect(x509.checkIP('::1')).toBe('::1');
+      expect(x509.checkIP('fd00::1:2')).toBe('fd00::1:2');
+      expect(x509.checkIP('10.0.0.1')).toBeUndefined();
+    });
+
+    it('should honour the validity period', () => {
+      const { cert } = generateSelfSignedCertificate({ days: 30 });
+      const x509 = new crypto.X509Certificate(cert);
+      const lifetime = new Date(x509.validTo) - new Date(x509.validFrom);
+
+      expect(lifetime).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should always encode the serial number as a minimal positive INTEGER', () => {
+      // Random bytes that once produced a padded 0x00 0x0f... serial
+      const spy = vi
+        .spyOn(crypto, 'randomBytes')
+        .mockReturnValueOnce(Buffer.from([0x80, 0x0f, ...Array(14).fill(0xab)]));
+      try {
+        const x509 = new crypto.X509Certificate(generateSelfSignedCertificate().cert);
+        expect(x509.serialNumber).toMatch(/^4/);
+      } finally {
+        spy.mockRestore();
+      }
+
+      for (let i = 0; i < 300; i++) {
+        const x509 = new crypto.X509Certificate(generateSelfSignedCertificate().cert);
+        expect(x509.serialNumber).toMatch(/^[4-7][0-9A-F]{31}$/);
+      }
+    });
+  });
+
+  describe('loadOrCreateSelfSigned', () => {
+    let tlsDir;
+
+    beforeEach(async () => {
+      tlsDir = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'tls-test-')), 'tls');
+    });
+
+    afterEach(async () => {
+      await fs.rm(path.dirname(tlsDir), { recursive: true, force: true });
+    });
+
+    it('should generate once and reuse the persisted certificate', async () => {
+      const first = loadOrCreateSelfSigned(tlsDir);
+      const second = loadOrCreateSelfSigned(tlsDir);
+
+      expect(first.generated).toBe(true);
+      expect(second.generated).toBe(false);
+      expect(certificateFingerprint(second.cert)).toBe(certificateFingerprint(first.cert));
+
+      const stat = await fs.stat(path.join(tlsDir, 'key.pem'));
+      expect(stat.mode & 0o777).toBe(0o600);
+    });
+  });
+
+  describe('loadTlsOptions', () => {
+    const saved = {};
+    const keys = ['TINYCC_TLS', 'TINYCC_TLS_CERT', 'TINYCC_TLS_KEY'];
+
+    beforeEach(() => {
+      for (const name of keys) {
+        saved[name] = process.env[name];
+        delete process.env[name];
+      }
+    });
+
+    afterEach(() => {
+      for (const name of keys) {
+        if (saved[name] === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = saved[name];
+        }
+      }
+    });
+
+    it('should return null when TLS is not configured', () => {
+      expect(loadTlsOptions()).toBeNull();
+    });
+
+    it('should load cert and key from configured paths', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tls-test-'));
+      const { cert, key } = generateSelfSignedCertificate();
+      await fs.writeFile(path.join(dir, 'cert.pem'), cert);
+      await fs.writeFile(path.join(dir, 'key.pem'), key);
+      process.env.TINYCC_TLS_CERT = path.join(dir, 'cert.pem');
+      process.env.TINYCC_TLS_KEY = path.join(dir, 'key.pem');
+
+      try {
+        const tls = loadTlsOptions();
+        expect(tls.cert).toBe(cert);
+        expect(tls.key).toBe(key);
+        expect(tls.generated).toBe(false);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject a cert path without a key path', () => {
+      process.env.TINYCC_TLS_CERT = '/nonexistent/cert.pem';
+
+      expect(() => loadTlsOptions()).toThrow('must be set together');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Location   : tests/usage.test.js
+ * Purpose    : Test token counting and the per-session / per-day usage totals
+ * Why        : Spend is watched from these numbers, so double counting or lost totals
+ *              after a restart would mislead the team
+ * Related    : src/usage.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { UsageTracker, tokenCounts, usageDay } from '../src/usage.js';
+
+const sessionId = '550e8400-e29b-41d4-a716-446655440000';
+const result = {
+  type: 'result',
+  total_cost_usd: 0.25,
+  duration_ms: 1500,
+  num_turns: 2,
+  usage: {
+    input_tokens: 100,
+    output_tokens: 40,
+    cache_read_input_tokens: 900,
+    cache_creation_input_tokens: 10,
+  },
+};
+
+describe('tokenCounts', () => {
+  it('should map API usage fields and treat missing or bad values as 0', () => {
+    expect(tokenCounts(result.usage)).toEqual({
+      inputTokens: 100,
+      outputTokens: 40,
+      cacheReadTokens: 900,
+      cacheCreationTokens: 10,
+    });
+    expect(tokenCounts({ input_tokens: -1, output_tokens: 'x' })).toEqual({
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheCreationTokens: 0,
+    });
+    expect(tokenCounts(undefined).inputTokens).toBe(0);
+  });
+});
+
+describe('usageDay', () => {
+  it('should format the local calendar day', () => {
+    expect(usageDay(new Date(2026, 0, 5, 23, 59).getTime())).toBe('2026-01-05');
+  });
+});
+
+describe('UsageTracker', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-test-'));
+    filePath = path.join(tempDir, 'data', 'usage.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive: true, force: true });
+  });
+
+  it('should keep running totals per session and per day', () => {
+    const tracker = new UsageTracker();
+    const now = new Date(2026, 0, 5, 12).getTime();
+
+    tracker.record(sessionId, result, now);
+    const totals = tracker.record(sessionId, result, now);
+
+    expect(totals.session).toMatchObject({
+      costUsd: 0.5,
+      inputTokens: 200,
+      outputTokens: 80,
+      cacheReadTokens: 1800,
+      durationMs: 3000,
+      turns: 4,
+      runs: 2,
+    });
+    expect(totals.day).toMatchObject({ costUsd: 0.5, runs: 2 });
+    expect(tracker.getDay('2026-01-05').runs).toBe(2);
+  });
+
+  it('should count results without a session towards the day only', () => {
+    const tracker = new UsageTracker();
+
+    const totals = tracker.record(null, result);
+
+    expect(totals.session).toBeNull();
+    expect(totals.day.runs).toBe(1);
+  });
+
+  it('should drop totals older than the retention period', () => {
+    const tracker = new UsageTracker();
+    const old = new Date(2026, 0, 1).getTime();
+    tracker.record(sessionId, result, old);
+
+    tracker.record('6ba7b810-9dad-41d1-80b4-00c04fd430c8', result, old + 91 * 86400000);
+
+    expect(tracker.getSession(sessionId)).toBeNull();
+    expect(tracker.getDay('2026-01-01')).toBeNull();
+  });
+
+  it('should persist and add stored totals to ones recorded before load', async () => {
+    const tracker = new UsageTracker(filePath);
+    tracker.record(sessionId, result);
+    await tracker.close();
+
+    const restarted = new UsageTracker(filePath);
+    restarted.record(sessionId, result);
+    await restarted.load();
+
+    expect(restarted.getSession(sessionId)).toMatchObject({ costUsd: 0.5, runs: 2 });
+    clearTimeout(restarted.saveTimer);
+  });
+
+  it('should ignore a corrupt store', async () => {
+    await fs.mkdir(path.dirname(filePath));
+    await fs.writeFile(filePath, '{not json');
+
+    const tracker = new UsageTracker(filePath);
+    await tracker.load();
+
+    expect(tracker.sessions.size).toBe(0);
+  });
+});
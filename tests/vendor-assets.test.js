@@ -0,0 +1,85 @@
+/**
+ * Location   : tests/vendor-assets.test.js
+ * Purpose    : Test vendored library serving and integrity verification
+ * Why        : The vendored copies replace CDN SRI checks; a stale manifest or tampered
+ *              file must never be served
+ * Related    : src/vendor-assets.js, scripts/vendor.js, public/vendor/manifest.json
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { VendorAssets } from '../src/vendor-assets.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+const sha384 = (text) => `sha384-${crypto.createHash('sha384').update(text).digest('base64')}`;
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../public');
+
+describe('VendorAssets', () => {
+  describe('shipped vendor directory', () => {
+    it('should serve every manifest entry with a matching hash', async () => {
+      const assets = new VendorAssets();
+      const manifest = await assets.loadManifest();
+
+      expect(Object.keys(manifest).sort()).toEqual(['marked.min.js', 'purify.min.js']);
+      for (const name of Object.keys(manifest)) {
+        expect((await assets.get(name)).length).toBeGreaterThan(0);
+      }
+    });
+
+    it('should match the integrity attributes in index.html', async () => {
+      const manifest = await new VendorAssets().loadManifest();
+      const html = await fs.readFile(path.join(PUBLIC_DIR, 'index.html'), 'utf-8');
+
+      for (const [name, integrity] of Object.entries(manifest)) {
+        expect(html).toMatch(
+          new RegExp(
+            `src="/vendor/${escapeRegExp(name)}"\\s+integrity="${escapeRegExp(integrity)}"`
+          )
+        );
+      }
+    });
+  });
+
+  describe('get', () => {
+    let vendorDir;
+
+    beforeEach(async () => {
+      vendorDir = await fs.mkdtemp(path.join(os.tmpdir(), 'vendor-test-'));
+      await fs.writeFile(path.join(vendorDir, 'lib.js'), 'console.log(1);');
+      await fs.writeFile(
+        path.join(vendorDir, 'manifest.json'),
+        JSON.stringify({ 'lib.js': sha384('console.log(1);') })
+      );
+    });
+
+    afterEach(async () => {
+      await fs.rm(vendorDir, { recursive: true, force: true });
+    });
+
+    it('should return null for names outside the manifest', async () => {
+      const assets = new VendorAssets(vendorDir);
+
+      expect(await assets.get('manifest.json')).toBeNull();
+      expect(await assets.get('../index.html')).toBeNull();
+      expect(await assets.get('__proto__')).toBeNull();
+    });
+
+    it('should refuse a file whose content no longer matches the manifest', async () => {
+      await fs.writeFile(path.join(vendorDir, 'lib.js'), 'alert("tampered");');
+      const assets = new VendorAssets(vendorDir);
+
+      await expect(assets.get('lib.js')).rejects.toThrow('integrity mismatch');
+    });
+
+    it('should serve a verified file', async () => {
+      const assets = new VendorAssets(vendorDir);
+
+      expect((await assets.get('lib.js')).toString()).toBe('console.log(1);');
+    });
+  });
+});